@@ -19,18 +19,34 @@ const App = {
             await db.open();
             console.log('Database initialized successfully');
 
+            // Ask for the passphrase first when the app lock is on
+            await Vault.unlock();
+
+            // Link any contributions not yet resolved to a donor (e.g. after upgrading)
+            await Donors.resolveUnassigned();
+
             // Register service worker for PWA support
             await this.registerServiceWorker();
 
+            // Sync with the shared server, if one is set
+            RemoteSync.start();
+
             // Setup PWA install prompt
             this.setupInstallPrompt();
 
             // Update stats on load
             await this.updateStats();
 
+            // Tag choices for the Browse filters
+            await Filters.renderTagOptions();
+            await Filters.renderDonorTagOptions();
+
             // Initialize UI event listeners
             UI.initializeEventListeners();
 
+            // Open a bookmarked donor profile (#donor/<id>)
+            await Profile.initialize();
+
             console.log('DonorDex initialized successfully');
         } catch (error) {
             console.error('Error initializing DonorDex:', error);
@@ -162,10 +178,8 @@ const App = {
                 await Search.searchDonors();
             }
 
-            // Refresh filters if they're active
-            if (Filters.filteredRecords.length > 0) {
-                await Filters.applyFilters();
-            }
+            // Refresh filtered results and the dashboard
+            await Filters.refreshResults();
         }
     },
 
@@ -175,8 +189,13 @@ const App = {
     async clearAllData() {
         if (confirm('Are you sure you want to clear all DonorDex records? This cannot be undone.')) {
             await Database.clearAll();
-            Filters.filteredRecords = [];
+            Filters.criteria = null;
+            Filters.importId = null;
+            Filters.scope = null;
             await this.updateStats();
+            await Filters.renderDonorTagOptions();
+            await Profile.refresh();
+            await Dashboard.refresh();
 
             document.getElementById('searchInput').value = '';
             document.getElementById('resultsContainer').innerHTML = '<div class="no-results">Enter a donor name to begin search</div>';
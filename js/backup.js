@@ -0,0 +1,331 @@
+/**
+ * DonorDex Backup Module
+ * Full backups of every table as versioned JSON, optionally encrypted with a
+ * passphrase (PBKDF2 + AES-GCM via WebCrypto), and restore by replacing
+ * everything or merging into the current data. DOM-free.
+ */
+
+const Backup = {
+    FORMAT: 'donordex-backup',
+    FORMAT_VERSION: 1,
+
+    // Rebuilt from contributions on restore, so not written to backups
+    DERIVED_TABLES: ['aggregates'],
+
+    // Review queue, undo and sync history only make sense for the data they were
+    // recorded against, so they are restored by Replace but not merged
+    UNMERGED_TABLES: ['donorMerges', 'bulkEdits', 'changes', 'syncConflicts', 'duplicateRemovals'],
+
+    // Passphrase key derivation (OWASP recommendation for PBKDF2-SHA256)
+    PBKDF2_ITERATIONS: 600000,
+
+    TABLE_LABELS: {
+        contributions: 'Contributions',
+        donors: 'Donors',
+        donorMerges: 'Donor match reviews',
+        settings: 'Settings',
+        imports: 'Import batches',
+        mappingProfiles: 'Column mapping profiles',
+        committees: 'FEC committees',
+        tags: 'Committee tags',
+        committeeTags: 'Committee tag assignments',
+        prospectLists: 'Prospect lists',
+        prospectEntries: 'Prospect list entries',
+        interactions: 'Contact history',
+        recordEdits: 'Record edit history',
+        bulkEdits: 'Bulk edit history',
+        changes: 'Device sync change log',
+        syncConflicts: 'Device sync conflicts',
+        duplicateRemovals: 'Duplicate removal history',
+        zipCentroids: 'ZIP code centroids'
+    },
+
+    /**
+     * Read every table into a backup
+     * @returns {Promise<Object>} - {format, formatVersion, schemaVersion, createdAt, tables}
+     */
+    async create() {
+        const tables = {};
+        for (const { name } of Database.getTableSchemas()) {
+            if (!this.DERIVED_TABLES.includes(name)) {
+                tables[name] = await Database.getTableRows(name);
+            }
+        }
+        // Rows are read decrypted; the app lock and sync identity stay with this browser
+        tables.settings = tables.settings.filter(row => !Database.LOCAL_SETTINGS.includes(row.key));
+
+        return {
+            format: this.FORMAT,
+            formatVersion: this.FORMAT_VERSION,
+            schemaVersion: Database.getSchemaVersion(),
+            createdAt: Date.now(),
+            tables
+        };
+    },
+
+    /**
+     * Write a backup as file text
+     * @param {Object} backup - Result of create
+     * @param {string} passphrase - Encrypts the backup when not empty
+     * @returns {Promise<string>} - JSON text
+     */
+    async serialize(backup, passphrase = '') {
+        const json = JSON.stringify(backup);
+        if (!passphrase) return json;
+
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const key = await this.deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(json));
+
+        return JSON.stringify({
+            format: this.FORMAT,
+            formatVersion: this.FORMAT_VERSION,
+            encrypted: true,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: this.PBKDF2_ITERATIONS, salt: this.toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+            data: this.toBase64(new Uint8Array(data))
+        });
+    },
+
+    /**
+     * Read backup file text, decrypting it if needed
+     * @param {string} text - File text
+     * @param {string} passphrase - Passphrase for encrypted backups
+     * @returns {Promise<Object>} - Backup {format, formatVersion, schemaVersion, createdAt, tables}
+     */
+    async parse(text, passphrase = '') {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This is not a DonorDex backup file.');
+        }
+        if (!file || file.format !== this.FORMAT) {
+            throw new Error('This is not a DonorDex backup file.');
+        }
+        if (file.formatVersion > this.FORMAT_VERSION) {
+            throw new Error('This backup was made by a newer version of DonorDex. Update DonorDex to restore it.');
+        }
+
+        let backup = file;
+        if (file.encrypted) {
+            if (!passphrase) throw new Error('This backup is encrypted. Enter its passphrase.');
+
+            const key = await this.deriveKey(passphrase, this.fromBase64(file.kdf.salt), file.kdf.iterations);
+            let json;
+            try {
+                const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(file.cipher.iv) }, key, this.fromBase64(file.data));
+                json = new TextDecoder().decode(data);
+            } catch (error) {
+                throw new Error('Wrong passphrase, or the backup file is damaged.');
+            }
+            backup = JSON.parse(json);
+        }
+
+        if (!backup.tables || typeof backup.tables !== 'object') {
+            throw new Error('The backup file has no tables.');
+        }
+        if (backup.schemaVersion > Database.getSchemaVersion()) {
+            throw new Error(`This backup is from database version ${backup.schemaVersion}, newer than this copy of DonorDex (version ${Database.getSchemaVersion()}). Update DonorDex to restore it.`);
+        }
+        return backup;
+    },
+
+    /**
+     * Derive the AES key for a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string}
+     */
+    toBase64(bytes) {
+        let binary = '';
+        // Chunked so large backups stay under the argument limit
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array}
+     */
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    },
+
+    /**
+     * Work out what a restore will change
+     * Replace empties every table and loads the backup. Merge keeps current
+     * data and adds what is missing: contributions whose importHash (or ID)
+     * is not stored, the donors they link to, tags matched by name, and rows
+     * of other tables whose key is not stored. Current settings win.
+     * @param {Object} backup - Result of parse
+     * @param {string} mode - replace or merge
+     * @returns {Promise<Object>} - Plan {mode, backup, tables: rows to write, summary: [{table, label, current, incoming, written}], notes}
+     */
+    async planRestore(backup, mode) {
+        const schemas = Database.getTableSchemas();
+        const known = new Set(schemas.map(s => s.name));
+        const notes = [];
+
+        const ignored = Object.keys(backup.tables).filter(name => !known.has(name) && !this.DERIVED_TABLES.includes(name));
+        if (ignored.length > 0) {
+            notes.push(`Tables no longer used by this version are skipped: ${ignored.join(', ')}.`);
+        }
+
+        const incoming = {};
+        schemas.forEach(({ name }) => {
+            if (!this.DERIVED_TABLES.includes(name)) incoming[name] = backup.tables[name] || [];
+        });
+
+        const tables = mode === 'replace' ? incoming : await this.planMerge(incoming, schemas, notes);
+        await this.prepareContributions(tables.contributions || [], mode === 'replace' ? incoming.settings : null);
+
+        const summary = [];
+        for (const { name } of schemas) {
+            if (this.DERIVED_TABLES.includes(name)) continue;
+            summary.push({
+                table: name,
+                label: this.TABLE_LABELS[name] || name,
+                current: await Database.countTableRows(name),
+                incoming: incoming[name].length,
+                written: (tables[name] || []).length
+            });
+        }
+
+        return { mode, backup, tables, summary, notes };
+    },
+
+    /**
+     * Pick the backup rows a merge adds
+     * @param {Object} incoming - Table name → backup rows
+     * @param {Array} schemas - Result of Database.getTableSchemas
+     * @param {Array} notes - Notes for the preview (added to)
+     * @returns {Promise<Object>} - Table name → rows to add
+     */
+    async planMerge(incoming, schemas, notes) {
+        const adds = {};
+        const keyOf = (schema, row) => (Array.isArray(schema.keyPath) ? schema.keyPath.map(k => row[k]) : row[schema.keyPath]);
+        const missing = async (schema, rows) => {
+            const exists = await Database.keysExist(schema.name, rows.map(row => keyOf(schema, row)));
+            return rows.filter((row, i) => !exists[i]);
+        };
+
+        // Contributions: new when neither the importHash nor the ID is stored
+        const storedHashes = await Database.findExistingHashes(incoming.contributions.map(r => r.importHash).filter(Boolean));
+        const unhashed = incoming.contributions.filter(r => !storedHashes.has(r.importHash));
+        adds.contributions = await missing(schemas.find(s => s.name === 'contributions'), unhashed);
+        const addedRecordIds = new Set(adds.contributions.map(r => r.id));
+
+        // Donors the added contributions link to
+        const linkedDonorIds = new Set(adds.contributions.map(r => r.donorId).filter(Boolean));
+        adds.donors = await missing(schemas.find(s => s.name === 'donors'), incoming.donors.filter(d => linkedDonorIds.has(d.id)));
+        const storedDonorIds = new Set([...adds.donors.map(d => d.id), ...(await Database.getAllDonors()).map(d => d.id)]);
+
+        // Tags: a tag with the same name is the same tag
+        const localTags = await Database.getTags();
+        const tagIds = new Map();
+        let renamedTags = 0;
+        adds.tags = [];
+        incoming.tags.forEach(tag => {
+            const local = localTags.find(t => t.id === tag.id) || localTags.find(t => t.slug === tag.slug);
+            if (local) {
+                tagIds.set(tag.id, local.id);
+                if (local.id !== tag.id) renamedTags++;
+            } else {
+                tagIds.set(tag.id, tag.id);
+                adds.tags.push(tag);
+            }
+        });
+        const retagged = incoming.committeeTags.map(row => ({ ...row, tagId: tagIds.get(row.tagId) || row.tagId }));
+        adds.committeeTags = await missing(schemas.find(s => s.name === 'committeeTags'), retagged);
+
+        for (const schema of schemas) {
+            if (adds[schema.name] || this.DERIVED_TABLES.includes(schema.name)) continue;
+            const rows = incoming[schema.name];
+
+            if (this.UNMERGED_TABLES.includes(schema.name)) {
+                if (rows.length > 0) notes.push(`${this.TABLE_LABELS[schema.name] || schema.name} are not merged; use Replace to restore them.`);
+                adds[schema.name] = [];
+            } else if (schema.name === 'recordEdits') {
+                // Edit history of added contributions, renumbered
+                adds.recordEdits = rows.filter(e => addedRecordIds.has(e.recordId)).map(({ id, ...edit }) => edit);
+            } else if (schema.name === 'interactions' || schema.name === 'prospectEntries') {
+                adds[schema.name] = await missing(schema, rows.filter(row => storedDonorIds.has(row.donorId)));
+            } else if (schema.autoIncrement) {
+                adds[schema.name] = [];
+            } else {
+                adds[schema.name] = await missing(schema, rows);
+            }
+        }
+
+        // Entries of lists that are neither stored nor added would be orphaned
+        const listIds = new Set([...adds.prospectLists, ...(await Database.getProspectLists())].map(list => list.id));
+        adds.prospectEntries = adds.prospectEntries.filter(entry => listIds.has(entry.listId));
+
+        if (renamedTags > 0) {
+            notes.push(`${renamedTags} tag${renamedTags === 1 ? ' has' : 's have'} the same name as a tag here; their committees get the existing tag.`);
+        }
+        if (incoming.settings.length > adds.settings.length) {
+            notes.push('Settings already made in this browser are kept.');
+        }
+        return adds;
+    },
+
+    /**
+     * Fill in fields that backups from older versions may lack
+     * @param {Array} records - Contributions to restore (changed in place)
+     * @param {Array|null} settings - Settings rows being restored (null to use the current alias table)
+     * @returns {Promise<void>}
+     */
+    async prepareContributions(records, settings) {
+        if (records.length === 0) return;
+
+        const aliasRow = settings ? settings.find(row => row.key === Normalizer.ALIAS_SETTING) : null;
+        const dictionary = settings ? Normalizer.buildDictionary(aliasRow ? aliasRow.value : []) : await Normalizer.loadDictionary();
+        records.forEach(record => {
+            if (record.donorId === undefined) record.donorId = '';
+            if (record.importId === undefined) record.importId = '';
+            Normalizer.normalizeRecord(record, dictionary);
+        });
+    },
+
+    /**
+     * Write a planned restore
+     * @param {Object} plan - Result of planRestore
+     * @returns {Promise<void>}
+     */
+    async restore(plan) {
+        if (plan.mode === 'replace') {
+            await Database.replaceAllTables(plan.tables);
+        } else {
+            await Database.addToTables(plan.tables);
+        }
+    }
+};
+
+// Export for use in other modules
+window.Backup = Backup;
@@ -0,0 +1,343 @@
+/**
+ * DonorDex Bulk Edit
+ * Set a field, find and replace, delete, or tag committees across the
+ * current Browse results, with a preview and undo
+ */
+
+const BulkEdit = {
+    // Fields that can be changed in bulk. Names and addresses decide which
+    // donor a record belongs to, so they are edited one record at a time.
+    FIELDS: {
+        employer: 'Employer',
+        occupation: 'Occupation',
+        candidateName: 'Committee name'
+    },
+
+    // Before/after rows shown in the preview
+    MAX_PREVIEW_ROWS: 25,
+
+    /**
+     * Prepare the modal for the current Browse results
+     */
+    async refresh() {
+        const count = Filters.isActive() ? Filters.totalCount : 0;
+        document.getElementById('bulkEditScope').textContent = count > 0
+            ? `Applies to the ${count.toLocaleString()} contribution${count === 1 ? '' : 's'} in the current Browse results.`
+            : 'Apply filters in Browse first; bulk changes apply to the current results.';
+
+        const { tags } = await Tags.load();
+        const tagSelect = document.getElementById('bulkEditTag');
+        tagSelect.innerHTML = tags.length > 0
+            ? tags.map(tag => `<option value="${Utils.escapeHtml(tag.id)}">${Utils.escapeHtml(tag.name)}</option>`).join('')
+            : '<option value="">No tags yet (create them in Manage Committees)</option>';
+
+        document.getElementById('bulkEditPreview').innerHTML = '';
+        this.updateForm();
+        await this.renderHistory();
+    },
+
+    /**
+     * Show the inputs the chosen operation needs
+     */
+    updateForm() {
+        const operation = document.getElementById('bulkEditOperation').value;
+        const show = (id, visible) => { document.getElementById(id).style.display = visible ? '' : 'none'; };
+
+        show('bulkEditFieldGroup', operation === 'set' || operation === 'replace');
+        show('bulkEditValueGroup', operation === 'set');
+        show('bulkEditReplaceGroup', operation === 'replace');
+        show('bulkEditTagGroup', operation === 'tag');
+        document.getElementById('bulkEditPreview').innerHTML = '';
+    },
+
+    /**
+     * Read the operation form
+     * @returns {Object} - {operation, field, value, find, replace, useRegex, matchCase, tagId}
+     */
+    readForm() {
+        const value = id => document.getElementById(id).value;
+        return {
+            operation: value('bulkEditOperation'),
+            field: value('bulkEditField'),
+            value: value('bulkEditValue').trim(),
+            find: value('bulkEditFind'),
+            replace: value('bulkEditReplace'),
+            useRegex: document.getElementById('bulkEditRegex').checked,
+            matchCase: document.getElementById('bulkEditMatchCase').checked,
+            tagId: value('bulkEditTag')
+        };
+    },
+
+    /**
+     * Build the pattern for find-and-replace
+     * @param {Object} form - Result of readForm
+     * @returns {RegExp} - Global pattern
+     */
+    buildPattern(form) {
+        if (!form.find) throw new Error('Enter the text to find');
+        const source = form.useRegex ? form.find : form.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(source, form.matchCase ? 'g' : 'gi');
+    },
+
+    /**
+     * Work out what an operation would change, without changing anything
+     * @param {Object} form - Result of readForm
+     * @param {Array} records - Records to operate on
+     * @returns {Promise<Object>} - {operation, description, count, edits, records, keys, transitions}
+     */
+    async plan(form, records) {
+        if (records.length === 0) throw new Error('No records to change. Apply filters in Browse first.');
+
+        if (form.operation === 'delete') {
+            return {
+                operation: 'delete',
+                description: `Delete ${records.length.toLocaleString()} contribution${records.length === 1 ? '' : 's'}`,
+                count: records.length,
+                records: records,
+                transitions: this.countTransitions(records.map(r => ({ from: r.candidateName, to: '(deleted)' })))
+            };
+        }
+
+        if (form.operation === 'tag') {
+            const tag = form.tagId && await Database.getTag(form.tagId);
+            if (!tag) throw new Error('Choose a tag');
+
+            const tagged = new Set(await Tags.getCommitteeKeys(tag.id));
+            const names = new Map();
+            records.forEach(r => {
+                const key = r.committeeId || r.candidateName;
+                if (key && !tagged.has(key)) names.set(key, r.candidateName);
+            });
+            return {
+                operation: 'tag',
+                description: `Tag ${names.size.toLocaleString()} committee${names.size === 1 ? '' : 's'} ${tag.name}`,
+                count: names.size,
+                tagId: tag.id,
+                keys: [...names.keys()],
+                transitions: [...names].map(([key, name]) => ({ from: key === name ? name : `${name} (${key})`, to: tag.name, count: records.filter(r => (r.committeeId || r.candidateName) === key).length }))
+            };
+        }
+
+        if (!this.FIELDS[form.field]) throw new Error('Choose a field');
+        let change;
+        let description;
+        if (form.operation === 'set') {
+            change = () => form.value;
+            description = `Set ${this.FIELDS[form.field]} to "${form.value}"`;
+        } else if (form.operation === 'replace') {
+            const pattern = this.buildPattern(form);
+            const replacement = form.replace;
+            change = current => (form.useRegex
+                ? current.replace(pattern, replacement)
+                : current.replace(pattern, () => replacement)).trim();
+            description = `Replace ${form.useRegex ? `/${form.find}/` : `"${form.find}"`} with "${replacement}" in ${this.FIELDS[form.field]}`;
+        } else {
+            throw new Error('Choose an operation');
+        }
+
+        if (form.field === 'candidateName' && !form.value && form.operation === 'set') {
+            throw new Error('Committee name cannot be blank');
+        }
+
+        const edits = [];
+        for (const record of records) {
+            const before = record[form.field] || '';
+            const after = change(before);
+            if (after === before) continue;
+            if (form.field === 'candidateName' && !after) continue;
+
+            const updated = { ...record, [form.field]: after };
+            const changes = [{ field: form.field, from: before, to: after }];
+            edits.push({ before: record, record: updated, changes });
+        }
+
+        await Normalizer.normalizeRecords(edits.map(e => e.record));
+
+        // Renamed committees without an ID may now match the registry
+        if (form.field === 'candidateName') {
+            await Committees.resolveRecords(edits.map(e => e.record).filter(r => !r.committeeId));
+            edits.forEach(e => {
+                if (e.record.committeeId !== e.before.committeeId) {
+                    e.changes.push({ field: 'committeeId', from: e.before.committeeId || '', to: e.record.committeeId });
+                }
+            });
+        }
+
+        return {
+            operation: 'edit',
+            description: `${description} on ${edits.length.toLocaleString()} contribution${edits.length === 1 ? '' : 's'}`,
+            count: edits.length,
+            edits: edits,
+            transitions: this.countTransitions(edits.map(e => ({ from: e.before[form.field] || '', to: e.record[form.field] })))
+        };
+    },
+
+    /**
+     * Count distinct before → after pairs, most frequent first
+     * @param {Array} pairs - [{from, to}]
+     * @returns {Array} - [{from, to, count}]
+     */
+    countTransitions(pairs) {
+        const counts = new Map();
+        pairs.forEach(({ from, to }) => {
+            const key = `${from}\u0000${to}`;
+            if (!counts.has(key)) counts.set(key, { from, to, count: 0 });
+            counts.get(key).count++;
+        });
+        return [...counts.values()].sort((a, b) => b.count - a.count || a.from.localeCompare(b.from));
+    },
+
+    /**
+     * Plan the operation in the form against the current Browse results
+     * @returns {Promise<Object|null>} - Plan, or null after alerting the problem
+     */
+    async planFromForm() {
+        try {
+            return await this.plan(this.readForm(), await Filters.getFilteredRecords());
+        } catch (error) {
+            alert(error.message);
+            return null;
+        }
+    },
+
+    /**
+     * Show how many records the operation affects with before/after values
+     */
+    async preview() {
+        const plan = await this.planFromForm();
+        if (!plan) return;
+        this.renderPreview(plan);
+    },
+
+    /**
+     * Render a plan's preview
+     * @param {Object} plan - Result of plan
+     */
+    renderPreview(plan) {
+        const container = document.getElementById('bulkEditPreview');
+        if (plan.count === 0) {
+            container.innerHTML = '<div class="no-results">Nothing would change</div>';
+            return;
+        }
+
+        const rows = plan.transitions.slice(0, this.MAX_PREVIEW_ROWS);
+        const more = plan.transitions.length - rows.length;
+        const show = value => Utils.escapeHtml(value === '' ? '(blank)' : value);
+
+        container.innerHTML = `
+            <div style="font-weight: 700; color: #174A57; margin-bottom: 10px;">${Utils.escapeHtml(plan.description)}</div>
+            <table class="profile-table">
+                <thead><tr><th>Before</th><th>After</th><th style="text-align: right;">Records</th></tr></thead>
+                <tbody>${rows.map(t => `
+                    <tr><td>${show(t.from)}</td><td>${show(t.to)}</td><td style="text-align: right;">${t.count.toLocaleString()}</td></tr>`).join('')}
+                </tbody>
+            </table>
+            ${more > 0 ? `<div style="font-size: 12px; color: #718096; margin-top: 6px;">…and ${more.toLocaleString()} more distinct values</div>` : ''}`;
+    },
+
+    /**
+     * Apply the operation in the form to the current Browse results
+     */
+    async apply() {
+        const plan = await this.planFromForm();
+        if (!plan) return;
+        this.renderPreview(plan);
+        if (plan.count === 0) return;
+        if (!confirm(`${plan.description}?\nYou can undo this from the bulk edit history.`)) return;
+
+        const entry = { type: plan.operation, description: plan.description, count: plan.count, createdAt: Date.now() };
+
+        if (plan.operation === 'edit') {
+            await Database.editRecords(plan.edits);
+            entry.previous = plan.edits.map(e => e.before);
+        } else if (plan.operation === 'delete') {
+            entry.records = plan.records;
+            entry.donors = await Database.getDonors([...new Set(plan.records.map(r => r.donorId).filter(Boolean))]);
+            await Database.deleteRecords(plan.records.map(r => r.id));
+        } else if (plan.operation === 'tag') {
+            for (const key of plan.keys) {
+                await Database.addCommitteeTag(plan.tagId, key);
+            }
+            entry.tagId = plan.tagId;
+            entry.keys = plan.keys;
+        }
+
+        await Database.addBulkEdit(entry);
+        document.getElementById('bulkEditPreview').innerHTML = '';
+        await this.afterChange();
+    },
+
+    /**
+     * Undo the most recent bulk change
+     * @param {number} entryId - History entry ID
+     */
+    async undo(entryId) {
+        const [latest] = await Database.getBulkEdits();
+        if (!latest || latest.id !== entryId) {
+            alert('Only the most recent bulk change can be undone.');
+            return;
+        }
+        if (!confirm(`Undo "${latest.description}"?`)) return;
+
+        if (latest.type === 'edit') {
+            const current = new Map((await Database.getRecordsByIds(latest.previous.map(r => r.id))).map(r => [r.id, r]));
+            const edits = latest.previous.filter(r => current.has(r.id)).map(previous => {
+                const now = current.get(previous.id);
+                const changes = Object.keys(UI.EDIT_FIELDS)
+                    .filter(field => (now[field] ?? '') !== (previous[field] ?? ''))
+                    .map(field => ({ field, from: now[field] ?? '', to: previous[field] ?? '' }));
+                return { record: { ...previous, donorId: now.donorId }, changes };
+            }).filter(e => e.changes.length > 0);
+            await Normalizer.normalizeRecords(edits.map(e => e.record));
+            if (edits.length > 0) await Database.editRecords(edits);
+        } else if (latest.type === 'delete') {
+            const existing = new Set((await Database.getRecordsByIds(latest.records.map(r => r.id))).map(r => r.id));
+            const donorIds = new Set((await Database.getDonors(latest.donors.map(d => d.id))).map(d => d.id));
+            await Database.putDonors(latest.donors.filter(d => !donorIds.has(d.id)));
+            const restored = latest.records.filter(r => !existing.has(r.id));
+            await Normalizer.normalizeRecords(restored);
+            await Database.bulkAdd(restored);
+        } else if (latest.type === 'tag') {
+            for (const key of latest.keys) {
+                await Database.removeCommitteeTag(latest.tagId, key);
+            }
+        }
+
+        await Database.deleteBulkEdit(latest.id);
+        await this.afterChange();
+    },
+
+    /**
+     * Refresh views after a bulk change or undo
+     */
+    async afterChange() {
+        await Donors.refreshAfterChange();
+        await Filters.renderTagOptions();
+        await this.refresh();
+    },
+
+    /**
+     * Render recent bulk changes, with undo on the latest
+     */
+    async renderHistory() {
+        const entries = await Database.getBulkEdits();
+        const container = document.getElementById('bulkEditHistory');
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div style="font-size: 12px; color: #a0aec0;">No bulk changes yet</div>';
+            return;
+        }
+
+        container.innerHTML = entries.map((entry, index) => `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 8px 0; border-bottom: 1px solid #e2e8f0; font-size: 13px;">
+                <div>
+                    <div style="font-weight: 600; color: #174A57;">${Utils.escapeHtml(entry.description)}</div>
+                    <div style="font-size: 12px; color: #718096;">${Utils.escapeHtml(new Date(entry.createdAt).toLocaleString())}</div>
+                </div>
+                ${index === 0 ? `<button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px;" onclick="BulkEdit.undo(${entry.id})">Undo</button>` : ''}
+            </div>`).join('');
+    }
+};
+
+// Export for use in other modules
+window.BulkEdit = BulkEdit;
@@ -0,0 +1,75 @@
+/**
+ * DonorDex Cipher
+ * WebCrypto helpers for the at-rest encryption layer: AES-256-GCM sealing
+ * and HMAC-SHA-256 index hashes. WebCrypto is asynchronous, and awaiting it
+ * inside an IndexedDB transaction lets the transaction commit, so rows are
+ * sealed before their transaction starts and opened after they are read
+ * (see Database.sealRows). DOM-free so it runs in the import worker.
+ */
+
+const Cipher = {
+    IV_BYTES: 12,
+    KEY_BYTES: 32,
+
+    /**
+     * Import data key material as non-extractable keys
+     * @param {Uint8Array} material - 64 random bytes: the sealing key, then the hashing key
+     * @returns {Promise<Object>} - {cipherKey, tokenKey} (CryptoKeys)
+     */
+    async importKeys(material) {
+        const [cipherKey, tokenKey] = await Promise.all([
+            crypto.subtle.importKey('raw', material.subarray(0, this.KEY_BYTES), 'AES-GCM', false, ['encrypt', 'decrypt']),
+            crypto.subtle.importKey('raw', material.subarray(this.KEY_BYTES, this.KEY_BYTES * 2), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+        ]);
+        return { cipherKey, tokenKey };
+    },
+
+    /**
+     * Encrypt with AES-GCM
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Uint8Array} plaintext - Data
+     * @param {Uint8Array} aad - Additional data bound to the result
+     * @returns {Promise<Uint8Array>} - Random IV followed by the ciphertext and tag
+     */
+    async seal(key, plaintext, aad = new Uint8Array(0)) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad }, key, plaintext));
+        const sealed = new Uint8Array(iv.length + ciphertext.length);
+        sealed.set(iv);
+        sealed.set(ciphertext, iv.length);
+        return sealed;
+    },
+
+    /**
+     * Decrypt the result of seal
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Uint8Array} sealed - IV, ciphertext and tag
+     * @param {Uint8Array} aad - Additional data given to seal
+     * @returns {Promise<Uint8Array|null>} - Plaintext, or null if the key, data or aad is wrong
+     */
+    async open(key, sealed, aad = new Uint8Array(0)) {
+        try {
+            return new Uint8Array(await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: sealed.subarray(0, this.IV_BYTES), additionalData: aad },
+                key,
+                sealed.subarray(this.IV_BYTES)
+            ));
+        } catch (error) {
+            if (error.name === 'OperationError') return null;
+            throw error;
+        }
+    },
+
+    /**
+     * Compute an HMAC-SHA-256
+     * @param {CryptoKey} key - HMAC key
+     * @param {Uint8Array} data - Message
+     * @returns {Promise<Uint8Array>} - 32-byte MAC
+     */
+    async hmac(key, data) {
+        return new Uint8Array(await crypto.subtle.sign('HMAC', key, data));
+    }
+};
+
+// Export for use in other modules
+window.Cipher = Cipher;
@@ -0,0 +1,314 @@
+/**
+ * DonorDex Committee Registry
+ * FEC committee details keyed by committee ID (C00xxxxxx), loaded from the
+ * FEC committee master file (cm.txt) or edited in the committee manager.
+ * DOM-free so it runs in the import worker.
+ */
+
+const Committees = {
+    // Committee master file (cm.txt): pipe-delimited, no header row
+    MASTER_COLUMNS: [
+        'cmte_id', 'cmte_nm', 'tres_nm', 'cmte_st1', 'cmte_st2', 'cmte_city', 'cmte_st',
+        'cmte_zip', 'cmte_dsgn', 'cmte_tp', 'cmte_pty_affiliation', 'cmte_filing_freq',
+        'org_tp', 'connected_org_nm', 'cand_id'
+    ],
+
+    // FEC committee type codes (CMTE_TP)
+    TYPE_LABELS: {
+        C: 'Communication cost',
+        D: 'Delegate committee',
+        E: 'Electioneering communication',
+        H: 'House',
+        I: 'Independent expenditor',
+        N: 'PAC - nonqualified',
+        O: 'Super PAC',
+        P: 'Presidential',
+        Q: 'PAC - qualified',
+        S: 'Senate',
+        U: 'Single-candidate independent expenditure',
+        V: 'Hybrid PAC - nonqualified',
+        W: 'Hybrid PAC - qualified',
+        X: 'Party - nonqualified',
+        Y: 'Party - qualified',
+        Z: 'National party nonfederal account'
+    },
+
+    // FEC committee designation codes (CMTE_DSGN)
+    DESIGNATION_LABELS: {
+        A: 'Authorized by a candidate',
+        B: 'Lobbyist/registrant PAC',
+        D: 'Leadership PAC',
+        J: 'Joint fundraiser',
+        P: 'Principal campaign committee',
+        U: 'Unauthorized'
+    },
+
+    // Words ignored when comparing committee names
+    NAME_NOISE: ['THE', 'INC', 'INCORPORATED', 'LLC', 'CORP', 'CO'],
+
+    /**
+     * Check whether a value is an FEC committee ID
+     * @param {string} value - Value to check
+     * @returns {boolean}
+     */
+    isCommitteeId(value) {
+        return /^C\d{8}$/.test(String(value || '').trim());
+    },
+
+    /**
+     * Normalize a committee name for matching
+     * "Friends of Jane Doe, Inc." and "FRIENDS OF JANE DOE" give the same key
+     * @param {string} name - Committee name
+     * @returns {string} - Normalized name
+     */
+    normalizeName(name) {
+        return String(name || '')
+            .toUpperCase()
+            .replace(/&/g, ' AND ')
+            .replace(/[^A-Z0-9 ]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !this.NAME_NOISE.includes(word))
+            .join(' ');
+    },
+
+    /**
+     * Build a registry committee from details, filling in the name key
+     * @param {Object} details - {id, name, party, type, designation, state, candidateId}
+     * @returns {Object} - Registry committee
+     */
+    createCommittee(details) {
+        const committee = {
+            id: String(details.id || '').trim().toUpperCase(),
+            name: String(details.name || '').trim(),
+            party: String(details.party || '').trim().toUpperCase(),
+            type: String(details.type || '').trim().toUpperCase(),
+            designation: String(details.designation || '').trim().toUpperCase(),
+            state: String(details.state || '').trim().toUpperCase(),
+            candidateId: String(details.candidateId || '').trim().toUpperCase()
+        };
+        committee.nameKey = this.normalizeName(committee.name);
+        return committee;
+    },
+
+    /**
+     * Parse one committee master file row
+     * @param {Array<string>} fields - Row fields
+     * @returns {Object|null} - Registry committee, or null for an invalid row
+     */
+    parseMasterRow(fields) {
+        const value = column => (fields[this.MASTER_COLUMNS.indexOf(column)] || '').trim();
+        if (!this.isCommitteeId(value('cmte_id'))) return null;
+
+        return this.createCommittee({
+            id: value('cmte_id'),
+            name: value('cmte_nm'),
+            party: value('cmte_pty_affiliation'),
+            type: value('cmte_tp'),
+            designation: value('cmte_dsgn'),
+            state: value('cmte_st'),
+            candidateId: value('cand_id')
+        });
+    },
+
+    /**
+     * Load the FEC committee master file into the registry
+     * Details of committees already in the registry are replaced.
+     * @param {Blob} source - cm.txt file
+     * @returns {Promise<Object>} - {loaded, skipped, linked}
+     */
+    async loadMasterFile(source) {
+        const parser = Utils.createCsvParser('|', false);
+        const rows = [...parser.push(await source.text()), ...parser.end()];
+
+        const committees = [];
+        let skipped = 0;
+        rows.forEach(fields => {
+            const committee = this.parseMasterRow(fields);
+            if (committee) {
+                committees.push(committee);
+            } else {
+                skipped++;
+            }
+        });
+
+        if (committees.length === 0) {
+            throw new Error('No committees found. Expected the pipe-delimited FEC committee master file (cm.txt).');
+        }
+
+        for (let i = 0; i < committees.length; i += 5000) {
+            await Database.putCommittees(committees.slice(i, i + 5000));
+        }
+
+        const linked = await this.linkStoredRecords();
+        return { loaded: committees.length, skipped, linked };
+    },
+
+    /**
+     * Fill in committee IDs and registry names on records
+     * A record with a committee ID keeps it (and takes the registry name if its
+     * name is just the ID, as in FEC bulk files); otherwise its committee name
+     * is matched against registry names and linked when exactly one matches.
+     * @param {Array} records - Records (changed in place)
+     * @returns {Promise<number>} - Number of records changed
+     */
+    async resolveRecords(records) {
+        const ids = new Set();
+        const nameKeys = new Set();
+        records.forEach(record => {
+            if (!record.committeeId && this.isCommitteeId(record.candidateName)) {
+                ids.add(record.candidateName.trim());
+            } else if (record.committeeId) {
+                ids.add(record.committeeId);
+            } else {
+                nameKeys.add(this.normalizeName(record.candidateName));
+            }
+        });
+
+        const byId = new Map((await Database.getCommittees(Array.from(ids))).map(c => [c.id, c]));
+        const byNameKey = new Map();
+        (await Database.getCommitteesByNameKeys(Array.from(nameKeys).filter(Boolean))).forEach(committee => {
+            if (!byNameKey.has(committee.nameKey)) byNameKey.set(committee.nameKey, []);
+            byNameKey.get(committee.nameKey).push(committee);
+        });
+
+        let changed = 0;
+        records.forEach(record => {
+            const before = `${record.committeeId}|${record.candidateName}`;
+
+            if (!record.committeeId && this.isCommitteeId(record.candidateName)) {
+                record.committeeId = record.candidateName.trim();
+            }
+
+            if (record.committeeId) {
+                const committee = byId.get(record.committeeId);
+                if (committee && committee.name && record.candidateName === record.committeeId) {
+                    record.candidateName = committee.name;
+                }
+            } else {
+                const matches = byNameKey.get(this.normalizeName(record.candidateName)) || [];
+                if (matches.length === 1) record.committeeId = matches[0].id;
+            }
+
+            if (`${record.committeeId}|${record.candidateName}` !== before) changed++;
+        });
+
+        return changed;
+    },
+
+    /**
+     * Link stored records to the registry (after it changes)
+     * Tags on a committee name move to the committee ID it links to
+     * @returns {Promise<number>} - Number of records updated
+     */
+    async linkStoredRecords() {
+        let updated = 0;
+
+        for (const name of await Database.getUniqueCommittees()) {
+            const records = await Database.getRecordsByCommitteeName(name);
+            const before = records.map(r => `${r.committeeId}|${r.candidateName}`);
+            if (await this.resolveRecords(records) === 0) continue;
+
+            const changed = records.filter((r, i) => `${r.committeeId}|${r.candidateName}` !== before[i]);
+            await Database.updateRecords(changed);
+            updated += changed.length;
+        }
+
+        const keys = new Set((await Database.getCommitteeTags()).map(a => a.committeeKey));
+        for (const key of keys) {
+            if (this.isCommitteeId(key)) continue;
+
+            const probe = { candidateName: key, committeeId: '' };
+            await this.resolveRecords([probe]);
+            if (probe.committeeId) await Database.moveCommitteeTags(key, probe.committeeId);
+        }
+
+        return updated;
+    },
+
+    /**
+     * Save committee details edited by hand, then link matching records
+     * @param {Object} details - {id, name, party, type, designation, state, candidateId}
+     * @param {string|null} previousName - Name the entry was listed under, so its
+     *                                      records get linked to the ID
+     * @returns {Promise<number>} - Number of records linked or renamed
+     */
+    async saveCommittee(details, previousName = null) {
+        const committee = this.createCommittee(details);
+        if (!this.isCommitteeId(committee.id)) {
+            throw new Error('Committee ID must look like C00123456');
+        }
+        if (!committee.name) {
+            throw new Error('Committee name required');
+        }
+
+        await Database.putCommittees([committee]);
+
+        let updated = 0;
+        if (previousName) {
+            const records = (await Database.getRecordsByCommitteeName(previousName)).filter(r => !r.committeeId);
+            records.forEach(record => { record.committeeId = committee.id; });
+            if (records.length > 0) {
+                await Database.updateRecords(records);
+                updated += records.length;
+            }
+            await Database.moveCommitteeTags(previousName, committee.id);
+        }
+
+        return updated + await this.linkStoredRecords();
+    },
+
+    /**
+     * List the committees contributions refer to
+     * Committees referred to by ID are listed with their registry details;
+     * names not linked to an ID are listed on their own
+     * @returns {Promise<Array>} - [{id, key, name, committee}] sorted by name, where key is
+     *                             the committee ID or (for unlinked names) the name
+     */
+    async listInUse() {
+        const [names, ids] = await Promise.all([
+            Database.getUniqueCommittees(),
+            Database.getCommitteeIdsInUse()
+        ]);
+        const registry = new Map((await Database.getCommittees(ids)).map(c => [c.id, c]));
+
+        const list = ids.map(id => ({
+            id: id,
+            key: id,
+            name: registry.has(id) ? registry.get(id).name : id,
+            committee: registry.get(id) || null
+        }));
+
+        // Names whose records resolve to a listed committee are covered by it
+        const probes = names.map(name => ({ candidateName: name, committeeId: '' }));
+        await this.resolveRecords(probes);
+        probes.forEach((probe, i) => {
+            if (probe.committeeId && ids.includes(probe.committeeId)) return;
+            list.push({
+                id: null,
+                key: names[i],
+                name: names[i],
+                committee: null
+            });
+        });
+
+        return list.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Describe a committee's registry details in one line
+     * @param {Object} committee - Registry committee
+     * @returns {string} - Description
+     */
+    describe(committee) {
+        return [
+            committee.party,
+            this.TYPE_LABELS[committee.type] || committee.type,
+            this.DESIGNATION_LABELS[committee.designation] || committee.designation,
+            committee.state,
+            committee.candidateId ? `Candidate ${committee.candidateId}` : ''
+        ].filter(Boolean).join(' • ');
+    }
+};
+
+// Export for use in other modules (and the import worker)
+window.Committees = Committees;
@@ -0,0 +1,380 @@
+/**
+ * DonorDex Compliance Module
+ * Per-election contribution limit checks for individual donors
+ */
+
+const Compliance = {
+    // Federal individual-to-candidate limits per election, by two-year cycle
+    DEFAULT_LIMITS: [
+        { cycle: 2020, limit: 2800 },
+        { cycle: 2022, limit: 2900 },
+        { cycle: 2024, limit: 3300 },
+        { cycle: 2026, limit: 3500 }
+    ],
+
+    // Limit table in use (loaded from settings)
+    limits: [],
+
+    // Last compliance check results
+    flagged: [],
+
+    /**
+     * Get the federal general election date for a year
+     * (first Tuesday after the first Monday in November)
+     * @param {number} year - Election year
+     * @returns {string} - YYYY-MM-DD
+     */
+    getGeneralElectionDate(year) {
+        const nov1 = new Date(Date.UTC(year, 10, 1));
+        const firstMonday = 1 + ((8 - nov1.getUTCDay()) % 7);
+        return `${year}-11-${String(firstMonday + 1).padStart(2, '0')}`;
+    },
+
+    /**
+     * Fill in default election dates for a limit row
+     * Primary date defaults to June 30 of the election year; set it to the
+     * committee's actual primary date for accurate primary/general attribution
+     * @param {Object} row - {cycle, limit, primaryDate?, generalDate?}
+     * @returns {Object} - Complete limit row
+     */
+    normalizeLimitRow(row) {
+        const cycle = parseInt(row.cycle);
+        return {
+            cycle: cycle,
+            limit: parseFloat(row.limit),
+            primaryDate: row.primaryDate || `${cycle}-06-30`,
+            generalDate: row.generalDate || this.getGeneralElectionDate(cycle)
+        };
+    },
+
+    /**
+     * Load the configured limit table
+     * @returns {Promise<Array>} - Limit rows sorted by cycle
+     */
+    async loadLimits() {
+        const stored = await Database.getSetting('complianceLimits', null);
+        const rows = (stored || this.DEFAULT_LIMITS).map(row => this.normalizeLimitRow(row));
+        this.limits = rows.sort((a, b) => a.cycle - b.cycle);
+        return this.limits;
+    },
+
+    /**
+     * Save the limit table
+     * @param {Array} rows - Limit rows
+     * @returns {Promise<void>}
+     */
+    async saveLimits(rows) {
+        this.limits = rows.map(row => this.normalizeLimitRow(row)).sort((a, b) => a.cycle - b.cycle);
+        await Database.setSetting('complianceLimits', this.limits);
+    },
+
+    /**
+     * Get the limit row for a cycle, falling back to the closest earlier cycle
+     * @param {number} cycle - Election cycle year
+     * @returns {Object|null} - Limit row or null if no limit applies
+     */
+    getLimitRow(cycle) {
+        let match = null;
+        for (const row of this.limits) {
+            if (row.cycle <= cycle) match = row;
+        }
+        if (match && match.cycle !== cycle) {
+            return this.normalizeLimitRow({ cycle: cycle, limit: match.limit });
+        }
+        return match;
+    },
+
+    /**
+     * Attribute a contribution to an election
+     * Undesignated contributions count toward the next election after the gift
+     * @param {Object} record - Contribution record
+     * @returns {Object} - {cycle, election: 'primary'|'general'}
+     */
+    getElection(record) {
+        const ymd = record.contributionDate;
+        const year = parseInt(ymd.substr(0, 4));
+        let cycle = year % 2 === 0 ? year : year + 1;
+
+        if (year === cycle && ymd > this.getGeneralElectionDate(cycle)) {
+            cycle += 2;
+        }
+
+        const row = this.getLimitRow(cycle) || this.normalizeLimitRow({ cycle: cycle, limit: Infinity });
+        return {
+            cycle: cycle,
+            election: ymd <= row.primaryDate ? 'primary' : 'general'
+        };
+    },
+
+    /**
+     * Signed amount a record contributes to a donor's net giving
+     * @param {Object} record - Contribution record
+     * @returns {number} - Amount (negative for refunds)
+     */
+    netAmount(record) {
+        return record.isRefund ? -Math.abs(record.amount) : record.amount;
+    },
+
+    /**
+     * Total each individual donor's net giving per committee per election
+     * and flag totals over the limit
+     * @returns {Promise<Array>} - Flagged groups, largest excess first
+     */
+    async checkLimits() {
+        await this.loadLimits();
+        const records = await Database.getAllRecords();
+
+        const groups = new Map();
+        records.forEach(record => {
+            if (record.entityType && record.entityType !== 'IND') return;
+
+            const { cycle, election } = this.getElection(record);
+            const donorKey = record.donorId || `${record.firstName} ${record.lastName}`.toLowerCase();
+            const key = [donorKey, record.candidateName, cycle, election].join('|');
+
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    donorId: record.donorId || null,
+                    donorName: `${record.firstName} ${record.lastName}`,
+                    committee: record.candidateName,
+                    cycle: cycle,
+                    election: election,
+                    contributions: []
+                });
+            }
+            groups.get(key).contributions.push(record);
+        });
+
+        const flagged = [];
+        for (const group of groups.values()) {
+            const row = this.getLimitRow(group.cycle);
+            if (!row) continue;
+
+            const net = group.contributions.reduce((sum, r) => sum + this.netAmount(r), 0);
+            if (net <= row.limit) continue;
+
+            // Walk gifts in date order to find the ones that pushed the total over
+            group.contributions.sort((a, b) => a.contributionEpoch - b.contributionEpoch);
+            let running = 0;
+            group.contributions = group.contributions.map(record => {
+                const before = running;
+                running += this.netAmount(record);
+                const excess = Math.max(0, running - Math.max(before, row.limit));
+                return { record, runningTotal: Math.round(running * 100) / 100, excess: Math.round(excess * 100) / 100 };
+            });
+
+            group.net = Math.round(net * 100) / 100;
+            group.limit = row.limit;
+            group.excess = Math.round((net - row.limit) * 100) / 100;
+            flagged.push(group);
+        }
+
+        // Show each donor under their resolved name
+        const donorIds = [...new Set(flagged.map(g => g.donorId).filter(Boolean))];
+        const donorMap = new Map((await Database.getDonors(donorIds)).map(d => [d.id, d]));
+        flagged.forEach(group => {
+            const donor = donorMap.get(group.donorId);
+            if (donor) group.donorName = Donors.getDisplayName(donor);
+        });
+
+        flagged.sort((a, b) => b.excess - a.excess);
+        this.flagged = flagged;
+        return flagged;
+    },
+
+    /**
+     * Run the check and render the Over Limit view
+     */
+    async refresh() {
+        await this.checkLimits();
+        this.renderLimitTable();
+        this.renderResults();
+    },
+
+    /**
+     * Render the editable limit table
+     */
+    renderLimitTable() {
+        const container = document.getElementById('complianceLimitTable');
+
+        let html = `
+            <div style="display: grid; grid-template-columns: 80px 1fr 1fr 1fr 32px; gap: 8px; font-size: 11px; font-weight: 700; color: #718096; text-transform: uppercase; margin-bottom: 6px;">
+                <div>Cycle</div><div>Limit per election ($)</div><div>Primary date</div><div>General date</div><div></div>
+            </div>`;
+
+        this.limits.forEach((row, index) => {
+            html += `
+            <div class="compliance-limit-row" style="display: grid; grid-template-columns: 80px 1fr 1fr 1fr 32px; gap: 8px; margin-bottom: 6px;">
+                <input type="number" data-field="cycle" value="${row.cycle}" step="2">
+                <input type="number" data-field="limit" value="${row.limit}" step="0.01">
+                <input type="date" data-field="primaryDate" value="${Utils.escapeHtml(row.primaryDate)}">
+                <input type="date" data-field="generalDate" value="${Utils.escapeHtml(row.generalDate)}">
+                <button class="delete-btn" style="padding: 4px;" onclick="Compliance.removeLimitRow(${index})" title="Remove">✕</button>
+            </div>`;
+        });
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Read the limit table from the form
+     * @returns {Array} - Limit rows
+     */
+    readLimitTable() {
+        const rows = [];
+        document.querySelectorAll('#complianceLimitTable .compliance-limit-row').forEach(rowEl => {
+            const value = field => rowEl.querySelector(`[data-field="${field}"]`).value;
+            if (!value('cycle') || value('limit') === '') return;
+            rows.push({
+                cycle: value('cycle'),
+                limit: value('limit'),
+                primaryDate: value('primaryDate'),
+                generalDate: value('generalDate')
+            });
+        });
+        return rows;
+    },
+
+    /**
+     * Add a limit row for the cycle after the latest one
+     */
+    addLimitRow() {
+        const rows = this.readLimitTable().map(row => this.normalizeLimitRow(row));
+        const last = rows[rows.length - 1];
+        rows.push(this.normalizeLimitRow({
+            cycle: last ? last.cycle + 2 : new Date().getFullYear() + (new Date().getFullYear() % 2),
+            limit: last ? last.limit : 0
+        }));
+        this.limits = rows;
+        this.renderLimitTable();
+    },
+
+    /**
+     * Remove a limit row from the form
+     * @param {number} index - Row index
+     */
+    removeLimitRow(index) {
+        this.limits = this.readLimitTable().map(row => this.normalizeLimitRow(row));
+        this.limits.splice(index, 1);
+        this.renderLimitTable();
+    },
+
+    /**
+     * Save the limit table and re-run the check
+     */
+    async saveAndRecheck() {
+        const rows = this.readLimitTable();
+        if (rows.some(row => isNaN(parseFloat(row.limit)) || parseFloat(row.limit) < 0)) {
+            alert('Each limit must be a positive dollar amount');
+            return;
+        }
+
+        await this.saveLimits(rows);
+        await this.refresh();
+    },
+
+    /**
+     * Restore the default federal limit table
+     */
+    async resetLimits() {
+        if (!confirm('Restore the default federal individual limits?')) return;
+        await this.saveLimits(this.DEFAULT_LIMITS);
+        await this.refresh();
+    },
+
+    /**
+     * Render flagged donors with the gifts that make up the excess
+     */
+    renderResults() {
+        const container = document.getElementById('complianceResults');
+        document.getElementById('complianceCount').textContent = this.flagged.length;
+
+        if (this.flagged.length === 0) {
+            container.innerHTML = '<div class="no-results">No donors are over the configured limits</div>';
+            return;
+        }
+
+        const money = value => '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+        let html = '';
+        this.flagged.forEach((group, index) => {
+            const groupId = `compliance-${index}`;
+            const electionLabel = `${group.cycle} ${group.election === 'primary' ? 'Primary' : 'General'}`;
+
+            html += `
+            <div class="result-item" style="border-left-color: #dc2626;">
+                <div class="donor-summary" onclick="UI.toggleContributions('${groupId}')">
+                    <div class="donor-header">
+                        <div class="donor-name">${Utils.escapeHtml(group.donorName)}</div>
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <div style="font-size: 18px; font-weight: 800; color: #dc2626;">+${money(group.excess)}</div>
+                            <span class="expand-indicator" id="indicator-${groupId}">▼</span>
+                        </div>
+                    </div>
+                    <div style="font-size: 13px; color: #718096; margin-bottom: 8px; font-weight: 500;">
+                        ${Utils.escapeHtml(group.committee)} • ${electionLabel}
+                    </div>
+                    <div style="display: flex; justify-content: space-between; align-items: center;">
+                        <div style="font-size: 12px; color: #4a5568;">
+                            Net ${money(group.net)} of ${money(group.limit)} limit
+                        </div>
+                        <div style="font-size: 11px; color: #56D2B4; font-style: italic; font-weight: 600;" id="expand-text-${groupId}">
+                            Click to expand ↓
+                        </div>
+                    </div>
+                </div>
+                <div class="contributions-list" id="contributions-${groupId}">`;
+
+            group.contributions.forEach(({ record, runningTotal, excess }) => {
+                const isRefund = record.isRefund || record.amount < 0;
+                html += `
+                    <div class="contribution-item" style="${excess > 0 ? 'border-left-color: #dc2626;' : ''}">
+                        <div class="donation-info">
+                            <div class="info-item">
+                                <div class="info-label">Date</div>
+                                <div class="info-value">${Utils.escapeHtml(Search.formatDate(record.contributionDate))}</div>
+                            </div>
+                            <div class="info-item">
+                                <div class="info-label">Amount</div>
+                                <div class="info-value">${isRefund ? '−' : ''}${money(Math.abs(record.amount))}${isRefund ? ' <span class="refund-badge">REFUND</span>' : ''}</div>
+                            </div>
+                            <div class="info-item">
+                                <div class="info-label">Running Total</div>
+                                <div class="info-value">${money(runningTotal)}</div>
+                            </div>
+                            <div class="info-item">
+                                <div class="info-label">Excess</div>
+                                <div class="info-value" style="${excess > 0 ? 'color: #dc2626; font-weight: 700;' : ''}">${excess > 0 ? money(excess) : '—'}</div>
+                            </div>
+                        </div>
+                    </div>`;
+            });
+
+            html += `
+                </div>
+            </div>`;
+        });
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Export the contributions of every flagged donor as CSV
+     */
+    exportFlagged() {
+        if (this.flagged.length === 0) {
+            alert('No over-limit donors to export.');
+            return;
+        }
+
+        const records = [];
+        this.flagged.forEach(group => {
+            group.contributions.forEach(({ record }) => records.push(record));
+        });
+
+        ImportExport.downloadCsv(records, 'donordex-over-limit');
+    }
+};
+
+// Export for use in other modules
+window.Compliance = Compliance;
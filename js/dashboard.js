@@ -0,0 +1,323 @@
+/**
+ * DonorDex Dashboard Module
+ * Charts and summary statistics for the contributions matching the current
+ * Browse filters. Charts are plain HTML/SVG so they work offline; clicking a
+ * bar narrows the Browse filters to it.
+ */
+
+const Dashboard = {
+    // Gifts at or below this amount count as small-dollar (FEC itemization threshold)
+    SMALL_DOLLAR_LIMIT: 200,
+
+    // Entries shown in each top-N list
+    TOP_COUNT: 10,
+
+    // Filter criteria for each clickable chart element, by index
+    drillTargets: [],
+
+    /**
+     * Check whether the dashboard section is expanded
+     * @returns {boolean}
+     */
+    isOpen() {
+        return document.getElementById('dashboardBody').style.display !== 'none';
+    },
+
+    /**
+     * Toggle dashboard visibility (computed when opened)
+     */
+    async toggle() {
+        const body = document.getElementById('dashboardBody');
+        const toggleIcon = document.getElementById('dashboardToggleIcon');
+
+        if (body.style.display === 'none') {
+            body.style.display = 'block';
+            toggleIcon.textContent = '▼';
+            await this.refresh();
+        } else {
+            body.style.display = 'none';
+            toggleIcon.textContent = '▶';
+        }
+    },
+
+    /**
+     * Recompute the dashboard if it is open
+     */
+    async refresh() {
+        if (!this.isOpen()) return;
+
+        const container = document.getElementById('dashboardContent');
+        container.innerHTML = '<div class="no-results">Calculating...</div>';
+
+        const records = await Filters.getDashboardRecords();
+        const tagData = await Tags.load();
+        const donorMap = new Map((await Database.getDonors([...new Set(records.map(r => r.donorId).filter(Boolean))])).map(d => [d.id, d]));
+
+        container.innerHTML = this.render(this.compute(records, tagData, donorMap), Filters.isActive());
+    },
+
+    /**
+     * Compute dashboard statistics
+     * Amounts are net of refunds; average, median and the small/large split use gifts only
+     * @param {Array} records - Contribution records
+     * @param {Object} tagData - Committee tags (see Tags.load)
+     * @param {Map} donorMap - Donor entities by ID
+     * @returns {Object} - Statistics
+     */
+    compute(records, tagData, donorMap) {
+        const round = value => Math.round(value * 100) / 100;
+        const add = (map, key, label, net, extra = {}) => {
+            if (!key) return;
+            if (!map.has(key)) map.set(key, { key, label, total: 0, count: 0, ...extra });
+            const entry = map.get(key);
+            entry.total += net;
+            entry.count++;
+        };
+        const top = (map, count = this.TOP_COUNT) => [...map.values()]
+            .map(entry => ({ ...entry, total: round(entry.total) }))
+            .sort((a, b) => b.total - a.total)
+            .slice(0, count);
+
+        let total = 0;
+        let smallTotal = 0;
+        let largeTotal = 0;
+        const gifts = [];
+        const donors = new Set();
+        const committees = new Set();
+        const byMonth = new Map();
+        const byDonor = new Map();
+        const byEmployer = new Map();
+        const byOccupation = new Map();
+        const byState = new Map();
+        const byTag = new Map();
+
+        records.forEach(record => {
+            const net = Compliance.netAmount(record);
+            total += net;
+            donors.add(record.donorId || `${record.firstName} ${record.lastName}`);
+            committees.add(record.committeeId || record.candidateName);
+
+            if (net > 0) {
+                gifts.push(net);
+                if (net <= this.SMALL_DOLLAR_LIMIT) {
+                    smallTotal += net;
+                } else {
+                    largeTotal += net;
+                }
+            }
+
+            if (record.contributionDate) {
+                const month = record.contributionDate.substr(0, 7);
+                add(byMonth, month, month, net);
+            }
+
+            const donor = donorMap.get(record.donorId);
+            add(byDonor, record.donorId, donor ? Donors.getDisplayName(donor) : `${record.firstName} ${record.lastName}`, net);
+            add(byEmployer, record.employerNorm, record.employerNorm, net);
+            add(byOccupation, record.occupationNorm, record.occupationNorm, net);
+            add(byState, (record.state || '').trim().toUpperCase(), (record.state || '').trim().toUpperCase(), net);
+
+            Tags.getRecordTags(record, tagData).forEach(tag => {
+                add(byTag, tag.id, tag.name, net, { color: tag.color, donors: new Set() });
+                byTag.get(tag.id).donors.add(record.donorId || `${record.firstName} ${record.lastName}`);
+            });
+        });
+
+        gifts.sort((a, b) => a - b);
+        const middle = Math.floor(gifts.length / 2);
+        const median = gifts.length === 0 ? 0
+            : gifts.length % 2 === 1 ? gifts[middle] : (gifts[middle - 1] + gifts[middle]) / 2;
+
+        return {
+            count: records.length,
+            total: round(total),
+            donors: donors.size,
+            committees: committees.size,
+            average: gifts.length > 0 ? round(gifts.reduce((sum, g) => sum + g, 0) / gifts.length) : 0,
+            median: round(median),
+            smallTotal: round(smallTotal),
+            largeTotal: round(largeTotal),
+            byMonth: [...byMonth.values()].map(m => ({ ...m, total: round(m.total) })).sort((a, b) => a.key.localeCompare(b.key)),
+            topDonors: top(byDonor),
+            topEmployers: top(byEmployer),
+            topOccupations: top(byOccupation),
+            byState: top(byState, Infinity),
+            byTag: [...byTag.values()]
+                .map(t => ({ ...t, total: round(t.total), donors: t.donors.size }))
+                .sort((a, b) => b.total - a.total)
+        };
+    },
+
+    /**
+     * Register filter criteria for a clickable element
+     * @param {Object} criteria - Criteria for Filters.drillDown
+     * @returns {number} - Index to pass to drill
+     */
+    addDrillTarget(criteria) {
+        this.drillTargets.push(criteria);
+        return this.drillTargets.length - 1;
+    },
+
+    /**
+     * Narrow the Browse filters to a clicked chart element
+     * @param {number} index - Drill target index
+     */
+    async drill(index) {
+        const criteria = this.drillTargets[index];
+        if (criteria) await Filters.drillDown(criteria);
+    },
+
+    /**
+     * Render the dashboard
+     * @param {Object} stats - Result of compute
+     * @param {boolean} filtered - Whether Browse filters are applied
+     * @returns {string} - HTML
+     */
+    render(stats, filtered) {
+        this.drillTargets = [];
+
+        if (stats.count === 0) {
+            return `<div class="no-results">${filtered ? 'No contributions match your filters' : 'No contributions yet'}</div>`;
+        }
+
+        const money = value => (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const stat = (label, value) => `
+            <div class="profile-stat">
+                <div class="info-label">${label}</div>
+                <div class="profile-stat-value">${value}</div>
+            </div>`;
+        const giftDollars = stats.smallTotal + stats.largeTotal;
+        const smallShare = giftDollars > 0 ? Math.round(stats.smallTotal / giftDollars * 100) : 0;
+
+        const smallTarget = this.addDrillTarget({ minAmount: 0, maxAmount: this.SMALL_DOLLAR_LIMIT });
+        const largeTarget = this.addDrillTarget({ minAmount: this.SMALL_DOLLAR_LIMIT + 0.01, maxAmount: '' });
+
+        return `
+            <div class="help-text" style="margin: 0 0 12px;">${filtered ? 'Showing contributions matching the Browse filters.' : 'Showing all contributions. Apply Browse filters to narrow the dashboard.'} Click a bar to filter by it.</div>
+            <div class="profile-stats" style="margin-top: 0;">
+                ${stat('Net Total', money(stats.total))}
+                ${stat('Contributions', stats.count.toLocaleString())}
+                ${stat('Donors', stats.donors.toLocaleString())}
+                ${stat('Committees', stats.committees.toLocaleString())}
+                ${stat('Average Gift', money(stats.average))}
+                ${stat('Median Gift', money(stats.median))}
+            </div>
+
+            <div class="profile-section">
+                <h3>Totals by Month</h3>
+                ${this.renderMonthChart(stats.byMonth)}
+            </div>
+
+            <div class="profile-section">
+                <h3>Small-Dollar vs Large-Dollar</h3>
+                <div class="dashboard-split">
+                    <div class="dashboard-split-part" style="width: ${smallShare}%; background: #56D2B4;" onclick="Dashboard.drill(${smallTarget})" title="Gifts of ${money(this.SMALL_DOLLAR_LIMIT)} or less"></div>
+                    <div class="dashboard-split-part" style="width: ${100 - smallShare}%; background: #174A57;" onclick="Dashboard.drill(${largeTarget})" title="Gifts over ${money(this.SMALL_DOLLAR_LIMIT)}"></div>
+                </div>
+                <div style="display: flex; justify-content: space-between; font-size: 13px; color: #4a5568; margin-top: 6px;">
+                    <span>≤ ${money(this.SMALL_DOLLAR_LIMIT)}: ${money(stats.smallTotal)} (${smallShare}%)</span>
+                    <span>&gt; ${money(this.SMALL_DOLLAR_LIMIT)}: ${money(stats.largeTotal)} (${giftDollars > 0 ? 100 - smallShare : 0}%)</span>
+                </div>
+            </div>
+
+            ${stats.byTag.length > 0 ? `
+            <div class="profile-section">
+                <h3>By Committee Tag</h3>
+                ${this.renderBars(stats.byTag, tag => ({ tagId: tag.key }), tag => `${tag.donors.toLocaleString()} donor${tag.donors === 1 ? '' : 's'}`)}
+            </div>` : ''}
+
+            <div class="profile-columns">
+                <div class="profile-section">
+                    <h3>Top Donors</h3>
+                    ${this.renderBars(stats.topDonors, donor => ({ donorId: donor.key, donorLabel: donor.label }))}
+                </div>
+                <div class="profile-section">
+                    <h3>States</h3>
+                    ${this.renderBars(stats.byState, state => ({ state: state.key }))}
+                </div>
+                <div class="profile-section">
+                    <h3>Top Employers</h3>
+                    ${this.renderBars(stats.topEmployers, employer => ({ employer: employer.label }))}
+                </div>
+                <div class="profile-section">
+                    <h3>Top Occupations</h3>
+                    ${this.renderBars(stats.topOccupations, occupation => ({ occupation: occupation.label }))}
+                </div>
+            </div>`;
+    },
+
+    /**
+     * Render a horizontal bar list
+     * @param {Array} entries - {label, total, count, color} entries, largest first
+     * @param {Function} toCriteria - Builds drill-down criteria for an entry
+     * @param {Function} describe - Optional extra text for an entry
+     * @returns {string} - HTML
+     */
+    renderBars(entries, toCriteria, describe = null) {
+        if (entries.length === 0) {
+            return '<div style="color: #a0aec0; font-size: 13px;">No data</div>';
+        }
+
+        const money = value => (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 });
+        const max = Math.max(...entries.map(e => Math.abs(e.total))) || 1;
+
+        return `<div class="dashboard-bars">${entries.map(entry => `
+            <div class="dashboard-bar-row" onclick="Dashboard.drill(${this.addDrillTarget(toCriteria(entry))})">
+                <div class="dashboard-bar-label" title="${Utils.escapeHtml(entry.label)}">${Utils.escapeHtml(entry.label)}</div>
+                <div class="dashboard-bar-track">
+                    <div class="dashboard-bar" style="width: ${Math.max(1, Math.abs(entry.total) / max * 100)}%; background: ${entry.color || '#174A57'};"></div>
+                </div>
+                <div class="dashboard-bar-value">${money(entry.total)}<span>${describe ? describe(entry) : `${entry.count.toLocaleString()} gift${entry.count === 1 ? '' : 's'}`}</span></div>
+            </div>`).join('')}
+        </div>`;
+    },
+
+    /**
+     * Render monthly net totals as an SVG bar chart
+     * @param {Array} months - {key: 'YYYY-MM', total, count} in date order
+     * @returns {string} - SVG markup
+     */
+    renderMonthChart(months) {
+        if (months.length === 0) {
+            return '<div class="no-results">No dated contributions</div>';
+        }
+
+        const width = 800;
+        const height = 200;
+        const pad = { top: 10, bottom: 24 };
+        const plotHeight = height - pad.top - pad.bottom;
+        const slot = width / months.length;
+        const maxTotal = Math.max(0, ...months.map(m => m.total));
+        const minTotal = Math.min(0, ...months.map(m => m.total));
+        const scale = plotHeight / ((maxTotal - minTotal) || 1);
+        const zeroY = pad.top + maxTotal * scale;
+        const labelStep = Math.max(1, Math.ceil(months.length / 12));
+
+        let svg = `<svg class="profile-timeline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Totals by month">`;
+        svg += `<line x1="0" y1="${zeroY}" x2="${width}" y2="${zeroY}" stroke="#a0aec0" stroke-width="1"/>`;
+
+        months.forEach((month, i) => {
+            const [year, monthNumber] = month.key.split('-').map(Number);
+            const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+            const target = this.addDrillTarget({
+                startDate: `${month.key}-01`,
+                endDate: `${month.key}-${String(lastDay).padStart(2, '0')}`
+            });
+
+            const barHeight = Math.max(1, Math.abs(month.total) * scale);
+            const barY = month.total >= 0 ? zeroY - barHeight : zeroY;
+            const label = `${month.key}: $${month.total.toLocaleString('en-US', { minimumFractionDigits: 2 })} (${month.count} contribution${month.count === 1 ? '' : 's'})`;
+            svg += `<rect x="${i * slot + slot * 0.1}" y="${barY}" width="${Math.max(1, slot * 0.8)}" height="${barHeight}" fill="${month.total >= 0 ? '#174A57' : '#dc2626'}" style="cursor: pointer;" onclick="Dashboard.drill(${target})"><title>${Utils.escapeHtml(label)}</title></rect>`;
+
+            if (i % labelStep === 0) {
+                svg += `<text x="${i * slot + 2}" y="${height - 8}" font-size="11" fill="#718096">${Utils.escapeHtml(month.key)}</text>`;
+            }
+        });
+
+        svg += '</svg>';
+        return svg;
+    }
+};
+
+// Export for use in other modules
+window.Dashboard = Dashboard;
@@ -22,6 +22,299 @@ db.version(3).stores({
     committeeLabels: '&committeeName, label'
 });
 
+// Schema v4: Add resolved donor entities and the merge review queue
+db.version(4).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId',
+    committeeLabels: '&committeeName, label',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status'
+});
+
+// Schema v5: Add key/value settings (compliance limit table, etc.)
+db.version(5).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId',
+    committeeLabels: '&committeeName, label',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key'
+});
+
+// Schema v6: Compound indexes for filtered/sorted browsing and incrementally
+// maintained aggregates for stats. Unlinked records get donorId '' so they
+// stay queryable through the donorId index.
+db.version(6).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, [state+contributionEpoch], [state+amount], [lastName+firstName]',
+    committeeLabels: '&committeeName, label',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key'
+}).upgrade(async tx => {
+    const records = [];
+    await tx.table('contributions').toCollection().modify(record => {
+        if (!record.donorId) record.donorId = '';
+        records.push(record);
+    });
+    const { puts } = Database.computeAggregates(new Map(), [], records);
+    await tx.table('aggregates').bulkPut(puts);
+});
+
+// Schema v7: Import batches. Every imported contribution is stamped with the
+// id of its batch (manual entries get importId '').
+db.version(7).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, [state+contributionEpoch], [state+amount], [lastName+firstName]',
+    committeeLabels: '&committeeName, label',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt'
+}).upgrade(async tx => {
+    await tx.table('contributions').toCollection().modify(record => {
+        if (!record.importId) record.importId = '';
+    });
+});
+
+// Schema v8: Named column mapping profiles, matched to files by header fingerprint
+db.version(8).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, [state+contributionEpoch], [state+amount], [lastName+firstName]',
+    committeeLabels: '&committeeName, label',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name'
+});
+
+// Schema v9: Look up FEC transactions across amended filings
+db.version(9).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    committeeLabels: '&committeeName, label',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name'
+});
+
+// Schema v10: Committee registry keyed by FEC committee ID
+db.version(10).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    committeeLabels: '&committeeName, label',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId, label'
+});
+
+// Schema v11: Colored committee tags replace the fixed team/opposition labels.
+// A committee can carry any number of tags; existing labels become the
+// "Team" and "Opposition" tags.
+db.version(11).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    committeeLabels: null,
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey'
+}).upgrade(async tx => {
+    const assignments = (await tx.table('committeeLabels').toArray())
+        .map(l => ({ tagId: l.label, committeeKey: l.committeeName }));
+    await tx.table('committees').toCollection().modify(committee => {
+        if (committee.label) assignments.push({ tagId: committee.label, committeeKey: committee.id });
+        delete committee.label;
+    });
+
+    const legacyTags = [
+        { id: 'team', name: 'Team', slug: 'team', color: '#2563eb' },
+        { id: 'opposition', name: 'Opposition', slug: 'opposition', color: '#dc2626' }
+    ];
+    const used = new Set(assignments.map(a => a.tagId));
+    await tx.table('tags').bulkPut(legacyTags
+        .filter(tag => used.has(tag.id))
+        .map(tag => ({ ...tag, createdAt: Date.now() })));
+    await tx.table('committeeTags').bulkPut(assignments);
+});
+
+// Schema v12: Prospect lists. Entries point at donors and keep the donor's
+// identity keys, so they can be relinked after donors are merged or the data
+// is cleared and re-imported.
+db.version(12).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state]',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]'
+});
+
+// Schema v13: Donor tags ("host committee", "do not call") on donor entities,
+// and a log of calls, meetings, pledges and notes per donor.
+db.version(13).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state], *donorTags',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]',
+    interactions: '&id, donorId, epoch'
+});
+
+// Schema v14: Audit trail of hand edits to contribution records.
+db.version(14).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state], *donorTags',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]',
+    interactions: '&id, donorId, epoch',
+    recordEdits: '++id, recordId, editedAt'
+});
+
+// Schema v15: Undo history for bulk edits. Each entry keeps what is needed
+// to reverse one bulk change (previous record versions, deleted records and
+// their donors, or the tag assignments added).
+db.version(15).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state], *donorTags',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]',
+    interactions: '&id, donorId, epoch',
+    recordEdits: '++id, recordId, editedAt',
+    bulkEdits: '++id, createdAt'
+});
+
+// Schema v16: Normalized employer and occupation (employerNorm, occupationNorm)
+// next to the reported values. Existing records get the built-in rules; the
+// alias table is new, so it is empty at upgrade time.
+db.version(16).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, employerNorm, occupationNorm, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state], *donorTags',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]',
+    interactions: '&id, donorId, epoch',
+    recordEdits: '++id, recordId, editedAt',
+    bulkEdits: '++id, createdAt'
+}).upgrade(async tx => {
+    const dictionary = Normalizer.buildDictionary([]);
+    await tx.table('contributions').toCollection().modify(record => {
+        Normalizer.normalizeRecord(record, dictionary);
+    });
+});
+
+// Schema v17: ZIP code centroids (reference data for radius filters, kept
+// when contribution data is cleared). Latitude is indexed to narrow lookups.
+db.version(17).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, employerNorm, occupationNorm, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state], *donorTags',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]',
+    interactions: '&id, donorId, epoch',
+    recordEdits: '++id, recordId, editedAt',
+    bulkEdits: '++id, createdAt',
+    zipCentroids: '&zip, lat'
+});
+
+// Schema v18: Change tracking for device-to-device sync. changes holds the
+// latest change per synced row (tombstones for deletions); syncConflicts
+// lists edits made on two devices between syncs.
+db.version(18).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, employerNorm, occupationNorm, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state], *donorTags',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]',
+    interactions: '&id, donorId, epoch',
+    recordEdits: '++id, recordId, editedAt',
+    bulkEdits: '++id, createdAt',
+    zipCentroids: '&zip, lat',
+    changes: '[table+key], changedAt',
+    syncConflicts: '++id, detectedAt'
+});
+
+// Schema v19: History of contributions removed by the duplicate finder
+db.version(19).stores({
+    contributions: '&id, lastName, candidateName, contributionDate, contributionEpoch, amount, state, employer, occupation, entityType, importHash, donorId, importId, committeeId, employerNorm, occupationNorm, [state+contributionEpoch], [state+amount], [lastName+firstName], [committeeId+transactionId]',
+    donors: '&id, *matchKeys, [lastKey+state], *donorTags',
+    donorMerges: '++id, &pairKey, status',
+    settings: '&key',
+    aggregates: '&key',
+    imports: '&id, importedAt',
+    mappingProfiles: '&id, fingerprint, name',
+    committees: '&id, nameKey, candidateId',
+    tags: '&id, &slug',
+    committeeTags: '[tagId+committeeKey], tagId, committeeKey',
+    prospectLists: '&id, name',
+    prospectEntries: '&id, listId, donorId, [listId+donorId]',
+    interactions: '&id, donorId, epoch',
+    recordEdits: '++id, recordId, editedAt',
+    bulkEdits: '++id, createdAt',
+    zipCentroids: '&zip, lat',
+    changes: '[table+key], changedAt',
+    syncConflicts: '++id, detectedAt',
+    duplicateRemovals: '++id, removedAt'
+});
+
 /**
  * Database operations
  */
@@ -32,7 +325,13 @@ const Database = {
      * @returns {Promise<string>} - ID of added record
      */
     async addRecord(record) {
-        return await db.contributions.add(record);
+        const [stored] = await this.sealRows('contributions', [{ donorId: '', importId: '', ...record }]);
+        return await db.transaction('rw', db.contributions, db.aggregates, db.changes, async () => {
+            const id = await db.contributions.add(stored);
+            await this.updateAggregates([], [record]);
+            await this.recordChanges('contributions', [this.describeChange('contributions', record, 'put')]);
+            return id;
+        });
     },
 
     /**
@@ -41,16 +340,95 @@ const Database = {
      * @returns {Promise<string>} - Last key added
      */
     async bulkAdd(records) {
-        return await db.contributions.bulkAdd(records);
+        const stored = await this.sealRows('contributions', records.map(r => ({ donorId: '', importId: '', ...r })));
+        return await db.transaction('rw', db.contributions, db.aggregates, db.changes, async () => {
+            const lastKey = await db.contributions.bulkAdd(stored);
+            await this.updateAggregates([], records);
+            await this.recordChanges('contributions', records.map(r => this.describeChange('contributions', r, 'put')));
+            return lastKey;
+        });
+    },
+
+    /**
+     * Get a single record by ID
+     * @param {string} id - Record ID
+     * @returns {Promise<Object|undefined>} - Record
+     */
+    async getRecord(id) {
+        return await this.openRow('contributions', await db.contributions.get(id));
+    },
+
+    /**
+     * Save a hand-edited record together with its audit entry
+     * @param {Object} record - Full edited record
+     * @param {Array} changes - [{field, from, to}]
+     * @returns {Promise<void>}
+     */
+    async editRecord(record, changes) {
+        await this.editRecords([{ record, changes }]);
+    },
+
+    /**
+     * Save edited records together with their audit entries
+     * @param {Array} edits - [{record, changes: [{field, from, to}]}]
+     * @returns {Promise<void>}
+     */
+    async editRecords(edits) {
+        const editedAt = Date.now();
+        const records = edits.map(e => e.record);
+        const stored = await this.sealRows('contributions', records);
+        const entries = await this.sealRows('recordEdits', edits.map(e => ({ recordId: e.record.id, editedAt: editedAt, changes: e.changes })));
+        await db.transaction('rw', db.contributions, db.aggregates, db.recordEdits, db.changes, async () => {
+            await this.writeRecords(records, stored);
+            await db.recordEdits.bulkAdd(entries);
+        });
+    },
+
+    /**
+     * Get the edit history of a record, newest first
+     * @param {string} recordId - Record ID
+     * @returns {Promise<Array>} - Audit entries {id, recordId, editedAt, changes}
+     */
+    async getRecordEdits(recordId) {
+        const edits = await this.openRows('recordEdits', await db.recordEdits.where('recordId').equals(recordId).toArray());
+        return edits.sort((a, b) => b.editedAt - a.editedAt);
     },
 
     /**
      * Delete a single record by ID
+     * Also removes the record's donor if it has no contributions left
      * @param {string} id - Record ID
      * @returns {Promise<void>}
      */
     async deleteRecord(id) {
-        return await db.contributions.delete(id);
+        await db.transaction('rw', db.contributions, db.aggregates, db.donors, db.changes, async () => {
+            const record = await db.contributions.get(id);
+            if (!record) return;
+
+            await db.contributions.delete(id);
+            await this.updateAggregates([record], []);
+            await this.recordChanges('contributions', [this.describeChange('contributions', record, 'delete')]);
+            if (record.donorId) {
+                await this.pruneDonors([record.donorId]);
+            }
+        });
+    },
+
+    /**
+     * Delete several records by ID
+     * Also removes donors left without contributions
+     * @param {Array<string>} ids - Record IDs
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    async deleteRecords(ids) {
+        return await db.transaction('rw', db.contributions, db.aggregates, db.donors, db.changes, async () => {
+            const records = (await db.contributions.bulkGet(ids)).filter(Boolean);
+            await db.contributions.bulkDelete(records.map(r => r.id));
+            await this.updateAggregates(records, []);
+            await this.recordChanges('contributions', records.map(r => this.describeChange('contributions', r, 'delete')));
+            await this.pruneDonors(records.map(r => r.donorId).filter(Boolean));
+            return records.length;
+        });
     },
 
     /**
@@ -58,7 +436,65 @@ const Database = {
      * @returns {Promise<void>}
      */
     async clearAll() {
-        return await db.contributions.clear();
+        const tables = [db.contributions, db.donors, db.donorMerges, db.aggregates, db.imports, db.interactions,
+            db.recordEdits, db.bulkEdits, db.changes, db.syncConflicts, db.duplicateRemovals];
+        await db.transaction('rw', tables, async () => {
+            // Sync history starts over; the deletions are not sent to other devices
+            for (const table of tables) {
+                await table.clear();
+            }
+        });
+    },
+
+    /**
+     * Write back edited contribution records, keeping aggregates and the
+     * change log in sync
+     * @param {Array} records - Full contribution records
+     * @returns {Promise<string>} - Last key written
+     */
+    async updateRecords(records) {
+        const stored = await this.sealRows('contributions', records);
+        return await db.transaction('rw', db.contributions, db.aggregates, db.changes, async () => {
+            return await this.writeRecords(records, stored);
+        });
+    },
+
+    /**
+     * Write contribution records and update aggregates and the change log
+     * Must run inside a transaction that includes db.contributions,
+     * db.aggregates and db.changes
+     * @param {Array} records - Full contribution records
+     * @param {Array} stored - The same records as stored (result of sealRows)
+     * @returns {Promise<string>} - Last key written
+     */
+    async writeRecords(records, stored) {
+        // Aggregates only count clear fields, so stored rows will do
+        const previous = (await db.contributions.bulkGet(records.map(r => r.id))).filter(Boolean);
+        const lastKey = await db.contributions.bulkPut(stored);
+        await this.updateAggregates(previous, records);
+        await this.recordChanges('contributions', records.map(r => this.describeChange('contributions', r, 'put')));
+        return lastKey;
+    },
+
+    /**
+     * Change every contribution record in place, a batch at a time
+     * Only for fields that aggregates do not count (e.g. normalized values)
+     * @param {Function} change - Record → boolean, true when it changed the record
+     * @returns {Promise<number>} - Number of records changed
+     */
+    async modifyAllRecords(change) {
+        let changed = 0;
+        let lastKey = null;
+        for (;;) {
+            const start = lastKey === null ? db.contributions.orderBy(':id') : db.contributions.where(':id').above(lastKey);
+            const records = await this.openRows('contributions', await start.limit(this.REWRITE_BATCH_SIZE).toArray());
+            if (records.length === 0) return changed;
+            lastKey = records[records.length - 1].id;
+
+            const edited = records.filter(record => change(record));
+            await db.contributions.bulkPut(await this.sealRows('contributions', edited));
+            changed += edited.length;
+        }
     },
 
     /**
@@ -66,7 +502,7 @@ const Database = {
      * @returns {Promise<Array>} - Array of all records
      */
     async getAllRecords() {
-        return await db.contributions.toArray();
+        return await this.openRows('contributions', await db.contributions.toArray());
     },
 
     /**
@@ -77,58 +513,290 @@ const Database = {
         return await db.contributions.count();
     },
 
+    // ==================== Aggregates ====================
+
     /**
-     * Query records with filters
-     * @param {Object} filters - Filter criteria
-     * @returns {Promise<Array>} - Filtered records
+     * Compute aggregate rows after removing and adding records
+     * Rows: "totals" (all records) and "committee:<name>" (per committee)
+     * @param {Map} current - Existing aggregate rows by key
+     * @param {Array} removed - Records removed (or previous versions of edited records)
+     * @param {Array} added - Records added (or new versions of edited records)
+     * @returns {Object} - {puts: rows to write, deletes: keys to remove}
+     */
+    computeAggregates(current, removed, added) {
+        const rows = new Map();
+        const bump = (key, sign, record) => {
+            if (!rows.has(key)) {
+                rows.set(key, { ...(current.get(key) || { key: key, count: 0, amount: 0 }) });
+            }
+            const row = rows.get(key);
+            row.count += sign;
+            row.amount = Math.round((row.amount + sign * (record.amount || 0)) * 100) / 100;
+        };
+
+        removed.forEach(record => {
+            bump('totals', -1, record);
+            if (record.candidateName) bump('committee:' + record.candidateName, -1, record);
+        });
+        added.forEach(record => {
+            bump('totals', 1, record);
+            if (record.candidateName) bump('committee:' + record.candidateName, 1, record);
+        });
+
+        const puts = [];
+        const deletes = [];
+        rows.forEach(row => {
+            if (row.key !== 'totals' && row.count <= 0) {
+                deletes.push(row.key);
+            } else {
+                puts.push(row);
+            }
+        });
+
+        return { puts, deletes };
+    },
+
+    /**
+     * Apply record changes to the stored aggregates
+     * Must run inside a transaction that includes db.aggregates
+     * @param {Array} removed - Records removed
+     * @param {Array} added - Records added
+     * @returns {Promise<void>}
      */
-    async queryRecords(filters = {}) {
-        let collection = db.contributions;
+    async updateAggregates(removed, added) {
+        const keys = new Set(['totals']);
+        [...removed, ...added].forEach(r => {
+            if (r.candidateName) keys.add('committee:' + r.candidateName);
+        });
+
+        const existing = await db.aggregates.bulkGet(Array.from(keys));
+        const current = new Map(existing.filter(Boolean).map(row => [row.key, row]));
+
+        const { puts, deletes } = this.computeAggregates(current, removed, added);
+        await db.aggregates.bulkPut(puts);
+        await db.aggregates.bulkDelete(deletes);
+    },
+
+    // ==================== Indexed Queries ====================
+
+    /**
+     * Check whether query criteria narrow the result set at all
+     * @param {Object} criteria - Filter criteria
+     * @returns {boolean}
+     */
+    hasFilters(criteria) {
+        return !!(criteria.importId || criteria.donorIds || criteria.excludeDonorIds || criteria.committeeKeys || criteria.committee || criteria.state || criteria.employer || criteria.occupation || criteria.zip || criteria.zipCodes ||
+            criteria.minAmount !== -Infinity || criteria.maxAmount !== Infinity ||
+            criteria.startEpoch !== -Infinity || criteria.endEpoch !== Infinity);
+    },
+
+    /**
+     * Build an index-backed collection for filter criteria
+     * The sort order picks the index; range criteria on that index become key
+     * bounds, and the remaining criteria are applied while walking the index.
+     * @param {Object} criteria - {committee, state, employer, occupation, zip, zipCodes, minAmount, maxAmount,
+     *                             startEpoch, endEpoch, importId, donorIds, excludeDonorIds, committeeKeys,
+     *                             sortBy}. Text criteria are lowercase (state uppercase); missing ranges
+     *                             are ±Infinity. committeeKeys (committee IDs or names) restricts to those
+     *                             committees. zip is a ZIP prefix; zipCodes (a Set of 5-digit ZIPs, from a
+     *                             radius search) takes its place when given.
+     * @returns {Dexie.Collection} - Collection in sort order
+     */
+    buildQuery(criteria) {
+        const c = {
+            minAmount: -Infinity,
+            maxAmount: Infinity,
+            startEpoch: -Infinity,
+            endEpoch: Infinity,
+            sortBy: 'date-desc',
+            ...criteria
+        };
+
+        const sortField = c.sortBy.split('-')[0];
+        const descending = c.sortBy.endsWith('-desc');
+        let collection;
+        let usesState = false;
+        let usesAmount = false;
+        let usesDate = false;
 
-        // Apply filters
-        if (filters.committee) {
-            collection = collection.filter(r =>
-                r.candidateName.toLowerCase().includes(filters.committee.toLowerCase())
-            );
+        if (sortField === 'date') {
+            if (c.state) {
+                collection = db.contributions.where('[state+contributionEpoch]')
+                    .between([c.state, c.startEpoch], [c.state, c.endEpoch], true, true);
+                usesState = true;
+            } else {
+                collection = db.contributions.where('contributionEpoch').between(c.startEpoch, c.endEpoch, true, true);
+            }
+            usesDate = true;
+        } else if (sortField === 'amount') {
+            if (c.state) {
+                collection = db.contributions.where('[state+amount]')
+                    .between([c.state, c.minAmount], [c.state, c.maxAmount], true, true);
+                usesState = true;
+            } else {
+                collection = db.contributions.where('amount').between(c.minAmount, c.maxAmount, true, true);
+            }
+            usesAmount = true;
+        } else if (sortField === 'name') {
+            // While encrypted the name index holds keyed hashes, so queryRecords sorts instead
+            collection = this.encryption ? db.contributions.toCollection() : db.contributions.orderBy('[lastName+firstName]');
+        } else if (sortField === 'committee') {
+            collection = db.contributions.orderBy('candidateName');
+        } else {
+            collection = db.contributions.toCollection();
         }
 
-        if (filters.state) {
-            collection = collection.filter(r =>
-                r.state && r.state.toUpperCase() === filters.state.toUpperCase()
-            );
+        if (descending) {
+            collection = collection.reverse();
         }
 
-        if (filters.employer) {
-            collection = collection.filter(r =>
-                r.employer && r.employer.toLowerCase().includes(filters.employer.toLowerCase())
-            );
+        // Remaining criteria are checked while walking the index
+        const residual = [];
+        if (c.importId) residual.push(r => r.importId === c.importId);
+        if (c.donorIds) {
+            const donorIds = new Set(c.donorIds);
+            residual.push(r => donorIds.has(r.donorId));
+        }
+        if (c.excludeDonorIds) {
+            const excluded = new Set(c.excludeDonorIds);
+            residual.push(r => !excluded.has(r.donorId));
+        }
+        if (c.committeeKeys) {
+            const keys = new Set(c.committeeKeys);
+            residual.push(r => keys.has(r.committeeId) || keys.has(r.candidateName));
+        }
+        if (c.committee) residual.push(r => (r.candidateName || '').toLowerCase().includes(c.committee));
+        if (c.state && !usesState) residual.push(r => r.state === c.state);
+        // While encrypted these fields are sealed, so queryRecords checks them after decrypting
+        if (!this.encryption) residual.push(...this.buildSealedTests(c));
+        if (!usesAmount && (c.minAmount !== -Infinity || c.maxAmount !== Infinity)) {
+            residual.push(r => r.amount >= c.minAmount && r.amount <= c.maxAmount);
+        }
+        if (!usesDate && (c.startEpoch !== -Infinity || c.endEpoch !== Infinity)) {
+            residual.push(r => r.contributionEpoch >= c.startEpoch && r.contributionEpoch <= c.endEpoch);
         }
 
-        if (filters.occupation) {
-            collection = collection.filter(r =>
-                r.occupation && r.occupation.toLowerCase().includes(filters.occupation.toLowerCase())
-            );
+        if (residual.length > 0) {
+            collection = collection.filter(r => residual.every(test => test(r)));
         }
 
-        if (filters.minAmount !== undefined && filters.minAmount !== '') {
-            const min = parseFloat(filters.minAmount);
-            collection = collection.filter(r => r.amount >= min);
+        return collection;
+    },
+
+    /**
+     * Build the tests for criteria on fields that are sealed while encrypted
+     * (employer, occupation and ZIP)
+     * @param {Object} c - Filter criteria (see buildQuery)
+     * @returns {Array<Function>} - Record → boolean
+     */
+    buildSealedTests(c) {
+        const tests = [];
+        ['employer', 'occupation'].forEach(field => {
+            if (!c[field]) return;
+            // Compared normalized ("google inc" finds "GOOGLE LLC"); text that
+            // normalizes to nothing ("n/a") is matched against the reported value
+            const wanted = Normalizer.clean(field, c[field]);
+            const normField = Normalizer.FIELDS[field];
+            tests.push(wanted
+                ? r => (r[normField] || '').includes(wanted)
+                : r => (r[field] || '').toLowerCase().includes(c[field]));
+        });
+        if (c.zipCodes) {
+            tests.push(r => c.zipCodes.has((r.zip || '').slice(0, 5)));
+        } else if (c.zip) {
+            tests.push(r => (r.zip || '').startsWith(c.zip));
         }
+        return tests;
+    },
+
+    /**
+     * Query records with filters (all matches, in sort order)
+     * @param {Object} criteria - Filter criteria (see buildQuery)
+     * @returns {Promise<Array>} - Filtered records
+     */
+    async queryRecords(criteria = {}) {
+        const records = await this.openRows('contributions', await this.buildQuery(criteria).toArray());
+        if (!this.encryption) return records;
+
+        const tests = this.buildSealedTests(criteria);
+        const matches = tests.length > 0 ? records.filter(r => tests.every(test => test(r))) : records;
+        return (criteria.sortBy || '').startsWith('name-') ? this.sortByName(matches, criteria.sortBy.endsWith('-desc')) : matches;
+    },
 
-        if (filters.maxAmount !== undefined && filters.maxAmount !== '') {
-            const max = parseFloat(filters.maxAmount);
-            collection = collection.filter(r => r.amount <= max);
+    /**
+     * Check whether a query has to be finished in memory: while encrypted,
+     * name sorts and criteria on sealed fields need the decrypted records
+     * @param {Object} criteria - Filter criteria (see buildQuery)
+     * @returns {boolean}
+     */
+    queriesInMemory(criteria) {
+        return this.encryption !== null &&
+            ((criteria.sortBy || '').startsWith('name-') || this.buildSealedTests(criteria).length > 0);
+    },
+
+    /**
+     * Sort records by last then first name, in index order
+     * @param {Array} records - Contribution records (sorted in place)
+     * @param {boolean} descending - Reverse order
+     * @returns {Array} - The records
+     */
+    sortByName(records, descending) {
+        const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+        const sign = descending ? -1 : 1;
+        return records.sort((a, b) => sign * (compare(a.lastName || '', b.lastName || '') || compare(a.firstName || '', b.firstName || '')));
+    },
+
+    /**
+     * Get one page of filtered records
+     * @param {Object} criteria - Filter criteria (see buildQuery)
+     * @param {number} offset - Number of matches to skip
+     * @param {number} limit - Page size (Infinity for all)
+     * @returns {Promise<Array>} - Records on the page
+     */
+    async queryPage(criteria, offset, limit) {
+        if (this.queriesInMemory(criteria)) {
+            const records = await this.queryRecords(criteria);
+            return records.slice(offset, limit === Infinity ? undefined : offset + limit);
         }
+        let collection = this.buildQuery(criteria).offset(offset);
+        if (limit !== Infinity) {
+            collection = collection.limit(limit);
+        }
+        return await this.openRows('contributions', await collection.toArray());
+    },
 
-        if (filters.fromDate) {
-            collection = collection.filter(r => r.contributionDate >= filters.fromDate);
+    /**
+     * Summarize filtered records without loading them all at once
+     * Unfiltered summaries come straight from the aggregates
+     * @param {Object} criteria - Filter criteria (see buildQuery)
+     * @returns {Promise<Object>} - {count, amount, donors}
+     */
+    async summarizeQuery(criteria) {
+        if (!this.hasFilters(criteria)) {
+            const totals = await db.aggregates.get('totals');
+            return {
+                count: totals ? totals.count : 0,
+                amount: totals ? totals.amount : 0,
+                donors: await db.donors.count()
+            };
         }
 
-        if (filters.toDate) {
-            collection = collection.filter(r => r.contributionDate <= filters.toDate);
+        let count = 0;
+        let amount = 0;
+        const donors = new Set();
+        const add = r => {
+            count++;
+            amount += r.amount;
+            donors.add(r.donorId || `${r.firstName} ${r.lastName}`);
+        };
+        if (this.queriesInMemory(criteria)) {
+            (await this.queryRecords(criteria)).forEach(add);
+        } else {
+            // Stored rows will do: unlinked donors are told apart by their (hashed) names
+            await this.buildQuery(criteria).each(add);
         }
 
-        return await collection.toArray();
+        return { count, amount: Math.round(amount * 100) / 100, donors: donors.size };
     },
 
     /**
@@ -137,46 +805,35 @@ const Database = {
      * @returns {Promise<Array>} - All records for searching
      */
     async getRecordsForSearch() {
-        return await db.contributions.toArray();
+        return await this.openRows('contributions', await db.contributions.toArray());
     },
 
     /**
-     * Get unique values for a field (for filter dropdowns/stats)
-     * @param {string} field - Field name
+     * Get unique values for an indexed field (for filter dropdowns/stats)
+     * Reads only the index, not the records
+     * @param {string} field - Indexed field name
      * @returns {Promise<Array>} - Unique values
      */
     async getUniqueValues(field) {
-        const records = await db.contributions.toArray();
-        const values = new Set();
-        records.forEach(r => {
-            if (r[field]) values.add(r[field]);
-        });
-        return Array.from(values).sort();
+        // Keyed hashes are no use as suggestions
+        if (this.encryption && this.ENCRYPTED_TABLES.contributions.hashed.includes(field)) return [];
+        const values = await db.contributions.orderBy(field).uniqueKeys();
+        return values.filter(v => v !== '' && v !== null);
     },
 
     /**
      * Get statistics for dashboard
+     * Reads maintained aggregates instead of scanning contributions
      * @returns {Promise<Object>} - Stats object
      */
     async getStats() {
-        const records = await db.contributions.toArray();
-
-        const uniqueContributors = new Set();
-        const uniqueCommittees = new Set();
-
-        records.forEach(r => {
-            if (r.lastName) {
-                uniqueContributors.add(r.lastName.toLowerCase());
-            }
-            if (r.candidateName) {
-                uniqueCommittees.add(r.candidateName);
-            }
-        });
+        const totals = await db.aggregates.get('totals');
 
         return {
-            totalRecords: records.length,
-            uniqueContributors: uniqueContributors.size,
-            uniqueCommittees: uniqueCommittees.size
+            totalRecords: totals ? totals.count : 0,
+            totalAmount: totals ? totals.amount : 0,
+            uniqueContributors: await db.donors.count(),
+            uniqueCommittees: await db.aggregates.where('key').startsWith('committee:').count()
         };
     },
 
@@ -193,85 +850,1405 @@ const Database = {
 
     /**
      * Get all existing import hashes (for bulk deduplication check)
+     * Reads only the importHash index
      * @returns {Promise<Set>} - Set of all import hashes
      */
     async getExistingHashes() {
-        const records = await db.contributions.toArray();
-        const hashes = new Set();
-        records.forEach(r => {
-            if (r.importHash) hashes.add(r.importHash);
-        });
-        return hashes;
+        const hashes = await db.contributions.orderBy('importHash').uniqueKeys();
+        return new Set(hashes.filter(Boolean));
+    },
+
+    /**
+     * Find which of the given import hashes are already stored
+     * @param {Array<string>} hashes - Import hashes to check
+     * @returns {Promise<Set>} - Hashes that exist
+     */
+    async findExistingHashes(hashes) {
+        return new Set(await db.contributions.where('importHash').anyOf(hashes).keys());
+    },
+
+    /**
+     * Get stored versions of FEC transactions
+     * @param {Array<Array<string>>} keys - [committeeId, transactionId] pairs
+     * @returns {Promise<Array>} - Matching records
+     */
+    async getTransactionVersions(keys) {
+        if (keys.length === 0) return [];
+        return await this.openRows('contributions', await db.contributions.where('[committeeId+transactionId]').anyOf(keys).toArray());
+    },
+
+    // ==================== Committee Tags ====================
+
+    /**
+     * Get all tags
+     * @returns {Promise<Array>} - Tags {id, name, slug, color, createdAt}
+     */
+    async getTags() {
+        return await db.tags.toArray();
     },
 
-    // ==================== Committee Label Management ====================
+    /**
+     * Get a tag by ID
+     * @param {string} tagId - Tag ID
+     * @returns {Promise<Object|undefined>} - Tag
+     */
+    async getTag(tagId) {
+        return await db.tags.get(tagId);
+    },
 
     /**
-     * Set label for a committee (team or opposition)
-     * @param {string} committeeName - Committee name to label
-     * @param {string} label - Label: "team" or "opposition"
-     * @returns {Promise<string>} - Committee name
+     * Get a tag by slug (the name used after @ in search)
+     * @param {string} slug - Tag slug
+     * @returns {Promise<Object|undefined>} - Tag
      */
-    async setCommitteeLabel(committeeName, label) {
-        if (!committeeName) throw new Error('Committee name required');
-        if (!['team', 'opposition'].includes(label)) throw new Error('Label must be "team" or "opposition"');
+    async getTagBySlug(slug) {
+        return await db.tags.where('slug').equals(slug).first();
+    },
 
-        return await db.committeeLabels.put({
-            committeeName: committeeName,
-            label: label
+    /**
+     * Add or update a tag
+     * @param {Object} tag - {id, name, slug, color, createdAt}
+     * @returns {Promise<string>} - Tag ID
+     */
+    async putTag(tag) {
+        return await db.transaction('rw', db.tags, db.changes, async () => {
+            await this.recordChanges('tags', [this.describeChange('tags', tag, 'put')]);
+            return await db.tags.put(tag);
         });
     },
 
     /**
-     * Remove label from a committee
-     * @param {string} committeeName - Committee name
+     * Delete a tag and remove it from every committee
+     * @param {string} tagId - Tag ID
      * @returns {Promise<void>}
      */
-    async removeCommitteeLabel(committeeName) {
-        return await db.committeeLabels.delete(committeeName);
+    async deleteTag(tagId) {
+        return await db.transaction('rw', db.tags, db.committeeTags, db.changes, async () => {
+            const tag = await db.tags.get(tagId);
+            if (tag) {
+                const assignments = await db.committeeTags.where('tagId').equals(tagId).toArray();
+                await this.recordChanges('committeeTags', assignments.map(a => this.describeChange('committeeTags', a, 'delete', tag.slug)));
+                await this.recordChanges('tags', [this.describeChange('tags', tag, 'delete')]);
+            }
+            await db.committeeTags.where('tagId').equals(tagId).delete();
+            await db.tags.delete(tagId);
+        });
+    },
+
+    /**
+     * Get every tag assignment
+     * Committees are keyed by FEC committee ID, or by name when they have none
+     * @returns {Promise<Array>} - Array of {tagId, committeeKey} objects
+     */
+    async getCommitteeTags() {
+        return await db.committeeTags.toArray();
+    },
+
+    /**
+     * Get the committees a tag is assigned to
+     * @param {string} tagId - Tag ID
+     * @returns {Promise<Array<string>>} - Committee keys (IDs or names)
+     */
+    async getCommitteeKeysByTag(tagId) {
+        const assignments = await db.committeeTags.where('tagId').equals(tagId).toArray();
+        return assignments.map(a => a.committeeKey);
     },
 
     /**
-     * Get label for a specific committee
-     * @param {string} committeeName - Committee name
-     * @returns {Promise<string|null>} - Label ("team", "opposition") or null
+     * Assign a tag to a committee
+     * @param {string} tagId - Tag ID
+     * @param {string} committeeKey - Committee ID, or name for committees without one
+     * @returns {Promise<Array>} - Assignment key
      */
-    async getCommitteeLabel(committeeName) {
-        const record = await db.committeeLabels.get(committeeName);
-        return record ? record.label : null;
+    async addCommitteeTag(tagId, committeeKey) {
+        if (!committeeKey) throw new Error('Committee required');
+        return await db.transaction('rw', db.tags, db.committeeTags, db.changes, async () => {
+            const assignment = { tagId, committeeKey };
+            await this.recordChanges('committeeTags', [this.describeChange('committeeTags', assignment, 'put', await this.getTagSlug(tagId))]);
+            return await db.committeeTags.put(assignment);
+        });
     },
 
     /**
-     * Get all committee labels
-     * @returns {Promise<Array>} - Array of {committeeName, label} objects
+     * Remove a tag from a committee
+     * @param {string} tagId - Tag ID
+     * @param {string} committeeKey - Committee ID or name
+     * @returns {Promise<void>}
      */
-    async getAllCommitteeLabels() {
-        return await db.committeeLabels.toArray();
+    async removeCommitteeTag(tagId, committeeKey) {
+        return await db.transaction('rw', db.tags, db.committeeTags, db.changes, async () => {
+            const assignment = await db.committeeTags.get([tagId, committeeKey]);
+            if (!assignment) return;
+            await this.recordChanges('committeeTags', [this.describeChange('committeeTags', assignment, 'delete', await this.getTagSlug(tagId))]);
+            await db.committeeTags.delete([tagId, committeeKey]);
+        });
     },
 
     /**
-     * Get all committees with a specific label
-     * @param {string} label - Label to filter by ("team" or "opposition")
-     * @returns {Promise<Array<string>>} - Array of committee names
+     * Move every tag from one committee key to another
+     * Used when a committee listed by name is linked to its FEC committee ID
+     * @param {string} fromKey - Previous committee key
+     * @param {string} toKey - New committee key
+     * @returns {Promise<number>} - Number of tags moved
      */
-    async getCommitteesByLabel(label) {
-        const records = await db.committeeLabels.where('label').equals(label).toArray();
-        return records.map(r => r.committeeName);
+    async moveCommitteeTags(fromKey, toKey) {
+        return await db.transaction('rw', db.tags, db.committeeTags, db.changes, async () => {
+            const assignments = await db.committeeTags.where('committeeKey').equals(fromKey).toArray();
+            if (assignments.length === 0) return 0;
+
+            const moved = assignments.map(a => ({ tagId: a.tagId, committeeKey: toKey }));
+            const changes = [];
+            for (const assignment of assignments) {
+                const slug = await this.getTagSlug(assignment.tagId);
+                changes.push(this.describeChange('committeeTags', assignment, 'delete', slug));
+                changes.push(this.describeChange('committeeTags', { ...assignment, committeeKey: toKey }, 'put', slug));
+            }
+            await this.recordChanges('committeeTags', changes);
+            await db.committeeTags.bulkPut(moved);
+            await db.committeeTags.where('committeeKey').equals(fromKey).delete();
+            return assignments.length;
+        });
     },
 
     /**
      * Get all unique committee names from contributions
+     * Reads only the candidateName index
      * @returns {Promise<Array<string>>} - Sorted array of committee names
      */
     async getUniqueCommittees() {
-        const records = await db.contributions.toArray();
-        const committees = new Set();
-        records.forEach(r => {
-            if (r.candidateName) committees.add(r.candidateName);
+        const committees = await db.contributions.orderBy('candidateName').uniqueKeys();
+        return committees.filter(Boolean);
+    },
+
+    // ==================== Committee Registry ====================
+
+    /**
+     * Get a registered committee by FEC committee ID
+     * @param {string} committeeId - Committee ID (C00xxxxxx)
+     * @returns {Promise<Object|undefined>} - Committee
+     */
+    async getCommittee(committeeId) {
+        return await db.committees.get(committeeId);
+    },
+
+    /**
+     * Get several registered committees by ID (unknown IDs are skipped)
+     * @param {Array<string>} committeeIds - Committee IDs
+     * @returns {Promise<Array>} - Committees
+     */
+    async getCommittees(committeeIds) {
+        return (await db.committees.bulkGet(committeeIds)).filter(Boolean);
+    },
+
+    /**
+     * Get registered committees by normalized name
+     * @param {Array<string>} nameKeys - Normalized names (see Committees.normalizeName)
+     * @returns {Promise<Array>} - Committees
+     */
+    async getCommitteesByNameKeys(nameKeys) {
+        if (nameKeys.length === 0) return [];
+        return await db.committees.where('nameKey').anyOf(nameKeys).toArray();
+    },
+
+    /**
+     * Add or update registry committees
+     * @param {Array} committees - {id, name, nameKey, party, type, designation, state,
+     *                              candidateId}
+     * @returns {Promise<string>} - Last key written
+     */
+    async putCommittees(committees) {
+        return await db.committees.bulkPut(committees);
+    },
+
+    /**
+     * Count registry committees
+     * @returns {Promise<number>}
+     */
+    async getCommitteeCount() {
+        return await db.committees.count();
+    },
+
+    /**
+     * Get the committee IDs that contributions refer to
+     * @returns {Promise<Array<string>>} - Committee IDs
+     */
+    async getCommitteeIdsInUse() {
+        const ids = await db.contributions.orderBy('committeeId').uniqueKeys();
+        return ids.filter(Boolean);
+    },
+
+    /**
+     * Get contributions recorded under a committee name
+     * @param {string} committeeName - Exact committee name
+     * @returns {Promise<Array>} - Records
+     */
+    async getRecordsByCommitteeName(committeeName) {
+        return await this.openRows('contributions', await db.contributions.where('candidateName').equals(committeeName).toArray());
+    },
+
+    // ==================== Donor Entity Management ====================
+
+    /**
+     * Get contributions that have not been linked to a resolved donor yet
+     * @returns {Promise<Array>} - Unlinked contribution records
+     */
+    async getUnresolvedRecords() {
+        return await this.openRows('contributions', await db.contributions.where('donorId').equals('').toArray());
+    },
+
+    /**
+     * Get all contributions linked to a resolved donor
+     * @param {string} donorId - Donor ID
+     * @returns {Promise<Array>} - Contribution records
+     */
+    async getRecordsByDonor(donorId) {
+        return await this.openRows('contributions', await db.contributions.where('donorId').equals(donorId).toArray());
+    },
+
+    /**
+     * Write back records whose only change is their donorId link
+     * Skips aggregate bookkeeping, which does not depend on donors
+     * @param {Array} records - Full contribution records
+     * @returns {Promise<string>} - Last key written
+     */
+    async linkRecordsToDonors(records) {
+        return await db.contributions.bulkPut(await this.sealRows('contributions', records));
+    },
+
+    /**
+     * Fold one resolved donor into another, in one transaction
+     * Saves the surviving donor, moves the merged donor's contributions and
+     * logged interactions to it, deletes the merged donor and re-points
+     * pending merge proposals at the survivor
+     * @param {Object} keep - Surviving donor, already updated
+     * @param {string} mergeId - Donor ID being merged away
+     * @param {Object} accepted - Proposal being accepted (saved as reviewed), or null
+     * @returns {Promise<number>} - Number of contributions moved
+     */
+    async mergeDonors(keep, mergeId, accepted = null) {
+        const [storedKeep] = await this.sealRows('donors', [keep]);
+        const [storedAccepted] = accepted ? await this.sealRows('donorMerges', [accepted]) : [null];
+        return await db.transaction('rw', db.donors, db.contributions, db.interactions, db.donorMerges, async () => {
+            // Only clear fields are changed on the rows read here
+            await db.donors.put(storedKeep);
+            await db.interactions.where('donorId').equals(mergeId).modify({ donorId: keep.id });
+            const moved = await db.contributions.where('donorId').equals(mergeId).modify({ donorId: keep.id });
+            await db.donors.delete(mergeId);
+
+            const pending = await db.donorMerges.where('status').equals('pending').toArray();
+            for (const proposal of pending) {
+                if (accepted && proposal.id === accepted.id) continue;
+                if (proposal.donorA !== mergeId && proposal.donorB !== mergeId) continue;
+                if (proposal.donorA === mergeId) proposal.donorA = keep.id;
+                if (proposal.donorB === mergeId) proposal.donorB = keep.id;
+
+                if (proposal.donorA === proposal.donorB) {
+                    await db.donorMerges.delete(proposal.id);
+                } else {
+                    await db.donorMerges.put(proposal);
+                }
+            }
+            if (storedAccepted) await db.donorMerges.put(storedAccepted);
+            return moved;
         });
-        return Array.from(committees).sort();
-    }
-};
+    },
+
+    /**
+     * Get all resolved donors
+     * @returns {Promise<Array>} - Donor entities
+     */
+    async getAllDonors() {
+        return await this.openRows('donors', await db.donors.toArray());
+    },
+
+    /**
+     * Get a resolved donor by ID
+     * @param {string} donorId - Donor ID
+     * @returns {Promise<Object|undefined>} - Donor entity
+     */
+    async getDonor(donorId) {
+        return await this.openRow('donors', await db.donors.get(donorId));
+    },
+
+    /**
+     * Get resolved donors by ID
+     * @param {Array<string>} donorIds - Donor IDs
+     * @returns {Promise<Array>} - Donor entities (missing IDs are skipped)
+     */
+    async getDonors(donorIds) {
+        const donors = await db.donors.bulkGet(donorIds);
+        return await this.openRows('donors', donors.filter(Boolean));
+    },
+
+    /**
+     * Get donors sharing a normalized last name and state (merge candidates)
+     * @param {string} lastKey - Normalized last name
+     * @param {string} state - Two-letter state
+     * @returns {Promise<Array>} - Donor entities
+     */
+    async getDonorsByLastKey(lastKey, state) {
+        const donors = await db.donors.where('[lastKey+state]').equals([await this.indexKey(lastKey), state || '']).toArray();
+        return await this.openRows('donors', donors);
+    },
+
+    /**
+     * Insert or update resolved donors
+     * @param {Array} donors - Donor entities
+     * @returns {Promise<void>}
+     */
+    async putDonors(donors) {
+        await db.donors.bulkPut(await this.sealRows('donors', donors));
+    },
+
+    /**
+     * Delete the given donors if they no longer have any linked contributions
+     * @param {Array<string>} donorIds - Donor IDs to check
+     * @returns {Promise<number>} - Number of donors removed
+     */
+    async pruneDonors(donorIds) {
+        const orphanIds = [];
+        for (const donorId of new Set(donorIds)) {
+            if (await db.contributions.where('donorId').equals(donorId).count() === 0) {
+                orphanIds.push(donorId);
+            }
+        }
+        await db.donors.bulkDelete(orphanIds);
+        return orphanIds.length;
+    },
+
+    /**
+     * Get a donor merge proposal by ID
+     * @param {number} mergeId - Proposal ID
+     * @returns {Promise<Object|undefined>} - Merge proposal
+     */
+    async getDonorMerge(mergeId) {
+        return await this.openRow('donorMerges', await db.donorMerges.get(mergeId));
+    },
+
+    /**
+     * Get a donor merge proposal by its pair key
+     * @param {string} pairKey - Order-independent key of the two donors' identities
+     * @returns {Promise<Object|undefined>} - Merge proposal
+     */
+    async getDonorMergeByPair(pairKey) {
+        const merge = await db.donorMerges.where('pairKey').equals(await this.indexKey(pairKey)).first();
+        return await this.openRow('donorMerges', merge);
+    },
+
+    /**
+     * Get donor merge proposals with a given status
+     * @param {string} status - "pending", "accepted" or "rejected"
+     * @returns {Promise<Array>} - Merge proposals
+     */
+    async getDonorMerges(status) {
+        return await this.openRows('donorMerges', await db.donorMerges.where('status').equals(status).toArray());
+    },
+
+    /**
+     * Insert or update a donor merge proposal
+     * @param {Object} merge - Merge proposal
+     * @returns {Promise<number>} - Proposal ID
+     */
+    async putDonorMerge(merge) {
+        const [stored] = await this.sealRows('donorMerges', [merge]);
+        return await db.donorMerges.put(stored);
+    },
+
+    /**
+     * Add a donor merge proposal unless its pair already has one
+     * (pending or reviewed)
+     * @param {Object} merge - Merge proposal
+     * @returns {Promise<boolean>} - True if it was added
+     */
+    async addDonorMerge(merge) {
+        const [stored] = await this.sealRows('donorMerges', [merge]);
+        return await db.transaction('rw', db.donorMerges, async () => {
+            if (await db.donorMerges.where('pairKey').equals(stored.pairKey).count() > 0) return false;
+            await db.donorMerges.add(stored);
+            return true;
+        });
+    },
+
+    // ==================== Import Batches ====================
+
+    /**
+     * Add or update an import batch
+     * @param {Object} batch - {id, fileName, importedAt, importMode, mapping, added,
+     *                          duplicates, errors, status}
+     * @returns {Promise<string>} - Batch ID
+     */
+    async putImport(batch) {
+        return await db.imports.put(batch);
+    },
+
+    /**
+     * Get an import batch by ID
+     * @param {string} importId - Batch ID
+     * @returns {Promise<Object|undefined>} - Import batch
+     */
+    async getImport(importId) {
+        return await db.imports.get(importId);
+    },
+
+    /**
+     * Get all import batches, newest first
+     * @returns {Promise<Array>} - Import batches
+     */
+    async getImports() {
+        return await db.imports.orderBy('importedAt').reverse().toArray();
+    },
+
+    /**
+     * Count the contributions still stored from an import batch
+     * @param {string} importId - Batch ID
+     * @returns {Promise<number>}
+     */
+    async countImportRecords(importId) {
+        return await db.contributions.where('importId').equals(importId).count();
+    },
+
+    /**
+     * Delete an import batch and every contribution it added
+     * Records are removed in chunks so large batches don't hold one huge transaction
+     * @param {string} importId - Batch ID
+     * @param {Function} onProgress - Optional callback(deleted, total)
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    async undoImport(importId, onProgress = null) {
+        const ids = await db.contributions.where('importId').equals(importId).primaryKeys();
+        let deleted = 0;
+        for (let i = 0; i < ids.length; i += 2000) {
+            deleted += await this.deleteRecords(ids.slice(i, i + 2000));
+            if (onProgress) onProgress(deleted, ids.length);
+        }
+        await db.imports.delete(importId);
+        return deleted;
+    },
+
+    // ==================== Column Mapping Profiles ====================
+
+    /**
+     * Get all mapping profiles, sorted by name
+     * @returns {Promise<Array>} - Mapping profiles
+     */
+    async getMappingProfiles() {
+        return await db.mappingProfiles.orderBy('name').toArray();
+    },
+
+    /**
+     * Get a mapping profile by ID
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<Object|undefined>} - Mapping profile
+     */
+    async getMappingProfile(profileId) {
+        return await db.mappingProfiles.get(profileId);
+    },
+
+    /**
+     * Get the mapping profile saved for a header layout
+     * @param {string} fingerprint - Header fingerprint
+     * @returns {Promise<Object|undefined>} - Mapping profile
+     */
+    async getMappingProfileByFingerprint(fingerprint) {
+        return await db.mappingProfiles.where('fingerprint').equals(fingerprint).first();
+    },
+
+    /**
+     * Add or update a mapping profile
+     * @param {Object} profile - {id, name, fingerprint, headers, columns, updatedAt}
+     * @returns {Promise<string>} - Profile ID
+     */
+    async putMappingProfile(profile) {
+        return await db.mappingProfiles.put(profile);
+    },
+
+    /**
+     * Delete a mapping profile
+     * @param {string} profileId - Profile ID
+     * @returns {Promise<void>}
+     */
+    async deleteMappingProfile(profileId) {
+        return await db.mappingProfiles.delete(profileId);
+    },
+
+    // ==================== Donor Tags & Interactions ====================
+
+    /**
+     * Get every tag used on a donor
+     * @returns {Promise<Array<string>>} - Tags, sorted
+     */
+    async getDonorTags() {
+        return await db.donors.orderBy('donorTags').uniqueKeys();
+    },
+
+    /**
+     * Get the IDs of donors carrying a tag
+     * @param {string} tag - Donor tag
+     * @returns {Promise<Array<string>>} - Donor IDs
+     */
+    async getDonorIdsByTag(tag) {
+        return await db.donors.where('donorTags').equals(tag).primaryKeys();
+    },
+
+    /**
+     * Get the interactions logged for donors
+     * @param {Array<string>} donorIds - Donor IDs
+     * @returns {Promise<Array>} - Interactions {id, donorId, type, date, epoch, text, amount, createdAt, updatedAt}
+     */
+    async getInteractions(donorIds) {
+        return await this.openRows('interactions', await db.interactions.where('donorId').anyOf(donorIds).toArray());
+    },
+
+    /**
+     * Get an interaction by ID
+     * @param {string} interactionId - Interaction ID
+     * @returns {Promise<Object|undefined>} - Interaction
+     */
+    async getInteraction(interactionId) {
+        return await this.openRow('interactions', await db.interactions.get(interactionId));
+    },
+
+    /**
+     * Get the interactions dated on or after a time
+     * @param {number} epoch - Earliest date (ms)
+     * @returns {Promise<Array>} - Interactions
+     */
+    async getInteractionsSince(epoch) {
+        return await this.openRows('interactions', await db.interactions.where('epoch').aboveOrEqual(epoch).toArray());
+    },
+
+    /**
+     * Add or update an interaction
+     * @param {Object} interaction - Interaction
+     * @returns {Promise<string>} - Interaction ID
+     */
+    async putInteraction(interaction) {
+        const [stored] = await this.sealRows('interactions', [interaction]);
+        return await db.interactions.put(stored);
+    },
+
+    /**
+     * Delete an interaction
+     * @param {string} interactionId - Interaction ID
+     * @returns {Promise<void>}
+     */
+    async deleteInteraction(interactionId) {
+        return await db.interactions.delete(interactionId);
+    },
+
+    // ==================== Bulk Edit History ====================
+
+    /**
+     * Record a bulk change so it can be undone, keeping only the latest few
+     * @param {Object} entry - {type, description, createdAt, ...undo data}
+     * @param {number} keep - Number of entries to keep
+     * @returns {Promise<number>} - Entry ID
+     */
+    async addBulkEdit(entry, keep = 10) {
+        const [stored] = await this.sealRows('bulkEdits', [entry]);
+        const id = await db.bulkEdits.add(stored);
+        const stale = await db.bulkEdits.orderBy('createdAt').reverse().offset(keep).primaryKeys();
+        await db.bulkEdits.bulkDelete(stale);
+        return id;
+    },
+
+    /**
+     * Get recorded bulk changes, newest first
+     * @returns {Promise<Array>} - Entries
+     */
+    async getBulkEdits() {
+        return await this.openRows('bulkEdits', await db.bulkEdits.orderBy('createdAt').reverse().toArray());
+    },
+
+    /**
+     * Delete a recorded bulk change (after it is undone)
+     * @param {number} entryId - Entry ID
+     * @returns {Promise<void>}
+     */
+    async deleteBulkEdit(entryId) {
+        return await db.bulkEdits.delete(entryId);
+    },
+
+    // ==================== Duplicate Removal History ====================
+
+    /**
+     * Delete duplicate contributions and record what was removed, in one transaction
+     * @param {Object} entry - {removedAt, description, count, groups: [{kept, score, reasons, records}], donors}
+     * @returns {Promise<number>} - Entry ID
+     */
+    async removeDuplicates(entry) {
+        const ids = entry.groups.flatMap(group => group.records.map(r => r.id));
+        const [stored] = await this.sealRows('duplicateRemovals', [entry]);
+        return await db.transaction('rw', db.contributions, db.aggregates, db.donors, db.changes, db.duplicateRemovals, async () => {
+            await this.deleteRecords(ids);
+            return await db.duplicateRemovals.add(stored);
+        });
+    },
+
+    /**
+     * Get duplicate removals, newest first
+     * @returns {Promise<Array>} - Entries
+     */
+    async getDuplicateRemovals() {
+        return await this.openRows('duplicateRemovals', await db.duplicateRemovals.orderBy('removedAt').reverse().toArray());
+    },
+
+    /**
+     * Get a duplicate removal by ID
+     * @param {number} entryId - Entry ID
+     * @returns {Promise<Object|undefined>} - Entry
+     */
+    async getDuplicateRemoval(entryId) {
+        return await this.openRow('duplicateRemovals', await db.duplicateRemovals.get(entryId));
+    },
+
+    /**
+     * Update a duplicate removal (e.g. when it is restored)
+     * @param {number} entryId - Entry ID
+     * @param {Object} changes - Fields to set
+     * @returns {Promise<number>} - 1 if updated
+     */
+    async updateDuplicateRemoval(entryId, changes) {
+        const entry = await this.getDuplicateRemoval(entryId);
+        if (!entry) return 0;
+        const [stored] = await this.sealRows('duplicateRemovals', [{ ...entry, ...changes }]);
+        await db.duplicateRemovals.put(stored);
+        return 1;
+    },
+
+    /**
+     * Get records by ID
+     * @param {Array<string>} ids - Record IDs
+     * @returns {Promise<Array>} - Records (missing IDs are skipped)
+     */
+    async getRecordsByIds(ids) {
+        return await this.openRows('contributions', (await db.contributions.bulkGet(ids)).filter(Boolean));
+    },
+
+    // ==================== Prospect Lists ====================
+
+    /**
+     * Get all prospect lists, sorted by name
+     * @returns {Promise<Array>} - Lists {id, name, createdAt}
+     */
+    async getProspectLists() {
+        return await db.prospectLists.orderBy('name').toArray();
+    },
+
+    /**
+     * Get a prospect list by ID
+     * @param {string} listId - List ID
+     * @returns {Promise<Object|undefined>} - List
+     */
+    async getProspectList(listId) {
+        return await db.prospectLists.get(listId);
+    },
+
+    /**
+     * Add or update a prospect list
+     * @param {Object} list - {id, name, createdAt}
+     * @returns {Promise<string>} - List ID
+     */
+    async putProspectList(list) {
+        return await db.prospectLists.put(list);
+    },
+
+    /**
+     * Delete a prospect list and its entries
+     * @param {string} listId - List ID
+     * @returns {Promise<void>}
+     */
+    async deleteProspectList(listId) {
+        return await db.transaction('rw', db.prospectLists, db.prospectEntries, async () => {
+            await db.prospectEntries.where('listId').equals(listId).delete();
+            await db.prospectLists.delete(listId);
+        });
+    },
+
+    /**
+     * Get the entries of a prospect list
+     * @param {string} listId - List ID
+     * @returns {Promise<Array>} - Entries {id, listId, donorId, name, matchKeys, note, askAmount, addedAt}
+     */
+    async getProspectEntries(listId) {
+        return await this.openRows('prospectEntries', await db.prospectEntries.where('listId').equals(listId).toArray());
+    },
+
+    /**
+     * Get a prospect list entry by ID
+     * @param {string} entryId - Entry ID
+     * @returns {Promise<Object|undefined>} - Entry
+     */
+    async getProspectEntry(entryId) {
+        return await this.openRow('prospectEntries', await db.prospectEntries.get(entryId));
+    },
+
+    /**
+     * Add or update prospect list entries
+     * @param {Array} entries - Entries
+     * @returns {Promise<void>}
+     */
+    async putProspectEntries(entries) {
+        await db.prospectEntries.bulkPut(await this.sealRows('prospectEntries', entries));
+    },
+
+    /**
+     * Delete prospect list entries
+     * @param {Array<string>} entryIds - Entry IDs
+     * @returns {Promise<void>}
+     */
+    async deleteProspectEntries(entryIds) {
+        await db.prospectEntries.bulkDelete(entryIds);
+    },
+
+    /**
+     * Find the donor that now holds any of a set of identity keys
+     * @param {Array<string>} matchKeys - Donor identity keys
+     * @returns {Promise<Object|undefined>} - Donor
+     */
+    async findDonorByMatchKeys(matchKeys) {
+        if (!matchKeys || matchKeys.length === 0) return undefined;
+        const keys = await Promise.all(matchKeys.map(key => this.indexKey(key)));
+        return await this.openRow('donors', await db.donors.where('matchKeys').anyOf(keys).first());
+    },
+
+    // ==================== ZIP Centroids ====================
+
+    /**
+     * Count stored ZIP centroids
+     * @returns {Promise<number>}
+     */
+    async countZipCentroids() {
+        return await db.zipCentroids.count();
+    },
+
+    /**
+     * Get every ZIP centroid
+     * @returns {Promise<Array>} - Centroids {zip, lat, lon}
+     */
+    async getAllZipCentroids() {
+        return await db.zipCentroids.toArray();
+    },
+
+    /**
+     * Insert or update ZIP centroids
+     * @param {Array} centroids - Centroids {zip, lat, lon}
+     * @returns {Promise<void>}
+     */
+    async putZipCentroids(centroids) {
+        await db.zipCentroids.bulkPut(centroids);
+    },
+
+    /**
+     * Delete all ZIP centroids
+     * @returns {Promise<void>}
+     */
+    async clearZipCentroids() {
+        await db.zipCentroids.clear();
+    },
+
+    // ==================== Change Tracking ====================
+
+    /**
+     * Describe a change to a synced row
+     * ref is what other devices match the row by when IDs differ: the
+     * importHash of a contribution, or the tag slug
+     * @param {string} table - 'contributions', 'tags' or 'committeeTags'
+     * @param {Object} row - Row written or deleted
+     * @param {string} op - 'put' or 'delete'
+     * @param {string} tagSlug - Slug of the assignment's tag (committeeTags only)
+     * @returns {Object} - {key, op, ref}
+     */
+    describeChange(table, row, op, tagSlug = '') {
+        if (table === 'contributions') return { key: row.id, op, ref: row.importHash || '' };
+        if (table === 'tags') return { key: row.id, op, ref: row.slug };
+        return { key: this.committeeTagKey(row.tagId, row.committeeKey), op, ref: tagSlug };
+    },
+
+    /**
+     * Key of a tag assignment in the change log
+     * @param {string} tagId - Tag ID
+     * @param {string} committeeKey - Committee ID or name
+     * @returns {string}
+     */
+    committeeTagKey(tagId, committeeKey) {
+        return `${tagId}|${committeeKey}`;
+    },
+
+    /**
+     * Get a tag's slug
+     * @param {string} tagId - Tag ID
+     * @returns {Promise<string>} - Slug ('' if the tag is gone)
+     */
+    async getTagSlug(tagId) {
+        const tag = await db.tags.get(tagId);
+        return tag ? tag.slug : '';
+    },
+
+    /**
+     * Record changes made on this device
+     * Must run inside a transaction that includes db.changes
+     * @param {string} table - Synced table name
+     * @param {Array} changes - Results of describeChange
+     * @returns {Promise<void>}
+     */
+    async recordChanges(table, changes) {
+        if (changes.length === 0) return;
+        const now = Date.now();
+        await db.changes.bulkPut(changes.map(change => ({ table, ...change, at: now, device: '', changedAt: now })));
+    },
+
+    /**
+     * Get the changes stored here after a point in time
+     * @param {number} since - Epoch ms on this device's clock (0 for all)
+     * @returns {Promise<Array>} - {table, key, op, ref, at, device, changedAt}; device '' is this device
+     */
+    async getChangesSince(since) {
+        return await db.changes.where('changedAt').above(since).toArray();
+    },
+
+    /**
+     * Clear the source mark of changes received through it, so they count
+     * as changes to pass on again (see RemoteSync)
+     * @param {string} via - Source mark
+     * @returns {Promise<void>}
+     */
+    async unmarkChanges(via) {
+        await db.changes.filter(change => change.via === via).modify(change => { delete change.via; });
+    },
+
+    /**
+     * Get the latest change to each of several rows
+     * @param {string} table - Synced table name
+     * @param {Array<string>} keys - Row keys
+     * @returns {Promise<Array>} - Changes in key order (undefined where none is stored)
+     */
+    async getChanges(table, keys) {
+        return await db.changes.bulkGet(keys.map(key => [table, key]));
+    },
+
+    /**
+     * Get records by importHash
+     * @param {Array<string>} hashes - Import hashes
+     * @returns {Promise<Array>} - Matching records
+     */
+    async getRecordsByHashes(hashes) {
+        if (hashes.length === 0) return [];
+        return await this.openRows('contributions', await db.contributions.where('importHash').anyOf(hashes).toArray());
+    },
+
+    /**
+     * Apply changes received from another device in one transaction
+     * Rows are written as given; the change log keeps the time and device
+     * each change was made on, so it can be passed on to other devices.
+     * @param {Object} plan - {contributions, tags, committeeTags: {puts: rows, deletes: keys},
+     *                         changes: change log rows, conflicts: syncConflicts rows}
+     * @returns {Promise<void>}
+     */
+    async applyChangeSet(plan) {
+        const tables = [db.contributions, db.aggregates, db.donors, db.tags, db.committeeTags, db.changes, db.syncConflicts];
+        const { puts, deletes } = plan.contributions;
+        const stored = await this.sealRows('contributions', puts);
+        const conflicts = await this.sealRows('syncConflicts', plan.conflicts);
+        await db.transaction('rw', tables, async () => {
+            const previous = (await db.contributions.bulkGet(puts.map(r => r.id))).filter(Boolean);
+            const removed = (await db.contributions.bulkGet(deletes)).filter(Boolean);
+            await db.contributions.bulkPut(stored);
+            await db.contributions.bulkDelete(removed.map(r => r.id));
+            await this.updateAggregates([...previous, ...removed], puts);
+            await this.pruneDonors(removed.map(r => r.donorId).filter(Boolean));
+
+            // Deletes first, so a tag can take the slug another just gave up
+            for (const tagId of plan.tags.deletes) {
+                await db.committeeTags.where('tagId').equals(tagId).delete();
+            }
+            await db.tags.bulkDelete(plan.tags.deletes);
+            await db.tags.bulkPut(plan.tags.puts);
+            await db.committeeTags.bulkDelete(plan.committeeTags.deletes);
+            await db.committeeTags.bulkPut(plan.committeeTags.puts);
+
+            await db.changes.bulkPut(plan.changes);
+            await db.syncConflicts.bulkAdd(conflicts);
+        });
+    },
+
+    /**
+     * Get unresolved sync conflicts, newest first
+     * @returns {Promise<Array>} - Conflicts {id, table, key, ref, label, peerName, detectedAt, kept, local, incoming}
+     */
+    async getSyncConflicts() {
+        return await this.openRows('syncConflicts', await db.syncConflicts.orderBy('detectedAt').reverse().toArray());
+    },
+
+    /**
+     * Get a sync conflict by ID
+     * @param {number} conflictId - Conflict ID
+     * @returns {Promise<Object|undefined>} - Conflict
+     */
+    async getSyncConflict(conflictId) {
+        return await this.openRow('syncConflicts', await db.syncConflicts.get(conflictId));
+    },
+
+    /**
+     * Remove a sync conflict from the list
+     * @param {number} conflictId - Conflict ID
+     * @returns {Promise<void>}
+     */
+    async deleteSyncConflict(conflictId) {
+        await db.syncConflicts.delete(conflictId);
+    },
+
+    // ==================== Backup ====================
+
+    // Settings that belong to this browser rather than to its data (the app
+    // lock, this device's sync identity and peers, and its sync server):
+    // never written to backups, and kept when a restore replaces everything
+    LOCAL_SETTINGS: ['encryption', 'encryptionRewrite', 'syncDevice', 'syncPeers', 'syncServer'],
+
+    /**
+     * Get the current schema version
+     * @returns {number}
+     */
+    getSchemaVersion() {
+        return db.verno;
+    },
+
+    /**
+     * Describe every table in the current schema
+     * @returns {Array} - [{name, keyPath, autoIncrement}]
+     */
+    getTableSchemas() {
+        return db.tables.map(table => ({
+            name: table.name,
+            keyPath: table.schema.primKey.keyPath,
+            autoIncrement: table.schema.primKey.auto
+        }));
+    },
+
+    /**
+     * Get every row of a table
+     * @param {string} tableName - Table name
+     * @returns {Promise<Array>}
+     */
+    async getTableRows(tableName) {
+        const rows = await db.table(tableName).toArray();
+        return this.ENCRYPTED_TABLES[tableName] ? await this.openRows(tableName, rows) : rows;
+    },
+
+    /**
+     * Count the rows of a table
+     * @param {string} tableName - Table name
+     * @returns {Promise<number>}
+     */
+    async countTableRows(tableName) {
+        return await db.table(tableName).count();
+    },
+
+    /**
+     * Check which primary keys are already stored
+     * @param {string} tableName - Table name
+     * @param {Array} keys - Primary keys
+     * @returns {Promise<Array<boolean>>} - Whether each key is stored, in order
+     */
+    async keysExist(tableName, keys) {
+        if (keys.length === 0) return [];
+        return (await db.table(tableName).bulkGet(keys)).map(Boolean);
+    },
+
+    /**
+     * Replace the contents of every table in one transaction
+     * Aggregates are rebuilt from the restored contributions.
+     * @param {Object} tables - Table name → rows (tables not listed are emptied)
+     * @returns {Promise<void>}
+     */
+    async replaceAllTables(tables) {
+        const stored = await this.sealTables(tables);
+        await db.transaction('rw', db.tables, async () => {
+            const local = (await db.settings.bulkGet(this.LOCAL_SETTINGS)).filter(Boolean);
+            for (const table of db.tables) {
+                await table.clear();
+                if (table.name !== 'aggregates' && stored[table.name]?.length > 0) {
+                    await table.bulkAdd(stored[table.name]);
+                }
+            }
+            await db.settings.bulkDelete(this.LOCAL_SETTINGS);
+            await db.settings.bulkPut(local);
+            const { puts } = this.computeAggregates(new Map(), [], tables.contributions || []);
+            await db.aggregates.bulkPut(puts);
+        });
+    },
+
+    /**
+     * Add rows to several tables in one transaction, keeping aggregates in
+     * sync and logging added contributions, tags and tag assignments as
+     * changes so they reach other devices
+     * @param {Object} tables - Table name → rows to add
+     * @returns {Promise<void>}
+     */
+    async addToTables(tables) {
+        const stored = await this.sealTables(tables);
+        await db.transaction('rw', db.tables, async () => {
+            for (const [tableName, rows] of Object.entries(stored)) {
+                if (rows.length > 0) await db.table(tableName).bulkAdd(rows);
+            }
+            await this.updateAggregates([], tables.contributions || []);
+
+            await this.recordChanges('contributions', (tables.contributions || []).map(r => this.describeChange('contributions', r, 'put')));
+            await this.recordChanges('tags', (tables.tags || []).map(tag => this.describeChange('tags', tag, 'put')));
+            const assignments = [];
+            for (const assignment of tables.committeeTags || []) {
+                assignments.push(this.describeChange('committeeTags', assignment, 'put', await this.getTagSlug(assignment.tagId)));
+            }
+            await this.recordChanges('committeeTags', assignments);
+        });
+    },
+
+    /**
+     * Seal the rows of every encrypted table in a set of tables
+     * @param {Object} tables - Table name → plain rows
+     * @returns {Promise<Object>} - Table name → rows to store
+     */
+    async sealTables(tables) {
+        const stored = {};
+        for (const [tableName, rows] of Object.entries(tables)) {
+            stored[tableName] = this.ENCRYPTED_TABLES[tableName] ? await this.sealRows(tableName, rows) : rows;
+        }
+        return stored;
+    },
+
+    // ==================== At-Rest Encryption ====================
+
+    // Settings row holding {salt, iterations, wrappedKeys, idleMinutes} while encryption is on
+    // (plus previousKeys while the data is moved to new keys)
+    ENCRYPTION_SETTING: 'encryption',
+    // Settings row holding the progress of turning encryption on or off
+    ENCRYPTION_REWRITE_SETTING: 'encryptionRewrite',
+
+    // Tables encrypted at rest. Fields listed in clear stay readable so the
+    // indexes keep working; hashed fields are stored as keyed hashes (equal
+    // values still match, nothing else is revealed); every other field is
+    // sealed with AES-GCM. Tables not listed hold no donor data.
+    ENCRYPTED_TABLES: {
+        contributions: {
+            clear: ['id', 'candidateName', 'committeeId', 'transactionId', 'contributionDate', 'contributionEpoch', 'amount',
+                'isRefund', 'entityType', 'state', 'importHash', 'donorId', 'importId', 'amendment', 'fileNum'],
+            hashed: ['lastName', 'firstName', 'employer', 'occupation', 'employerNorm', 'occupationNorm']
+        },
+        donors: { clear: ['id', 'state', 'lastEpoch', 'donorTags'], hashed: ['lastKey', 'matchKeys'] },
+        donorMerges: { clear: ['id', 'donorA', 'donorB', 'status', 'score', 'createdAt', 'reviewedAt'], hashed: ['pairKey'] },
+        interactions: { clear: ['id', 'donorId', 'epoch', 'createdAt', 'updatedAt'], hashed: [] },
+        prospectEntries: { clear: ['id', 'listId', 'donorId'], hashed: [] },
+        recordEdits: { clear: ['id', 'recordId', 'editedAt'], hashed: [] },
+        bulkEdits: { clear: ['id', 'createdAt', 'type', 'count'], hashed: [] },
+        syncConflicts: { clear: ['id', 'detectedAt'], hashed: [] },
+        duplicateRemovals: { clear: ['id', 'removedAt', 'count', 'restoredAt'], hashed: [] }
+    },
+
+    // Rows rewritten per transaction while encryption is turned on or off
+    REWRITE_BATCH_SIZE: 500,
+    // Most recent indexKey results kept
+    INDEX_KEY_CACHE_SIZE: 50000,
+
+    // Active keys ({cipherKey, tokenKey} CryptoKeys, plus the keys being replaced as
+    // previous while the data is moved to new keys), or null when encryption is off or locked
+    encryption: null,
+    // Rewrite in progress ({mode: 'seal', 'reseal' or 'open', table, lastKey}), or null
+    rewrite: null,
+    // Field value → keyed hash, for the active keys
+    indexKeyCache: new Map(),
+
+    /**
+     * Set (or clear) the keys used to read and write encrypted tables
+     * @param {Object|null} keys - {cipherKey, tokenKey} (see Cipher.importKeys), with the
+     *                             keys being replaced as previous during a reseal; or null
+     */
+    setEncryptionKeys(keys) {
+        this.encryption = keys || null;
+        this.indexKeyCache.clear();
+    },
+
+    /**
+     * Get the active keys (to hand to the import worker; CryptoKeys can be posted)
+     * @returns {Object|null} - {cipherKey, tokenKey}
+     */
+    getEncryptionKeys() {
+        return this.encryption;
+    },
+
+    /**
+     * Get the stored encryption setting (kept readable so the app can unlock)
+     * @returns {Promise<Object|null>} - {salt, iterations, wrappedKeys, idleMinutes}
+     */
+    async getEncryptionSetting() {
+        return await this.getSetting(this.ENCRYPTION_SETTING);
+    },
+
+    /**
+     * Check whether rows are encrypted as they are written
+     * (keys set, and encryption is not being turned off)
+     * @returns {boolean}
+     */
+    isSealing() {
+        return this.encryption !== null && !(this.rewrite && this.rewrite.mode === 'open');
+    },
+
+    /**
+     * Convert a value to what a hashed index holds
+     * Pass-through while encryption is off; empty values stay empty
+     * @param {*} value - Field value
+     * @returns {Promise<*>} - Keyed hash (base64) or the value
+     */
+    async indexKey(value) {
+        if (!this.encryption || typeof value !== 'string' || value === '') return value;
+        let hash = this.indexKeyCache.get(value);
+        if (hash === undefined) {
+            const mac = await Cipher.hmac(this.encryption.tokenKey, new TextEncoder().encode(value));
+            hash = btoa(String.fromCharCode(...mac.subarray(0, 16)));
+            if (this.indexKeyCache.size >= this.INDEX_KEY_CACHE_SIZE) this.indexKeyCache.clear();
+            this.indexKeyCache.set(value, hash);
+        }
+        return hash;
+    },
+
+    /**
+     * Encrypt a row for storage
+     * @param {string} tableName - Table name (bound to the ciphertext)
+     * @param {Object} row - Plain row (not modified)
+     * @returns {Promise<Object>} - Clear fields, hashed fields and a sealed copy of the rest
+     */
+    async sealRow(tableName, row) {
+        const { clear, hashed } = this.ENCRYPTED_TABLES[tableName];
+        const stored = {};
+        const secret = {};
+        for (const field of Object.keys(row)) {
+            if (clear.includes(field)) {
+                stored[field] = row[field];
+                continue;
+            }
+            secret[field] = row[field];
+            if (hashed.includes(field)) {
+                stored[field] = Array.isArray(row[field])
+                    ? await Promise.all(row[field].map(v => this.indexKey(v)))
+                    : await this.indexKey(row[field]);
+            }
+        }
+        const plaintext = new TextEncoder().encode(JSON.stringify(secret));
+        stored.sealed = await Cipher.seal(this.encryption.cipherKey, plaintext, new TextEncoder().encode(tableName));
+        return stored;
+    },
+
+    /**
+     * Prepare rows of an encrypted table for writing
+     * Call before the transaction that writes them: awaiting WebCrypto
+     * inside a transaction lets it commit
+     * @param {string} tableName - Table name
+     * @param {Array} rows - Plain rows (not modified)
+     * @returns {Promise<Array>} - Rows to store (the same rows while encryption is off)
+     */
+    async sealRows(tableName, rows) {
+        if (!this.isSealing()) return rows;
+        return await Promise.all(rows.map(row => this.sealRow(tableName, row)));
+    },
+
+    /**
+     * Decrypt a stored row
+     * Rows written before encryption was turned on have nothing sealed
+     * @param {string} tableName - Table name
+     * @param {Object|undefined} stored - Stored row
+     * @returns {Promise<Object|undefined>} - Plain row
+     */
+    async openRow(tableName, stored) {
+        if (!stored || !stored.sealed) return stored;
+        if (!this.encryption) {
+            throw new Error('DonorDex is locked. Unlock it to read donor data.');
+        }
+        const aad = new TextEncoder().encode(tableName);
+        let plaintext = await Cipher.open(this.encryption.cipherKey, stored.sealed, aad);
+        // Rows not resealed yet while the data is moved to new keys
+        if (!plaintext && this.encryption.previous) {
+            plaintext = await Cipher.open(this.encryption.previous.cipherKey, stored.sealed, aad);
+        }
+        if (!plaintext) {
+            throw new Error(`A ${tableName} row could not be decrypted with this passphrase.`);
+        }
+        const { sealed, ...row } = stored;
+        return { ...row, ...JSON.parse(new TextDecoder().decode(plaintext)) };
+    },
+
+    /**
+     * Decrypt rows read from an encrypted table
+     * Call after the read, outside any transaction still in use
+     * @param {string} tableName - Table name
+     * @param {Array} rows - Stored rows
+     * @returns {Promise<Array>} - Plain rows
+     */
+    async openRows(tableName, rows) {
+        return await Promise.all(rows.map(row => this.openRow(tableName, row)));
+    },
+
+    /**
+     * Create the Dexie middleware that refuses unencrypted writes to
+     * protected tables while encryption is on
+     * Rows are sealed before their transaction (see sealRows); rows read
+     * inside a transaction stay sealed, so only their clear fields can be
+     * changed there. This catches a write that skipped sealRows.
+     * @returns {Object} - Dexie DBCore middleware
+     */
+    createEncryptionGuard() {
+        const database = this;
+        return {
+            stack: 'dbcore',
+            name: 'encryptionGuard',
+            create(down) {
+                return {
+                    ...down,
+                    table(tableName) {
+                        const table = down.table(tableName);
+                        if (!database.ENCRYPTED_TABLES[tableName]) return table;
+
+                        return {
+                            ...table,
+                            mutate(req) {
+                                // While encryption is turned on, rows not reached yet are still clear
+                                if ((req.type === 'add' || req.type === 'put') && database.isSealing() && !database.rewrite &&
+                                    req.values.some(row => !row.sealed)) {
+                                    return Promise.reject(new Error(`An unencrypted ${tableName} row was not saved because the app lock is on.`));
+                                }
+                                return table.mutate(req);
+                            }
+                        };
+                    }
+                };
+            }
+        };
+    },
+
+    /**
+     * Turn encryption on (keys and setting given), move it to new keys
+     * (keys with previous, and a setting holding previousKeys) or turn it
+     * off (both null)
+     * Every encrypted table is rewritten in batches of one transaction each,
+     * and progress is saved after each batch, so an interrupted run picks up
+     * where it stopped (see resumeEncryptionRewrite). Reads handle rows in
+     * either form in the meantime.
+     * @param {Object|null} keys - {cipherKey, tokenKey, previous}, or null to store in clear
+     * @param {Object|null} setting - New encryption setting, or null to remove it once done
+     * @returns {Promise<void>}
+     */
+    async reencryptAll(keys, setting) {
+        const mode = !keys ? 'open' : keys.previous ? 'reseal' : 'seal';
+        const rewrite = { mode, table: Object.keys(this.ENCRYPTED_TABLES)[0], lastKey: null };
+        await db.transaction('rw', db.settings, async () => {
+            if (setting) await db.settings.put({ key: this.ENCRYPTION_SETTING, value: setting });
+            await db.settings.put({ key: this.ENCRYPTION_REWRITE_SETTING, value: rewrite });
+        });
+        if (keys) this.setEncryptionKeys(keys);
+        await this.runEncryptionRewrite(rewrite);
+    },
+
+    /**
+     * Finish turning encryption on or off, or moving it to new keys,
+     * after an interrupted run
+     * Needs the keys, so it runs once the app is unlocked
+     * @returns {Promise<string|null>} - Mode finished ('seal', 'reseal' or 'open'), or null if none was pending
+     */
+    async resumeEncryptionRewrite() {
+        const rewrite = await this.getSetting(this.ENCRYPTION_REWRITE_SETTING);
+        if (!rewrite) return null;
+        await this.runEncryptionRewrite(rewrite);
+        return rewrite.mode;
+    },
+
+    /**
+     * Rewrite the encrypted tables from a saved position
+     * @param {Object} rewrite - {mode, table, lastKey}
+     * @returns {Promise<void>}
+     */
+    async runEncryptionRewrite(rewrite) {
+        this.rewrite = rewrite;
+        try {
+            const tableNames = Object.keys(this.ENCRYPTED_TABLES);
+            for (let i = tableNames.indexOf(rewrite.table); i < tableNames.length; i++) {
+                if (rewrite.table !== tableNames[i]) {
+                    rewrite.table = tableNames[i];
+                    rewrite.lastKey = null;
+                }
+                await this.rewriteTable(rewrite);
+            }
+            await db.transaction('rw', db.settings, async () => {
+                await db.settings.delete(this.ENCRYPTION_REWRITE_SETTING);
+                if (rewrite.mode === 'open') await db.settings.delete(this.ENCRYPTION_SETTING);
+                if (rewrite.mode === 'reseal') {
+                    // Nothing is sealed with the replaced keys any more
+                    const stored = await db.settings.get(this.ENCRYPTION_SETTING);
+                    delete stored.value.previousKeys;
+                    await db.settings.put(stored);
+                }
+            });
+            if (rewrite.mode === 'open') this.setEncryptionKeys(null);
+            if (rewrite.mode === 'reseal') {
+                this.setEncryptionKeys({ cipherKey: this.encryption.cipherKey, tokenKey: this.encryption.tokenKey });
+            }
+        } finally {
+            this.rewrite = null;
+        }
+    },
+
+    /**
+     * Seal, reseal or open the rest of one table, a batch at a time
+     * @param {Object} rewrite - {mode, table, lastKey}; lastKey advances as batches are saved
+     * @returns {Promise<void>}
+     */
+    async rewriteTable(rewrite) {
+        const table = db.table(rewrite.table);
+        const sealing = rewrite.mode !== 'open';
+        for (;;) {
+            const start = rewrite.lastKey === null ? table.orderBy(':id') : table.where(':id').above(rewrite.lastKey);
+            const batch = await start.limit(this.REWRITE_BATCH_SIZE).toArray();
+            if (batch.length === 0) return;
+
+            const pending = rewrite.mode === 'reseal' ? batch : batch.filter(row => Boolean(row.sealed) !== sealing);
+            const rows = await this.openRows(rewrite.table, pending);
+            const rewritten = sealing ? await this.sealRows(rewrite.table, rows) : rows;
+            await db.transaction('rw', table, db.settings, async () => {
+                // Rows changed since they were read are left for the next pass over this batch
+                const current = await table.bulkGet(pending.map(row => row.id));
+                const unchanged = rewritten.filter((row, i) => JSON.stringify(current[i]) === JSON.stringify(pending[i]));
+                await table.bulkPut(unchanged);
+                if (unchanged.length === rewritten.length) {
+                    rewrite.lastKey = batch[batch.length - 1].id;
+                    await db.settings.put({ key: this.ENCRYPTION_REWRITE_SETTING, value: rewrite });
+                }
+            });
+        }
+    },
+
+    // ==================== Settings ====================
+
+    /**
+     * Get a stored setting
+     * @param {string} key - Setting key
+     * @param {*} defaultValue - Value returned when the setting is not stored
+     * @returns {Promise<*>} - Setting value
+     */
+    async getSetting(key, defaultValue = null) {
+        const record = await db.settings.get(key);
+        return record ? record.value : defaultValue;
+    },
+
+    /**
+     * Store a setting
+     * @param {string} key - Setting key
+     * @param {*} value - Setting value (structured-cloneable)
+     * @returns {Promise<string>} - Setting key
+     */
+    async setSetting(key, value) {
+        return await db.settings.put({ key: key, value: value });
+    }
+};
+
+// Refuse unencrypted writes to protected tables while the app lock is on
+db.use(Database.createEncryptionGuard());
 
 // Export for use in other modules
 window.Database = Database;
@@ -0,0 +1,528 @@
+/**
+ * DonorDex Donors Module
+ * Resolves contribution records into donor entities, proposes merges
+ * for review, and renders the donor match review queue
+ */
+
+const Donors = {
+    // Minimum score for a pair of donors to be proposed for merging
+    MERGE_THRESHOLD: 0.6,
+
+    // Web Lock held while contributions are linked to donors, shared by
+    // the page and the import worker so two runs never overlap
+    RESOLVE_LOCK: 'donordex-resolve',
+
+    // Run in progress in this context, for browsers without Web Locks
+    resolving: Promise.resolve(),
+
+    // Honorifics and generational/professional suffixes ignored when matching names
+    NAME_NOISE: ['mr', 'mrs', 'ms', 'miss', 'dr', 'hon', 'rev', 'jr', 'sr', 'ii', 'iii', 'iv', 'md', 'phd', 'esq', 'dds', 'cpa'],
+
+    // Common nickname groups (each entry lists interchangeable first names)
+    NICKNAMES: [
+        ['john', 'jon', 'johnny', 'jack'],
+        ['robert', 'rob', 'bob', 'bobby', 'robbie'],
+        ['william', 'will', 'bill', 'billy', 'liam'],
+        ['james', 'jim', 'jimmy', 'jamie'],
+        ['michael', 'mike', 'mick', 'mikey'],
+        ['richard', 'rick', 'dick', 'rich', 'ricky'],
+        ['thomas', 'tom', 'tommy'],
+        ['joseph', 'joe', 'joey'],
+        ['charles', 'charlie', 'chuck'],
+        ['david', 'dave', 'davy'],
+        ['daniel', 'dan', 'danny'],
+        ['edward', 'ed', 'eddie', 'ted', 'ned'],
+        ['elizabeth', 'liz', 'beth', 'betty', 'eliza', 'lisa'],
+        ['katherine', 'catherine', 'kathy', 'cathy', 'kate', 'katie'],
+        ['margaret', 'maggie', 'meg', 'peggy'],
+        ['patricia', 'pat', 'patty', 'trish'],
+        ['jennifer', 'jen', 'jenny'],
+        ['susan', 'sue', 'suzy'],
+        ['deborah', 'debra', 'deb', 'debbie'],
+        ['christopher', 'chris'],
+        ['anthony', 'tony'],
+        ['steven', 'stephen', 'steve'],
+        ['alexander', 'alex'],
+        ['benjamin', 'ben'],
+        ['samuel', 'sam'],
+        ['matthew', 'matt'],
+        ['gregory', 'greg'],
+        ['kenneth', 'ken', 'kenny'],
+        ['nicholas', 'nick'],
+        ['andrew', 'andy', 'drew']
+    ],
+
+    /**
+     * Normalize free text for comparison (case, punctuation, whitespace)
+     * @param {string} value - Raw value
+     * @returns {string} - Normalized value
+     */
+    normalizeText(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9 ]+/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Normalize a donor name into match keys
+     * Drops honorifics, suffixes and middle names/initials
+     * @param {string} firstName - Raw first name (may include middle name)
+     * @param {string} lastName - Raw last name
+     * @returns {Object} - {firstKey, lastKey}
+     */
+    normalizeName(firstName, lastName) {
+        const clean = value => this.normalizeText(value)
+            .split(' ')
+            .filter(token => token && !this.NAME_NOISE.includes(token));
+
+        const firstTokens = clean(firstName);
+        const lastTokens = clean(lastName);
+
+        return {
+            firstKey: firstTokens[0] || '',
+            lastKey: lastTokens.join('')
+        };
+    },
+
+    /**
+     * Build the identity key used to auto-link a contribution to a donor
+     * Records with the same normalized name, city and state are the same donor
+     * @param {Object} record - Contribution record
+     * @returns {string} - Match key
+     */
+    getMatchKey(record) {
+        const { firstKey, lastKey } = this.normalizeName(record.firstName, record.lastName);
+        return [lastKey, firstKey, this.normalizeText(record.city), (record.state || '').toUpperCase()].join('|');
+    },
+
+    /**
+     * Create a donor entity from a contribution record
+     * @param {Object} record - Contribution record
+     * @param {string} matchKey - Identity key for the record
+     * @returns {Object} - Donor entity
+     */
+    createDonor(record, matchKey) {
+        const { firstKey, lastKey } = this.normalizeName(record.firstName, record.lastName);
+        return {
+            id: Utils.generateId(),
+            firstName: record.firstName || '',
+            lastName: record.lastName || '',
+            firstKey: firstKey,
+            lastKey: lastKey,
+            address1: record.address1 || '',
+            address2: record.address2 || '',
+            city: record.city || '',
+            state: (record.state || '').toUpperCase(),
+            zip: record.zip || '',
+            employer: record.employer || '',
+            occupation: record.occupation || '',
+            lastEpoch: record.contributionEpoch || 0,
+            matchKeys: [matchKey]
+        };
+    },
+
+    /**
+     * Refresh a donor's descriptive fields from a newer contribution
+     * @param {Object} donor - Donor entity (mutated)
+     * @param {Object} record - Contribution record
+     * @returns {boolean} - True if the donor changed
+     */
+    absorbRecord(donor, record) {
+        if ((record.contributionEpoch || 0) <= donor.lastEpoch) return false;
+        donor.lastEpoch = record.contributionEpoch;
+        if (record.employer) donor.employer = record.employer;
+        if (record.occupation) donor.occupation = record.occupation;
+        if (record.city) donor.city = record.city;
+        if (record.address1) {
+            donor.address1 = record.address1;
+            donor.address2 = record.address2 || '';
+        }
+        if (record.zip) donor.zip = record.zip;
+        return true;
+    },
+
+    /**
+     * Get the display name for a donor
+     * @param {Object} donor - Donor entity
+     * @returns {string} - Full name
+     */
+    getDisplayName(donor) {
+        return `${donor.firstName} ${donor.lastName}`.trim();
+    },
+
+    /**
+     * Link every unresolved contribution to a donor, creating donors as
+     * needed, then queue merge proposals for the new donors
+     * Runs one at a time across the page and the import worker: two
+     * overlapping runs would each create a donor for the same match key
+     * @returns {Promise<Object>} - {linked, created, proposed}
+     */
+    async resolveUnassigned() {
+        if (navigator.locks) {
+            return await navigator.locks.request(this.RESOLVE_LOCK, () => this.linkUnassigned());
+        }
+        const run = this.resolving.catch(() => {}).then(() => this.linkUnassigned());
+        this.resolving = run;
+        return await run;
+    },
+
+    /**
+     * Do the work of resolveUnassigned (call that instead, it holds the lock)
+     * @returns {Promise<Object>} - {linked, created, proposed}
+     */
+    async linkUnassigned() {
+        const records = await Database.getUnresolvedRecords();
+        if (records.length === 0) {
+            return { linked: 0, created: 0, proposed: 0 };
+        }
+
+        const donorsByKey = new Map();
+        (await Database.getAllDonors()).forEach(donor => {
+            donor.matchKeys.forEach(key => donorsByKey.set(key, donor));
+        });
+
+        const created = [];
+        const touched = new Set();
+
+        for (const record of records) {
+            const matchKey = this.getMatchKey(record);
+            let donor = donorsByKey.get(matchKey);
+
+            if (!donor) {
+                donor = this.createDonor(record, matchKey);
+                donorsByKey.set(matchKey, donor);
+                created.push(donor);
+                touched.add(donor);
+            } else if (this.absorbRecord(donor, record)) {
+                touched.add(donor);
+            }
+
+            record.donorId = donor.id;
+        }
+
+        await Database.putDonors(Array.from(touched));
+        await Database.linkRecordsToDonors(records);
+
+        const proposed = await this.proposeMerges(created);
+
+        return { linked: records.length, created: created.length, proposed };
+    },
+
+    /**
+     * Check whether two first names can belong to the same person
+     * @param {string} a - Normalized first name
+     * @param {string} b - Normalized first name
+     * @returns {Object|null} - {score, reason} or null if incompatible
+     */
+    compareFirstNames(a, b) {
+        if (a === b) return { score: 0.5, reason: 'same first name' };
+        if (!a || !b) return null;
+
+        if (this.NICKNAMES.some(group => group.includes(a) && group.includes(b))) {
+            return { score: 0.35, reason: 'nickname' };
+        }
+
+        if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) {
+            return { score: 0.3, reason: 'initial' };
+        }
+
+        if (Utils.similarityScore(a, b) >= 0.75) {
+            return { score: 0.3, reason: 'similar first name' };
+        }
+
+        return null;
+    },
+
+    /**
+     * Score how likely two donors are the same person
+     * Donors must already share a normalized last name and state
+     * @param {Object} a - Donor entity
+     * @param {Object} b - Donor entity
+     * @returns {Object} - {score, reasons}
+     */
+    scoreMatch(a, b) {
+        const firstName = this.compareFirstNames(a.firstKey, b.firstKey);
+        if (!firstName) return { score: 0, reasons: [] };
+
+        let score = firstName.score;
+        const reasons = [firstName.reason];
+
+        const sameField = field => {
+            const left = this.normalizeText(a[field]);
+            return left !== '' && left === this.normalizeText(b[field]);
+        };
+
+        if (sameField('city')) {
+            score += 0.2;
+            reasons.push('same city');
+        }
+        if (sameField('address1')) {
+            score += 0.3;
+            reasons.push('same street address');
+        } else if ((a.zip || '').slice(0, 5) !== '' && (a.zip || '').slice(0, 5) === (b.zip || '').slice(0, 5)) {
+            score += 0.1;
+            reasons.push('same ZIP');
+        }
+        if (sameField('employer')) {
+            score += 0.2;
+            reasons.push('same employer');
+        }
+        if (sameField('occupation')) {
+            score += 0.1;
+            reasons.push('same occupation');
+        }
+
+        return { score: Math.min(1, Math.round(score * 100) / 100), reasons };
+    },
+
+    /**
+     * Build an order-independent key for a pair of donors
+     * Uses each donor's primary match key so it survives splits
+     * @param {Object} a - Donor entity
+     * @param {Object} b - Donor entity
+     * @returns {string} - Pair key
+     */
+    getPairKey(a, b) {
+        return [a.matchKeys[0], b.matchKeys[0]].sort().join('||');
+    },
+
+    /**
+     * Queue merge proposals for donors that look like existing donors
+     * Pairs that were already reviewed are never proposed again
+     * @param {Array} donors - Newly created donor entities
+     * @returns {Promise<number>} - Number of proposals queued
+     */
+    async proposeMerges(donors) {
+        let proposed = 0;
+
+        for (const donor of donors) {
+            const candidates = await Database.getDonorsByLastKey(donor.lastKey, donor.state);
+
+            for (const candidate of candidates) {
+                if (candidate.id === donor.id) continue;
+
+                const { score, reasons } = this.scoreMatch(donor, candidate);
+                if (score < this.MERGE_THRESHOLD) continue;
+
+                const added = await Database.addDonorMerge({
+                    pairKey: this.getPairKey(donor, candidate),
+                    donorA: candidate.id,
+                    donorB: donor.id,
+                    score,
+                    reasons,
+                    status: 'pending',
+                    createdAt: Date.now()
+                });
+                if (added) proposed++;
+            }
+        }
+
+        return proposed;
+    },
+
+    /**
+     * Merge one donor into another
+     * @param {string} keepId - Donor that survives
+     * @param {string} mergeId - Donor that is folded in and deleted
+     * @param {Object} accepted - Merge proposal being accepted, saved in the same transaction (optional)
+     * @returns {Promise<void>}
+     */
+    async mergeDonors(keepId, mergeId, accepted = null) {
+        const [keep, merge] = await Promise.all([Database.getDonor(keepId), Database.getDonor(mergeId)]);
+        if (!keep || !merge || keepId === mergeId) {
+            if (accepted) await Database.putDonorMerge(accepted);
+            return;
+        }
+
+        keep.matchKeys = Array.from(new Set([...keep.matchKeys, ...merge.matchKeys]));
+        keep.donorTags = Array.from(new Set([...(keep.donorTags || []), ...(merge.donorTags || [])])).sort();
+        if (merge.lastEpoch > keep.lastEpoch) {
+            keep.lastEpoch = merge.lastEpoch;
+            keep.employer = merge.employer || keep.employer;
+            keep.occupation = merge.occupation || keep.occupation;
+            keep.city = merge.city || keep.city;
+            if (merge.address1) {
+                keep.address1 = merge.address1;
+                keep.address2 = merge.address2 || '';
+            }
+            keep.zip = merge.zip || keep.zip;
+        }
+
+        await Database.mergeDonors(keep, mergeId, accepted);
+    },
+
+    /**
+     * Accept a merge proposal
+     * @param {number} mergeId - Proposal ID
+     */
+    async acceptMerge(mergeId) {
+        const proposal = await Database.getDonorMerge(mergeId);
+        if (!proposal || proposal.status !== 'pending') return;
+
+        proposal.status = 'accepted';
+        proposal.reviewedAt = Date.now();
+        await this.mergeDonors(proposal.donorA, proposal.donorB, proposal);
+
+        await this.refreshAfterChange();
+    },
+
+    /**
+     * Reject a merge proposal so it is not proposed again
+     * @param {number} mergeId - Proposal ID
+     */
+    async rejectMerge(mergeId) {
+        const proposal = await Database.getDonorMerge(mergeId);
+        if (!proposal || proposal.status !== 'pending') return;
+
+        proposal.status = 'rejected';
+        proposal.reviewedAt = Date.now();
+        await Database.putDonorMerge(proposal);
+
+        await this.renderReviewQueue();
+    },
+
+    /**
+     * Split a merged donor back into one donor per identity key
+     * The resulting pairs are recorded as rejected so they are not re-proposed
+     * @param {string} donorId - Donor ID
+     */
+    async splitDonor(donorId) {
+        const donor = await Database.getDonor(donorId);
+        if (!donor || donor.matchKeys.length < 2) return;
+
+        if (!confirm(`Split ${this.getDisplayName(donor)} back into ${donor.matchKeys.length} separate donors?`)) {
+            return;
+        }
+
+        const records = await Database.getRecordsByDonor(donorId);
+        const groups = new Map();
+        records.forEach(record => {
+            const key = this.getMatchKey(record);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(record);
+        });
+
+        const primaryKey = donor.matchKeys[0];
+        donor.matchKeys = [primaryKey];
+        const resulting = [donor];
+
+        for (const [key, group] of groups) {
+            if (key === primaryKey) continue;
+
+            group.sort((a, b) => b.contributionEpoch - a.contributionEpoch);
+            const split = this.createDonor(group[0], key);
+            group.forEach(record => { record.donorId = split.id; });
+            resulting.push(split);
+        }
+
+        await Database.putDonors(resulting);
+        await Database.linkRecordsToDonors(records.filter(r => r.donorId !== donorId));
+
+        for (let i = 0; i < resulting.length; i++) {
+            for (let j = i + 1; j < resulting.length; j++) {
+                const pairKey = this.getPairKey(resulting[i], resulting[j]);
+                const existing = await Database.getDonorMergeByPair(pairKey);
+                await Database.putDonorMerge({
+                    ...(existing || {}),
+                    pairKey,
+                    donorA: resulting[i].id,
+                    donorB: resulting[j].id,
+                    score: existing ? existing.score : 0,
+                    reasons: existing ? existing.reasons : ['split'],
+                    status: 'rejected',
+                    createdAt: existing ? existing.createdAt : Date.now(),
+                    reviewedAt: Date.now()
+                });
+            }
+        }
+
+        await this.refreshAfterChange();
+    },
+
+    /**
+     * Refresh stats, search and browse after donors change
+     */
+    async refreshAfterChange() {
+        await App.updateStats();
+        await this.renderReviewQueue();
+
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput && searchInput.value.trim()) {
+            await Search.searchDonors();
+        }
+
+        await Filters.refreshResults();
+        await Profile.refresh();
+    },
+
+    /**
+     * Count pending merge proposals
+     * @returns {Promise<number>}
+     */
+    async getPendingCount() {
+        return (await Database.getDonorMerges('pending')).length;
+    },
+
+    /**
+     * Render the donor match review queue into its modal
+     */
+    async renderReviewQueue() {
+        const container = document.getElementById('donorReviewList');
+        if (!container) return;
+
+        const pending = await Database.getDonorMerges('pending');
+        pending.sort((a, b) => b.score - a.score);
+
+        const donorIds = new Set();
+        pending.forEach(p => { donorIds.add(p.donorA); donorIds.add(p.donorB); });
+        const donorMap = new Map((await Database.getDonors(Array.from(donorIds))).map(d => [d.id, d]));
+
+        const reviewable = pending.filter(p => donorMap.has(p.donorA) && donorMap.has(p.donorB));
+        document.getElementById('donorReviewCount').textContent = reviewable.length;
+
+        if (reviewable.length === 0) {
+            container.innerHTML = '<div style="padding: 20px; text-align: center; color: #718096;">No proposed matches to review</div>';
+            return;
+        }
+
+        const describe = donor => {
+            const location = Utils.formatLocation(donor);
+            const work = [donor.occupation, donor.employer].filter(Boolean).join(' at ');
+            return `
+                <div style="flex: 1; min-width: 0;">
+                    <div style="font-weight: 600; color: #2c3e50;">${Utils.escapeHtml(this.getDisplayName(donor))}</div>
+                    <div style="font-size: 12px; color: #718096;">${Utils.escapeHtml(location || 'Location not available')}</div>
+                    ${work ? `<div style="font-size: 12px; color: #718096;">${Utils.escapeHtml(work)}</div>` : ''}
+                </div>`;
+        };
+
+        let html = '';
+        reviewable.forEach(proposal => {
+            html += `
+                <div style="padding: 12px; border-bottom: 1px solid #e2e8f0;">
+                    <div style="display: flex; gap: 15px; align-items: flex-start; margin-bottom: 8px;">
+                        ${describe(donorMap.get(proposal.donorA))}
+                        <div style="font-size: 18px; color: #a0aec0; padding-top: 2px;">⇄</div>
+                        ${describe(donorMap.get(proposal.donorB))}
+                    </div>
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap;">
+                        <div style="font-size: 12px; color: #4a5568;">
+                            <span class="match-badge" style="margin-left: 0;">${Math.round(proposal.score * 100)}%</span>
+                            ${Utils.escapeHtml(proposal.reasons.join(', '))}
+                        </div>
+                        <div style="display: flex; gap: 8px;">
+                            <button class="btn btn-primary" style="padding: 6px 14px; font-size: 12px;" onclick="Donors.acceptMerge(${proposal.id})">Merge</button>
+                            <button class="btn btn-secondary" style="padding: 6px 14px; font-size: 12px;" onclick="Donors.rejectMerge(${proposal.id})">Not the same</button>
+                        </div>
+                    </div>
+                </div>`;
+        });
+
+        container.innerHTML = html;
+    }
+};
+
+// Export for use in other modules
+window.Donors = Donors;
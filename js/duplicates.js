@@ -0,0 +1,412 @@
+/**
+ * DonorDex Duplicate Finder
+ * Scans stored contributions for gifts recorded twice (same donor,
+ * committee and amount, dates within a few days), e.g. the same gift
+ * imported from an ActBlue file and an FEC file, whose import hashes differ.
+ * Groups are scored like donor matches; removals are kept in a history and
+ * can be restored.
+ */
+
+const Duplicates = {
+    // Setting listing groups marked "Not duplicates" (sorted record IDs joined by '|')
+    DISMISSED_SETTING: 'duplicateDismissals',
+
+    // Scores at or above this are High and selected for removal by default
+    HIGH_SCORE: 0.8,
+
+    // Groups shown per scan
+    MAX_GROUPS: 100,
+
+    // Fields counted when choosing which record of a group to keep
+    DETAIL_FIELDS: ['committeeId', 'transactionId', 'address1', 'zip', 'employer', 'occupation', 'city', 'state'],
+
+    DAY_MS: 24 * 60 * 60 * 1000,
+
+    // Last scan: groups [{key, score, reasons, records, keepId, selected}]
+    groups: [],
+    // Import batches by ID, for showing where each record came from
+    imports: new Map(),
+
+    // ==================== Scan ====================
+
+    /**
+     * Key of the committee a record was given to
+     * @param {Object} record - Contribution
+     * @returns {string}
+     */
+    getCommitteeName(record) {
+        return Committees.normalizeName(record.candidateName || '');
+    },
+
+    /**
+     * Check whether two records went to the same committee
+     * FEC IDs decide when both have one; otherwise names are compared
+     * @param {Object} a - Contribution
+     * @param {Object} b - Contribution
+     * @returns {boolean}
+     */
+    sameCommittee(a, b) {
+        if (a.committeeId && b.committeeId) return a.committeeId === b.committeeId;
+        return this.getCommitteeName(a) !== '' && this.getCommitteeName(a) === this.getCommitteeName(b);
+    },
+
+    /**
+     * Score how likely two records are the same gift
+     * Both are already known to share donor, committee and amount
+     * @param {Object} a - Contribution
+     * @param {Object} b - Contribution
+     * @returns {Object} - {score, reasons}
+     */
+    scorePair(a, b) {
+        let score = 0.5;
+        const reasons = [];
+
+        const days = Math.round(Math.abs((a.contributionEpoch || 0) - (b.contributionEpoch || 0)) / this.DAY_MS);
+        if (days === 0) {
+            score += 0.25;
+            reasons.push('same date');
+        } else if (days === 1) {
+            score += 0.1;
+            reasons.push('1 day apart');
+        } else {
+            reasons.push(`${days} days apart`);
+        }
+
+        // Two rows with different IDs in one file are usually two real gifts
+        if (a.importId && b.importId) {
+            if (a.importId !== b.importId) {
+                score += 0.2;
+                reasons.push('from different imports');
+            } else {
+                score -= 0.3;
+                reasons.push('same import');
+            }
+        }
+
+        if (a.transactionId && b.transactionId) {
+            if (a.transactionId === b.transactionId) {
+                score += 0.2;
+                reasons.push('same transaction ID');
+            } else if (a.committeeId && a.committeeId === b.committeeId) {
+                score -= 0.2;
+                reasons.push('different transaction IDs');
+            }
+        }
+
+        return { score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)), reasons };
+    },
+
+    /**
+     * Pick the record to keep: the most complete, then the earliest dated
+     * @param {Array} records - Group records
+     * @returns {Object} - Record
+     */
+    pickKeeper(records) {
+        const filled = record => this.DETAIL_FIELDS.filter(field => record[field]).length;
+        return records.reduce((best, record) => (filled(record) > filled(best) ? record : best));
+    },
+
+    /**
+     * Find likely duplicates
+     * @param {Array} records - Contributions
+     * @param {number} windowDays - Largest gap between dates in a group
+     * @param {Set} dismissed - Group keys marked "Not duplicates"
+     * @returns {Array} - Groups {key, score, reasons, records, keepId, selected}, highest score first
+     */
+    findGroups(records, windowDays, dismissed = new Set()) {
+        // Same donor (or, before linking, the same match key) and same amount
+        const buckets = new Map();
+        records.forEach(record => {
+            const key = `${record.donorId || Donors.getMatchKey(record)}|${Math.round((record.amount || 0) * 100)}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(record);
+        });
+
+        const groups = [];
+        const windowMs = windowDays * this.DAY_MS;
+        buckets.forEach(bucket => {
+            if (bucket.length < 2) return;
+            bucket.sort((a, b) => (a.contributionEpoch || 0) - (b.contributionEpoch || 0));
+
+            // Each group is measured from its earliest record, so a run of
+            // weekly gifts does not chain into one group
+            const open = [];
+            bucket.forEach(record => {
+                const group = open.find(g => this.sameCommittee(g[0], record) &&
+                    (record.contributionEpoch || 0) - (g[0].contributionEpoch || 0) <= windowMs);
+                if (group) {
+                    group.push(record);
+                } else {
+                    open.push([record]);
+                }
+            });
+
+            open.filter(group => group.length > 1).forEach(group => {
+                const key = group.map(r => r.id).sort().join('|');
+                if (dismissed.has(key)) return;
+
+                // A group is as strong as its weakest pair
+                let weakest = null;
+                for (let i = 0; i < group.length; i++) {
+                    for (let j = i + 1; j < group.length; j++) {
+                        const pair = this.scorePair(group[i], group[j]);
+                        if (!weakest || pair.score < weakest.score) weakest = pair;
+                    }
+                }
+                groups.push({
+                    key, score: weakest.score, reasons: weakest.reasons, records: group,
+                    keepId: this.pickKeeper(group).id, selected: weakest.score >= this.HIGH_SCORE
+                });
+            });
+        });
+
+        return groups.sort((a, b) => b.score - a.score ||
+            (b.records[0].contributionEpoch || 0) - (a.records[0].contributionEpoch || 0));
+    },
+
+    /**
+     * Scan stored contributions with the options in the modal
+     */
+    async scan() {
+        const windowDays = parseInt(document.getElementById('duplicatesWindow').value, 10) || 0;
+        const minScore = parseFloat(document.getElementById('duplicatesMinScore').value) || 0;
+        const container = document.getElementById('duplicatesResults');
+        container.innerHTML = '<div class="no-results">Scanning contributions…</div>';
+
+        const dismissed = new Set(await Database.getSetting(this.DISMISSED_SETTING, []));
+        this.imports = new Map((await Database.getImports()).map(batch => [batch.id, batch]));
+        this.groups = this.findGroups(await Database.getAllRecords(), windowDays, dismissed)
+            .filter(group => group.score >= minScore);
+        this.renderResults();
+    },
+
+    // ==================== Results ====================
+
+    /**
+     * Describe a score
+     * @param {number} score - 0 to 1
+     * @returns {string} - High, Medium or Low
+     */
+    getLevel(score) {
+        if (score >= this.HIGH_SCORE) return 'High';
+        return score >= 0.5 ? 'Medium' : 'Low';
+    },
+
+    /**
+     * Describe where a record came from
+     * @param {Object} record - Contribution
+     * @returns {string}
+     */
+    describeSource(record) {
+        const batch = record.importId && this.imports.get(record.importId);
+        if (batch) return batch.fileName;
+        return record.importId ? 'Removed import' : 'Added by hand or synced';
+    },
+
+    /**
+     * Render the scan results
+     */
+    renderResults() {
+        const container = document.getElementById('duplicatesResults');
+        if (this.groups.length === 0) {
+            container.innerHTML = '<div class="no-results">No likely duplicates found</div>';
+            return;
+        }
+
+        const money = value => (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const shown = this.groups.slice(0, this.MAX_GROUPS);
+        const extra = shown.reduce((sum, group) => sum + group.records.length - 1, 0);
+
+        const html = shown.map((group, index) => {
+            const first = group.records[0];
+            const name = [first.firstName, first.lastName].filter(Boolean).join(' ') || 'Unknown donor';
+            const rows = group.records.map(record => `
+                <tr>
+                    <td><input type="radio" name="duplicateKeep${index}" value="${Utils.escapeHtml(record.id)}" ${record.id === group.keepId ? 'checked' : ''} onchange="Duplicates.setKeep(${index}, this.value)" style="width: auto;"></td>
+                    <td>${Utils.escapeHtml(record.contributionDate || '')}</td>
+                    <td style="word-break: break-all;">${Utils.escapeHtml(this.describeSource(record))}</td>
+                    <td>${Utils.escapeHtml(record.committeeId || '')}${record.transactionId ? ` <span style="color: #a0aec0;">${Utils.escapeHtml(record.transactionId)}</span>` : ''}</td>
+                    <td>${Utils.escapeHtml(Utils.formatLocation(record) || '')}</td>
+                </tr>`).join('');
+
+            return `
+                <div style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap; margin-bottom: 6px;">
+                        <label style="display: flex; align-items: center; gap: 8px; font-weight: 600; color: #174A57;">
+                            <input type="checkbox" ${group.selected ? 'checked' : ''} onchange="Duplicates.setSelected(${index}, this.checked)" style="width: auto;">
+                            ${Utils.escapeHtml(name)}, ${money(first.amount || 0)} to ${Utils.escapeHtml(first.candidateName || 'unknown committee')}
+                        </label>
+                        <button class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px;" onclick="Duplicates.dismiss(${index})">Not duplicates</button>
+                    </div>
+                    <div style="font-size: 12px; color: #4a5568; margin-bottom: 6px;">
+                        <span class="match-badge" style="margin-left: 0;">${this.getLevel(group.score)} ${Math.round(group.score * 100)}%</span>
+                        ${Utils.escapeHtml(group.reasons.join(', '))}
+                    </div>
+                    <table class="profile-table">
+                        <thead><tr><th>Keep</th><th>Date</th><th>Source</th><th>Committee ID / Transaction</th><th>Address</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap; margin-bottom: 10px;">
+                <div style="font-weight: 700; color: #174A57;">
+                    ${this.groups.length.toLocaleString()} group${this.groups.length === 1 ? '' : 's'} of likely duplicates
+                    <div style="font-size: 12px; font-weight: 400; color: #718096;">
+                        ${this.groups.length > shown.length ? `Showing the ${shown.length} most likely (${extra.toLocaleString()} extra records); remove them and scan again for the rest. ` : ''}High-confidence groups are selected. Choose which record to keep in each.
+                    </div>
+                </div>
+                <button class="btn btn-primary" onclick="Duplicates.removeSelected()">Remove Selected Duplicates</button>
+            </div>
+            ${html}`;
+    },
+
+    /**
+     * Choose the record to keep in a group
+     * @param {number} index - Group index
+     * @param {string} recordId - Record to keep
+     */
+    setKeep(index, recordId) {
+        this.groups[index].keepId = recordId;
+    },
+
+    /**
+     * Include or leave out a group when removing
+     * @param {number} index - Group index
+     * @param {boolean} selected - Remove this group's duplicates
+     */
+    setSelected(index, selected) {
+        this.groups[index].selected = selected;
+    },
+
+    /**
+     * Mark a group as not duplicates so later scans skip it
+     * @param {number} index - Group index
+     */
+    async dismiss(index) {
+        const group = this.groups[index];
+        const dismissed = await Database.getSetting(this.DISMISSED_SETTING, []);
+        await Database.setSetting(this.DISMISSED_SETTING, [...dismissed, group.key]);
+        this.groups.splice(index, 1);
+        this.renderResults();
+    },
+
+    /**
+     * Delete every record but the kept one in each selected group
+     */
+    async removeSelected() {
+        const selected = this.groups.slice(0, this.MAX_GROUPS).filter(group => group.selected);
+        if (selected.length === 0) {
+            alert('Select the groups to remove duplicates from.');
+            return;
+        }
+
+        const groups = selected.map(group => {
+            const kept = group.records.find(r => r.id === group.keepId);
+            return {
+                kept: { id: kept.id, date: kept.contributionDate, source: this.describeSource(kept) },
+                score: group.score,
+                reasons: group.reasons,
+                records: group.records.filter(r => r.id !== group.keepId)
+            };
+        });
+        const count = groups.reduce((sum, group) => sum + group.records.length, 0);
+        if (!confirm(`Delete ${count.toLocaleString()} duplicate contribution${count === 1 ? '' : 's'} from ${groups.length.toLocaleString()} group${groups.length === 1 ? '' : 's'}?\n\nThey are listed under Removed Duplicates and can be restored.`)) {
+            return;
+        }
+
+        const removed = groups.flatMap(group => group.records);
+        await Database.removeDuplicates({
+            removedAt: Date.now(),
+            description: `Removed ${count.toLocaleString()} duplicate contribution${count === 1 ? '' : 's'} from ${groups.length.toLocaleString()} group${groups.length === 1 ? '' : 's'}`,
+            count,
+            groups,
+            donors: await Database.getDonors([...new Set(removed.map(r => r.donorId).filter(Boolean))])
+        });
+
+        await Donors.refreshAfterChange();
+        await this.renderHistory();
+        await this.scan();
+    },
+
+    // ==================== Removal History ====================
+
+    /**
+     * Put back the records a removal deleted (those not stored again since)
+     * @param {number} entryId - Removal ID
+     */
+    async restore(entryId) {
+        const entry = await Database.getDuplicateRemoval(entryId);
+        if (!entry || entry.restoredAt) return;
+        if (!confirm(`Restore the ${entry.count.toLocaleString()} contribution${entry.count === 1 ? '' : 's'} removed on ${new Date(entry.removedAt).toLocaleString()}?`)) return;
+
+        const records = entry.groups.flatMap(group => group.records);
+        const existing = new Set((await Database.getRecordsByIds(records.map(r => r.id))).map(r => r.id));
+        const donorIds = new Set((await Database.getDonors(entry.donors.map(d => d.id))).map(d => d.id));
+        await Database.putDonors(entry.donors.filter(d => !donorIds.has(d.id)));
+        const restored = records.filter(r => !existing.has(r.id));
+        await Normalizer.normalizeRecords(restored);
+        await Database.bulkAdd(restored);
+        await Database.updateDuplicateRemoval(entryId, { restoredAt: Date.now() });
+
+        // Earlier results no longer match what is stored
+        this.groups = [];
+        document.getElementById('duplicatesResults').innerHTML = '';
+        await Donors.refreshAfterChange();
+        await this.renderHistory();
+    },
+
+    /**
+     * Render past removals with what each one deleted
+     */
+    async renderHistory() {
+        const entries = await Database.getDuplicateRemovals();
+        const container = document.getElementById('duplicatesHistory');
+
+        if (entries.length === 0) {
+            container.innerHTML = '<div style="font-size: 12px; color: #a0aec0;">No duplicates removed yet</div>';
+            return;
+        }
+
+        const money = value => (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        container.innerHTML = entries.map(entry => {
+            const details = entry.groups.map(group => group.records.map(record => `
+                <div style="font-size: 12px; color: #4a5568;">
+                    ${Utils.escapeHtml([record.firstName, record.lastName].filter(Boolean).join(' '))},
+                    ${money(record.amount || 0)} to ${Utils.escapeHtml(record.candidateName || '')} on ${Utils.escapeHtml(record.contributionDate || '')}
+                    <span style="color: #a0aec0;">(${Utils.escapeHtml(this.describeSource(record))}; kept the ${Utils.escapeHtml(group.kept.date || '')} record from ${Utils.escapeHtml(group.kept.source)}, ${Math.round(group.score * 100)}%)</span>
+                </div>`).join('')).join('');
+
+            return `
+                <div style="padding: 8px 0; border-bottom: 1px solid #e2e8f0; font-size: 13px;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+                        <div>
+                            <div style="font-weight: 600; color: #174A57;">${Utils.escapeHtml(entry.description)}</div>
+                            <div style="font-size: 12px; color: #718096;">
+                                ${Utils.escapeHtml(new Date(entry.removedAt).toLocaleString())}${entry.restoredAt ? ` • restored ${Utils.escapeHtml(new Date(entry.restoredAt).toLocaleString())}` : ''}
+                            </div>
+                        </div>
+                        ${entry.restoredAt ? '' : `<button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px;" onclick="Duplicates.restore(${entry.id})">Restore</button>`}
+                    </div>
+                    <details style="margin-top: 4px;">
+                        <summary style="cursor: pointer; font-size: 12px; color: #174A57;">Removed records</summary>
+                        ${details}
+                    </details>
+                </div>`;
+        }).join('');
+    },
+
+    /**
+     * Prepare the modal
+     */
+    async refresh() {
+        this.groups = [];
+        this.imports = new Map((await Database.getImports()).map(batch => [batch.id, batch]));
+        document.getElementById('duplicatesResults').innerHTML = '';
+        await this.renderHistory();
+    }
+};
+
+// Export for use in other modules
+window.Duplicates = Duplicates;
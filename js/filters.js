@@ -7,95 +7,251 @@ const Filters = {
     // Pagination state
     currentPageNum: 1,
     pageSize: '25',
-    filteredRecords: [],
+
+    // Active filter criteria (null until filters are applied) and result summary
+    criteria: null,
+    totalCount: 0,
+
+    // Import batch the browse list is restricted to ("View records" in import history)
+    importId: null,
+    importLabel: '',
+
+    // Donors and committees the browse list is restricted to (dashboard drill-down,
+    // overlap lists): {label, donorIds, committeeKeys?}
+    scope: null,
 
     /**
-     * Apply filters and sorting to records
+     * Check whether a browse result set is currently shown
+     * @returns {boolean}
      */
-    async applyFilters() {
-        const committee = document.getElementById('filterCommittee').value.trim().toLowerCase();
-        const state = document.getElementById('filterState').value.trim().toUpperCase();
-        const employer = document.getElementById('filterEmployer').value.trim().toLowerCase();
-        const occupation = document.getElementById('filterOccupation').value.trim().toLowerCase();
-        const minAmount = parseFloat(document.getElementById('filterMinAmount').value) || -Infinity;
-        const maxAmount = parseFloat(document.getElementById('filterMaxAmount').value) || Infinity;
+    isActive() {
+        return this.criteria !== null;
+    },
+
+    /**
+     * Read filter criteria from the filter form
+     * @returns {Object} - Criteria for Database.buildQuery
+     */
+    readCriteria() {
+        const minAmount = parseFloat(document.getElementById('filterMinAmount').value);
+        const maxAmount = parseFloat(document.getElementById('filterMaxAmount').value);
         const startDate = document.getElementById('filterStartDate').value;
         const endDate = document.getElementById('filterEndDate').value;
-        const sortBy = document.getElementById('sortBy').value;
-        this.pageSize = document.getElementById('pageSize').value;
 
-        // Parse date filters
-        const startEpoch = startDate ? Utils.parseFecDate(startDate).epoch : -Infinity;
-        const endEpoch = endDate ? Utils.parseFecDate(endDate).epoch : Infinity;
-
-        // Get all records from database
-        const allRecords = await Database.getAllRecords();
-
-        // Filter records
-        this.filteredRecords = allRecords.filter(record => {
-            if (committee && !record.candidateName.toLowerCase().includes(committee)) return false;
-            if (state && record.state !== state) return false;
-            if (employer && !record.employer?.toLowerCase().includes(employer)) return false;
-            if (occupation && !record.occupation?.toLowerCase().includes(occupation)) return false;
-            if (record.amount < minAmount || record.amount > maxAmount) return false;
-            if (startEpoch !== -Infinity && record.contributionEpoch < startEpoch) return false;
-            if (endEpoch !== Infinity && record.contributionEpoch > endEpoch) return false;
-            return true;
-        });
+        return {
+            committee: document.getElementById('filterCommittee').value.trim().toLowerCase(),
+            state: document.getElementById('filterState').value.trim().toUpperCase(),
+            employer: document.getElementById('filterEmployer').value.trim().toLowerCase(),
+            occupation: document.getElementById('filterOccupation').value.trim().toLowerCase(),
+            zip: document.getElementById('filterZip').value.replace(/[^0-9]/g, ''),
+            radiusMiles: parseFloat(document.getElementById('filterRadius').value) || 0,
+            minAmount: isNaN(minAmount) ? -Infinity : minAmount,
+            maxAmount: isNaN(maxAmount) ? Infinity : maxAmount,
+            // Parse date filters
+            startEpoch: startDate ? Utils.parseFecDate(startDate).epoch : -Infinity,
+            endEpoch: endDate ? Utils.parseFecDate(endDate).epoch : Infinity,
+            importId: this.importId,
+            donorIds: this.scope ? this.scope.donorIds : null,
+            tagId: document.getElementById('filterTag').value,
+            donorTag: document.getElementById('filterDonorTag').value,
+            noContactDays: parseInt(document.getElementById('filterNoContactDays').value) || 0,
+            sortBy: document.getElementById('sortBy').value
+        };
+    },
 
-        // Sort records using numeric comparison for dates
-        this.filteredRecords.sort((a, b) => {
-            switch(sortBy) {
-                case 'date-desc':
-                    return b.contributionEpoch - a.contributionEpoch;
-                case 'date-asc':
-                    return a.contributionEpoch - b.contributionEpoch;
-                case 'amount-desc':
-                    return b.amount - a.amount;
-                case 'amount-asc':
-                    return a.amount - b.amount;
-                case 'name-asc':
-                    // Sort by last name first, then first name
-                    const lastCompare = a.lastName.localeCompare(b.lastName);
-                    return lastCompare !== 0 ? lastCompare : a.firstName.localeCompare(b.firstName);
-                case 'name-desc':
-                    // Sort by last name first (descending), then first name
-                    const lastCompareDesc = b.lastName.localeCompare(a.lastName);
-                    return lastCompareDesc !== 0 ? lastCompareDesc : b.firstName.localeCompare(a.firstName);
-                case 'committee-asc':
-                    return a.candidateName.localeCompare(b.candidateName);
-                default:
-                    return 0;
+    /**
+     * Apply filters and sorting to records
+     * Only the summary is computed here; pages are loaded on demand
+     */
+    async applyFilters() {
+        const criteria = this.readCriteria();
+        if (criteria.radiusMiles > 0) {
+            try {
+                criteria.zipCodes = await Geo.findZipsWithin(criteria.zip, criteria.radiusMiles);
+            } catch (error) {
+                alert(error.message);
+                return;
             }
-        });
+        }
+
+        this.criteria = criteria;
+        if (this.criteria.tagId) {
+            this.criteria.committeeKeys = await Tags.getCommitteeKeys(this.criteria.tagId);
+        }
+        if (this.criteria.donorTag) {
+            const tagged = await Database.getDonorIdsByTag(this.criteria.donorTag);
+            const allowed = this.criteria.donorIds ? new Set(this.criteria.donorIds) : null;
+            this.criteria.donorIds = allowed ? tagged.filter(id => allowed.has(id)) : tagged;
+        }
+        if (this.criteria.noContactDays > 0) {
+            this.criteria.excludeDonorIds = await Notes.getRecentlyContacted(this.criteria.noContactDays);
+        }
+        if (this.scope && this.scope.committeeKeys) {
+            const scopeKeys = new Set(this.scope.committeeKeys);
+            this.criteria.committeeKeys = this.criteria.committeeKeys
+                ? this.criteria.committeeKeys.filter(key => scopeKeys.has(key))
+                : [...scopeKeys];
+        }
+        this.pageSize = document.getElementById('pageSize').value;
 
-        const totalAmount = this.filteredRecords.reduce((sum, r) => sum + r.amount, 0);
-        document.getElementById('browseTotal').textContent = `• Total: $${totalAmount.toLocaleString('en-US', {minimumFractionDigits: 2})}`;
+        const summary = await Database.summarizeQuery(this.criteria);
+        this.totalCount = summary.count;
+
+        const source = (this.importId ? ` • from ${this.importLabel}` : '') + (this.scope ? ` • ${this.scope.label}` : '');
+        document.getElementById('browseTotal').textContent = `${source} • ${summary.donors.toLocaleString()} donor${summary.donors === 1 ? '' : 's'} • Total: $${summary.amount.toLocaleString('en-US', {minimumFractionDigits: 2})}`;
 
         this.currentPageNum = 1;
-        this.displayBrowseResults();
+        await this.displayBrowseResults();
+        await Dashboard.refresh();
+    },
+
+    /**
+     * Load the records the dashboard summarizes: the applied filters' result
+     * set, or everything when no filters are applied
+     * @returns {Promise<Array>} - Records
+     */
+    async getDashboardRecords() {
+        return this.criteria ? await Database.queryRecords(this.criteria) : await Database.getAllRecords();
+    },
+
+    /**
+     * Narrow the applied filters (dashboard drill-down) and show the results
+     * @param {Object} criteria - Any of {committee, state, employer, occupation, zip, minAmount,
+     *                            maxAmount, startDate, endDate, tagId, donorId, donorLabel}
+     */
+    async drillDown(criteria) {
+        const inputs = {
+            committee: 'filterCommittee',
+            state: 'filterState',
+            employer: 'filterEmployer',
+            occupation: 'filterOccupation',
+            zip: 'filterZip',
+            minAmount: 'filterMinAmount',
+            maxAmount: 'filterMaxAmount',
+            startDate: 'filterStartDate',
+            endDate: 'filterEndDate',
+            tagId: 'filterTag'
+        };
+
+        Object.entries(criteria).forEach(([key, value]) => {
+            if (inputs[key]) document.getElementById(inputs[key]).value = value;
+        });
+        if (criteria.zip !== undefined) {
+            // A clicked ZIP area is a prefix, not the center of a radius search
+            document.getElementById('filterRadius').value = '';
+        }
+        if (criteria.donorId) {
+            const label = `donor ${criteria.donorLabel || ''}`;
+            this.scope = {
+                ...this.scope,
+                label: this.scope ? `${this.scope.label} • ${label}` : label,
+                donorIds: [criteria.donorId]
+            };
+        }
+
+        await this.showResults();
+    },
+
+    /**
+     * Open the filter form, apply the filters and scroll to the results
+     */
+    async showResults() {
+        if (document.getElementById('filterForm').style.display === 'none') {
+            this.toggleFilters();
+        }
+
+        await this.applyFilters();
+        document.querySelector('.main-filter').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    /**
+     * Fill the tag filter with the current tags, keeping the selection if it still exists
+     */
+    async renderTagOptions() {
+        const select = document.getElementById('filterTag');
+        const selected = select.value;
+        const { tags } = await Tags.load();
+
+        select.innerHTML = '<option value="">Any tag</option>' + tags.map(tag =>
+            `<option value="${Utils.escapeHtml(tag.id)}">${Utils.escapeHtml(tag.name)}</option>`
+        ).join('');
+        select.value = tags.some(tag => tag.id === selected) ? selected : '';
+    },
+
+    /**
+     * Fill the donor tag filter with the tags in use, keeping the selection if it still exists
+     */
+    async renderDonorTagOptions() {
+        const select = document.getElementById('filterDonorTag');
+        const selected = select.value;
+        const tags = await Database.getDonorTags();
+
+        select.innerHTML = '<option value="">Any donor</option>' + tags.map(tag =>
+            `<option value="${Utils.escapeHtml(tag)}">${Utils.escapeHtml(tag)}</option>`
+        ).join('');
+        select.value = tags.includes(selected) ? selected : '';
+    },
+
+    /**
+     * Browse the records added by one import batch
+     * The restriction stays in place until filters are cleared
+     * @param {string} importId - Import batch ID
+     * @param {string} label - Description shown in the result summary
+     */
+    async showImport(importId, label) {
+        await this.clearFilters();
+        this.importId = importId;
+        this.importLabel = label;
+        await this.showResults();
+    },
+
+    /**
+     * Browse the contributions of a set of donors, optionally only those to
+     * some committees (overlap lists)
+     * The restriction stays in place until filters are cleared
+     * @param {Object} scope - {label, donorIds, committeeKeys?}; label is shown in the result summary
+     */
+    async showScope(scope) {
+        await this.clearFilters();
+        this.scope = scope;
+        await this.showResults();
+    },
+
+    /**
+     * Get the number of records per page
+     * @returns {number} - Page size (Infinity for "all")
+     */
+    getPageSize() {
+        return this.pageSize === 'all' ? Infinity : parseInt(this.pageSize);
+    },
+
+    /**
+     * Load every record in the current result set (for export and bulk actions)
+     * @returns {Promise<Array>} - Records in sort order
+     */
+    async getFilteredRecords() {
+        return this.criteria ? await Database.queryRecords(this.criteria) : [];
     },
 
     /**
      * Display paginated browse results
      */
-    displayBrowseResults() {
+    async displayBrowseResults() {
         const container = document.getElementById('browseContainer');
 
-        if (this.filteredRecords.length === 0) {
+        if (this.totalCount === 0) {
             container.innerHTML = '<div class="no-results">No contributions match your filters</div>';
             document.getElementById('pagination').style.display = 'none';
             document.getElementById('browseCount').textContent = '0';
             return;
         }
 
-        document.getElementById('browseCount').textContent = this.filteredRecords.length.toLocaleString();
+        document.getElementById('browseCount').textContent = this.totalCount.toLocaleString();
 
-        const actualPageSize = this.pageSize === 'all' ? this.filteredRecords.length : parseInt(this.pageSize);
-        const totalPages = Math.ceil(this.filteredRecords.length / actualPageSize);
-        const startIdx = (this.currentPageNum - 1) * actualPageSize;
-        const endIdx = Math.min(startIdx + actualPageSize, this.filteredRecords.length);
-        const pageRecords = this.filteredRecords.slice(startIdx, endIdx);
+        const actualPageSize = this.getPageSize();
+        const totalPages = actualPageSize === Infinity ? 1 : Math.ceil(this.totalCount / actualPageSize);
+        const startIdx = (this.currentPageNum - 1) * (actualPageSize === Infinity ? 0 : actualPageSize);
+        const pageRecords = await Database.queryPage(this.criteria, startIdx, actualPageSize);
 
         if (this.pageSize !== 'all' && totalPages > 1) {
             document.getElementById('pagination').style.display = 'flex';
@@ -107,21 +263,28 @@ const Filters = {
             document.getElementById('pagination').style.display = 'none';
         }
 
+        // Resolved donors for showing the canonical name next to variant spellings
+        const donorIds = [...new Set(pageRecords.map(r => r.donorId).filter(Boolean))];
+        const donorMap = new Map((await Database.getDonors(donorIds)).map(d => [d.id, d]));
+        const tagData = await Tags.load();
+
         // Build results using XSS-safe escaping
         let html = '';
         pageRecords.forEach(record => {
             const isRefund = record.isRefund || record.amount < 0;
             const fullName = record.firstName + ' ' + record.lastName;
+            const donor = donorMap.get(record.donorId);
+            const donorName = donor ? Donors.getDisplayName(donor) : fullName;
             html += `
             <div class="result-item" style="margin-bottom: 10px;">
                 <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 8px; flex-wrap: wrap; gap: 8px;">
-                    <div class="donor-name">${Utils.escapeHtml(fullName)}${isRefund ? ' <span class="refund-badge">REFUND</span>' : ''}</div>
+                    <div class="donor-name">${donor ? `<a href="#donor/${encodeURIComponent(donor.id)}" style="color: inherit; text-decoration: none;">${Utils.escapeHtml(donorName)}</a>` : Utils.escapeHtml(donorName)}${isRefund ? ' <span class="refund-badge">REFUND</span>' : ''}${donorName.toLowerCase() !== fullName.toLowerCase() ? `<div style="font-size: 12px; font-weight: 500; color: #a0aec0;">as ${Utils.escapeHtml(fullName)}</div>` : ''}</div>
                     <div style="font-size: 18px; font-weight: 700; color: #174A57;">$${Math.abs(record.amount).toLocaleString('en-US', {minimumFractionDigits: 2})}</div>
                 </div>
                 <div class="donation-info">
                     <div class="info-item">
                         <div class="info-label">Committee</div>
-                        <div class="info-value">${Utils.escapeHtml(record.candidateName)}</div>
+                        <div class="info-value">${Utils.escapeHtml(record.candidateName)}${Tags.renderBadges(Tags.getRecordTags(record, tagData))}</div>
                     </div>
                     <div class="info-item">
                         <div class="info-label">Date</div>
@@ -144,8 +307,8 @@ const Filters = {
                     </div>`;
             }
 
-            if (record.city || record.state) {
-                const loc = `${record.city || ''}${record.city && record.state ? ', ' : ''}${record.state || ''}`;
+            const loc = Utils.formatLocation(record);
+            if (loc) {
                 html += `
                     <div class="info-item">
                         <div class="info-label">Location</div>
@@ -154,7 +317,8 @@ const Filters = {
             }
 
             html += `
-                    <div class="info-item">
+                    <div class="info-item record-actions">
+                        <button class="edit-btn" onclick="UI.openEditModal('${record.id}')">Edit</button>
                         <button class="delete-btn" onclick="App.deleteRecord('${record.id}')">Delete</button>
                     </div>
                 </div>
@@ -164,72 +328,94 @@ const Filters = {
         container.innerHTML = html;
     },
 
+    /**
+     * Refresh whatever shows filtered data after records change
+     * (the browse results, or the dashboard when no filters are applied)
+     */
+    async refreshResults() {
+        if (this.isActive()) {
+            await this.applyFilters();
+        } else {
+            await Dashboard.refresh();
+        }
+    },
+
     /**
      * Clear all filter inputs
      */
-    clearFilters() {
+    async clearFilters() {
         document.getElementById('filterCommittee').value = '';
         document.getElementById('filterState').value = '';
         document.getElementById('filterEmployer').value = '';
         document.getElementById('filterOccupation').value = '';
+        document.getElementById('filterZip').value = '';
+        document.getElementById('filterRadius').value = '';
         document.getElementById('filterMinAmount').value = '';
         document.getElementById('filterMaxAmount').value = '';
         document.getElementById('filterStartDate').value = '';
         document.getElementById('filterEndDate').value = '';
+        document.getElementById('filterTag').value = '';
+        document.getElementById('filterDonorTag').value = '';
+        document.getElementById('filterNoContactDays').value = '';
         document.getElementById('sortBy').value = 'date-desc';
+        this.criteria = null;
+        this.totalCount = 0;
+        this.importId = null;
+        this.importLabel = '';
+        this.scope = null;
         document.getElementById('browseContainer').innerHTML = '<div class="no-results">Click "Apply Filters" to browse</div>';
         document.getElementById('browseCount').textContent = '0';
         document.getElementById('browseTotal').textContent = '';
         document.getElementById('pagination').style.display = 'none';
+        await Dashboard.refresh();
     },
 
     /**
      * Export filtered results to CSV
      */
-    exportFiltered() {
-        if (this.filteredRecords.length === 0) {
+    async exportFiltered() {
+        const records = await this.getFilteredRecords();
+        if (records.length === 0) {
             alert('No filtered records to export. Please apply filters first.');
             return;
         }
 
-        // UTF-8 BOM for Excel compatibility
-        let csv = '\uFEFF';
-        // Use FEC-style headers for seamless re-import (include importHash for deduplication)
-        csv += 'contributor_first_name,contributor_last_name,committee_name,contribution_receipt_date,contribution_receipt_amount,contributor_employer,contributor_occupation,contributor_city,contributor_state,import_hash\n';
+        ImportExport.downloadCsv(records, 'donordex-filtered');
+    },
 
-        this.filteredRecords.forEach(record => {
-            csv += `${Utils.escapeCsvField(record.firstName)},${Utils.escapeCsvField(record.lastName)},${Utils.escapeCsvField(record.candidateName)},${Utils.escapeCsvField(record.contributionDate)},${Utils.escapeCsvField(record.amount)},${Utils.escapeCsvField(record.employer)},${Utils.escapeCsvField(record.occupation)},${Utils.escapeCsvField(record.city)},${Utils.escapeCsvField(record.state)},${Utils.escapeCsvField(record.importHash || '')}\n`;
-        });
+    /**
+     * Add the donors in the filtered results to a prospect list
+     */
+    async addToProspectList() {
+        const records = await this.getFilteredRecords();
+        if (records.length === 0) {
+            alert('No filtered records. Please apply filters first.');
+            return;
+        }
 
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        const timestamp = Utils.getTimestamp();
-        a.download = `donordex-filtered-${timestamp}.csv`;
-        a.click();
-        window.URL.revokeObjectURL(url);
+        const donorIds = [...new Set(records.map(r => r.donorId).filter(Boolean))];
+        await Prospects.addDonorsToList(donorIds, `${donorIds.length.toLocaleString()} donor${donorIds.length === 1 ? '' : 's'} from these results`);
     },
 
     /**
      * Go to previous page
      */
-    previousPage() {
+    async previousPage() {
         if (this.currentPageNum > 1) {
             this.currentPageNum--;
-            this.displayBrowseResults();
+            await this.displayBrowseResults();
         }
     },
 
     /**
      * Go to next page
      */
-    nextPage() {
-        const actualPageSize = this.pageSize === 'all' ? this.filteredRecords.length : parseInt(this.pageSize);
-        const totalPages = Math.ceil(this.filteredRecords.length / actualPageSize);
+    async nextPage() {
+        const actualPageSize = this.getPageSize();
+        const totalPages = actualPageSize === Infinity ? 1 : Math.ceil(this.totalCount / actualPageSize);
         if (this.currentPageNum < totalPages) {
             this.currentPageNum++;
-            this.displayBrowseResults();
+            await this.displayBrowseResults();
         }
     },
 
@@ -0,0 +1,182 @@
+/**
+ * DonorDex ZIP Geography
+ * ZIP code centroids for radius filters. The app ships a table built from
+ * the Census Bureau's 2020 ZCTA Gazetteer (data/zip-centroids.json, cached
+ * by the service worker), so distance filters work offline from the start.
+ * A Gazetteer file or any CSV of zip, latitude, longitude can be loaded to
+ * override it; that table is kept in IndexedDB.
+ * DOM-free.
+ */
+
+const Geo = {
+    EARTH_RADIUS_MILES: 3958.8,
+
+    // Built-in centroid table (rebuilt with tools/build-geo-data.js)
+    BUILT_IN_URL: 'data/zip-centroids.json',
+
+    // Centroids in use (5-digit ZIP → {zip, lat, lon}), loaded on first use
+    centroids: null,
+
+    // Header names accepted for each column (Gazetteer names first)
+    CENTROID_COLUMNS: {
+        zip: ['geoid', 'zcta5', 'zcta', 'zip', 'zipcode', 'zip_code', 'postal_code'],
+        lat: ['intptlat', 'latitude', 'lat'],
+        lon: ['intptlong', 'longitude', 'lng', 'lon', 'long']
+    },
+
+    // Centroids written per transaction while loading
+    SAVE_BATCH_SIZE: 5000,
+
+    /**
+     * Parse a centroid file
+     * The Gazetteer file is tab-delimited; comma and pipe delimited files
+     * with a header row are accepted too
+     * @param {string} text - File text
+     * @returns {Object} - {centroids: Array<{zip, lat, lon}>, skipped}
+     */
+    parseCentroids(text) {
+        const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+        const delimiter = ['\t', '|', ','].find(d => firstLine.includes(d)) || ',';
+        const parser = Utils.createCsvParser(delimiter, delimiter === ',');
+        const [header = [], ...rows] = [...parser.push(text), ...parser.end()];
+
+        const headers = header.map(h => h.replace(/^\uFEFF/, '').toLowerCase().trim());
+        const column = field => this.CENTROID_COLUMNS[field]
+            .map(name => headers.indexOf(name))
+            .find(index => index !== -1) ?? -1;
+        const columns = { zip: column('zip'), lat: column('lat'), lon: column('lon') };
+        if (Object.values(columns).includes(-1)) {
+            throw new Error('Expected columns for ZIP, latitude and longitude (for example the Census ZCTA Gazetteer file).');
+        }
+
+        const centroids = [];
+        let skipped = 0;
+        rows.forEach(fields => {
+            const zip = Utils.normalizeZip(fields[columns.zip]).slice(0, 5);
+            const lat = parseFloat(fields[columns.lat]);
+            const lon = parseFloat(fields[columns.lon]);
+            if (/^\d{5}$/.test(zip) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+                centroids.push({ zip, lat, lon });
+            } else {
+                skipped++;
+            }
+        });
+
+        return { centroids, skipped };
+    },
+
+    /**
+     * Replace the stored centroid table from a file
+     * @param {Blob} source - Centroid file
+     * @returns {Promise<Object>} - {loaded, skipped}
+     */
+    async loadCentroidFile(source) {
+        const { centroids, skipped } = this.parseCentroids(await source.text());
+        if (centroids.length === 0) {
+            throw new Error('No ZIP centroids found in this file.');
+        }
+
+        await Database.clearZipCentroids();
+        for (let i = 0; i < centroids.length; i += this.SAVE_BATCH_SIZE) {
+            await Database.putZipCentroids(centroids.slice(i, i + this.SAVE_BATCH_SIZE));
+        }
+        this.centroids = null;
+        return { loaded: centroids.length, skipped };
+    },
+
+    /**
+     * Drop a loaded centroid table and go back to the built-in one
+     * @returns {Promise<void>}
+     */
+    async useBuiltInCentroids() {
+        await Database.clearZipCentroids();
+        this.centroids = null;
+    },
+
+    /**
+     * Decode the built-in centroid table
+     * ZIPs and coordinates are delta-encoded integers (coordinates scaled)
+     * @param {Object} data - {format, scale, zip, lat, lon}
+     * @returns {Array<Object>} - {zip, lat, lon}
+     */
+    decodeCentroids(data) {
+        if (!data || data.format !== 'donordex-zip-centroids') {
+            throw new Error('The built-in ZIP centroid table is not valid.');
+        }
+        const centroids = [];
+        let zip = 0;
+        let lat = 0;
+        let lon = 0;
+        for (let i = 0; i < data.zip.length; i++) {
+            zip += data.zip[i];
+            lat += data.lat[i];
+            lon += data.lon[i];
+            centroids.push({ zip: String(zip).padStart(5, '0'), lat: lat / data.scale, lon: lon / data.scale });
+        }
+        return centroids;
+    },
+
+    /**
+     * Get the centroids in use: the loaded table if there is one, otherwise the built-in one
+     * @returns {Promise<Map>} - 5-digit ZIP → {zip, lat, lon}
+     */
+    async getCentroids() {
+        if (!this.centroids) {
+            let centroids;
+            if (await Database.countZipCentroids() > 0) {
+                centroids = await Database.getAllZipCentroids();
+            } else {
+                const response = await fetch(this.BUILT_IN_URL);
+                if (!response.ok) {
+                    throw new Error('The built-in ZIP centroid table could not be loaded.');
+                }
+                centroids = this.decodeCentroids(await response.json());
+            }
+            this.centroids = new Map(centroids.map(c => [c.zip, c]));
+        }
+        return this.centroids;
+    },
+
+    /**
+     * Great-circle distance between two points
+     * @param {Object} a - {lat, lon}
+     * @param {Object} b - {lat, lon}
+     * @returns {number} - Miles
+     */
+    distanceMiles(a, b) {
+        const rad = degrees => degrees * Math.PI / 180;
+        const dLat = rad(b.lat - a.lat);
+        const dLon = rad(b.lon - a.lon);
+        const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * this.EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+    },
+
+    /**
+     * Find the ZIP codes whose centroids are within a distance of a ZIP's centroid
+     * @param {string} zip - Center ZIP (the first 5 digits are used)
+     * @param {number} miles - Radius in miles
+     * @returns {Promise<Set<string>>} - 5-digit ZIP codes, including the center
+     */
+    async findZipsWithin(zip, miles) {
+        const zip5 = Utils.normalizeZip(zip).slice(0, 5);
+        if (!/^\d{5}$/.test(zip5)) {
+            throw new Error('Enter a 5-digit ZIP code to search around.');
+        }
+        const centroids = await this.getCentroids();
+        const center = centroids.get(zip5);
+        if (!center) {
+            throw new Error(`ZIP ${zip5} is not in the ZIP centroid table.`);
+        }
+
+        // Skip by latitude first, then measure
+        const latRange = miles / (this.EARTH_RADIUS_MILES * Math.PI / 180);
+        const zips = new Set();
+        centroids.forEach(c => {
+            if (Math.abs(c.lat - center.lat) <= latRange && this.distanceMiles(center, c) <= miles) zips.add(c.zip);
+        });
+        return zips;
+    }
+};
+
+// Export for use in other modules
+window.Geo = Geo;
@@ -0,0 +1,407 @@
+/**
+ * DonorDex Giving Map
+ * Where the money comes from, for the contributions matching the current
+ * Browse filters, by state or by 3-digit ZIP area. Drawn as SVG from the
+ * outlines bundled in data/us-map.json (see tools/build-geo-data.js), so it
+ * works offline. ZIP areas there are approximate, built from ZIP centroids.
+ * Two tag groups (our side and the opposition) can be shown side by side on
+ * the same color scale.
+ */
+
+const GivingMap = {
+    SHAPES_URL: 'data/us-map.json',
+
+    METRICS: {
+        total: 'Net dollars',
+        donors: 'Donors',
+        average: 'Average gift'
+    },
+
+    // Fill colors, lightest to darkest; regions with no giving use EMPTY_COLOR
+    COLOR_SCALE: ['#d7e8ec', '#a6cad3', '#6fa5b3', '#3b7585', '#174A57'],
+    EMPTY_COLOR: '#edf2f7',
+
+    // Regions listed in the comparison table
+    TABLE_COUNT: 15,
+
+    // Contributions matching the Browse filters
+    records: [],
+    tagData: null,
+
+    // Map outlines: {width, height, state, zip3} with SVG paths by region key (loaded on first use)
+    shapes: null,
+
+    // Chosen view: {metric, level, tagId, compareTagId} (null until first opened)
+    options: null,
+
+    // Filter criteria for each clickable region, by index
+    drillTargets: [],
+
+    /**
+     * Load the contributions and tags, then draw the map
+     */
+    async refresh() {
+        const container = document.getElementById('givingMapContent');
+        container.innerHTML = '<div class="no-results">Calculating...</div>';
+
+        let records, tagData;
+        try {
+            [records, tagData] = await Promise.all([Filters.getDashboardRecords(), Tags.load(), this.loadShapes()]);
+        } catch (error) {
+            container.innerHTML = `<div class="no-results">${Utils.escapeHtml(error.message)}</div>`;
+            return;
+        }
+        this.records = records;
+        this.tagData = tagData;
+
+        if (!this.options) {
+            // Start with our side against the opposition when those tags exist
+            const [team, scoring] = await Promise.all([Database.getTagBySlug('team'), Prospects.loadScoring()]);
+            this.options = {
+                metric: 'total',
+                level: 'state',
+                tagId: team ? team.id : '',
+                compareTagId: scoring.oppositionTagId || ''
+            };
+        }
+        const tagIds = new Set(tagData.tags.map(tag => tag.id));
+        if (!tagIds.has(this.options.tagId)) this.options.tagId = '';
+        if (!tagIds.has(this.options.compareTagId)) this.options.compareTagId = '';
+
+        this.renderControls();
+        this.render();
+    },
+
+    /**
+     * Load the map outlines
+     * @returns {Promise<Object>} - {width, height, state, zip3}
+     */
+    async loadShapes() {
+        if (!this.shapes) {
+            const response = await fetch(this.SHAPES_URL);
+            if (!response.ok) {
+                throw new Error('The map outlines could not be loaded.');
+            }
+            const data = await response.json();
+            if (data.format !== 'donordex-us-map') {
+                throw new Error('The map outlines file is not valid.');
+            }
+            this.shapes = data;
+        }
+        return this.shapes;
+    },
+
+    /**
+     * Fill in the view pickers
+     */
+    renderControls() {
+        const tagOptions = (noneLabel, selected) => [
+            `<option value="">${noneLabel}</option>`,
+            ...this.tagData.tags.map(tag => `<option value="${Utils.escapeHtml(tag.id)}" ${tag.id === selected ? 'selected' : ''}>${Utils.escapeHtml(tag.name)}</option>`)
+        ].join('');
+
+        document.getElementById('givingMapMetric').innerHTML = Object.entries(this.METRICS)
+            .map(([key, label]) => `<option value="${key}" ${key === this.options.metric ? 'selected' : ''}>${label}</option>`)
+            .join('');
+        document.getElementById('givingMapLevel').innerHTML = `
+            <option value="state" ${this.options.level === 'state' ? 'selected' : ''}>By state</option>
+            <option value="zip3" ${this.options.level === 'zip3' ? 'selected' : ''}>By 3-digit ZIP</option>`;
+        document.getElementById('givingMapTag').innerHTML = tagOptions('All committees', this.options.tagId);
+        document.getElementById('givingMapCompareTag').innerHTML = tagOptions('No comparison', this.options.compareTagId);
+    },
+
+    /**
+     * Read the view pickers and redraw
+     */
+    update() {
+        this.options = {
+            metric: document.getElementById('givingMapMetric').value,
+            level: document.getElementById('givingMapLevel').value,
+            tagId: document.getElementById('givingMapTag').value,
+            compareTagId: document.getElementById('givingMapCompareTag').value
+        };
+        this.render();
+    },
+
+    /**
+     * Get the region a record is counted in
+     * @param {Object} record - Contribution record
+     * @param {string} level - state or zip3
+     * @returns {string} - Region key ('' if unknown)
+     */
+    getRegion(record, level) {
+        if (level === 'zip3') {
+            return /^\d{5}/.test(record.zip || '') ? record.zip.slice(0, 3) : '';
+        }
+        return (record.state || '').trim().toUpperCase();
+    },
+
+    /**
+     * Total up giving by region
+     * Amounts are net of refunds; the average uses gifts only
+     * @param {Array} records - Contribution records
+     * @param {string} level - state or zip3
+     * @returns {Map} - Region key → {key, total, donors, average}
+     */
+    summarize(records, level) {
+        const sums = new Map();
+        records.forEach(record => {
+            const key = this.getRegion(record, level);
+            if (!key) return;
+            if (!sums.has(key)) sums.set(key, { key, total: 0, donors: new Set(), giftTotal: 0, gifts: 0 });
+
+            const sum = sums.get(key);
+            const net = Compliance.netAmount(record);
+            sum.total += net;
+            sum.donors.add(record.donorId || `${record.firstName} ${record.lastName}`);
+            if (net > 0) {
+                sum.giftTotal += net;
+                sum.gifts++;
+            }
+        });
+
+        return new Map([...sums].map(([key, sum]) => [key, {
+            key,
+            total: Math.round(sum.total * 100) / 100,
+            donors: sum.donors.size,
+            average: sum.gifts > 0 ? Math.round(sum.giftTotal / sum.gifts * 100) / 100 : 0
+        }]));
+    },
+
+    /**
+     * Split values into color classes with about as many regions in each
+     * @param {Array<number>} values - Region values (zero and negative values are left uncolored)
+     * @returns {Array<number>} - Upper bounds of each class but the last, ascending
+     */
+    computeBreaks(values) {
+        const sorted = values.filter(v => v > 0).sort((a, b) => a - b);
+        if (sorted.length === 0) return [];
+
+        const classes = this.COLOR_SCALE.length;
+        const breaks = [];
+        for (let i = 1; i < classes; i++) {
+            breaks.push(sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * i / classes))]);
+        }
+        // Drop repeated and top bounds so every class has regions
+        return [...new Set(breaks)].filter(b => b < sorted[sorted.length - 1]);
+    },
+
+    /**
+     * Pick a region's fill color
+     * @param {number} value - Region value
+     * @param {Array<number>} breaks - Result of computeBreaks
+     * @returns {string} - Hex color
+     */
+    colorFor(value, breaks) {
+        if (!(value > 0)) return this.EMPTY_COLOR;
+        const colors = this.COLOR_SCALE.slice(this.COLOR_SCALE.length - breaks.length - 1);
+        return colors[breaks.filter(b => value > b).length];
+    },
+
+    /**
+     * Format a metric value
+     * @param {number} value - Value
+     * @param {string} metric - total, donors or average
+     * @returns {string} - Display text
+     */
+    formatValue(value, metric) {
+        if (metric === 'donors') return value.toLocaleString();
+        return (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { maximumFractionDigits: 0 });
+    },
+
+    /**
+     * Describe a region for its tooltip
+     * @param {string} label - Region name
+     * @param {Object|undefined} region - Summary entry
+     * @returns {string} - Tooltip text
+     */
+    describe(label, region) {
+        if (!region) return `${label}: no contributions`;
+        return `${label}: ${this.formatValue(region.total, 'total')} net • ${region.donors.toLocaleString()} donor${region.donors === 1 ? '' : 's'} • ${this.formatValue(region.average, 'average')} average gift`;
+    },
+
+    /**
+     * Register filter criteria for a clickable region
+     * @param {Object} criteria - Criteria for Filters.drillDown
+     * @returns {number} - Index to pass to drill
+     */
+    addDrillTarget(criteria) {
+        this.drillTargets.push(criteria);
+        return this.drillTargets.length - 1;
+    },
+
+    /**
+     * Narrow the Browse filters to a clicked region
+     * @param {number} index - Drill target index
+     */
+    async drill(index) {
+        const criteria = this.drillTargets[index];
+        if (!criteria) return;
+        UI.closeGivingMapModal();
+        await Filters.drillDown(criteria);
+    },
+
+    /**
+     * Draw the map (two side by side when comparing tags)
+     */
+    render() {
+        const container = document.getElementById('givingMapContent');
+        this.drillTargets = [];
+
+        if (this.records.length === 0) {
+            container.innerHTML = `<div class="no-results">${Filters.isActive() ? 'No contributions match your filters' : 'No contributions yet'}</div>`;
+            return;
+        }
+
+        const { metric, level, tagId, compareTagId } = this.options;
+        const tagsById = new Map(this.tagData.tags.map(tag => [tag.id, tag]));
+        const panels = [tagId, ...(compareTagId ? [compareTagId] : [])].map(id => {
+            const records = id
+                ? this.records.filter(record => Tags.getRecordTags(record, this.tagData).some(tag => tag.id === id))
+                : this.records;
+            return {
+                tagId: id,
+                title: id ? tagsById.get(id).name : 'All committees',
+                color: id ? tagsById.get(id).color : '#174A57',
+                regions: this.summarize(records, level)
+            };
+        });
+
+        // One scale for every panel so the colors compare
+        const breaks = this.computeBreaks(panels.flatMap(panel => [...panel.regions.values()].map(region => region[metric])));
+
+        container.innerHTML = `
+            <div class="help-text" style="margin: 0 0 12px;">${Filters.isActive() ? 'Showing contributions matching the Browse filters.' : 'Showing all contributions. Apply Browse filters to narrow the map.'} Click a ${level === 'zip3' ? 'ZIP area' : 'state'} to filter Browse by it.</div>
+            <div style="display: flex; gap: 20px; flex-wrap: wrap;">
+                ${panels.map(panel => `
+                    <div style="flex: 1; min-width: 280px;">
+                        <h4 style="margin-bottom: 8px; color: ${Utils.escapeHtml(panel.color)};">${Utils.escapeHtml(panel.title)}</h4>
+                        ${this.renderMap(panel, metric, breaks, level)}
+                        ${this.renderOther(panel, metric, level)}
+                    </div>
+                `).join('')}
+            </div>
+            ${this.renderLegend(breaks, metric)}
+            ${this.renderTable(panels, metric, level)}
+        `;
+    },
+
+    /**
+     * Draw the map: every state or ZIP area, filled by its value
+     * ZIP areas get the state borders drawn over them
+     * @param {Object} panel - {tagId, regions}
+     * @param {string} metric - Metric shown
+     * @param {Array<number>} breaks - Color classes
+     * @param {string} level - state or zip3
+     * @returns {string} - SVG markup
+     */
+    renderMap(panel, metric, breaks, level) {
+        const { width, height } = this.shapes;
+        const areas = Object.entries(this.shapes[level]).map(([key, path]) => {
+            const region = panel.regions.get(key);
+            const target = this.addDrillTarget({ [level === 'zip3' ? 'zip' : 'state']: key, ...(panel.tagId ? { tagId: panel.tagId } : {}) });
+            return `
+                <path d="${path}" fill="${this.colorFor(region ? region[metric] : 0, breaks)}" style="cursor: pointer;" onclick="GivingMap.drill(${target})">
+                    <title>${Utils.escapeHtml(this.describe(level === 'zip3' ? `ZIP ${key}xx` : key, region))}</title>
+                </path>`;
+        }).join('');
+        const borders = level === 'zip3'
+            ? `<path d="${Object.values(this.shapes.state).join('')}" fill="none" stroke="#4a5568" stroke-width="0.75" pointer-events="none"></path>`
+            : '';
+
+        return `
+            <svg class="giving-map" viewBox="0 0 ${width} ${height}" role="img" aria-label="Giving by ${level === 'zip3' ? '3-digit ZIP' : 'state'}">
+                <g stroke="white" stroke-width="${level === 'zip3' ? 0.25 : 0.75}" stroke-linejoin="round">${areas}</g>
+                ${borders}
+            </svg>`;
+    },
+
+    /**
+     * List regions with giving that the map cannot place
+     * (territories, military mail and foreign states, and their ZIP areas)
+     * @param {Object} panel - {tagId, regions}
+     * @param {string} metric - Metric shown
+     * @param {string} level - state or zip3
+     * @returns {string} - HTML
+     */
+    renderOther(panel, metric, level) {
+        const others = [...panel.regions.values()]
+            .filter(region => !this.shapes[level][region.key])
+            .sort((a, b) => b[metric] - a[metric]);
+        if (others.length === 0) return '';
+
+        return `
+            <div style="margin-top: 8px; font-size: 12px; color: #4a5568; display: flex; flex-wrap: wrap; gap: 6px; align-items: center;">
+                <span>Other:</span>
+                ${others.map(region => {
+                    const target = this.addDrillTarget({ [level === 'zip3' ? 'zip' : 'state']: region.key, ...(panel.tagId ? { tagId: panel.tagId } : {}) });
+                    const label = level === 'zip3' ? `${region.key}xx` : region.key;
+                    return `<span class="donor-tag" style="cursor: pointer; margin: 0;" onclick="GivingMap.drill(${target})" title="${Utils.escapeHtml(this.describe(label, region))}">${Utils.escapeHtml(label)} ${this.formatValue(region[metric], metric)}</span>`;
+                }).join('')}
+            </div>`;
+    },
+
+    /**
+     * Draw the color key
+     * @param {Array<number>} breaks - Color classes
+     * @param {string} metric - Metric shown
+     * @returns {string} - HTML
+     */
+    renderLegend(breaks, metric) {
+        const colors = this.COLOR_SCALE.slice(this.COLOR_SCALE.length - breaks.length - 1);
+        const format = value => this.formatValue(value, metric);
+        const labels = colors.map((color, i) => {
+            if (breaks.length === 0) return `> ${format(0)}`;
+            if (i === 0) return `≤ ${format(breaks[0])}`;
+            if (i === breaks.length) return `> ${format(breaks[i - 1])}`;
+            return `${format(breaks[i - 1])} – ${format(breaks[i])}`;
+        });
+        const swatch = (color, label) => `
+            <span style="display: inline-flex; align-items: center; gap: 4px;">
+                <span style="display: inline-block; width: 14px; height: 14px; border-radius: 3px; background: ${color};"></span>${Utils.escapeHtml(label)}
+            </span>`;
+
+        return `
+            <div style="display: flex; flex-wrap: wrap; gap: 12px; margin: 12px 0; font-size: 12px; color: #4a5568;">
+                <strong>${this.METRICS[metric]}:</strong>
+                ${swatch(this.EMPTY_COLOR, 'None')}
+                ${colors.map((color, i) => swatch(color, labels[i])).join('')}
+            </div>`;
+    },
+
+    /**
+     * List the top regions with each panel's value
+     * @param {Array} panels - Map panels
+     * @param {string} metric - Metric shown
+     * @param {string} level - state or zip3
+     * @returns {string} - HTML
+     */
+    renderTable(panels, metric, level) {
+        const keys = new Set(panels.flatMap(panel => [...panel.regions.keys()]));
+        const valueOf = (panel, key) => (panel.regions.has(key) ? panel.regions.get(key)[metric] : 0);
+        const top = [...keys]
+            .sort((a, b) => panels.reduce((sum, panel) => sum + valueOf(panel, b) - valueOf(panel, a), 0))
+            .slice(0, this.TABLE_COUNT);
+
+        return `
+            <table class="profile-table">
+                <thead>
+                    <tr>
+                        <th>${level === 'zip3' ? 'ZIP Area' : 'State'}</th>
+                        ${panels.map(panel => `<th style="text-align: right;">${Utils.escapeHtml(panel.title)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${top.map(key => `
+                        <tr style="cursor: pointer;" onclick="GivingMap.drill(${this.addDrillTarget({ [level === 'zip3' ? 'zip' : 'state']: key })})">
+                            <td>${Utils.escapeHtml(level === 'zip3' ? `${key}xx` : key)}</td>
+                            ${panels.map(panel => `<td style="text-align: right;">${panel.regions.has(key) ? this.formatValue(valueOf(panel, key), metric) : '—'}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+    }
+};
+
+// Export for use in other modules
+window.GivingMap = GivingMap;
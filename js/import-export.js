@@ -5,63 +5,33 @@
 
 const ImportExport = {
     // State variables
-    pendingImportData: null,
+    pendingFile: null,
     currentHeaders: null,
+    // Manual mapping (field => header) for the current source, and the profile being edited
     savedColumnMapping: null,
-
-    // Column detection patterns for FEC CSV formats
-    // NOTE: Order matters - more specific patterns first!
-    COLUMN_PATTERNS: {
-        // Name columns
-        firstName: ['contributor_first_name', 'donor first name', 'first_name', 'firstname', 'first', 'contrib_first_name'],
-        lastName: ['contributor_last_name', 'donor last name', 'last_name', 'lastname', 'last', 'contrib_last_name'],
-        fullName: ['contributor_name', 'donor_name', 'individual_name', 'person_name'],
-        // Committee - most specific first, avoid matching committee_id or committee_type
-        committee: ['committee_name', 'recipient_name', 'recipient', 'candidate_name', 'payee_name'],
-        date: ['contribution_receipt_date', 'transaction_date', 'receipt_date', 'transaction_dt', 'contrib_date', 'date'],
-        amount: ['contribution_receipt_amount', 'transaction_amount', 'receipt_amount', 'transaction_amt', 'contrib_amount', 'amount', 'total'],
-        entity: ['entity_type', 'entity_tp', 'entity_t', 'entity'],
-        tranId: ['transaction_id', 'tran_id', 'transaction_number'],
-        employer: ['contributor_employer', 'donor employer', 'employer', 'contrib_employer'],
-        occupation: ['contributor_occupation', 'donor occupation', 'occupation', 'contrib_occupation'],
-        city: ['contributor_city', 'donor city', 'city', 'contrib_city'],
-        state: ['contributor_state', 'donor state', 'state', 'contrib_state', 'contributor_st'],
-        // ActBlue Receipt ID for deduplication
-        receiptId: ['receipt id', 'receipt_id', 'receiptid'],
-        recurrenceNumber: ['recurrence number', 'recurrence_number', 'recurrencenumber'],
-        // FEC sub_id for deduplication
-        subId: ['sub_id', 'subid', 'subscription_id'],
-        // DonorDex export hash for deduplication
-        importHash: ['import_hash', 'import hash', 'importhash', 'dedup_hash']
-    },
-
-    /**
-     * Find column index by matching against pattern candidates
-     * Prioritizes exact matches over partial matches
-     * @param {Array<string>} headers - Column headers
-     * @param {Array<string>} candidates - Pattern candidates to match
-     * @returns {number} - Column index or -1 if not found
-     */
-    findColumnIdx(headers, candidates) {
-        const H = headers.map(h => h.toLowerCase().trim());
-
-        // First pass: exact matches only
-        for (const c of candidates) {
-            const idx = H.findIndex(h => h === c);
-            if (idx !== -1) return idx;
-        }
-
-        // Second pass: partial matches (contains)
-        for (const c of candidates) {
-            const idx = H.findIndex(h => h.includes(c) || c.includes(h));
-            if (idx !== -1) return idx;
-        }
-
-        return -1;
+    editingProfileId: null,
+
+    // Restore planned from a backup file, awaiting confirmation
+    pendingRestore: null,
+
+    // Import worker and progress state
+    worker: null,
+    importRunning: false,
+    progressPhase: null,
+    phaseStartedAt: 0,
+
+    // Progress labels by worker phase
+    PHASE_LABELS: {
+        parse: 'Reading file',
+        hash: 'Checking for duplicates',
+        save: 'Saving records',
+        link: 'Linking donors',
+        rollback: 'Rolling back'
     },
 
     /**
      * Handle CSV file upload
+     * The file is streamed by the import worker, not loaded into the page
      * @param {Event} event - File input change event
      */
     handleFileUpload(event) {
@@ -74,369 +44,173 @@ const ImportExport = {
             return;
         }
 
+        this.pendingFile = file;
+        this.savedColumnMapping = null;
+
         const textarea = document.getElementById('bulkData');
-        textarea.value = 'Loading file...';
-        textarea.style.background = '#f8fafc';
-
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            const contents = e.target.result;
-            textarea.value = contents;
-            textarea.style.background = 'white';
-
-            const fileName = file.name;
-            const fileSize = (file.size / 1024).toFixed(1);
-            textarea.placeholder = `Loaded: ${fileName} (${fileSize} KB) - Ready to import`;
-
-            alert(`File loaded successfully!\n\nClick "Process Import" to preview before importing.`);
-        };
-        reader.onerror = function() {
-            alert('Error reading file. Please try again.');
-            textarea.value = '';
-            textarea.style.background = 'white';
-            event.target.value = '';
-        };
-        reader.readAsText(file);
+        textarea.value = '';
+        const fileSize = (file.size / 1024).toFixed(1);
+        textarea.placeholder = `Loaded: ${file.name} (${fileSize} KB) - Ready to import`;
+
+        alert(`File loaded successfully!\n\nClick "Process Import" to preview before importing.`);
     },
 
     /**
-     * Smart import with auto-detection and preview
+     * Get the import source: pasted text wins over an uploaded file
+     * @returns {Blob|null} - Source to stream
      */
-    async smartImport() {
+    getImportSource() {
         const bulkData = document.getElementById('bulkData').value.trim();
-        if (!bulkData) {
-            alert('Please enter data to import');
-            return;
+        if (bulkData) {
+            return new Blob([bulkData], { type: 'text/csv' });
         }
+        return this.pendingFile;
+    },
 
-        const rows = Utils.parseCSV(bulkData);
-        if (rows.length < 2) {
-            alert('Please include headers and at least one data row');
-            return;
+    /**
+     * Get (or start) the import worker
+     * @returns {Worker}
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker('js/import-worker.js');
+            this.worker.onmessage = event => this.handleWorkerMessage(event.data);
+            this.worker.onerror = event => {
+                console.error('Import worker error:', event);
+                this.finishImport();
+                alert('Import failed: ' + (event.message || 'worker error'));
+            };
         }
+        return this.worker;
+    },
 
-        const importMode = document.querySelector('input[name="importMode"]:checked')?.value || 'smart';
-
-        const headers = rows[0].map(h => h.toLowerCase().trim());
-        this.currentHeaders = headers;
-        const dataRows = rows.slice(1);
-
-        // Try to detect name columns (first/last separate, or combined)
-        let firstNameCol = -1, lastNameCol = -1, fullNameCol = -1;
-        let candidateCol = -1, dateCol = -1, amountCol = -1;
-        let entityTypeCol = -1, transactionIdCol = -1;
-        let employerCol = -1, occupationCol = -1, cityCol = -1, stateCol = -1;
-
-        // Auto-detect columns using flexible patterns
-        firstNameCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.firstName);
-        lastNameCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.lastName);
-        fullNameCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.fullName);
-        candidateCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.committee);
-        dateCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.date);
-        amountCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.amount);
-
-        // Find optional columns
-        employerCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.employer);
-        occupationCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.occupation);
-        cityCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.city);
-        stateCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.state);
-        entityTypeCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.entity);
-        transactionIdCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.tranId);
-        const receiptIdCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.receiptId);
-        const recurrenceNumberCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.recurrenceNumber);
-        const subIdCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.subId);
-        const importHashCol = this.findColumnIdx(headers, this.COLUMN_PATTERNS.importHash);
-
-        // Validate that we have either first/last OR full name
-        const hasNameData = (firstNameCol !== -1 && lastNameCol !== -1) || fullNameCol !== -1;
-
-        // Validate required columns
-        const missing = [];
-        if (!hasNameData) missing.push('donor name (need first+last or full name)');
-        if (candidateCol === -1) missing.push('candidate/committee name');
-        if (dateCol === -1) missing.push('date');
-        if (amountCol === -1) missing.push('amount');
+    /**
+     * Smart import with auto-detection and preview
+     * Parsing, earmark merging and hashing run in the import worker
+     */
+    smartImport() {
+        if (this.importRunning) return;
 
-        if (missing.length > 0) {
-            alert(`Could not auto-detect columns for: ${missing.join(', ')}\n\nClick "Manual Mapping" to specify columns manually.`);
+        const source = this.getImportSource();
+        if (!source) {
+            alert('Please enter data to import');
             return;
         }
 
-        // Parse all records
-        const allRecords = [];
-        const errors = [];
-
-        dataRows.forEach((fields, index) => {
-            const rowNum = index + 2;
-
-            // Skip completely empty rows
-            if (fields.every(f => !f || f.trim() === '')) {
-                return;
-            }
-
-            const maxColIdx = Math.max(
-                firstNameCol, lastNameCol, fullNameCol,
-                candidateCol, dateCol, amountCol
-            );
-            if (fields.length <= maxColIdx) {
-                errors.push(`Row ${rowNum}: Has ${fields.length} columns, need at least ${maxColIdx + 1}`);
-                return;
-            }
-
-            // Parse name (either first/last separate or combined)
-            let firstName = '', lastName = '';
-            if (firstNameCol !== -1 && lastNameCol !== -1) {
-                // Separate first/last name columns
-                firstName = (fields[firstNameCol] || '').trim();
-                lastName = (fields[lastNameCol] || '').trim();
-            } else if (fullNameCol !== -1) {
-                // Combined name column - parse it
-                const fullName = (fields[fullNameCol] || '').trim();
-                const parsed = Utils.parseFullName(fullName);
-                firstName = parsed.firstName;
-                lastName = parsed.lastName;
-            }
-
-            const candidateName = (fields[candidateCol] || '').trim();
-            const rawDate = (fields[dateCol] || '').trim();
-            const rawAmount = (fields[amountCol] || '').replace(/[^0-9.-]/g, '');
-
-            // Detailed error reporting
-            const missingFields = [];
-            if (!candidateName) missingFields.push('committee name');
-            if (!rawDate) missingFields.push('date');
-            if (!rawAmount) missingFields.push('amount');
-
-            if (missingFields.length > 0) {
-                errors.push(`Row ${rowNum}: Missing ${missingFields.join(', ')}`);
-                return;
-            }
-
-            const { ymd, epoch } = Utils.parseFecDate(rawDate);
-            const parsedAmount = parseFloat(rawAmount);
-
-            if (!ymd) {
-                errors.push(`Row ${rowNum}: Invalid date format "${rawDate}" (expected YYYY-MM-DD or MM/DD/YYYY)`);
-                return;
-            }
-
-            if (isNaN(parsedAmount)) {
-                errors.push(`Row ${rowNum}: Invalid amount "${rawAmount}"`);
-                return;
-            }
-
-            const entityType = entityTypeCol !== -1 ? (fields[entityTypeCol] || '').trim().toUpperCase() : '';
-            const transactionId = transactionIdCol !== -1 ? (fields[transactionIdCol] || '').trim() : '';
-            const employer = employerCol !== -1 ? (fields[employerCol] || '').trim() : '';
-            const occupation = occupationCol !== -1 ? (fields[occupationCol] || '').trim() : '';
-            const city = cityCol !== -1 ? (fields[cityCol] || '').trim() : '';
-            const state = stateCol !== -1 ? (fields[stateCol] || '').trim().toUpperCase() : '';
-            const receiptId = receiptIdCol !== -1 ? (fields[receiptIdCol] || '').trim() : '';
-            const recurrenceNumber = recurrenceNumberCol !== -1 ? (fields[recurrenceNumberCol] || '').trim() : '';
-            const subId = subIdCol !== -1 ? (fields[subIdCol] || '').trim() : '';
-            const importHash = importHashCol !== -1 ? (fields[importHashCol] || '').trim() : '';
-
-            allRecords.push({
-                firstName,
-                lastName,
-                candidateName,
-                contributionDate: ymd,
-                contributionEpoch: epoch,
-                amount: Math.round(parsedAmount * 100) / 100,
-                isRefund: parsedAmount < 0,
-                entityType,
-                transactionId,
-                employer,
-                occupation,
-                city,
-                state,
-                receiptId,  // Store temporarily for hashing (ActBlue)
-                recurrenceNumber,  // Store temporarily for hashing (ActBlue)
-                subId,  // Store temporarily for hashing (FEC)
-                importHash  // Preserve existing hash if re-importing DonorDex export
-            });
-        });
-
-        // Process based on import mode
-        let parsedData = [];
-
-        if (importMode === 'individuals') {
-            parsedData = allRecords.filter(r => r.entityType === 'IND' || !r.entityType);
-
-        } else if (importMode === 'smart' && entityTypeCol !== -1 && transactionIdCol !== -1) {
-            // Smart merge earmarked contributions
-            const transactionGroups = new Map();
-
-            allRecords.forEach(record => {
-                const baseId = record.transactionId.replace(/E$/i, '');
-                if (!baseId) {
-                    transactionGroups.set(Symbol(), [record]);
-                } else {
-                    if (!transactionGroups.has(baseId)) {
-                        transactionGroups.set(baseId, []);
-                    }
-                    transactionGroups.get(baseId).push(record);
-                }
-            });
-
-            for (const group of transactionGroups.values()) {
-                const individualRecord = group.find(r => r.entityType === 'IND');
-                const conduitRecord = group.find(r => ['PAC', 'PTY'].includes(r.entityType));
-
-                if (individualRecord) {
-                    parsedData.push({
-                        firstName: individualRecord.firstName,
-                        lastName: individualRecord.lastName,
-                        candidateName: individualRecord.candidateName,
-                        contributionDate: conduitRecord ? conduitRecord.contributionDate : individualRecord.contributionDate,
-                        contributionEpoch: conduitRecord ? conduitRecord.contributionEpoch : individualRecord.contributionEpoch,
-                        amount: individualRecord.amount,
-                        isRefund: individualRecord.isRefund,
-                        employer: individualRecord.employer,
-                        occupation: individualRecord.occupation,
-                        city: individualRecord.city,
-                        state: individualRecord.state,
-                        // Preserve deduplication fields from individual record
-                        receiptId: individualRecord.receiptId,
-                        recurrenceNumber: individualRecord.recurrenceNumber,
-                        subId: individualRecord.subId,
-                        importHash: individualRecord.importHash
-                    });
-                } else if (group.length === 1) {
-                    parsedData.push(group[0]);
-                }
-            }
+        const importMode = document.querySelector('input[name="importMode"]:checked')?.value || 'smart';
+        const fileName = source === this.pendingFile ? this.pendingFile.name : 'Pasted text';
 
-        } else {
-            // Import all records
-            parsedData = allRecords;
-        }
-
-        // Deduplication: Handle ActBlue (receiptId), FEC (subId), DonorDex exports (importHash), or fallback
-        const hasReceiptIds = parsedData.some(r => r.receiptId);
-        const hasSubIds = parsedData.some(r => r.subId);
-        const hasImportHashes = parsedData.some(r => r.importHash);
-        let duplicateCount = 0;
-
-        console.log('Deduplication detection:', {
-            hasReceiptIds,
-            hasSubIds,
-            hasImportHashes,
-            totalRecords: parsedData.length,
-            note: 'Will use fallback hash if no unique IDs found'
+        document.getElementById('importPreview').style.display = 'none';
+        this.startProgress();
+        this.getWorker().postMessage({
+            type: 'parse',
+            source: source,
+            fileName: fileName,
+            importMode: importMode,
+            mapping: this.savedColumnMapping,
+            keys: Database.getEncryptionKeys()
         });
+    },
 
-        // Always run deduplication (uses fallback hash if no unique IDs)
-        const existingHashes = await Database.getExistingHashes();
-        console.log(`Found ${existingHashes.size} existing hashes in database`);
-
-        const dedupedData = [];
-
-        for (const record of parsedData) {
-            let hash = null;
-            let hashSource = null;
-
-            if (record.importHash) {
-                // DonorDex export: use existing hash directly
-                hash = record.importHash;
-                hashSource = 'importHash';
-            } else if (record.receiptId) {
-                // ActBlue export: generate hash from Receipt ID + Recurrence Number
-                const hashInput = record.receiptId + '|' + (record.recurrenceNumber || '1');
-                hash = await Utils.sha256(hashInput);
-                record.importHash = hash;
-                hashSource = 'actblue';
-            } else if (record.subId) {
-                // FEC export: generate hash from sub_id
-                hash = await Utils.sha256(record.subId);
-                record.importHash = hash;
-                hashSource = 'fec';
-            } else {
-                // Fallback: No unique ID found, hash based on contribution data
-                // This prevents duplicates when CSV lacks unique identifiers
-                const hashInput = [
-                    record.firstName,
-                    record.lastName,
-                    record.candidateName,
-                    record.contributionDate,
-                    record.amount,
-                    record.employer || '',
-                    record.occupation || ''
-                ].join('|');
-                hash = await Utils.sha256(hashInput);
-                record.importHash = hash;
-                hashSource = 'fallback';
-            }
-
-            // Check if hash already exists
-            if (hash && existingHashes.has(hash)) {
-                duplicateCount++;
-                console.log(`Duplicate found (${hashSource}):`, {
-                    name: `${record.firstName} ${record.lastName}`,
-                    hash: hash.substring(0, 16) + '...'
-                });
-                continue; // Skip this duplicate
+    /**
+     * Handle a message from the import worker
+     * @param {Object} message - Worker message
+     */
+    async handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'progress':
+                this.updateProgress(message);
+                break;
+
+            case 'preview':
+                this.finishImport();
+                this.showImportPreview(message.preview);
+                break;
+
+            case 'committed': {
+                this.finishImport();
+                await this.afterImport(message.added, message.resolution);
+                break;
             }
 
-            // Clean up temporary fields
-            delete record.receiptId;
-            delete record.recurrenceNumber;
-            delete record.subId;
+            case 'cancelled':
+                this.finishImport();
+                document.getElementById('importPreview').style.display = 'none';
+                if (message.rolledBack > 0) {
+                    await App.updateStats();
+                    await this.renderImportHistory();
+                    alert(`Import cancelled. ${message.rolledBack} saved records were removed.`);
+                }
+                break;
 
-            dedupedData.push(record);
-            if (hash) existingHashes.add(hash); // Track for this import session
+            case 'error':
+                this.finishImport();
+                alert(message.message);
+                break;
         }
+    },
 
-        parsedData = dedupedData;
-
-        console.log(`Deduplication complete: ${duplicateCount} duplicates removed, ${parsedData.length} records remaining`);
+    /**
+     * Show the progress panel and lock the import buttons
+     */
+    startProgress() {
+        this.importRunning = true;
+        this.progressPhase = null;
+        document.getElementById('importProgress').style.display = 'block';
+        document.getElementById('importProgressBar').style.width = '0%';
+        document.getElementById('importProgressPercent').textContent = '0%';
+        document.getElementById('importProgressLabel').textContent = 'Starting...';
+        document.getElementById('importProgressDetail').textContent = '';
+        document.querySelectorAll('.import-action').forEach(btn => { btn.disabled = true; });
+    },
 
-        if (duplicateCount > 0) {
-            errors.push(`✓ Skipped ${duplicateCount} duplicate record${duplicateCount > 1 ? 's' : ''} (already imported)`);
+    /**
+     * Update the progress bar, row count and ETA
+     * @param {Object} progress - {phase, done, total, rows}
+     */
+    updateProgress({ phase, done, total, rows }) {
+        const now = Date.now();
+        if (phase !== this.progressPhase) {
+            this.progressPhase = phase;
+            this.phaseStartedAt = now;
         }
 
-        this.pendingImportData = parsedData;
+        const fraction = total > 0 ? Math.min(1, done / total) : 0;
+        const percent = Math.round(fraction * 100);
 
-        let modeDescription = '';
-        if (importMode === 'individuals') {
-            modeDescription = 'Individual donors only';
-        } else if (importMode === 'smart') {
-            modeDescription = 'Smart merge (earmarked contributions combined)';
-        } else {
-            modeDescription = 'All records (including refunds)';
+        let detail = `${rows.toLocaleString()} rows`;
+        const elapsed = now - this.phaseStartedAt;
+        if (fraction > 0 && fraction < 1 && elapsed > 500) {
+            const remaining = Math.round(elapsed * (1 - fraction) / fraction / 1000);
+            detail += ` • about ${Math.floor(remaining / 60)}:${String(remaining % 60).padStart(2, '0')} left`;
         }
 
-        // Build mapping description for preview
-        const mappingInfo = {
-            candidateCol: headers[candidateCol],
-            dateCol: headers[dateCol],
-            amountCol: headers[amountCol]
-        };
-
-        if (firstNameCol !== -1 && lastNameCol !== -1) {
-            mappingInfo.firstNameCol = headers[firstNameCol];
-            mappingInfo.lastNameCol = headers[lastNameCol];
-        } else if (fullNameCol !== -1) {
-            mappingInfo.fullNameCol = headers[fullNameCol];
-        }
+        document.getElementById('importProgressLabel').textContent = this.PHASE_LABELS[phase] || phase;
+        document.getElementById('importProgressPercent').textContent = `${percent}%`;
+        document.getElementById('importProgressBar').style.width = `${percent}%`;
+        document.getElementById('importProgressDetail').textContent = detail;
+    },
 
-        this.showImportPreview(parsedData, errors, mappingInfo, modeDescription);
+    /**
+     * Hide the progress panel and unlock the import buttons
+     */
+    finishImport() {
+        this.importRunning = false;
+        document.getElementById('importProgress').style.display = 'none';
+        document.querySelectorAll('.import-action').forEach(btn => { btn.disabled = false; });
     },
 
     /**
      * Show import preview in modal
-     * @param {Array} data - Parsed records
-     * @param {Array} errors - Error messages
-     * @param {Object} mapping - Column mapping info
-     * @param {string} modeDescription - Import mode description
+     * @param {Object} preview - {count, sample, errors, errorCount, notes, mapping, modeDescription, profileName}
      */
-    showImportPreview(data, errors, mapping, modeDescription) {
+    showImportPreview({ count, sample, errors, errorCount, notes, mapping, modeDescription, profileName }) {
         const previewDiv = document.getElementById('importPreview');
         const contentDiv = document.getElementById('previewContent');
 
         let html = `
             <div style="margin-bottom: 15px;">
-                <strong>Column Mapping Detected:</strong>
+                <strong>${profileName ? `Column Mapping (profile: ${Utils.escapeHtml(profileName)}):` : 'Column Mapping Detected:'}</strong>
                 <div style="margin-top: 8px; font-size: 13px; color: #4a5568;">`;
 
         if (mapping.firstNameCol && mapping.lastNameCol) {
@@ -463,20 +237,23 @@ const ImportExport = {
 
         html += `
             <div style="margin-bottom: 15px;">
-                <strong style="color: #174A57;">✓ ${data.length} records ready to import</strong>
+                <strong style="color: #174A57;">✓ ${count.toLocaleString()} records ready to import</strong>
         `;
 
-        if (errors.length > 0) {
-            html += `<br><strong style="color: #e53e3e;">✗ ${errors.length} errors (rows skipped)</strong>`;
+        if (errorCount > 0) {
+            html += `<br><strong style="color: #e53e3e;">✗ ${errorCount.toLocaleString()} errors (rows skipped)</strong>`;
         }
 
+        notes.forEach(note => {
+            html += `<br><span style="color: #174A57; font-size: 13px;">✓ ${Utils.escapeHtml(note)}</span>`;
+        });
+
         html += `</div>`;
 
-        if (data.length > 0) {
+        if (sample.length > 0) {
             html += `<div style="margin-top: 10px;"><strong>Preview (first 3 records):</strong></div>`;
-            const previewCount = Math.min(3, data.length);
-            for (let i = 0; i < previewCount; i++) {
-                const record = data[i];
+            for (let i = 0; i < sample.length; i++) {
+                const record = sample[i];
                 const isRefund = record.isRefund || record.amount < 0;
                 const fullName = record.firstName + ' ' + record.lastName;
                 html += `
@@ -493,11 +270,11 @@ const ImportExport = {
         if (errors.length > 0) {
             html += `<div style="margin-top: 15px; padding: 10px; background: #fff5f5; border: 2px solid #feb2b2; border-radius: 8px; font-size: 12px; color: #c53030;">`;
             html += `<strong>Errors (first 10):</strong><br>`;
-            errors.slice(0, 10).forEach(err => {
+            errors.forEach(err => {
                 html += `• ${Utils.escapeHtml(err)}<br>`;
             });
-            if (errors.length > 10) {
-                html += `• ... and ${errors.length - 10} more<br>`;
+            if (errorCount > errors.length) {
+                html += `• ... and ${(errorCount - errors.length).toLocaleString()} more<br>`;
             }
 
             html += `</div>`;
@@ -512,39 +289,146 @@ const ImportExport = {
 
     /**
      * Confirm and execute import
+     * The worker saves the previewed records in batches
      */
-    async confirmImport() {
-        if (!this.pendingImportData) return;
+    confirmImport() {
+        if (this.importRunning || !this.worker) return;
 
-        // Add records to database
-        const recordsWithIds = this.pendingImportData.map(record => ({
-            id: Utils.generateId(),
-            ...record
-        }));
+        document.getElementById('importPreview').style.display = 'none';
+        this.startProgress();
+        this.worker.postMessage({ type: 'commit', keys: Database.getEncryptionKeys() });
+    },
 
-        await Database.bulkAdd(recordsWithIds);
+    /**
+     * Refresh the page after the worker finished saving an import
+     * @param {number} added - Number of records saved
+     * @param {Object} resolution - Donor resolution summary
+     */
+    async afterImport(added, resolution) {
         await App.updateStats();
+        await this.renderImportHistory();
 
         document.getElementById('bulkData').value = '';
-        document.getElementById('importPreview').style.display = 'none';
-
-        alert(`Successfully added ${this.pendingImportData.length} records to DonorDex!`);
-        this.pendingImportData = null;
-
-        // Refresh filters if active
-        if (Filters.filteredRecords.length > 0) {
-            await Filters.applyFilters();
+        document.getElementById('bulkData').placeholder = 'Paste FEC CSV data here...';
+        document.getElementById('csvFile').value = '';
+        this.pendingFile = null;
+        this.savedColumnMapping = null;
+
+        let message = `Successfully added ${added} records to DonorDex!`;
+        if (resolution.linked > 0) {
+            message += `\n\n${resolution.linked} record${resolution.linked > 1 ? 's' : ''} linked to donors (${resolution.created} new donor${resolution.created === 1 ? '' : 's'}).`;
         }
+        if (resolution.proposed > 0) {
+            message += `\n\n${resolution.proposed} possible duplicate donor${resolution.proposed > 1 ? 's' : ''} queued for review (☰ → Review Donor Matches).`;
+        }
+        alert(message);
+
+        // Refresh filtered results and the dashboard
+        await Filters.refreshResults();
     },
 
     /**
      * Cancel import
+     * Stops a running parse or save (rolling back saved records), or
+     * discards a previewed import
      */
     cancelImport() {
-        this.pendingImportData = null;
+        if (this.importRunning) {
+            document.getElementById('importProgressLabel').textContent = 'Cancelling...';
+            this.worker.postMessage({ type: 'cancel' });
+            return;
+        }
+
+        if (this.worker) {
+            this.worker.postMessage({ type: 'discard' });
+        }
         document.getElementById('importPreview').style.display = 'none';
     },
 
+    /**
+     * Render the import history list into the import modal
+     */
+    async renderImportHistory() {
+        const container = document.getElementById('importHistoryList');
+        if (!container) return;
+
+        const batches = await Database.getImports();
+        if (batches.length === 0) {
+            container.innerHTML = '<div class="help-text">No imports yet</div>';
+            return;
+        }
+
+        let html = '';
+        batches.forEach(batch => {
+            const importedAt = new Date(batch.importedAt).toLocaleString('en-US', {
+                year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            });
+            const counts = [`${batch.added.toLocaleString()} added`];
+            if (batch.duplicates > 0) counts.push(`${batch.duplicates.toLocaleString()} duplicates skipped`);
+            if (batch.superseded > 0) counts.push(`${batch.superseded.toLocaleString()} superseded versions skipped`);
+            if (batch.replaced > 0) counts.push(`${batch.replaced.toLocaleString()} amended records replaced`);
+            if (batch.errors > 0) counts.push(`${batch.errors.toLocaleString()} errors`);
+            const mapping = Object.entries(batch.mapping || {})
+                .map(([field, header]) => `${field}: ${header}`)
+                .join(', ');
+
+            html += `
+                <div style="padding: 12px 0; border-bottom: 1px solid #e2e8f0;">
+                    <div style="display: flex; justify-content: space-between; align-items: start; gap: 10px; flex-wrap: wrap;">
+                        <div style="min-width: 0;">
+                            <div style="font-weight: 600; color: #2c3e50; word-break: break-all;">${Utils.escapeHtml(batch.fileName)}${batch.status === 'partial' ? ' <span class="refund-badge">INCOMPLETE</span>' : ''}</div>
+                            <div style="font-size: 12px; color: #718096;">${Utils.escapeHtml(importedAt)} • ${Utils.escapeHtml(ImportParser.describeImportMode(batch.importMode))}</div>
+                            <div style="font-size: 12px; color: #4a5568;">${Utils.escapeHtml(counts.join(' • '))}</div>
+                            ${mapping ? `<div style="font-size: 11px; color: #a0aec0;" title="${Utils.escapeHtml(mapping)}">Columns: ${Utils.escapeHtml(mapping)}</div>` : ''}
+                        </div>
+                        <div style="display: flex; gap: 8px;">
+                            <button class="btn btn-secondary" style="padding: 6px 14px; font-size: 12px;" onclick="ImportExport.viewImport('${batch.id}')">View Records</button>
+                            <button class="delete-btn import-action" onclick="ImportExport.undoImport('${batch.id}')">Undo</button>
+                        </div>
+                    </div>
+                </div>`;
+        });
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Browse the records added by an import batch
+     * @param {string} importId - Import batch ID
+     */
+    async viewImport(importId) {
+        const batch = await Database.getImport(importId);
+        if (!batch) return;
+
+        UI.closeImportExportModal();
+        await Filters.showImport(importId, batch.fileName);
+    },
+
+    /**
+     * Undo an import batch, deleting every record it added
+     * @param {string} importId - Import batch ID
+     */
+    async undoImport(importId) {
+        if (this.importRunning) return;
+
+        const batch = await Database.getImport(importId);
+        if (!batch) return;
+
+        const count = await Database.countImportRecords(importId);
+        if (!confirm(`Undo the import of "${batch.fileName}"?\n\nThis deletes ${count.toLocaleString()} record${count === 1 ? '' : 's'} added by it.`)) {
+            return;
+        }
+
+        const deleted = await Database.undoImport(importId);
+        if (Filters.importId === importId) {
+            await Filters.clearFilters();
+        }
+
+        await this.renderImportHistory();
+        await Donors.refreshAfterChange();
+        alert(`Import undone. ${deleted.toLocaleString()} record${deleted === 1 ? '' : 's'} removed.`);
+    },
+
     /**
      * Export all records to CSV
      */
@@ -556,88 +440,404 @@ const ImportExport = {
             return;
         }
 
+        this.downloadCsv(records, 'donordex-export');
+    },
+
+    /**
+     * Build a re-importable CSV from records and download it
+     * Shared by full, filtered and compliance exports
+     * @param {Array} records - Contribution records
+     * @param {string} filePrefix - File name prefix (timestamp is appended)
+     */
+    downloadCsv(records, filePrefix) {
         // UTF-8 BOM for Excel compatibility
         let csv = '\uFEFF';
         // Use FEC-style headers for seamless re-import (include importHash for deduplication)
-        csv += 'contributor_first_name,contributor_last_name,committee_name,contribution_receipt_date,contribution_receipt_amount,contributor_employer,contributor_occupation,contributor_city,contributor_state,import_hash\n';
+        csv += 'contributor_first_name,contributor_last_name,committee_name,committee_id,contribution_receipt_date,contribution_receipt_amount,contributor_employer,contributor_occupation,contributor_street_1,contributor_street_2,contributor_city,contributor_state,contributor_zip,import_hash\n';
 
         records.forEach(record => {
-            csv += `${Utils.escapeCsvField(record.firstName)},${Utils.escapeCsvField(record.lastName)},${Utils.escapeCsvField(record.candidateName)},${Utils.escapeCsvField(record.contributionDate)},${Utils.escapeCsvField(record.amount)},${Utils.escapeCsvField(record.employer)},${Utils.escapeCsvField(record.occupation)},${Utils.escapeCsvField(record.city)},${Utils.escapeCsvField(record.state)},${Utils.escapeCsvField(record.importHash || '')}\n`;
+            csv += `${Utils.escapeCsvField(record.firstName)},${Utils.escapeCsvField(record.lastName)},${Utils.escapeCsvField(record.candidateName)},${Utils.escapeCsvField(record.committeeId || '')},${Utils.escapeCsvField(record.contributionDate)},${Utils.escapeCsvField(record.amount)},${Utils.escapeCsvField(record.employer)},${Utils.escapeCsvField(record.occupation)},${Utils.escapeCsvField(record.address1 || '')},${Utils.escapeCsvField(record.address2 || '')},${Utils.escapeCsvField(record.city)},${Utils.escapeCsvField(record.state)},${Utils.escapeCsvField(Utils.formatZip(record.zip))},${Utils.escapeCsvField(record.importHash || '')}\n`;
         });
 
-        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        this.saveCsv(csv, filePrefix);
+    },
+
+    /**
+     * Download CSV text as a timestamped file
+     * @param {string} csv - CSV text (with BOM)
+     * @param {string} filePrefix - File name prefix (timestamp is appended)
+     */
+    saveCsv(csv, filePrefix) {
+        this.saveFile(csv, `${filePrefix}-${Utils.getTimestamp()}.csv`, 'text/csv;charset=utf-8;');
+    },
+
+    /**
+     * Download text as a file
+     * @param {string} text - File contents
+     * @param {string} fileName - File name
+     * @param {string} type - MIME type
+     */
+    saveFile(text, fileName, type) {
+        const blob = new Blob([text], { type });
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        const timestamp = Utils.getTimestamp();
-        a.download = `donordex-export-${timestamp}.csv`;
+        a.download = fileName;
         a.click();
         window.URL.revokeObjectURL(url);
     },
 
+    // ==================== Full Backup ====================
+
     /**
-     * Show manual column mapper
+     * Download a backup of every table, encrypted when a passphrase is entered
      */
-    showManualMapper() {
-        const bulkData = document.getElementById('bulkData').value.trim();
-        if (!bulkData) {
-            alert('Please paste CSV data first');
+    async exportBackup() {
+        const passphraseInput = document.getElementById('backupPassphrase');
+        const confirmInput = document.getElementById('backupPassphraseConfirm');
+        const passphrase = passphraseInput.value;
+
+        if (passphrase !== confirmInput.value) {
+            alert('The passphrases do not match.');
+            return;
+        }
+        if (!passphrase && !confirm('Save the backup without a passphrase? Anyone who gets the file can read donor names and addresses.')) {
             return;
         }
 
-        const rows = Utils.parseCSV(bulkData);
-        if (rows.length < 1) {
-            alert('Please paste CSV data with headers');
+        const button = document.getElementById('backupExportBtn');
+        button.disabled = true;
+        button.textContent = passphrase ? 'Encrypting...' : 'Saving...';
+        try {
+            const text = await Backup.serialize(await Backup.create(), passphrase);
+            this.saveFile(text, `donordex-backup-${Utils.getTimestamp()}${passphrase ? '-encrypted' : ''}.json`, 'application/json');
+            passphraseInput.value = '';
+            confirmInput.value = '';
+        } catch (error) {
+            console.error('Backup failed:', error);
+            alert('Backup failed: ' + error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = '💾 Download Backup';
+        }
+    },
+
+    /**
+     * Read the chosen backup file and preview what restoring it changes
+     */
+    async previewRestore() {
+        const file = document.getElementById('backupFile').files[0];
+        if (!file) {
+            alert('Choose a backup file first.');
             return;
         }
+        const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+
+        const button = document.getElementById('restorePreviewBtn');
+        button.disabled = true;
+        button.textContent = 'Reading...';
+        try {
+            const backup = await Backup.parse(await file.text(), document.getElementById('restorePassphrase').value);
+            this.pendingRestore = await Backup.planRestore(backup, mode);
+            this.renderRestorePreview(this.pendingRestore);
+        } catch (error) {
+            alert(error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Preview Restore';
+        }
+    },
 
-        const headers = rows[0];
-        this.currentHeaders = headers.map(h => h.toLowerCase());
+    /**
+     * Show a planned restore table by table
+     * @param {Object} plan - Result of Backup.planRestore
+     */
+    renderRestorePreview(plan) {
+        const createdAt = new Date(plan.backup.createdAt).toLocaleString('en-US', {
+            year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+        const rows = plan.summary.filter(row => row.current > 0 || row.incoming > 0);
+        const after = row => (plan.mode === 'replace' ? row.written : row.current + row.written);
+
+        document.getElementById('restorePreviewContent').innerHTML = `
+            <div style="margin-bottom: 15px; padding: 12px; background: ${plan.mode === 'replace' ? '#fff5f5' : '#e6f7f3'}; border: 2px solid ${plan.mode === 'replace' ? '#feb2b2' : '#56D2B4'}; border-radius: 8px; font-size: 13px; color: ${plan.mode === 'replace' ? '#c53030' : '#174A57'};">
+                <strong>${plan.mode === 'replace' ? 'Replace:' : 'Merge:'}</strong>
+                ${plan.mode === 'replace' ? 'everything now in this browser is deleted and the backup is loaded.' : 'current data is kept; rows missing from it are added.'}
+                Backup made ${Utils.escapeHtml(createdAt)}.
+            </div>
+            <table class="profile-table">
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th style="text-align: right;">Now</th>
+                        <th style="text-align: right;">In Backup</th>
+                        <th style="text-align: right;">${plan.mode === 'replace' ? 'Removed' : 'Added'}</th>
+                        <th style="text-align: right;">After</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${Utils.escapeHtml(row.label)}</td>
+                            <td style="text-align: right;">${row.current.toLocaleString()}</td>
+                            <td style="text-align: right;">${row.incoming.toLocaleString()}</td>
+                            <td style="text-align: right;">${(plan.mode === 'replace' ? row.current : row.written).toLocaleString()}</td>
+                            <td style="text-align: right;">${after(row).toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${plan.notes.map(note => `<div style="margin-top: 8px; font-size: 13px; color: #4a5568;">• ${Utils.escapeHtml(note)}</div>`).join('')}
+        `;
 
-        const mapperDiv = document.getElementById('manualMapper');
-        const contentDiv = document.getElementById('mapperContent');
+        const preview = document.getElementById('restorePreview');
+        preview.style.display = 'block';
+        preview.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
 
-        let html = `
-            <div style="display: grid; gap: 15px;">
-                <div class="form-group">
-                    <label>Donor/Contributor Name Column</label>
-                    <select id="mapDonor" class="mapper-select">
-                        <option value="">-- Select Column --</option>
-                        ${headers.map((h, i) => `<option value="${i}">${Utils.escapeHtml(h)}</option>`).join('')}
-                    </select>
-                </div>
-                <div class="form-group">
-                    <label>Candidate/Committee Name Column</label>
-                    <select id="mapCandidate" class="mapper-select">
-                        <option value="">-- Select Column --</option>
-                        ${headers.map((h, i) => `<option value="${i}">${Utils.escapeHtml(h)}</option>`).join('')}
-                    </select>
-                </div>
+    /**
+     * Write the previewed restore
+     */
+    async confirmRestore() {
+        const plan = this.pendingRestore;
+        if (!plan) return;
+        if (plan.mode === 'replace' && !confirm('Delete everything in this browser and load the backup? This cannot be undone.')) {
+            return;
+        }
+
+        const button = document.getElementById('restoreConfirmBtn');
+        button.disabled = true;
+        button.textContent = 'Restoring...';
+        try {
+            await Backup.restore(plan);
+        } catch (error) {
+            console.error('Restore failed:', error);
+            alert('Restore failed: ' + error.message + '\n\nNothing was changed.');
+            return;
+        } finally {
+            button.disabled = false;
+            button.textContent = 'Confirm Restore';
+        }
+
+        const contributions = plan.summary.find(row => row.table === 'contributions');
+        this.cancelRestore();
+        document.getElementById('backupFile').value = '';
+        document.getElementById('restorePassphrase').value = '';
+
+        if (plan.mode === 'replace') {
+            Filters.criteria = null;
+            Filters.importId = null;
+            Filters.scope = null;
+        }
+        await Compliance.loadLimits();
+        await Filters.renderTagOptions();
+        await Filters.renderDonorTagOptions();
+        await this.renderMappingProfiles();
+        await this.renderImportHistory();
+        Geo.centroids = null;
+        await UI.renderZipCentroidSource();
+        await Donors.refreshAfterChange();
+
+        alert(plan.mode === 'replace'
+            ? `Backup restored. ${contributions.written.toLocaleString()} contribution${contributions.written === 1 ? '' : 's'} loaded.`
+            : `Backup merged. ${contributions.written.toLocaleString()} contribution${contributions.written === 1 ? '' : 's'} added.`);
+    },
+
+    /**
+     * Discard a previewed restore
+     */
+    cancelRestore() {
+        this.pendingRestore = null;
+        document.getElementById('restorePreview').style.display = 'none';
+    },
+
+    /**
+     * Show the manual column mapper
+     * Covers every importable field. Selections start from the column mapping
+     * the import would use (manual choice, saved profile or auto-detection).
+     * @param {string|null} profileId - Saved profile to edit instead of mapping the current source
+     */
+    async showManualMapper(profileId = null) {
+        let headers;
+        let selected;
+        let profileName;
+
+        if (profileId) {
+            const profile = await Database.getMappingProfile(profileId);
+            if (!profile) return;
+            headers = profile.headers;
+            selected = profile.columns;
+            profileName = profile.name;
+        } else {
+            const source = this.getImportSource();
+            if (!source) {
+                alert('Please paste CSV data first');
+                return;
+            }
+
+            const headerFields = await ImportParser.readHeaders(source);
+            if (!headerFields) {
+                alert('Please paste CSV data with headers');
+                return;
+            }
+
+            if (await ImportParser.detectFormat(source) === 'fec-bulk') {
+                alert('This is an FEC bulk file (itcont). Its columns are fixed, so no mapping is needed.');
+                return;
+            }
+
+            headers = headerFields.map(h => h.toLowerCase().trim());
+            const { columns, profile } = await ImportParser.resolveColumns(headers, this.savedColumnMapping);
+            selected = ImportParser.getColumnHeaders(headers, columns);
+            profileName = profile ? profile.name : (this.pendingFile ? this.pendingFile.name.replace(/\.[^.]+$/, '') : '');
+        }
+
+        this.currentHeaders = headers;
+        this.editingProfileId = profileId;
+
+        const options = field => headers.map((h, i) =>
+            `<option value="${i}"${selected[field] === h ? ' selected' : ''}>${Utils.escapeHtml(h)}</option>`
+        ).join('');
+
+        let html = '<div class="form-grid">';
+        Object.keys(ImportParser.COLUMN_PATTERNS).forEach(field => {
+            html += `
                 <div class="form-group">
-                    <label>Contribution Date Column</label>
-                    <select id="mapDate" class="mapper-select">
-                        <option value="">-- Select Column --</option>
-                        ${headers.map((h, i) => `<option value="${i}">${Utils.escapeHtml(h)}</option>`).join('')}
+                    <label for="map-${field}">${Utils.escapeHtml(ImportParser.FIELD_LABELS[field])}</label>
+                    <select id="map-${field}" class="mapper-select">
+                        <option value="">-- Not in file --</option>
+                        ${options(field)}
                     </select>
-                </div>
+                </div>`;
+        });
+        html += `
+            </div>
+            <div style="margin-top: 10px; display: grid; gap: 10px;">
+                <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;${profileId ? ' display: none;' : ''}">
+                    <input type="checkbox" id="saveMapping" style="width: auto;"${profileId ? ' checked' : ''}>
+                    <span style="font-size: 13px; font-weight: normal;">Remember this mapping for future imports</span>
+                </label>
                 <div class="form-group">
-                    <label>Contribution Amount Column</label>
-                    <select id="mapAmount" class="mapper-select">
-                        <option value="">-- Select Column --</option>
-                        ${headers.map((h, i) => `<option value="${i}">${Utils.escapeHtml(h)}</option>`).join('')}
-                    </select>
-                </div>
-                <div style="margin-top: 10px;">
-                    <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
-                        <input type="checkbox" id="saveMapping" style="width: auto;">
-                        <span style="font-size: 13px; font-weight: normal;">Remember this mapping for future imports</span>
-                    </label>
+                    <label for="mappingProfileName">Profile Name</label>
+                    <input type="text" id="mappingProfileName" value="${Utils.escapeHtml(profileName)}" placeholder="e.g. ActBlue weekly export">
                 </div>
             </div>
         `;
 
-        contentDiv.innerHTML = html;
-        mapperDiv.style.display = 'block';
+        document.getElementById('mapperContent').innerHTML = html;
+        document.getElementById('mapperApplyBtn').textContent = profileId ? 'Save Profile' : 'Apply & Import';
+        document.getElementById('manualMapper').style.display = 'block';
+    },
+
+    /**
+     * Hide the manual column mapper
+     */
+    closeManualMapper() {
+        this.editingProfileId = null;
+        document.getElementById('manualMapper').style.display = 'none';
+    },
+
+    /**
+     * Apply the manual mapping: optionally save it as a profile, then import
+     * with it (or just save when editing a profile)
+     */
+    async applyManualMapping() {
+        const headers = this.currentHeaders;
+        const mapping = {};
+        Object.keys(ImportParser.COLUMN_PATTERNS).forEach(field => {
+            const value = document.getElementById(`map-${field}`).value;
+            if (value !== '') mapping[field] = headers[parseInt(value)];
+        });
+
+        const missing = ImportParser.getMissingColumns(ImportParser.columnsFromMapping(headers, mapping));
+        if (missing.length > 0) {
+            alert(`Please select columns for: ${missing.join(', ')}`);
+            return;
+        }
+
+        if (document.getElementById('saveMapping').checked) {
+            const name = document.getElementById('mappingProfileName').value.trim();
+            if (!name) {
+                alert('Please enter a profile name');
+                return;
+            }
+
+            // One profile per header layout: saving again replaces it
+            const fingerprint = await ImportParser.getHeaderFingerprint(headers);
+            const existing = this.editingProfileId
+                ? await Database.getMappingProfile(this.editingProfileId)
+                : await Database.getMappingProfileByFingerprint(fingerprint);
+
+            await Database.putMappingProfile({
+                id: existing ? existing.id : Utils.generateId(),
+                name: name,
+                fingerprint: fingerprint,
+                headers: headers,
+                columns: mapping,
+                updatedAt: Date.now()
+            });
+            await this.renderMappingProfiles();
+        }
+
+        if (this.editingProfileId) {
+            this.closeManualMapper();
+            return;
+        }
+
+        this.savedColumnMapping = mapping;
+        this.closeManualMapper();
+        this.smartImport();
+    },
+
+    /**
+     * Render the saved mapping profiles into the import modal
+     */
+    async renderMappingProfiles() {
+        const container = document.getElementById('mappingProfileList');
+        if (!container) return;
+
+        const profiles = await Database.getMappingProfiles();
+        if (profiles.length === 0) {
+            container.innerHTML = '<div class="help-text">No saved profiles. Use "Manual Mapping" and tick "Remember this mapping" to create one.</div>';
+            return;
+        }
+
+        let html = '';
+        profiles.forEach(profile => {
+            const fields = Object.keys(profile.columns).map(field => ImportParser.FIELD_LABELS[field] || field);
+            html += `
+                <div style="padding: 10px 0; border-bottom: 1px solid #e2e8f0; display: flex; justify-content: space-between; align-items: center; gap: 10px; flex-wrap: wrap;">
+                    <div style="min-width: 0;">
+                        <div style="font-weight: 600; color: #2c3e50;">${Utils.escapeHtml(profile.name)}</div>
+                        <div style="font-size: 12px; color: #718096;">${profile.headers.length} columns in file • maps ${Utils.escapeHtml(fields.join(', '))}</div>
+                    </div>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="btn btn-secondary" style="padding: 6px 14px; font-size: 12px;" onclick="ImportExport.showManualMapper('${profile.id}')">Edit</button>
+                        <button class="delete-btn" onclick="ImportExport.deleteMappingProfile('${profile.id}')">Delete</button>
+                    </div>
+                </div>`;
+        });
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Delete a saved mapping profile
+     * @param {string} profileId - Profile ID
+     */
+    async deleteMappingProfile(profileId) {
+        const profile = await Database.getMappingProfile(profileId);
+        if (!profile) return;
+
+        if (!confirm(`Delete mapping profile "${profile.name}"? Files with these headers will be auto-detected again.`)) {
+            return;
+        }
+
+        await Database.deleteMappingProfile(profileId);
+        if (this.editingProfileId === profileId) {
+            this.closeManualMapper();
+        }
+        await this.renderMappingProfiles();
     }
 };
 
@@ -0,0 +1,572 @@
+/**
+ * DonorDex Import Parser
+ * Column detection, row parsing, earmark merging and dedup hashing for
+ * CSV imports. DOM-free so it runs in the import worker.
+ */
+
+const ImportParser = {
+    // Column detection patterns for FEC CSV formats
+    // NOTE: Order matters - more specific patterns first!
+    COLUMN_PATTERNS: {
+        // Name columns
+        firstName: ['contributor_first_name', 'donor first name', 'first_name', 'firstname', 'first', 'contrib_first_name'],
+        lastName: ['contributor_last_name', 'donor last name', 'last_name', 'lastname', 'last', 'contrib_last_name'],
+        fullName: ['contributor_name', 'donor_name', 'individual_name', 'person_name'],
+        // Committee - most specific first, avoid matching committee_id or committee_type
+        committee: ['committee_name', 'recipient_name', 'recipient', 'candidate_name', 'payee_name'],
+        date: ['contribution_receipt_date', 'transaction_date', 'receipt_date', 'transaction_dt', 'contrib_date', 'date'],
+        amount: ['contribution_receipt_amount', 'transaction_amount', 'receipt_amount', 'transaction_amt', 'contrib_amount', 'amount', 'total'],
+        entity: ['entity_type', 'entity_tp', 'entity_t', 'entity'],
+        tranId: ['transaction_id', 'tran_id', 'transaction_number'],
+        employer: ['contributor_employer', 'donor employer', 'employer', 'contrib_employer'],
+        occupation: ['contributor_occupation', 'donor occupation', 'occupation', 'contrib_occupation'],
+        address1: ['contributor_street_1', 'donor addr1', 'address_1', 'address1', 'street_1', 'addr1', 'contrib_street_1'],
+        address2: ['contributor_street_2', 'donor addr2', 'address_2', 'address2', 'street_2', 'addr2', 'contrib_street_2'],
+        city: ['contributor_city', 'donor city', 'city', 'contrib_city'],
+        state: ['contributor_state', 'donor state', 'state', 'contrib_state', 'contributor_st'],
+        zip: ['contributor_zip', 'donor zip', 'zip_code', 'zipcode', 'zip', 'postal_code', 'contrib_zip'],
+        // ActBlue Receipt ID for deduplication
+        receiptId: ['receipt id', 'receipt_id', 'receiptid'],
+        recurrenceNumber: ['recurrence number', 'recurrence_number', 'recurrencenumber'],
+        // FEC sub_id for deduplication
+        subId: ['sub_id', 'subid', 'subscription_id'],
+        // DonorDex export hash for deduplication
+        importHash: ['import_hash', 'import hash', 'importhash', 'dedup_hash'],
+        // FEC filing details for replacing amended transactions
+        committeeId: ['committee_id', 'cmte_id'],
+        amendment: ['amendment_indicator', 'amndt_ind'],
+        fileNum: ['file_number', 'file_num']
+    },
+
+    // Labels for the manual mapper, in COLUMN_PATTERNS order
+    FIELD_LABELS: {
+        firstName: 'First Name',
+        lastName: 'Last Name',
+        fullName: 'Full Name (if no first/last columns)',
+        committee: 'Candidate/Committee Name',
+        date: 'Contribution Date',
+        amount: 'Contribution Amount',
+        entity: 'Entity Type',
+        tranId: 'Transaction ID',
+        employer: 'Employer',
+        occupation: 'Occupation',
+        address1: 'Street Address',
+        address2: 'Street Address Line 2',
+        city: 'City',
+        state: 'State',
+        zip: 'ZIP Code',
+        receiptId: 'Receipt ID (ActBlue)',
+        recurrenceNumber: 'Recurrence Number (ActBlue)',
+        subId: 'Sub ID (FEC)',
+        importHash: 'Import Hash (DonorDex export)',
+        committeeId: 'Committee ID (FEC)',
+        amendment: 'Amendment Indicator (FEC)',
+        fileNum: 'Filing Number (FEC)'
+    },
+
+    // FEC "Contributions by individuals" bulk file (itcont.txt): pipe-delimited,
+    // no header row, fixed column order
+    FEC_BULK_COLUMNS: [
+        'cmte_id', 'amndt_ind', 'rpt_tp', 'transaction_pgi', 'image_num', 'transaction_tp',
+        'entity_tp', 'name', 'city', 'state', 'zip_code', 'employer', 'occupation',
+        'transaction_dt', 'transaction_amt', 'other_id', 'tran_id', 'file_num',
+        'memo_cd', 'memo_text', 'sub_id'
+    ],
+
+    // Field => bulk file column. The bulk file has no committee names, so the
+    // committee ID doubles as the committee name.
+    FEC_BULK_MAPPING: {
+        fullName: 'name',
+        committee: 'cmte_id',
+        date: 'transaction_dt',
+        amount: 'transaction_amt',
+        entity: 'entity_tp',
+        tranId: 'tran_id',
+        employer: 'employer',
+        occupation: 'occupation',
+        city: 'city',
+        state: 'state',
+        zip: 'zip_code',
+        subId: 'sub_id',
+        committeeId: 'cmte_id',
+        amendment: 'amndt_ind',
+        fileNum: 'file_num'
+    },
+
+    // Amendment indicators that supersede the original filing
+    AMENDED_INDICATORS: ['A', 'T'],
+
+    /**
+     * Find column index by matching against pattern candidates
+     * Prioritizes exact matches over partial matches
+     * @param {Array<string>} headers - Column headers
+     * @param {Array<string>} candidates - Pattern candidates to match
+     * @returns {number} - Column index or -1 if not found
+     */
+    findColumnIdx(headers, candidates) {
+        const H = headers.map(h => h.toLowerCase().trim());
+
+        // First pass: exact matches only
+        for (const c of candidates) {
+            const idx = H.findIndex(h => h === c);
+            if (idx !== -1) return idx;
+        }
+
+        // Second pass: partial matches (contains)
+        for (const c of candidates) {
+            const idx = H.findIndex(h => h.includes(c) || c.includes(h));
+            if (idx !== -1) return idx;
+        }
+
+        return -1;
+    },
+
+    /**
+     * Auto-detect the column index of every known field
+     * @param {Array<string>} headers - Lowercased column headers
+     * @returns {Object} - Field name => column index (-1 if not found)
+     */
+    detectColumns(headers) {
+        const columns = {};
+        Object.keys(this.COLUMN_PATTERNS).forEach(field => {
+            columns[field] = this.findColumnIdx(headers, this.COLUMN_PATTERNS[field]);
+        });
+        return columns;
+    },
+
+    /**
+     * Read the header row of an import source
+     * Only the start of the source is read
+     * @param {Blob} source - File or pasted text as a Blob
+     * @returns {Promise<Array<string>|null>} - Header fields
+     */
+    async readHeaders(source) {
+        const text = await source.slice(0, 65536).text();
+        const parser = Utils.createCsvParser();
+        const rows = parser.push(text);
+        return rows[0] || parser.end()[0] || null;
+    },
+
+    /**
+     * Detect the file format from its first line
+     * @param {Blob} source - File or pasted text as a Blob
+     * @returns {Promise<string>} - "fec-bulk" or "csv"
+     */
+    async detectFormat(source) {
+        const text = await source.slice(0, 4096).text();
+        const firstLine = text.split(/\r?\n/)[0];
+        const fields = firstLine.split('|');
+
+        if (fields.length === this.FEC_BULK_COLUMNS.length && /^C\d{8}$/.test(fields[0].trim())) {
+            return 'fec-bulk';
+        }
+        return 'csv';
+    },
+
+    /**
+     * Get the column indexes of the FEC bulk layout
+     * @returns {Object} - Field name => column index
+     */
+    getBulkColumns() {
+        return this.columnsFromMapping(this.FEC_BULK_COLUMNS, this.FEC_BULK_MAPPING);
+    },
+
+    /**
+     * Parse one FEC bulk file row
+     * TRANSACTION_DT is MMDDYYYY, which parseFecDate would read as YYYYMMDD
+     * @param {Array<string>} fields - Row fields
+     * @param {number} rowNum - 1-based row number in the file (for errors)
+     * @param {Object} columns - Bulk column indexes (see getBulkColumns)
+     * @returns {Object|null} - {record} or {error}, or null for an empty row
+     */
+    parseBulkRow(fields, rowNum, columns) {
+        if (fields.length < this.FEC_BULK_COLUMNS.length && fields.some(f => f)) {
+            return { error: `Row ${rowNum}: Has ${fields.length} columns, expected ${this.FEC_BULK_COLUMNS.length}` };
+        }
+
+        const date = fields[columns.date];
+        if (/^\d{8}$/.test(date)) {
+            fields[columns.date] = `${date.slice(0, 2)}/${date.slice(2, 4)}/${date.slice(4)}`;
+        }
+
+        return this.parseRow(fields, rowNum, columns);
+    },
+
+    /**
+     * Get the key identifying an FEC transaction across amended filings
+     * @param {Object} record - Parsed or stored record
+     * @returns {string|null} - "committeeId|transactionId", or null without FEC IDs
+     */
+    getTransactionKey(record) {
+        return record.committeeId && record.transactionId
+            ? `${record.committeeId}|${record.transactionId}`
+            : null;
+    },
+
+    /**
+     * Check whether one version of a transaction supersedes another
+     * A later filing number wins; with no filing numbers to compare, an
+     * amendment supersedes an original
+     * @param {Object} record - Candidate version
+     * @param {Object} other - Version it may replace
+     * @returns {boolean}
+     */
+    isNewerVersion(record, other) {
+        if (record.fileNum && other.fileNum && record.fileNum !== other.fileNum) {
+            return record.fileNum > other.fileNum;
+        }
+        const rank = r => this.AMENDED_INDICATORS.includes(r.amendment) ? 1 : 0;
+        return rank(record) > rank(other);
+    },
+
+    /**
+     * Keep only the latest version of each FEC transaction in a set of records
+     * Runs before the import mode is applied so smart merge never pairs an
+     * original with its amendment
+     * @param {Array} records - Parsed records
+     * @returns {Object} - {records, superseded}
+     */
+    selectLatestVersions(records) {
+        const kept = [];
+        const latest = new Map();
+        let superseded = 0;
+
+        records.forEach(record => {
+            const key = this.getTransactionKey(record);
+            if (!key) {
+                kept.push(record);
+                return;
+            }
+
+            const other = latest.get(key);
+            if (!other) {
+                latest.set(key, record);
+                return;
+            }
+
+            superseded++;
+            if (this.isNewerVersion(record, other)) {
+                latest.set(key, record);
+            }
+        });
+
+        return { records: kept.concat(Array.from(latest.values())), superseded };
+    },
+
+    /**
+     * Fingerprint a header layout so a saved profile matches the same export
+     * again (column order and letter case don't matter)
+     * @param {Array<string>} headers - Column headers
+     * @returns {Promise<string>} - SHA-256 of the sorted header names
+     */
+    async getHeaderFingerprint(headers) {
+        const names = Array.from(new Set(headers.map(h => h.toLowerCase().trim()))).sort();
+        return await Utils.sha256(names.join('|'));
+    },
+
+    /**
+     * Turn a saved field => header mapping into column indexes
+     * @param {Array<string>} headers - Lowercased column headers
+     * @param {Object} mapping - Field name => header name
+     * @returns {Object} - Field name => column index (-1 if unmapped)
+     */
+    columnsFromMapping(headers, mapping) {
+        const columns = {};
+        Object.keys(this.COLUMN_PATTERNS).forEach(field => {
+            columns[field] = mapping[field] ? headers.indexOf(mapping[field].toLowerCase().trim()) : -1;
+        });
+        return columns;
+    },
+
+    /**
+     * Work out the columns to use for an import
+     * An explicit mapping wins, then a saved profile for this header layout,
+     * then auto-detection
+     * @param {Array<string>} headers - Lowercased column headers
+     * @param {Object|null} mapping - Field name => header name chosen in the manual mapper
+     * @returns {Promise<Object>} - {columns, profile}
+     */
+    async resolveColumns(headers, mapping = null) {
+        if (mapping) {
+            return { columns: this.columnsFromMapping(headers, mapping), profile: null };
+        }
+
+        const profile = await Database.getMappingProfileByFingerprint(await this.getHeaderFingerprint(headers));
+        if (profile) {
+            return { columns: this.columnsFromMapping(headers, profile.columns), profile };
+        }
+
+        return { columns: this.detectColumns(headers), profile: null };
+    },
+
+    /**
+     * List required fields that have no column
+     * @param {Object} columns - Field name => column index
+     * @returns {Array<string>} - Descriptions of missing fields
+     */
+    getMissingColumns(columns) {
+        // Validate that we have either first/last OR full name
+        const hasNameData = (columns.firstName !== -1 && columns.lastName !== -1) || columns.fullName !== -1;
+
+        const missing = [];
+        if (!hasNameData) missing.push('donor name (need first+last or full name)');
+        if (columns.committee === -1) missing.push('candidate/committee name');
+        if (columns.date === -1) missing.push('date');
+        if (columns.amount === -1) missing.push('amount');
+        return missing;
+    },
+
+    /**
+     * Parse one data row into a contribution record
+     * @param {Array<string>} fields - Row fields
+     * @param {number} rowNum - 1-based row number in the file (for errors)
+     * @param {Object} columns - Field name => column index
+     * @returns {Object|null} - {record} or {error}, or null for an empty row
+     */
+    parseRow(fields, rowNum, columns) {
+        // Skip completely empty rows
+        if (fields.every(f => !f || f.trim() === '')) {
+            return null;
+        }
+
+        const maxColIdx = Math.max(
+            columns.firstName, columns.lastName, columns.fullName,
+            columns.committee, columns.date, columns.amount
+        );
+        if (fields.length <= maxColIdx) {
+            return { error: `Row ${rowNum}: Has ${fields.length} columns, need at least ${maxColIdx + 1}` };
+        }
+
+        const value = field => columns[field] !== -1 ? (fields[columns[field]] || '').trim() : '';
+
+        // Parse name (either first/last separate or combined)
+        let firstName = '', lastName = '';
+        if (columns.firstName !== -1 && columns.lastName !== -1) {
+            // Separate first/last name columns
+            firstName = value('firstName');
+            lastName = value('lastName');
+        } else if (columns.fullName !== -1) {
+            // Combined name column - parse it
+            const parsed = Utils.parseFullName(value('fullName'));
+            firstName = parsed.firstName;
+            lastName = parsed.lastName;
+        }
+
+        const candidateName = value('committee');
+        const rawDate = value('date');
+        const rawAmount = (fields[columns.amount] || '').replace(/[^0-9.-]/g, '');
+
+        // Detailed error reporting
+        const missingFields = [];
+        if (!candidateName) missingFields.push('committee name');
+        if (!rawDate) missingFields.push('date');
+        if (!rawAmount) missingFields.push('amount');
+
+        if (missingFields.length > 0) {
+            return { error: `Row ${rowNum}: Missing ${missingFields.join(', ')}` };
+        }
+
+        const { ymd, epoch } = Utils.parseFecDate(rawDate);
+        const parsedAmount = parseFloat(rawAmount);
+
+        if (!ymd) {
+            return { error: `Row ${rowNum}: Invalid date format "${rawDate}" (expected YYYY-MM-DD or MM/DD/YYYY)` };
+        }
+
+        if (isNaN(parsedAmount)) {
+            return { error: `Row ${rowNum}: Invalid amount "${rawAmount}"` };
+        }
+
+        return {
+            record: {
+                firstName,
+                lastName,
+                candidateName,
+                contributionDate: ymd,
+                contributionEpoch: epoch,
+                amount: Math.round(parsedAmount * 100) / 100,
+                isRefund: parsedAmount < 0,
+                entityType: value('entity').toUpperCase(),
+                transactionId: value('tranId'),
+                employer: value('employer'),
+                occupation: value('occupation'),
+                address1: value('address1'),
+                // A single "address" column can be detected as both lines
+                address2: columns.address2 !== columns.address1 ? value('address2') : '',
+                city: value('city'),
+                state: value('state').toUpperCase(),
+                zip: Utils.normalizeZip(value('zip')),
+                receiptId: value('receiptId'),  // Store temporarily for hashing (ActBlue)
+                recurrenceNumber: value('recurrenceNumber'),  // Store temporarily for hashing (ActBlue)
+                subId: value('subId'),  // Store temporarily for hashing (FEC)
+                importHash: value('importHash'),  // Preserve existing hash if re-importing DonorDex export
+                committeeId: value('committeeId').toUpperCase(),
+                amendment: value('amendment').toUpperCase(),
+                fileNum: parseInt(value('fileNum')) || 0
+            }
+        };
+    },
+
+    /**
+     * Apply the import mode to parsed records
+     * @param {Array} allRecords - Parsed records
+     * @param {string} importMode - "smart", "individuals" or "all"
+     * @param {Object} columns - Field name => column index
+     * @returns {Array} - Records to import
+     */
+    applyImportMode(allRecords, importMode, columns) {
+        if (importMode === 'individuals') {
+            return allRecords.filter(r => r.entityType === 'IND' || !r.entityType);
+        }
+
+        if (importMode !== 'smart' || columns.entity === -1 || columns.tranId === -1) {
+            // Import all records
+            return allRecords;
+        }
+
+        // Smart merge earmarked contributions
+        const parsedData = [];
+        const transactionGroups = new Map();
+
+        allRecords.forEach(record => {
+            const baseId = record.transactionId.replace(/E$/i, '');
+            if (!baseId) {
+                transactionGroups.set(Symbol(), [record]);
+            } else {
+                if (!transactionGroups.has(baseId)) {
+                    transactionGroups.set(baseId, []);
+                }
+                transactionGroups.get(baseId).push(record);
+            }
+        });
+
+        for (const group of transactionGroups.values()) {
+            const individualRecord = group.find(r => r.entityType === 'IND');
+            const conduitRecord = group.find(r => ['PAC', 'PTY'].includes(r.entityType));
+
+            if (individualRecord) {
+                parsedData.push({
+                    firstName: individualRecord.firstName,
+                    lastName: individualRecord.lastName,
+                    candidateName: individualRecord.candidateName,
+                    contributionDate: conduitRecord ? conduitRecord.contributionDate : individualRecord.contributionDate,
+                    contributionEpoch: conduitRecord ? conduitRecord.contributionEpoch : individualRecord.contributionEpoch,
+                    amount: individualRecord.amount,
+                    isRefund: individualRecord.isRefund,
+                    employer: individualRecord.employer,
+                    occupation: individualRecord.occupation,
+                    address1: individualRecord.address1,
+                    address2: individualRecord.address2,
+                    city: individualRecord.city,
+                    state: individualRecord.state,
+                    zip: individualRecord.zip,
+                    // Preserve deduplication fields from individual record
+                    receiptId: individualRecord.receiptId,
+                    recurrenceNumber: individualRecord.recurrenceNumber,
+                    subId: individualRecord.subId,
+                    importHash: individualRecord.importHash,
+                    // Keep FEC filing details for amendment handling
+                    transactionId: individualRecord.transactionId,
+                    committeeId: individualRecord.committeeId,
+                    amendment: individualRecord.amendment,
+                    fileNum: individualRecord.fileNum
+                });
+            } else if (group.length === 1) {
+                parsedData.push(group[0]);
+            }
+        }
+
+        return parsedData;
+    },
+
+    /**
+     * Compute the deduplication hash for a record
+     * Handles ActBlue (receiptId), FEC (subId), DonorDex exports (importHash), or fallback
+     * @param {Object} record - Parsed record
+     * @returns {Promise<Object>} - {hash, source}
+     */
+    async computeImportHash(record) {
+        if (record.importHash) {
+            // DonorDex export: use existing hash directly
+            return { hash: record.importHash, source: 'importHash' };
+        }
+
+        if (record.receiptId) {
+            // ActBlue export: generate hash from Receipt ID + Recurrence Number
+            const hashInput = record.receiptId + '|' + (record.recurrenceNumber || '1');
+            return { hash: await Utils.sha256(hashInput), source: 'actblue' };
+        }
+
+        if (record.subId) {
+            // FEC export: generate hash from sub_id
+            return { hash: await Utils.sha256(record.subId), source: 'fec' };
+        }
+
+        // Fallback: No unique ID found, hash based on contribution data
+        // This prevents duplicates when CSV lacks unique identifiers
+        const hashInput = [
+            record.firstName,
+            record.lastName,
+            record.candidateName,
+            record.contributionDate,
+            record.amount,
+            record.employer || '',
+            record.occupation || ''
+        ].join('|');
+        return { hash: await Utils.sha256(hashInput), source: 'fallback' };
+    },
+
+    /**
+     * Describe an import mode for the preview
+     * @param {string} importMode - "smart", "individuals" or "all"
+     * @returns {string} - Description
+     */
+    describeImportMode(importMode) {
+        if (importMode === 'individuals') {
+            return 'Individual donors only';
+        } else if (importMode === 'smart') {
+            return 'Smart merge (earmarked contributions combined)';
+        }
+        return 'All records (including refunds)';
+    },
+
+    /**
+     * Build mapping description for preview
+     * @param {Array<string>} headers - Column headers
+     * @param {Object} columns - Field name => column index
+     * @returns {Object} - Header names of the mapped core columns
+     */
+    buildMappingInfo(headers, columns) {
+        const mappingInfo = {
+            candidateCol: headers[columns.committee],
+            dateCol: headers[columns.date],
+            amountCol: headers[columns.amount]
+        };
+
+        if (columns.firstName !== -1 && columns.lastName !== -1) {
+            mappingInfo.firstNameCol = headers[columns.firstName];
+            mappingInfo.lastNameCol = headers[columns.lastName];
+        } else if (columns.fullName !== -1) {
+            mappingInfo.fullNameCol = headers[columns.fullName];
+        }
+
+        return mappingInfo;
+    },
+
+    /**
+     * Get the header used for every detected field (stored with the import batch)
+     * @param {Array<string>} headers - Column headers
+     * @param {Object} columns - Field name => column index
+     * @returns {Object} - Field name => header name
+     */
+    getColumnHeaders(headers, columns) {
+        const mapping = {};
+        Object.keys(columns).forEach(field => {
+            if (columns[field] !== -1) mapping[field] = headers[columns[field]];
+        });
+        return mapping;
+    }
+};
+
+// Export for use in other modules (and the import worker)
+window.ImportParser = ImportParser;
@@ -0,0 +1,549 @@
+/**
+ * DonorDex Import Worker
+ * Streams, parses, hashes and stores CSV imports off the main thread
+ *
+ * CSV files are parsed into memory for the preview and saved on commit.
+ * FEC bulk files (itcont.txt) can be several gigabytes, so the preview pass
+ * only counts and samples rows, and commit streams the file again, checking
+ * duplicates and amendments one save batch at a time.
+ *
+ * Messages in:  {type: 'parse', source: Blob, fileName, importMode, mapping, keys}
+ *               {type: 'commit', keys} | {type: 'cancel'} | {type: 'discard'}
+ *               (keys: the app lock's encryption keys, or null)
+ * Messages out: {type: 'progress', phase, done, total, rows}
+ *               {type: 'preview', preview}
+ *               {type: 'committed', added, importId, resolution}
+ *               {type: 'cancelled', rolledBack}
+ *               {type: 'error', message}
+ */
+
+// Shared modules export onto window
+self.window = self;
+importScripts('../lib/dexie.min.js', 'cipher.js', 'database.js', 'utils.js', 'donors.js', 'committees.js', 'normalizer.js', 'import-parser.js');
+
+const ImportWorker = {
+    // Records written per transaction (also the rollback granularity)
+    SAVE_BATCH_SIZE: 2000,
+    // Records hashed concurrently
+    HASH_BATCH_SIZE: 500,
+    // Minimum milliseconds between progress messages
+    PROGRESS_INTERVAL: 100,
+    // Row errors kept for the preview
+    MAX_ERRORS: 10,
+
+    // Parsed, deduplicated records waiting for confirmation (CSV), or the
+    // file to stream again on commit (FEC bulk)
+    pendingRecords: null,
+    pendingReplacedIds: null,
+    pendingSource: null,
+    // Provenance recorded with the import batch
+    pendingBatch: null,
+    cancelled: false,
+    lastProgressAt: 0,
+
+    /**
+     * Dispatch a message from the main thread
+     * @param {Object} message - Message data
+     */
+    async handleMessage(message) {
+        try {
+            // Records are encrypted with the page's keys while the app lock is on
+            if ('keys' in message) Database.setEncryptionKeys(message.keys);
+
+            switch (message.type) {
+                case 'parse':
+                    await this.parse(message.source, message.fileName, message.importMode, message.mapping || null);
+                    break;
+                case 'commit':
+                    await this.commit();
+                    break;
+                case 'cancel':
+                    this.cancelled = true;
+                    break;
+                case 'discard':
+                    this.clearPending();
+                    break;
+            }
+        } catch (error) {
+            console.error('[Import Worker] Error:', error);
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        }
+    },
+
+    /**
+     * Forget the previewed import
+     */
+    clearPending() {
+        this.pendingRecords = null;
+        this.pendingReplacedIds = null;
+        this.pendingSource = null;
+        this.pendingBatch = null;
+    },
+
+    /**
+     * Post a progress update (throttled unless forced)
+     * @param {string} phase - "parse", "hash", "save", "link" or "rollback"
+     * @param {number} done - Units done (bytes for parse, records otherwise)
+     * @param {number} total - Total units
+     * @param {number} rows - Rows handled so far
+     * @param {boolean} force - Send even if the last update was recent
+     */
+    reportProgress(phase, done, total, rows, force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastProgressAt < this.PROGRESS_INTERVAL) return;
+        this.lastProgressAt = now;
+        self.postMessage({ type: 'progress', phase, done, total, rows });
+    },
+
+    /**
+     * Let queued messages (e.g. cancel) run between chunks of work
+     * @returns {Promise<void>}
+     */
+    yieldToMessages() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    },
+
+    /**
+     * Stream a source through the CSV parser
+     * Progress is reported in bytes; cancel is checked between chunks
+     * @param {Blob} source - File or pasted text as a Blob
+     * @param {string} format - "csv" or "fec-bulk"
+     * @param {string} phase - Progress phase to report
+     * @param {Function} onRows - Callback(rows) for each parsed chunk (may be async)
+     * @returns {Promise<boolean>} - False if cancelled
+     */
+    async streamRows(source, format, phase, onRows) {
+        const bulk = format === 'fec-bulk';
+        const parser = Utils.createCsvParser(bulk ? '|' : ',', !bulk);
+        const reader = source.stream().getReader();
+        const decoder = new TextDecoder();
+        let bytesRead = 0;
+        let rowCount = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            bytesRead += value.length;
+            const rows = parser.push(decoder.decode(value, { stream: true }));
+            rowCount += rows.length;
+            await onRows(rows);
+
+            this.reportProgress(phase, bytesRead, source.size, rowCount);
+            await this.yieldToMessages();
+            if (this.cancelled) {
+                await reader.cancel();
+                return false;
+            }
+        }
+
+        const rows = [...parser.push(decoder.decode()), ...parser.end()];
+        await onRows(rows);
+        this.reportProgress(phase, source.size, source.size, rowCount + rows.length, true);
+        return true;
+    },
+
+    /**
+     * Stream-parse a source, apply the import mode and drop duplicates
+     * Posts a preview and keeps the import until commit or discard
+     * @param {Blob} source - File or pasted text as a Blob
+     * @param {string} fileName - Name recorded with the import batch
+     * @param {string} importMode - "smart", "individuals" or "all"
+     * @param {Object|null} mapping - Field name => header name from the manual mapper
+     */
+    async parse(source, fileName, importMode, mapping) {
+        this.cancelled = false;
+        this.clearPending();
+
+        const format = await ImportParser.detectFormat(source);
+        const bulk = format === 'fec-bulk';
+
+        let headers;
+        let columns;
+        let profile = null;
+
+        if (bulk) {
+            headers = ImportParser.FEC_BULK_COLUMNS;
+            columns = ImportParser.getBulkColumns();
+        } else {
+            const headerFields = await ImportParser.readHeaders(source);
+            if (!headerFields) {
+                throw new Error('Please include headers and at least one data row');
+            }
+
+            headers = headerFields.map(h => h.toLowerCase().trim());
+            ({ columns, profile } = await ImportParser.resolveColumns(headers, mapping));
+            const missing = ImportParser.getMissingColumns(columns);
+            if (missing.length > 0) {
+                throw new Error(`Could not auto-detect columns for: ${missing.join(', ')}\n\nClick "Manual Mapping" to specify columns manually.`);
+            }
+        }
+
+        // Bulk files have no header row to skip
+        let headerSkipped = bulk;
+        let rowNum = bulk ? 0 : 1;
+        let parsedCount = 0;
+        let errorCount = 0;
+        const allRecords = [];
+        const sample = [];
+        const errors = [];
+
+        const completed = await this.streamRows(source, format, 'parse', rows => {
+            for (const fields of rows) {
+                if (!headerSkipped) {
+                    headerSkipped = true;
+                    continue;
+                }
+
+                rowNum++;
+                const result = bulk
+                    ? ImportParser.parseBulkRow(fields, rowNum, columns)
+                    : ImportParser.parseRow(fields, rowNum, columns);
+                if (!result) continue;
+
+                if (result.error) {
+                    errorCount++;
+                    if (errors.length < this.MAX_ERRORS) errors.push(result.error);
+                } else {
+                    parsedCount++;
+                    if (bulk) {
+                        if (sample.length < 3) sample.push(result.record);
+                    } else {
+                        allRecords.push(result.record);
+                    }
+                }
+            }
+        });
+
+        if (!completed) {
+            self.postMessage({ type: 'cancelled', rolledBack: 0 });
+            return;
+        }
+
+        if (parsedCount === 0 && errorCount === 0) {
+            throw new Error('Please include headers and at least one data row');
+        }
+
+        const batchInfo = {
+            fileName: fileName,
+            format: format,
+            importMode: importMode,
+            mapping: ImportParser.getColumnHeaders(headers, columns),
+            profileName: profile ? profile.name : '',
+            duplicates: 0,
+            superseded: 0,
+            errors: errorCount
+        };
+        const notes = [];
+        let count;
+
+        if (bulk) {
+            // Duplicates and amendments are resolved batch by batch while saving
+            this.pendingSource = source;
+            count = parsedCount;
+            await Committees.resolveRecords(sample);
+            notes.push('FEC bulk file (itcont): duplicates and amended transactions are checked while saving, so fewer records may be added.');
+        } else {
+            const latest = ImportParser.selectLatestVersions(allRecords);
+            const parsedData = ImportParser.applyImportMode(latest.records, importMode, columns);
+            const deduped = await this.deduplicate(parsedData);
+            if (!deduped) return;
+
+            await Committees.resolveRecords(deduped.records);
+            await Normalizer.normalizeRecords(deduped.records);
+            const versions = await this.resolveVersions(deduped.records);
+            versions.superseded += latest.superseded;
+            this.pendingRecords = versions.records;
+            this.pendingReplacedIds = versions.replacedIds;
+            batchInfo.duplicates = deduped.duplicateCount;
+            batchInfo.superseded = versions.superseded;
+            count = versions.records.length;
+            sample.push(...versions.records.slice(0, 3));
+
+            if (deduped.duplicateCount > 0) {
+                notes.push(`Skipped ${deduped.duplicateCount} duplicate record${deduped.duplicateCount > 1 ? 's' : ''} (already imported)`);
+            }
+            if (versions.superseded > 0) {
+                notes.push(`Skipped ${versions.superseded} superseded version${versions.superseded > 1 ? 's' : ''} of amended transactions`);
+            }
+            if (versions.replacedIds.length > 0) {
+                notes.push(`${versions.replacedIds.length} stored record${versions.replacedIds.length > 1 ? 's' : ''} will be replaced by amended versions`);
+            }
+        }
+
+        this.pendingBatch = batchInfo;
+
+        self.postMessage({
+            type: 'preview',
+            preview: {
+                count: count,
+                sample: sample,
+                errors: errors,
+                errorCount: errorCount,
+                notes: notes,
+                mapping: ImportParser.buildMappingInfo(headers, columns),
+                modeDescription: ImportParser.describeImportMode(importMode),
+                profileName: batchInfo.profileName
+            }
+        });
+    },
+
+    /**
+     * Hash a batch of records and drop those already known
+     * Kept records get their importHash and lose temporary hashing fields
+     * @param {Array} batch - Parsed records
+     * @param {Set} knownHashes - Hashes already stored or seen (updated in place)
+     * @param {boolean} lookupStored - Also look the hashes up in the database
+     * @returns {Promise<Object>} - {records, duplicateCount}
+     */
+    async hashBatch(batch, knownHashes, lookupStored = false) {
+        const hashes = (await Promise.all(batch.map(record => ImportParser.computeImportHash(record)))).map(h => h.hash);
+        if (lookupStored) {
+            (await Database.findExistingHashes(hashes)).forEach(hash => knownHashes.add(hash));
+        }
+
+        const records = [];
+        let duplicateCount = 0;
+
+        batch.forEach((record, index) => {
+            const hash = hashes[index];
+
+            // Check if hash already exists
+            if (knownHashes.has(hash)) {
+                duplicateCount++;
+                return; // Skip this duplicate
+            }
+
+            record.importHash = hash;
+
+            // Clean up temporary fields
+            delete record.receiptId;
+            delete record.recurrenceNumber;
+            delete record.subId;
+
+            records.push(record);
+            knownHashes.add(hash); // Track for this import session
+        });
+
+        return { records, duplicateCount };
+    },
+
+    /**
+     * Hash records and drop those already stored or repeated in this import
+     * @param {Array} parsedData - Records after the import mode is applied
+     * @returns {Promise<Object|null>} - {records, duplicateCount}, or null if cancelled
+     */
+    async deduplicate(parsedData) {
+        // Always run deduplication (uses fallback hash if no unique IDs)
+        const existingHashes = await Database.getExistingHashes();
+        console.log(`Found ${existingHashes.size} existing hashes in database`);
+
+        const dedupedData = [];
+        let duplicateCount = 0;
+
+        for (let i = 0; i < parsedData.length; i += this.HASH_BATCH_SIZE) {
+            const batch = parsedData.slice(i, i + this.HASH_BATCH_SIZE);
+            const result = await this.hashBatch(batch, existingHashes);
+            dedupedData.push(...result.records);
+            duplicateCount += result.duplicateCount;
+
+            this.reportProgress('hash', i + batch.length, parsedData.length, i + batch.length);
+            await this.yieldToMessages();
+            if (this.cancelled) {
+                self.postMessage({ type: 'cancelled', rolledBack: 0 });
+                return null;
+            }
+        }
+
+        console.log(`Deduplication complete: ${duplicateCount} duplicates removed, ${dedupedData.length} records remaining`);
+
+        return { records: dedupedData, duplicateCount };
+    },
+
+    /**
+     * Compare FEC transactions with their stored versions
+     * A newer version replaces the stored ones; an older or equal one is skipped
+     * @param {Array} records - Deduplicated records, one version per transaction
+     * @returns {Promise<Object>} - {records, replacedIds, superseded}
+     */
+    async resolveVersions(records) {
+        const kept = [];
+        const candidates = [];
+        let superseded = 0;
+
+        records.forEach(record => {
+            if (ImportParser.getTransactionKey(record)) {
+                candidates.push(record);
+            } else {
+                kept.push(record);
+            }
+        });
+
+        const stored = await Database.getTransactionVersions(candidates.map(r => [r.committeeId, r.transactionId]));
+        const storedByKey = new Map();
+        stored.forEach(record => {
+            const key = ImportParser.getTransactionKey(record);
+            if (!storedByKey.has(key)) storedByKey.set(key, []);
+            storedByKey.get(key).push(record);
+        });
+
+        const replacedIds = [];
+        candidates.forEach(record => {
+            const versions = storedByKey.get(ImportParser.getTransactionKey(record)) || [];
+            if (versions.every(version => ImportParser.isNewerVersion(record, version))) {
+                kept.push(record);
+                versions.forEach(version => replacedIds.push(version.id));
+            } else {
+                superseded++;
+            }
+        });
+
+        return { records: kept, replacedIds, superseded };
+    },
+
+    /**
+     * Save pending records, then link them to donors
+     * The import batch is recorded first (status "partial") so records saved
+     * before an interruption can still be undone from the import history.
+     * A cancel between batches deletes everything saved so far. Records
+     * replaced by amended versions are deleted once everything is saved.
+     */
+    async commit() {
+        if (!this.pendingRecords && !this.pendingSource) return;
+
+        this.cancelled = false;
+        const importBatch = {
+            id: Utils.generateId(),
+            importedAt: Date.now(),
+            ...this.pendingBatch,
+            added: 0,
+            replaced: 0,
+            status: 'partial'
+        };
+        await Database.putImport(importBatch);
+
+        const replacedIds = this.pendingSource
+            ? await this.commitStream(importBatch)
+            : await this.commitRecords(importBatch);
+
+        if (!replacedIds) {
+            await this.rollback(importBatch);
+            return;
+        }
+
+        for (let i = 0; i < replacedIds.length; i += this.SAVE_BATCH_SIZE) {
+            importBatch.replaced += await Database.deleteRecords(replacedIds.slice(i, i + this.SAVE_BATCH_SIZE));
+        }
+
+        // Amendments later in a bulk file can replace records saved earlier
+        importBatch.added = await Database.countImportRecords(importBatch.id);
+        importBatch.status = 'complete';
+        await Database.putImport(importBatch);
+        this.clearPending();
+
+        this.reportProgress('link', 0, 1, importBatch.added, true);
+        const resolution = await Donors.resolveUnassigned();
+
+        self.postMessage({ type: 'committed', added: importBatch.added, importId: importBatch.id, resolution });
+    },
+
+    /**
+     * Save one batch of records under an import batch
+     * @param {Object} importBatch - Batch being saved
+     * @param {Array} records - Records to add
+     */
+    async saveBatch(importBatch, records) {
+        if (records.length === 0) return;
+
+        const batch = records.map(record => ({
+            id: Utils.generateId(),
+            ...record,
+            importId: importBatch.id
+        }));
+
+        await Database.bulkAdd(batch);
+        importBatch.added += batch.length;
+        await Database.putImport(importBatch);
+    },
+
+    /**
+     * Save previewed CSV records in batches
+     * @param {Object} importBatch - Batch being saved
+     * @returns {Promise<Array<string>|null>} - IDs of replaced records, or null if cancelled
+     */
+    async commitRecords(importBatch) {
+        const records = this.pendingRecords;
+
+        for (let i = 0; i < records.length; i += this.SAVE_BATCH_SIZE) {
+            await this.saveBatch(importBatch, records.slice(i, i + this.SAVE_BATCH_SIZE));
+
+            this.reportProgress('save', importBatch.added, records.length, importBatch.added);
+            await this.yieldToMessages();
+
+            if (this.cancelled) return null;
+        }
+
+        return this.pendingReplacedIds;
+    },
+
+    /**
+     * Stream an FEC bulk file again and save it batch by batch
+     * Only one batch of records is held in memory at a time
+     * @param {Object} importBatch - Batch being saved
+     * @returns {Promise<Array<string>|null>} - IDs of replaced records, or null if cancelled
+     */
+    async commitStream(importBatch) {
+        const columns = ImportParser.getBulkColumns();
+        const replacedIds = new Set();
+        let chunk = [];
+        let rowNum = 0;
+
+        const flush = async () => {
+            if (chunk.length === 0) return;
+            const latest = ImportParser.selectLatestVersions(chunk);
+            const records = ImportParser.applyImportMode(latest.records, importBatch.importMode, columns);
+            chunk = [];
+
+            const deduped = await this.hashBatch(records, new Set(), true);
+            await Committees.resolveRecords(deduped.records);
+            await Normalizer.normalizeRecords(deduped.records);
+            const versions = await this.resolveVersions(deduped.records);
+            versions.replacedIds.forEach(id => replacedIds.add(id));
+
+            importBatch.duplicates += deduped.duplicateCount;
+            importBatch.superseded += latest.superseded + versions.superseded;
+            await this.saveBatch(importBatch, versions.records);
+        };
+
+        const completed = await this.streamRows(this.pendingSource, 'fec-bulk', 'save', async rows => {
+            for (const fields of rows) {
+                rowNum++;
+                const result = ImportParser.parseBulkRow(fields, rowNum, columns);
+                if (result && result.record) chunk.push(result.record);
+            }
+            if (chunk.length >= this.SAVE_BATCH_SIZE) {
+                await flush();
+            }
+        });
+
+        if (!completed) return null;
+        await flush();
+
+        return Array.from(replacedIds);
+    },
+
+    /**
+     * Delete the records and batch entry of a cancelled import
+     * @param {Object} importBatch - Batch being saved
+     */
+    async rollback(importBatch) {
+        const rolledBack = await Database.undoImport(importBatch.id, (deleted, total) => {
+            this.reportProgress('rollback', deleted, total, deleted);
+        });
+
+        this.clearPending();
+        self.postMessage({ type: 'cancelled', rolledBack });
+    }
+};
+
+self.onmessage = event => ImportWorker.handleMessage(event.data);
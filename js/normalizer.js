@@ -0,0 +1,190 @@
+/**
+ * DonorDex Employer & Occupation Normalizer
+ * Built-in cleanup rules plus a user-edited alias table. Records keep the
+ * reported employer and occupation; the normalized values (employerNorm,
+ * occupationNorm) are what filters, search, grouping and stats compare.
+ * DOM-free so it runs in the import worker.
+ */
+
+const Normalizer = {
+    // Normalized fields: reported field → stored normalized field
+    FIELDS: {
+        employer: 'employerNorm',
+        occupation: 'occupationNorm'
+    },
+
+    FIELD_LABELS: {
+        employer: 'Employer',
+        occupation: 'Occupation'
+    },
+
+    // Trailing words dropped from employer names ("GOOGLE LLC" → "GOOGLE")
+    CORPORATE_SUFFIXES: ['INC', 'INCORPORATED', 'LLC', 'PLLC', 'LLP', 'LP', 'LTD', 'LIMITED', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'PC', 'PA'],
+
+    // Values that mean the donor did not say, stored as empty
+    // (compared after punctuation is collapsed, so "N/A" is "N A")
+    PLACEHOLDERS: [
+        'INFORMATION REQUESTED', 'INFORMATION REQUESTED PER BEST EFFORTS', 'INFO REQUESTED',
+        'REQUESTED', 'BEST EFFORTS', 'N A', 'NA', 'NONE GIVEN', 'NOT PROVIDED', 'UNKNOWN', 'REFUSED'
+    ],
+
+    // Settings key of the alias table
+    ALIAS_SETTING: 'normalizationAliases',
+
+    /**
+     * Apply the built-in rules to a value
+     * "Google, L.L.C." and "GOOGLE INC." both give "GOOGLE"
+     * @param {string} field - employer or occupation
+     * @param {string} value - Reported value
+     * @returns {string} - Cleaned value ('' for placeholders)
+     */
+    clean(field, value) {
+        const words = String(value || '')
+            .toUpperCase()
+            .replace(/&/g, ' AND ')
+            .replace(/[.']/g, '')
+            .replace(/[^A-Z0-9 ]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        if (this.PLACEHOLDERS.includes(words.join(' '))) return '';
+
+        if (field === 'employer') {
+            if (words.length > 1 && words[0] === 'THE') words.shift();
+            while (words.length > 1 && this.CORPORATE_SUFFIXES.includes(words[words.length - 1])) {
+                words.pop();
+            }
+        }
+        return words.join(' ');
+    },
+
+    /**
+     * Load the alias table as lookup maps
+     * @returns {Promise<Object>} - Dictionary {employer: Map, occupation: Map} of cleaned value → normalized value
+     */
+    async loadDictionary() {
+        return this.buildDictionary(await this.getAliases());
+    },
+
+    /**
+     * Build lookup maps from aliases
+     * @param {Array} aliases - [{field, from, to}]
+     * @returns {Object} - Dictionary {employer: Map, occupation: Map}
+     */
+    buildDictionary(aliases) {
+        const dictionary = { employer: new Map(), occupation: new Map() };
+        aliases.forEach(alias => {
+            if (dictionary[alias.field]) {
+                dictionary[alias.field].set(this.clean(alias.field, alias.from), this.clean(alias.field, alias.to));
+            }
+        });
+        return dictionary;
+    },
+
+    /**
+     * Normalize a value: built-in rules, then the alias table
+     * @param {string} field - employer or occupation
+     * @param {string} value - Reported value
+     * @param {Object} dictionary - Result of loadDictionary
+     * @returns {string} - Normalized value
+     */
+    normalize(field, value, dictionary) {
+        const cleaned = this.clean(field, value);
+        const aliases = dictionary[field];
+        return aliases.has(cleaned) ? aliases.get(cleaned) : cleaned;
+    },
+
+    /**
+     * Fill in a record's normalized fields
+     * @param {Object} record - Record (changed in place)
+     * @param {Object} dictionary - Result of loadDictionary
+     * @returns {boolean} - Whether a normalized value changed
+     */
+    normalizeRecord(record, dictionary) {
+        let changed = false;
+        Object.entries(this.FIELDS).forEach(([field, normField]) => {
+            const value = this.normalize(field, record[field], dictionary);
+            if (record[normField] !== value) {
+                record[normField] = value;
+                changed = true;
+            }
+        });
+        return changed;
+    },
+
+    /**
+     * Fill in normalized fields on records before they are saved
+     * @param {Array} records - Records (changed in place)
+     * @param {Object} dictionary - Result of loadDictionary (loaded when omitted)
+     * @returns {Promise<number>} - Number of records changed
+     */
+    async normalizeRecords(records, dictionary = null) {
+        const lookup = dictionary || await this.loadDictionary();
+        return records.filter(record => this.normalizeRecord(record, lookup)).length;
+    },
+
+    // ==================== Alias Table ====================
+
+    /**
+     * Get the alias table
+     * @returns {Promise<Array>} - Aliases {field, from, to} sorted by field and value
+     */
+    async getAliases() {
+        const aliases = await Database.getSetting(this.ALIAS_SETTING, []);
+        return aliases.slice().sort((a, b) => a.field.localeCompare(b.field) || a.from.localeCompare(b.from));
+    },
+
+    /**
+     * Add an alias, replacing any alias for the same value
+     * Aliases are not chained: aliases that pointed at the replaced value
+     * are pointed at the new value instead.
+     * @param {string} field - employer or occupation
+     * @param {string} from - Value as reported (cleaned before matching)
+     * @param {string} to - Value to store instead ('' treats it as a placeholder)
+     * @returns {Promise<Object>} - Stored alias
+     */
+    async addAlias(field, from, to) {
+        if (!this.FIELDS[field]) throw new Error('Choose employer or occupation');
+
+        const fromKey = this.clean(field, from);
+        if (!fromKey) throw new Error('Enter the value to replace (placeholders are already cleared)');
+        const toKey = this.clean(field, to);
+        if (fromKey === toKey) throw new Error(`"${from}" already normalizes to ${toKey}`);
+
+        const aliases = await Database.getSetting(this.ALIAS_SETTING, []);
+        if (aliases.some(a => a.field === field && a.from === toKey)) {
+            throw new Error(`${toKey} is itself replaced by an alias. Point "${from}" at its replacement instead.`);
+        }
+
+        const alias = { field, from: fromKey, to: toKey };
+        const kept = aliases
+            .filter(a => !(a.field === field && a.from === fromKey))
+            .map(a => (a.field === field && a.to === fromKey ? { ...a, to: toKey } : a))
+            .filter(a => a.from !== a.to);
+        await Database.setSetting(this.ALIAS_SETTING, [...kept, alias]);
+        return alias;
+    },
+
+    /**
+     * Remove an alias
+     * @param {string} field - employer or occupation
+     * @param {string} from - Replaced value
+     * @returns {Promise<void>}
+     */
+    async removeAlias(field, from) {
+        const aliases = await Database.getSetting(this.ALIAS_SETTING, []);
+        await Database.setSetting(this.ALIAS_SETTING, aliases.filter(a => !(a.field === field && a.from === from)));
+    },
+
+    /**
+     * Re-normalize every stored record (after the alias table changes)
+     * @returns {Promise<number>} - Number of records updated
+     */
+    async normalizeStoredRecords() {
+        const dictionary = await this.loadDictionary();
+        return await Database.modifyAllRecords(record => this.normalizeRecord(record, dictionary));
+    }
+};
+
+// Export for use in other modules
+window.Normalizer = Normalizer;
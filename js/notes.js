@@ -0,0 +1,337 @@
+/**
+ * DonorDex Donor Notes
+ * Tags on donors ("host committee", "do not call") and a log of calls,
+ * meetings, pledges and free-form notes, shown on search result cards
+ */
+
+const Notes = {
+    // Interaction types
+    TYPES: {
+        call: { label: 'Call', icon: '📞' },
+        meeting: { label: 'Meeting', icon: '🤝' },
+        pledge: { label: 'Pledge', icon: '💵' },
+        note: { label: 'Note', icon: '📝' }
+    },
+
+    // Types that count as contact for "no contact in N days" (a note does not)
+    CONTACT_TYPES: ['call', 'meeting', 'pledge'],
+
+    // Interaction being edited on each card (donorId → interactionId)
+    editing: {},
+
+    // ==================== Donor Tags ====================
+
+    /**
+     * Clean a donor tag (trimmed, single-spaced, lowercase)
+     * @param {string} tag - Tag as typed
+     * @returns {string} - Clean tag
+     */
+    normalizeTag(tag) {
+        return String(tag || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    },
+
+    /**
+     * Add a tag to a donor
+     * @param {string} donorId - Donor ID
+     * @param {string} tag - Tag
+     * @returns {Promise<Object>} - Updated donor
+     */
+    async addDonorTag(donorId, tag) {
+        const clean = this.normalizeTag(tag);
+        if (!clean) throw new Error('Tag required');
+
+        const donor = await Database.getDonor(donorId);
+        if (!donor) throw new Error('Donor not found');
+
+        donor.donorTags = Array.from(new Set([...(donor.donorTags || []), clean])).sort();
+        await Database.putDonors([donor]);
+        return donor;
+    },
+
+    /**
+     * Remove a tag from a donor
+     * @param {string} donorId - Donor ID
+     * @param {string} tag - Tag
+     * @returns {Promise<Object>} - Updated donor
+     */
+    async removeDonorTag(donorId, tag) {
+        const donor = await Database.getDonor(donorId);
+        if (!donor) throw new Error('Donor not found');
+
+        donor.donorTags = (donor.donorTags || []).filter(t => t !== tag);
+        await Database.putDonors([donor]);
+        return donor;
+    },
+
+    // ==================== Interactions ====================
+
+    /**
+     * Check interaction fields, returning the cleaned values
+     * @param {Object} fields - {type, date, text, amount}
+     * @returns {Object} - {type, date, epoch, text, amount}
+     */
+    validate(fields) {
+        if (!this.TYPES[fields.type]) throw new Error('Unknown interaction type');
+
+        const { ymd, epoch } = Utils.parseFecDate(fields.date);
+        if (!ymd) throw new Error('Date required');
+
+        const text = String(fields.text || '').trim();
+        let amount = null;
+        if (fields.type === 'pledge' && String(fields.amount ?? '').trim() !== '') {
+            amount = parseFloat(fields.amount);
+            if (isNaN(amount) || amount < 0) throw new Error('Pledge amount must be a positive dollar amount');
+            amount = Math.round(amount * 100) / 100;
+        }
+        if (!text && amount === null) throw new Error('Enter a note or a pledge amount');
+
+        return { type: fields.type, date: ymd, epoch, text, amount };
+    },
+
+    /**
+     * Log an interaction with a donor
+     * @param {string} donorId - Donor ID
+     * @param {Object} fields - {type, date, text, amount}
+     * @returns {Promise<Object>} - New interaction
+     */
+    async createInteraction(donorId, fields) {
+        const interaction = {
+            id: Utils.generateId(),
+            donorId: donorId,
+            ...this.validate(fields),
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        await Database.putInteraction(interaction);
+        return interaction;
+    },
+
+    /**
+     * Edit a logged interaction
+     * @param {string} interactionId - Interaction ID
+     * @param {Object} fields - {type, date, text, amount}
+     * @returns {Promise<Object>} - Updated interaction
+     */
+    async updateInteraction(interactionId, fields) {
+        const interaction = await Database.getInteraction(interactionId);
+        if (!interaction) throw new Error('Interaction not found');
+
+        const updated = { ...interaction, ...this.validate(fields), updatedAt: Date.now() };
+        await Database.putInteraction(updated);
+        return updated;
+    },
+
+    /**
+     * Load the interactions of donors, newest first
+     * @param {Array<string>} donorIds - Donor IDs
+     * @returns {Promise<Map>} - donorId → Array of interactions
+     */
+    async loadForDonors(donorIds) {
+        const byDonor = new Map(donorIds.map(id => [id, []]));
+        (await Database.getInteractions(donorIds)).forEach(interaction => {
+            if (byDonor.has(interaction.donorId)) byDonor.get(interaction.donorId).push(interaction);
+        });
+        byDonor.forEach(list => list.sort((a, b) => b.epoch - a.epoch || b.createdAt - a.createdAt));
+        return byDonor;
+    },
+
+    /**
+     * Get the most recent contact (call, meeting or pledge)
+     * @param {Array} interactions - Interactions, newest first
+     * @returns {Object|null} - Interaction or null
+     */
+    getLastContact(interactions) {
+        return interactions.find(i => this.CONTACT_TYPES.includes(i.type)) || null;
+    },
+
+    /**
+     * Get the donors contacted within the last N days (for the Browse filter)
+     * @param {number} days - Number of days
+     * @returns {Promise<Array<string>>} - Donor IDs
+     */
+    async getRecentlyContacted(days) {
+        const today = Utils.parseFecDate(new Date().toISOString().slice(0, 10)).epoch;
+        const since = await Database.getInteractionsSince(today - days * 86400000);
+        return [...new Set(since.filter(i => this.CONTACT_TYPES.includes(i.type)).map(i => i.donorId))];
+    },
+
+    // ==================== Search Result Cards ====================
+
+    /**
+     * Render donor tags and last contact for the card summary
+     * @param {Object} donor - Donor entity
+     * @param {Array} interactions - The donor's interactions, newest first
+     * @returns {string} - HTML
+     */
+    renderSummary(donor, interactions) {
+        const last = this.getLastContact(interactions);
+        const tags = (donor.donorTags || []).map(tag =>
+            `<span class="donor-tag">${Utils.escapeHtml(tag)}</span>`).join('');
+
+        return `
+            ${tags ? `<div style="margin-bottom: 6px;">${tags}</div>` : ''}
+            <div style="font-size: 12px; color: #718096; margin-bottom: 8px;">
+                ${last
+                    ? `Last contact: ${this.TYPES[last.type].icon} ${Utils.escapeHtml(this.TYPES[last.type].label)} on ${Utils.escapeHtml(Search.formatDate(last.date))}`
+                    : 'No contact logged'}
+                ${interactions.length > 0 ? ` • ${interactions.length} entr${interactions.length === 1 ? 'y' : 'ies'} logged` : ''}
+            </div>`;
+    },
+
+    /**
+     * Render the tags and contact history panel shown when a card is expanded
+     * @param {Object} donor - Donor entity
+     * @param {Array} interactions - The donor's interactions, newest first
+     * @returns {string} - HTML
+     */
+    renderPanel(donor, interactions) {
+        const id = Utils.escapeHtml(donor.id);
+        const editing = interactions.find(i => i.id === this.editing[donor.id]) || null;
+        const money = value => '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+        const tags = (donor.donorTags || []).map(tag => `
+            <span class="donor-tag">${Utils.escapeHtml(tag)}
+                <a href="#" onclick="event.preventDefault(); Notes.removeTagFromCard('${id}', this.dataset.tag)" data-tag="${Utils.escapeHtml(tag)}" title="Remove tag">✕</a>
+            </span>`).join('');
+
+        const history = interactions.map(i => `
+            <div class="interaction-item">
+                <div style="display: flex; justify-content: space-between; gap: 8px; flex-wrap: wrap;">
+                    <strong>${this.TYPES[i.type].icon} ${Utils.escapeHtml(this.TYPES[i.type].label)}${i.amount !== null ? ` • ${money(i.amount)}` : ''}</strong>
+                    <span style="font-size: 12px; color: #718096;">
+                        ${Utils.escapeHtml(Search.formatDate(i.date))}
+                        <a href="#" onclick="event.preventDefault(); Notes.editOnCard('${id}', '${i.id}')" style="margin-left: 8px; color: #174A57;">Edit</a>
+                        <a href="#" onclick="event.preventDefault(); Notes.deleteFromCard('${id}', '${i.id}')" style="margin-left: 8px; color: #dc2626;">Delete</a>
+                    </span>
+                </div>
+                ${i.text ? `<div style="white-space: pre-wrap; margin-top: 4px;">${Utils.escapeHtml(i.text)}</div>` : ''}
+            </div>`).join('');
+
+        const form = editing || { type: 'call', date: new Date().toISOString().slice(0, 10), text: '', amount: null };
+
+        return `
+            <div class="notes-panel">
+                <div style="margin-bottom: 10px;">
+                    <span class="info-label">Donor Tags</span>
+                    ${tags}
+                    <a href="#" onclick="event.preventDefault(); Notes.addTagFromCard('${id}')" style="color: #174A57; font-size: 12px; font-weight: 600;">+ Tag</a>
+                </div>
+
+                <div class="info-label" style="margin-bottom: 6px;">Contact History</div>
+                ${history || '<div style="font-size: 12px; color: #a0aec0; margin-bottom: 8px;">Nothing logged yet</div>'}
+
+                <div class="interaction-form" data-donor="${id}">
+                    <select data-field="type">
+                        ${Object.entries(this.TYPES).map(([type, t]) =>
+                            `<option value="${type}"${type === form.type ? ' selected' : ''}>${t.icon} ${t.label}</option>`).join('')}
+                    </select>
+                    <input type="date" data-field="date" value="${Utils.escapeHtml(form.date)}">
+                    <input type="number" data-field="amount" min="0" step="0.01" placeholder="Pledge $" value="${form.amount === null ? '' : form.amount}">
+                    <textarea data-field="text" rows="2" placeholder="What happened?">${Utils.escapeHtml(form.text)}</textarea>
+                    <div class="button-group" style="margin: 0;">
+                        <button class="btn btn-primary" onclick="Notes.saveFromCard('${id}')">${editing ? 'Save' : 'Log'}</button>
+                        ${editing ? `<button class="btn btn-secondary" onclick="Notes.editOnCard('${id}', null)">Cancel</button>` : ''}
+                    </div>
+                </div>
+            </div>`;
+    },
+
+    /**
+     * Re-render a donor's summary and panel on its search result card
+     * @param {string} donorId - Donor ID
+     */
+    async refreshCard(donorId) {
+        const donor = await Database.getDonor(donorId);
+        if (!donor) return;
+
+        const interactions = (await this.loadForDonors([donorId])).get(donorId);
+        const summary = document.getElementById(`notes-summary-${donorId}`);
+        const panel = document.getElementById(`notes-panel-${donorId}`);
+        if (summary) summary.innerHTML = this.renderSummary(donor, interactions);
+        if (panel) panel.innerHTML = this.renderPanel(donor, interactions);
+    },
+
+    /**
+     * Prompt for a tag and add it to a donor
+     * @param {string} donorId - Donor ID
+     */
+    async addTagFromCard(donorId) {
+        const existing = await Database.getDonorTags();
+        const tag = prompt('Tag this donor' + (existing.length > 0 ? ` (in use: ${existing.join(', ')})` : '') + ':');
+        if (tag === null) return;
+
+        try {
+            await this.addDonorTag(donorId, tag);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        await this.refreshCard(donorId);
+        await Filters.renderDonorTagOptions();
+    },
+
+    /**
+     * Remove a tag from a donor
+     * @param {string} donorId - Donor ID
+     * @param {string} tag - Tag
+     */
+    async removeTagFromCard(donorId, tag) {
+        await this.removeDonorTag(donorId, tag);
+        await this.refreshCard(donorId);
+        await Filters.renderDonorTagOptions();
+    },
+
+    /**
+     * Start (or with null, cancel) editing an interaction on a card
+     * @param {string} donorId - Donor ID
+     * @param {string|null} interactionId - Interaction ID
+     */
+    async editOnCard(donorId, interactionId) {
+        if (interactionId) {
+            this.editing[donorId] = interactionId;
+        } else {
+            delete this.editing[donorId];
+        }
+        await this.refreshCard(donorId);
+    },
+
+    /**
+     * Log a new interaction, or save the one being edited, from a card's form
+     * @param {string} donorId - Donor ID
+     */
+    async saveFromCard(donorId) {
+        const form = document.getElementById(`notes-panel-${donorId}`).querySelector('.interaction-form');
+        const value = field => form.querySelector(`[data-field="${field}"]`).value;
+        const fields = { type: value('type'), date: value('date'), text: value('text'), amount: value('amount') };
+
+        try {
+            if (this.editing[donorId]) {
+                await this.updateInteraction(this.editing[donorId], fields);
+            } else {
+                await this.createInteraction(donorId, fields);
+            }
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        delete this.editing[donorId];
+        await this.refreshCard(donorId);
+    },
+
+    /**
+     * Delete an interaction from a card
+     * @param {string} donorId - Donor ID
+     * @param {string} interactionId - Interaction ID
+     */
+    async deleteFromCard(donorId, interactionId) {
+        if (!confirm('Delete this entry from the contact history?')) return;
+
+        await Database.deleteInteraction(interactionId);
+        if (this.editing[donorId] === interactionId) delete this.editing[donorId];
+        await this.refreshCard(donorId);
+    }
+};
+
+// Export for use in other modules
+window.Notes = Notes;
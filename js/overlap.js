@@ -0,0 +1,353 @@
+/**
+ * DonorDex Overlap Module
+ * Compare the donors of two or more committees or tag groups: who gave to
+ * one side only and who gave to several
+ */
+
+const Overlap = {
+    MIN_SIDES: 2,
+    MAX_SIDES: 4,
+
+    // Committees and tags offered as sides
+    committees: [],
+    tags: [],
+
+    // Selected side values ("tag:<id>" or "committee:<key>")
+    selected: ['', ''],
+
+    // Last comparison result
+    result: null,
+
+    /**
+     * Load the committees and tags to choose from and render the form
+     */
+    async refresh() {
+        const [committees, tagData] = await Promise.all([Committees.listInUse(), Tags.load()]);
+        this.committees = committees;
+        this.tags = tagData.tags;
+        this.result = null;
+        this.renderSides();
+        this.renderResults();
+    },
+
+    /**
+     * Render one picker per side
+     */
+    renderSides() {
+        const container = document.getElementById('overlapSides');
+        const options = [
+            '<option value="">Choose a committee or tag...</option>',
+            this.tags.length > 0
+                ? `<optgroup label="Tags">${this.tags.map(tag =>
+                    `<option value="tag:${Utils.escapeHtml(tag.id)}">${Utils.escapeHtml(tag.name)}</option>`).join('')}</optgroup>`
+                : '',
+            `<optgroup label="Committees">${this.committees.map(c =>
+                `<option value="committee:${Utils.escapeHtml(c.key)}">${Utils.escapeHtml(c.name)}${c.id && c.id !== c.name ? ` (${Utils.escapeHtml(c.id)})` : ''}</option>`).join('')}</optgroup>`
+        ].join('');
+
+        container.innerHTML = this.selected.map((value, index) => `
+            <div style="display: flex; gap: 8px; align-items: center; margin-bottom: 8px;">
+                <span style="width: 14px; height: 14px; border-radius: 50%; flex-shrink: 0; background: ${Tags.COLORS[index]};"></span>
+                <strong style="width: 16px; color: #174A57;">${this.getSideLetter(index)}</strong>
+                <select class="overlap-side" data-index="${index}" style="flex: 1;" onchange="Overlap.selectSide(${index}, this.value)">${options}</select>
+                ${this.selected.length > this.MIN_SIDES ? `<button class="delete-btn" style="padding: 4px 8px;" onclick="Overlap.removeSide(${index})" title="Remove">✕</button>` : ''}
+            </div>`).join('');
+
+        container.querySelectorAll('.overlap-side').forEach(select => {
+            select.value = this.selected[parseInt(select.dataset.index)];
+        });
+        document.getElementById('overlapAddSide').style.display = this.selected.length < this.MAX_SIDES ? '' : 'none';
+    },
+
+    /**
+     * Get the letter a side is shown under (A, B, C, ...)
+     * @param {number} index - Side index
+     * @returns {string} - Letter
+     */
+    getSideLetter(index) {
+        return String.fromCharCode(65 + index);
+    },
+
+    /**
+     * Remember a side's selection
+     * @param {number} index - Side index
+     * @param {string} value - Option value
+     */
+    selectSide(index, value) {
+        this.selected[index] = value;
+    },
+
+    /**
+     * Add another side
+     */
+    addSide() {
+        if (this.selected.length >= this.MAX_SIDES) return;
+        this.selected.push('');
+        this.renderSides();
+    },
+
+    /**
+     * Remove a side
+     * @param {number} index - Side index
+     */
+    removeSide(index) {
+        if (this.selected.length <= this.MIN_SIDES) return;
+        this.selected.splice(index, 1);
+        this.renderSides();
+    },
+
+    /**
+     * Resolve the selected sides to committee keys
+     * @returns {Promise<Array>} - [{label, keys: Array<string>}]
+     */
+    async readSides() {
+        const sides = [];
+        for (const value of this.selected) {
+            const split = value.indexOf(':');
+            const kind = value.slice(0, split);
+            const id = value.slice(split + 1);
+            if (kind === 'tag') {
+                const tag = this.tags.find(t => t.id === id);
+                sides.push({ label: tag ? tag.name : id, keys: await Tags.getCommitteeKeys(id) });
+            } else if (kind === 'committee') {
+                const committee = this.committees.find(c => c.key === id);
+                sides.push({ label: committee ? committee.name : id, keys: [id] });
+            }
+        }
+        return sides;
+    },
+
+    /**
+     * Count which sides each donor gave to
+     * A donor counts toward a side when their net giving (refunds subtracted)
+     * to the side's committees is positive. Records not linked to a donor are
+     * left out, since the lists are browsed by donor.
+     * @param {Array} records - Contribution records
+     * @param {Array} sides - [{label, keys}]
+     * @returns {Object} - {sides: [{label, keys, donors, total}], regions: [{mask, donorIds, totals}], unlinked}
+     */
+    compute(records, sides) {
+        const keySets = sides.map(side => new Set(side.keys));
+        const donors = new Map();
+        let unlinked = 0;
+
+        records.forEach(record => {
+            const hits = [];
+            keySets.forEach((keys, index) => {
+                if (keys.has(record.committeeId) || keys.has(record.candidateName)) hits.push(index);
+            });
+            if (hits.length === 0) return;
+            if (!record.donorId) {
+                unlinked++;
+                return;
+            }
+
+            if (!donors.has(record.donorId)) donors.set(record.donorId, sides.map(() => 0));
+            const totals = donors.get(record.donorId);
+            hits.forEach(index => { totals[index] += Compliance.netAmount(record); });
+        });
+
+        const result = {
+            sides: sides.map(side => ({ ...side, donors: 0, total: 0 })),
+            regions: [],
+            unlinked: unlinked
+        };
+        const regions = new Map();
+
+        donors.forEach((totals, donorId) => {
+            let mask = 0;
+            totals.forEach((total, index) => {
+                if (total > 0) mask |= 1 << index;
+            });
+            if (mask === 0) return;
+
+            if (!regions.has(mask)) {
+                regions.set(mask, { mask, donorIds: [], totals: sides.map(() => 0) });
+            }
+            const region = regions.get(mask);
+            region.donorIds.push(donorId);
+            totals.forEach((total, index) => {
+                if (!(mask & (1 << index))) return;
+                region.totals[index] += total;
+                result.sides[index].donors++;
+                result.sides[index].total += total;
+            });
+        });
+
+        // Single-side regions first, then by the sides they cover
+        result.regions = [...regions.values()].sort((a, b) =>
+            this.countSides(a.mask) - this.countSides(b.mask) || a.mask - b.mask);
+        return result;
+    },
+
+    /**
+     * Count the sides in a region mask
+     * @param {number} mask - Region bit mask
+     * @returns {number}
+     */
+    countSides(mask) {
+        let count = 0;
+        for (let bits = mask; bits; bits >>= 1) count += bits & 1;
+        return count;
+    },
+
+    /**
+     * Describe a region ("A only", "A + B only", "All 3")
+     * @param {number} mask - Region bit mask
+     * @param {number} sideCount - Number of sides compared
+     * @returns {string} - Label
+     */
+    getRegionLabel(mask, sideCount) {
+        const letters = [];
+        for (let index = 0; index < sideCount; index++) {
+            if (mask & (1 << index)) letters.push(this.getSideLetter(index));
+        }
+        if (letters.length === sideCount) return sideCount === 2 ? 'Both' : `All ${sideCount}`;
+        return `${letters.join(' + ')} only`;
+    },
+
+    /**
+     * Compare the selected sides
+     */
+    async compare() {
+        const chosen = this.selected.filter(Boolean);
+        if (chosen.length < this.MIN_SIDES) {
+            alert('Choose at least two committees or tags to compare');
+            return;
+        }
+        if (new Set(chosen).size !== chosen.length) {
+            alert('Each side must be a different committee or tag');
+            return;
+        }
+        this.selected = chosen;
+        this.renderSides();
+
+        const sides = await this.readSides();
+        const empty = sides.find(side => side.keys.length === 0);
+        if (empty) {
+            alert(`"${empty.label}" is not assigned to any committee`);
+            return;
+        }
+
+        document.getElementById('overlapResults').innerHTML = '<div class="no-results">Comparing donors...</div>';
+        this.result = this.compute(await Database.getAllRecords(), sides);
+        this.renderResults();
+    },
+
+    /**
+     * Render the Venn diagram and region table
+     */
+    renderResults() {
+        const container = document.getElementById('overlapResults');
+        if (!this.result) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { sides, regions, unlinked } = this.result;
+        if (regions.length === 0) {
+            container.innerHTML = '<div class="no-results">No donors gave to any of these</div>';
+            return;
+        }
+
+        const money = value => '$' + value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const letterCell = index => `<span style="color: ${Tags.COLORS[index]}; font-weight: 700;">${this.getSideLetter(index)}</span>`;
+
+        let html = this.renderVenn();
+
+        html += `
+            <table class="profile-table" style="margin-bottom: 15px;">
+                <thead><tr><th>Side</th><th>Committee or tag</th><th>Donors</th><th>Net total</th></tr></thead>
+                <tbody>
+                    ${sides.map((side, index) => `
+                    <tr>
+                        <td>${letterCell(index)}</td>
+                        <td>${Utils.escapeHtml(side.label)}</td>
+                        <td>${side.donors.toLocaleString()}</td>
+                        <td>${money(side.total)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+
+            <table class="profile-table">
+                <thead><tr><th>Donors who gave to</th><th>Donors</th>${sides.map((side, index) => `<th>To ${letterCell(index)}</th>`).join('')}<th></th></tr></thead>
+                <tbody>
+                    ${regions.map((region, regionIndex) => `
+                    <tr>
+                        <td><strong>${Utils.escapeHtml(this.getRegionLabel(region.mask, sides.length))}</strong></td>
+                        <td>${region.donorIds.length.toLocaleString()}</td>
+                        ${region.totals.map((total, index) => `<td>${region.mask & (1 << index) ? money(total) : '—'}</td>`).join('')}
+                        <td><button class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px;" onclick="Overlap.browse(${regionIndex})">Browse</button></td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+
+        if (unlinked > 0) {
+            html += `<p style="font-size: 12px; color: #718096; margin-top: 10px;">${unlinked.toLocaleString()} contribution${unlinked === 1 ? ' is' : 's are'} not linked to a donor yet and ${unlinked === 1 ? 'is' : 'are'} left out.</p>`;
+        }
+
+        container.innerHTML = html;
+    },
+
+    /**
+     * Render a Venn diagram of region counts (two or three sides)
+     * @returns {string} - SVG markup, or '' for more sides
+     */
+    renderVenn() {
+        const { sides, regions } = this.result;
+        const layouts = {
+            2: {
+                circles: [[130, 100], [210, 100]],
+                labels: { 1: [95, 105], 2: [245, 105], 3: [170, 105] }
+            },
+            3: {
+                circles: [[140, 95], [220, 95], [180, 160]],
+                labels: { 1: [110, 80], 2: [250, 80], 4: [180, 200], 3: [180, 70], 5: [135, 145], 6: [225, 145], 7: [180, 118] }
+            }
+        };
+        const layout = layouts[sides.length];
+        if (!layout) return '';
+
+        const counts = new Map(regions.map(region => [region.mask, region.donorIds.length]));
+        const radius = sides.length === 2 ? 80 : 70;
+        const height = sides.length === 2 ? 200 : 255;
+
+        return `
+            <svg viewBox="0 0 340 ${height}" style="width: 100%; max-width: 340px; display: block; margin: 0 auto 15px;">
+                ${layout.circles.map(([cx, cy], index) => `
+                <circle cx="${cx}" cy="${cy}" r="${radius}" fill="${Tags.COLORS[index]}" fill-opacity="0.2" stroke="${Tags.COLORS[index]}" stroke-width="2"></circle>`).join('')}
+                ${Object.entries(layout.labels).map(([mask, [x, y]]) => `
+                <text x="${x}" y="${y}" text-anchor="middle" font-size="16" font-weight="700" fill="#174A57">${(counts.get(parseInt(mask)) || 0).toLocaleString()}</text>`).join('')}
+                ${layout.circles.map(([cx, cy], index) => {
+                    const below = index === 2;
+                    return `<text x="${cx + (below ? 0 : (index === 0 ? -1 : 1) * radius * 0.7)}" y="${below ? cy + radius + 16 : cy - radius * 0.8}" text-anchor="middle" font-size="13" font-weight="700" fill="${Tags.COLORS[index]}">${this.getSideLetter(index)}</text>`;
+                }).join('')}
+            </svg>`;
+    },
+
+    /**
+     * Open a region's donors as a Browse result set (their gifts to the region's sides)
+     * @param {number} regionIndex - Index into the result regions
+     */
+    async browse(regionIndex) {
+        const region = this.result && this.result.regions[regionIndex];
+        if (!region) return;
+
+        const { sides } = this.result;
+        const committeeKeys = new Set();
+        sides.forEach((side, index) => {
+            if (region.mask & (1 << index)) side.keys.forEach(key => committeeKeys.add(key));
+        });
+
+        const names = sides.map((side, index) => `${this.getSideLetter(index)} = ${side.label}`).join(', ');
+        UI.closeOverlapModal();
+        await Filters.showScope({
+            label: `overlap ${this.getRegionLabel(region.mask, sides.length)} (${names})`,
+            donorIds: region.donorIds,
+            committeeKeys: [...committeeKeys]
+        });
+    }
+};
+
+// Export for use in other modules
+window.Overlap = Overlap;
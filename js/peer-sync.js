@@ -0,0 +1,777 @@
+/**
+ * DonorDex Device Sync
+ * Keeps several installs in step without a server. Each device downloads a
+ * change set file (contributions and committee tags created, edited or
+ * deleted since the other device last confirmed it had our changes) and
+ * imports the other's. Contributions are matched by importHash and tags by
+ * ID, then slug; the later change wins, and rows changed on both devices
+ * between syncs are listed as conflicts.
+ *
+ * Every change set carries acks: for each device, the end of the last set
+ * imported from it. That tells the receiver which of its own changes the
+ * sender has, so the next set only holds what is new to it.
+ */
+
+const PeerSync = {
+    FORMAT: 'donordex-changes',
+    FORMAT_VERSION: 1,
+
+    // Settings: this device's {id, name}, and the devices synced with
+    DEVICE_SETTING: 'syncDevice',
+    PEERS_SETTING: 'syncPeers',
+
+    SYNCED_TABLES: ['contributions', 'tags', 'committeeTags'],
+
+    // Contribution fields that only mean something on the device that set them
+    LOCAL_FIELDS: ['donorId', 'importId'],
+
+    // ==================== Devices ====================
+
+    /**
+     * Get this device's sync identity, creating it on first use
+     * @returns {Promise<Object>} - {id, name}
+     */
+    async getDevice() {
+        let device = await Database.getSetting(this.DEVICE_SETTING);
+        if (!device) {
+            const id = Utils.generateId();
+            device = { id, name: `Device ${id.slice(0, 6).toUpperCase()}` };
+            await Database.setSetting(this.DEVICE_SETTING, device);
+        }
+        return device;
+    },
+
+    /**
+     * Get the devices this one has synced with
+     * @returns {Promise<Array>} - Peers {id, name, received, acked, importedAt, exportedAt}.
+     *                             received: end of the last set imported from the peer (its clock);
+     *                             acked: end of our last set the peer imported (our clock)
+     */
+    async getPeers() {
+        return await Database.getSetting(this.PEERS_SETTING, []);
+    },
+
+    /**
+     * Update (or add) a peer
+     * @param {string} peerId - Device ID
+     * @param {Object} changes - Fields to set
+     * @returns {Promise<void>}
+     */
+    async updatePeer(peerId, changes) {
+        const peers = await this.getPeers();
+        const index = peers.findIndex(p => p.id === peerId);
+        const peer = { id: peerId, name: '', received: 0, acked: 0, importedAt: 0, exportedAt: 0, ...peers[index], ...changes };
+        if (index === -1) {
+            peers.push(peer);
+        } else {
+            peers[index] = peer;
+        }
+        await Database.setSetting(this.PEERS_SETTING, peers);
+    },
+
+    // ==================== Change Sets ====================
+
+    /**
+     * Strip a row to what is sent to other devices
+     * Device-only fields and normalized values (which follow each device's
+     * alias table) are left out; the receiver fills in its own
+     * @param {string} table - Synced table name
+     * @param {Object} row - Stored row
+     * @returns {Object}
+     */
+    toSyncedRow(table, row) {
+        if (table !== 'contributions') return { ...row };
+        const synced = { ...row };
+        [...this.LOCAL_FIELDS, ...Object.values(Normalizer.FIELDS)].forEach(field => delete synced[field]);
+        return synced;
+    },
+
+    /**
+     * Check whether two versions of a row hold the same data
+     * IDs, device-only fields and normalized values (which depend on each
+     * device's alias table) are ignored
+     * @param {Object} a - Row
+     * @param {Object} b - Row
+     * @returns {boolean}
+     */
+    sameRow(a, b) {
+        const ignored = new Set(['id', ...this.LOCAL_FIELDS, ...Object.values(Normalizer.FIELDS)]);
+        const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(key => !ignored.has(key));
+        return keys.every(key => JSON.stringify(a[key] ?? '') === JSON.stringify(b[key] ?? ''));
+    },
+
+    /**
+     * Order two changes: later wins, ties go to the higher device ID so
+     * every device picks the same winner
+     * @param {Object} a - {at, device}
+     * @param {Object} b - {at, device}
+     * @returns {number} - Positive when a wins
+     */
+    compareChanges(a, b) {
+        if (a.at !== b.at) return a.at - b.at;
+        return a.device < b.device ? -1 : a.device > b.device ? 1 : 0;
+    },
+
+    /**
+     * Gather the changes stored after a point in time, with the rows they wrote
+     * @param {number} since - Epoch ms on this device's clock (0 for everything,
+     *                         including rows stored before changes were tracked)
+     * @param {Function} include - Filter on change log rows
+     * @returns {Promise<Object>} - {until, changes: [{table, key, op, ref, at, device, row}]}
+     */
+    async collectChanges(since, include) {
+        const device = await this.getDevice();
+        const until = Date.now();
+        const stored = (await Database.getChangesSince(since)).filter(change => change.changedAt <= until);
+        const changes = stored.filter(include);
+
+        const tags = await Database.getTags();
+        const slugs = new Map(tags.map(tag => [tag.id, tag.slug]));
+        const rows = {
+            tags: new Map(tags.map(tag => [tag.id, tag])),
+            committeeTags: new Map((await Database.getCommitteeTags()).map(a => [Database.committeeTagKey(a.tagId, a.committeeKey), a]))
+        };
+        if (since === 0) {
+            rows.contributions = new Map((await Database.getAllRecords()).map(r => [r.id, r]));
+        } else {
+            const keys = changes.filter(c => c.table === 'contributions' && c.op === 'put').map(c => c.key);
+            rows.contributions = new Map((await Database.getRecordsByIds(keys)).map(r => [r.id, r]));
+        }
+
+        const entries = [];
+        const describe = (table, row) => Database.describeChange(table, row, 'put', table === 'committeeTags' ? slugs.get(row.tagId) : '');
+        changes.forEach(change => {
+            const entry = { table: change.table, key: change.key, op: change.op, ref: change.ref, at: change.at, device: change.device || device.id };
+            if (change.op === 'put') {
+                const row = rows[change.table].get(change.key);
+                if (!row) return;
+                entry.ref = describe(change.table, row).ref;
+                entry.row = this.toSyncedRow(change.table, row);
+            }
+            entries.push(entry);
+        });
+
+        // A first sync also sends rows stored before changes were tracked
+        if (since === 0) {
+            const tracked = new Set(stored.map(change => `${change.table}|${change.key}`));
+            this.SYNCED_TABLES.forEach(table => {
+                rows[table].forEach((row, key) => {
+                    if (tracked.has(`${table}|${key}`)) return;
+                    entries.push({ table, key, op: 'put', ref: describe(table, row).ref, at: 0, device: device.id, row: this.toSyncedRow(table, row) });
+                });
+            });
+        }
+
+        return { until, changes: entries };
+    },
+
+    /**
+     * Build the change set to send to a device
+     * @param {string|null} peerId - Device it is for (null for a device never synced with: everything)
+     * @returns {Promise<Object>} - {format, formatVersion, device, since, until, acks, changes}
+     */
+    async createChangeSet(peerId) {
+        const device = await this.getDevice();
+        const peers = await this.getPeers();
+        const peer = peers.find(p => p.id === peerId) || null;
+        const since = peer ? peer.acked : 0;
+
+        // Changes made on the peer itself are not sent back
+        const { until, changes } = await this.collectChanges(since, change => change.device !== peerId);
+
+        return {
+            format: this.FORMAT,
+            formatVersion: this.FORMAT_VERSION,
+            device: { id: device.id, name: device.name },
+            since,
+            until,
+            acks: Object.fromEntries(peers.map(p => [p.id, p.received])),
+            changes
+        };
+    },
+
+    /**
+     * Read change set file text
+     * @param {string} text - File text
+     * @returns {Object} - Change set
+     */
+    parse(text) {
+        let set;
+        try {
+            set = JSON.parse(text);
+        } catch (error) {
+            throw new Error('This is not a DonorDex change set file.');
+        }
+        if (!set || set.format !== this.FORMAT || !set.device || !Array.isArray(set.changes)) {
+            throw new Error('This is not a DonorDex change set file.');
+        }
+        if (set.formatVersion > this.FORMAT_VERSION) {
+            throw new Error('This change set was made by a newer version of DonorDex. Update DonorDex to import it.');
+        }
+        return { acks: {}, since: 0, until: 0, ...set };
+    },
+
+    /**
+     * Work out what importing a change set does
+     * @param {Object} set - Parsed change set; set.via marks the change log
+     *                       rows it writes (see RemoteSync)
+     * @returns {Promise<Object>} - Plan for Database.applyChangeSet, plus
+     *                              relinked ([{id, previousDonorId}]) and summary counts
+     */
+    async planImport(set) {
+        const device = await this.getDevice();
+        const now = Date.now();
+        // Our changes stored after this were not seen by the sender, so an
+        // edit it sends to the same row was made independently. Changes that
+        // came through the sender itself were seen by it too
+        const seenBySender = set.acks[device.id] || 0;
+        const seen = change => change.changedAt <= seenBySender || Boolean(set.via && change.via === set.via);
+
+        const plan = {
+            contributions: { puts: [], deletes: [] },
+            tags: { puts: [], deletes: [] },
+            committeeTags: { puts: [], deletes: [] },
+            changes: [],
+            conflicts: [],
+            relinked: [],
+            summary: { added: 0, updated: 0, deleted: 0, labels: 0, older: 0, unchanged: 0, skipped: 0, conflicts: 0 }
+        };
+
+        /**
+         * Decide one incoming change against the local row and its latest change
+         * Returns true when the incoming change should be applied
+         */
+        const decide = (table, change, key, localRow, localChange, label) => {
+            const mine = {
+                op: localRow ? 'put' : 'delete',
+                at: localChange ? localChange.at : 0,
+                device: (localChange && localChange.device) || device.id
+            };
+            const incomingRow = change.op === 'put' ? change.row : null;
+            const localData = localRow ? this.toSyncedRow(table, localRow) : null;
+
+            const record = () => plan.changes.push({
+                table, key, op: change.op, ref: change.ref, at: change.at,
+                device: change.device === device.id ? '' : change.device, changedAt: now,
+                ...(set.via ? { via: set.via } : {})
+            });
+
+            if (mine.op === change.op && (change.op === 'delete' || this.sameRow(localData, incomingRow))) {
+                // Keep the newer timestamp so the row is not sent back and forth
+                if (this.compareChanges(change, mine) > 0) record();
+                plan.summary.unchanged++;
+                return false;
+            }
+
+            const incomingWins = this.compareChanges(change, mine) > 0;
+            if (localChange && mine.device !== change.device && !seen(localChange)) {
+                plan.conflicts.push({
+                    table, key, ref: change.ref, label,
+                    peerName: set.device.name || 'Other device',
+                    detectedAt: now,
+                    kept: incomingWins ? 'incoming' : 'local',
+                    local: { op: mine.op, at: mine.at, row: mine.op === 'put' ? localData : null },
+                    incoming: { op: change.op, at: change.at, row: incomingRow }
+                });
+                plan.summary.conflicts++;
+            }
+            if (!incomingWins) {
+                plan.summary.older++;
+                return false;
+            }
+            record();
+            return true;
+        };
+
+        await this.planContributions(set, plan, decide);
+        const tagIds = await this.planTags(set, plan, decide);
+        await this.planCommitteeTags(set, plan, decide, tagIds);
+
+        // Rows from older change sets may still carry the sender's normalized values
+        await Normalizer.normalizeRecords(plan.contributions.puts);
+        return plan;
+    },
+
+    /**
+     * Plan incoming contribution changes (see planImport)
+     * @param {Object} set - Change set
+     * @param {Object} plan - Plan being built
+     * @param {Function} decide - Conflict resolution
+     * @returns {Promise<void>}
+     */
+    async planContributions(set, plan, decide) {
+        const incoming = set.changes.filter(c => c.table === 'contributions');
+        const byHash = new Map((await Database.getRecordsByHashes([...new Set(incoming.map(c => c.ref).filter(Boolean))]))
+            .map(r => [r.importHash, r]));
+        const byId = new Map((await Database.getRecordsByIds(incoming.map(c => c.key))).map(r => [r.id, r]));
+
+        const locals = incoming.map(change => (change.ref && byHash.get(change.ref)) || byId.get(change.key) || null);
+        const keys = incoming.map((change, i) => locals[i] ? locals[i].id : change.key);
+        const localChanges = await Database.getChanges('contributions', keys);
+
+        incoming.forEach((change, i) => {
+            const local = locals[i];
+            const label = this.describeContribution(change.row || local);
+            if (!decide('contributions', change, keys[i], local, localChanges[i], label)) return;
+
+            if (change.op === 'delete') {
+                if (local) {
+                    plan.contributions.deletes.push(local.id);
+                    plan.summary.deleted++;
+                } else {
+                    plan.summary.unchanged++;
+                }
+                return;
+            }
+
+            const record = { ...change.row, id: keys[i], donorId: '', importId: local ? local.importId : '' };
+            if (local && Donors.getMatchKey(local) === Donors.getMatchKey(record)) {
+                record.donorId = local.donorId;
+            } else if (local && local.donorId) {
+                plan.relinked.push({ id: record.id, previousDonorId: local.donorId });
+            }
+            plan.contributions.puts.push(record);
+            plan.summary[local ? 'updated' : 'added']++;
+        });
+    },
+
+    /**
+     * Plan incoming tag changes (see planImport)
+     * @param {Object} set - Change set
+     * @param {Object} plan - Plan being built
+     * @param {Function} decide - Conflict resolution
+     * @returns {Promise<Map>} - Incoming tag ID → local tag ID (null if deleted here)
+     */
+    async planTags(set, plan, decide) {
+        const tags = await Database.getTags();
+        const byId = new Map(tags.map(tag => [tag.id, tag]));
+        const bySlug = new Map(tags.map(tag => [tag.slug, tag]));
+        const tagIds = new Map();
+
+        const incoming = set.changes.filter(c => c.table === 'tags');
+        const locals = incoming.map(change => byId.get(change.key) || bySlug.get(change.ref) || null);
+        const keys = incoming.map((change, i) => locals[i] ? locals[i].id : change.key);
+        const localChanges = await Database.getChanges('tags', keys);
+
+        // Slugs given up by deleted or renamed tags are free for others in the set
+        const taken = new Map(tags.map(tag => [tag.slug, tag.id]));
+        incoming.forEach((change, i) => {
+            const local = locals[i];
+            tagIds.set(change.key, local ? local.id : null);
+            const label = `Tag "${(change.row || local || { name: change.ref }).name}"`;
+            const owner = change.op === 'put' ? taken.get(change.row.slug) : null;
+            if (owner && owner !== keys[i]) {
+                // Another tag here already has this name
+                plan.summary.skipped++;
+                return;
+            }
+            if (!decide('tags', change, keys[i], local, localChanges[i], label)) return;
+
+            if (change.op === 'delete') {
+                if (local) {
+                    plan.tags.deletes.push(local.id);
+                    taken.delete(local.slug);
+                    tagIds.set(change.key, null);
+                    plan.summary.labels++;
+                }
+                return;
+            }
+
+            if (local) taken.delete(local.slug);
+            taken.set(change.row.slug, keys[i]);
+            plan.tags.puts.push({ ...change.row, id: keys[i] });
+            tagIds.set(change.key, keys[i]);
+            plan.summary.labels++;
+        });
+
+        // Tags the set only refers to (through assignments) match by ID, then slug
+        set.changes.filter(c => c.table === 'committeeTags').forEach(change => {
+            const tagId = change.key.slice(0, change.key.indexOf('|'));
+            if (tagIds.has(tagId)) return;
+            const local = byId.get(tagId) || bySlug.get(change.ref);
+            tagIds.set(tagId, local ? local.id : null);
+        });
+        return tagIds;
+    },
+
+    /**
+     * Plan incoming tag assignment changes (see planImport)
+     * @param {Object} set - Change set
+     * @param {Object} plan - Plan being built
+     * @param {Function} decide - Conflict resolution
+     * @param {Map} tagIds - Incoming tag ID → local tag ID
+     * @returns {Promise<void>}
+     */
+    async planCommitteeTags(set, plan, decide, tagIds) {
+        const stored = new Set((await Database.getCommitteeTags()).map(a => Database.committeeTagKey(a.tagId, a.committeeKey)));
+
+        const incoming = [];
+        set.changes.filter(c => c.table === 'committeeTags').forEach(change => {
+            const split = change.key.indexOf('|');
+            const tagId = tagIds.get(change.key.slice(0, split));
+            if (!tagId) {
+                plan.summary.skipped += change.op === 'put' ? 1 : 0;
+                return;
+            }
+            const committeeKey = change.key.slice(split + 1);
+            incoming.push({ change, tagId, committeeKey, key: Database.committeeTagKey(tagId, committeeKey) });
+        });
+        const localChanges = await Database.getChanges('committeeTags', incoming.map(item => item.key));
+
+        incoming.forEach(({ change, tagId, committeeKey, key }, i) => {
+            const assignment = { tagId, committeeKey };
+            const local = stored.has(key) ? assignment : null;
+            const label = `Tag "${change.ref}" on ${committeeKey}`;
+            if (!decide('committeeTags', { ...change, row: change.op === 'put' ? assignment : null }, key, local, localChanges[i], label)) return;
+
+            if (change.op === 'put') {
+                plan.committeeTags.puts.push(assignment);
+            } else {
+                plan.committeeTags.deletes.push([tagId, committeeKey]);
+            }
+            plan.summary.labels++;
+        });
+    },
+
+    /**
+     * Short description of a contribution for the conflict list
+     * @param {Object} record - Contribution
+     * @returns {string}
+     */
+    describeContribution(record) {
+        if (!record) return 'Contribution';
+        const name = [record.firstName, record.lastName].filter(Boolean).join(' ') || 'Unknown donor';
+        const amount = '$' + (record.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        return `${name}, ${amount} to ${record.candidateName || 'unknown committee'} on ${record.contributionDate || 'unknown date'}`;
+    },
+
+    /**
+     * Link new and renamed records to donors after an import
+     * A donor left without contributions is merged into the new one so its notes follow
+     * @param {Object} plan - Applied plan
+     * @returns {Promise<void>}
+     */
+    async relinkDonors(plan) {
+        if (plan.contributions.puts.length === 0) return;
+        await Donors.resolveUnassigned();
+
+        for (const { id, previousDonorId } of plan.relinked) {
+            const record = await Database.getRecord(id);
+            if (record && record.donorId !== previousDonorId &&
+                (await Database.getRecordsByDonor(previousDonorId)).length === 0) {
+                await Donors.mergeDonors(record.donorId, previousDonorId);
+            }
+        }
+    },
+
+    // ==================== Conflicts ====================
+
+    /**
+     * Apply the version a conflict did not keep, as a new change here
+     * The choice is sent to other devices with the next change set
+     * @param {number} conflictId - Conflict ID
+     * @returns {Promise<void>}
+     */
+    async useOtherVersion(conflictId) {
+        const conflict = await Database.getSyncConflict(conflictId);
+        if (!conflict) return;
+        const other = conflict.kept === 'local' ? conflict.incoming : conflict.local;
+
+        if (conflict.table === 'contributions') {
+            const current = (conflict.ref && (await Database.getRecordsByHashes([conflict.ref]))[0]) || await Database.getRecord(conflict.key);
+            if (other.op === 'delete') {
+                if (current) await Database.deleteRecords([current.id]);
+            } else if (current) {
+                const record = { ...current, ...other.row, id: current.id };
+                const changes = Object.keys(other.row)
+                    .filter(field => !this.sameRow({ [field]: current[field] }, { [field]: other.row[field] }))
+                    .map(field => ({ field, from: current[field] ?? '', to: other.row[field] ?? '' }));
+                const relink = Donors.getMatchKey(current) !== Donors.getMatchKey(record);
+                if (relink) record.donorId = '';
+                await Normalizer.normalizeRecords([record]);
+                await Database.editRecord(record, changes);
+                if (relink) {
+                    await this.relinkDonors({
+                        contributions: { puts: [record] },
+                        relinked: current.donorId ? [{ id: record.id, previousDonorId: current.donorId }] : []
+                    });
+                }
+            } else {
+                const record = { ...other.row, id: conflict.key, donorId: '', importId: '' };
+                await Normalizer.normalizeRecords([record]);
+                await Database.bulkAdd([record]);
+                await Donors.resolveUnassigned();
+            }
+        } else if (conflict.table === 'tags') {
+            const current = await Database.getTag(conflict.key) || await Database.getTagBySlug(conflict.ref);
+            if (other.op === 'delete') {
+                if (current) await Database.deleteTag(current.id);
+            } else {
+                const clash = await Database.getTagBySlug(other.row.slug);
+                if (clash && clash.id !== (current ? current.id : conflict.key)) {
+                    throw new Error(`A tag named "${clash.name}" already exists`);
+                }
+                await Database.putTag({ ...other.row, id: current ? current.id : conflict.key });
+            }
+        } else {
+            const split = conflict.key.indexOf('|');
+            const tagId = conflict.key.slice(0, split);
+            const committeeKey = conflict.key.slice(split + 1);
+            if (other.op === 'delete') {
+                await Database.removeCommitteeTag(tagId, committeeKey);
+            } else if (await Database.getTag(tagId)) {
+                await Database.addCommitteeTag(tagId, committeeKey);
+            }
+        }
+
+        await Database.deleteSyncConflict(conflictId);
+    },
+
+    // ==================== Device Sync Modal ====================
+
+    /**
+     * Render the Device Sync modal
+     */
+    async render() {
+        const device = await this.getDevice();
+        const peers = await this.getPeers();
+        const conflicts = await Database.getSyncConflicts();
+        const server = await RemoteSync.getServer();
+        const pending = server.url ? await RemoteSync.countPending(server) : 0;
+        const when = epoch => epoch ? new Date(epoch).toLocaleString() : 'never';
+
+        const peerOptions = peers.map(peer => `<option value="${Utils.escapeHtml(peer.id)}">${Utils.escapeHtml(peer.name)}: changes since it last imported from here</option>`).join('');
+        const peerRows = peers.map(peer => `
+            <tr>
+                <td>${Utils.escapeHtml(peer.name)}</td>
+                <td>${Utils.escapeHtml(when(peer.importedAt))}</td>
+                <td>${Utils.escapeHtml(when(peer.exportedAt))}</td>
+                <td>${Utils.escapeHtml(when(peer.acked))}</td>
+                <td style="text-align: right;"><button class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px;" onclick="PeerSync.forgetPeer('${Utils.escapeHtml(peer.id)}')">Forget</button></td>
+            </tr>`).join('');
+
+        document.getElementById('peerSyncContent').innerHTML = `
+            <div class="help-text" style="margin-bottom: 15px;">
+                Connect a sync server, or download a change set here and import it on the other device, then do the same the other way.
+                Contributions are matched by import hash; when a record or committee tag changed on both devices, the later change wins
+                and both versions are listed under Conflicts. Donor links, notes and prospect lists stay on each device.
+            </div>
+
+            <div style="display: flex; gap: 8px; align-items: flex-end; flex-wrap: wrap; margin-bottom: 20px;">
+                <div class="form-group" style="flex: 1; min-width: 200px; margin-bottom: 0;">
+                    <label for="syncDeviceName">This Device</label>
+                    <input type="text" id="syncDeviceName" value="${Utils.escapeHtml(device.name)}">
+                </div>
+                <button class="btn btn-secondary" onclick="PeerSync.saveDeviceName()">Rename</button>
+            </div>
+
+            ${RemoteSync.renderSection(server, pending)}
+
+            <h3 style="font-size: 16px; margin-bottom: 10px; color: #174A57;">Send Changes</h3>
+            <div style="display: flex; gap: 8px; flex-wrap: wrap; margin-bottom: 20px;">
+                <select id="syncPeer" class="mapper-select" style="flex: 1; min-width: 220px;">
+                    ${peerOptions}
+                    <option value="">A device not synced with yet: everything</option>
+                </select>
+                <button class="btn btn-primary" onclick="PeerSync.exportFile()">📤 Download Change Set</button>
+            </div>
+
+            <h3 style="font-size: 16px; margin-bottom: 10px; color: #174A57;">Receive Changes</h3>
+            <div style="display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin-bottom: 20px;">
+                <input type="file" id="syncFile" accept=".json" style="flex: 1;">
+                <button class="btn btn-primary" id="syncImportBtn" onclick="PeerSync.importFile()">📥 Import Change Set</button>
+            </div>
+
+            ${peers.length > 0 ? `
+                <h3 style="font-size: 16px; margin-bottom: 10px; color: #174A57;">Devices</h3>
+                <table class="profile-table" style="margin-bottom: 20px;">
+                    <thead><tr><th>Device</th><th>Last Imported From</th><th>Last Sent To</th><th>Has Our Changes Up To</th><th></th></tr></thead>
+                    <tbody>${peerRows}</tbody>
+                </table>` : ''}
+
+            <h3 style="font-size: 16px; margin-bottom: 10px; color: #174A57;">Conflicts (${conflicts.length.toLocaleString()})</h3>
+            ${conflicts.length === 0
+                ? '<div style="font-size: 12px; color: #a0aec0;">No conflicts</div>'
+                : conflicts.map(conflict => this.renderConflict(conflict)).join('')}
+        `;
+    },
+
+    /**
+     * Render one conflict with both versions
+     * @param {Object} conflict - Sync conflict
+     * @returns {string} - HTML
+     */
+    renderConflict(conflict) {
+        const version = side => {
+            const v = conflict[side];
+            const source = side === 'local' ? 'this device' : conflict.peerName;
+            const at = v.at ? ` (${new Date(v.at).toLocaleString()})` : '';
+            return `${v.op === 'delete' ? 'Deleted' : 'Changed'} on ${source}${at}`;
+        };
+
+        let details = '';
+        if (conflict.local.op === 'put' && conflict.incoming.op === 'put' && conflict.table === 'contributions') {
+            const local = conflict.local.row;
+            const incoming = conflict.incoming.row;
+            const fields = [...new Set([...Object.keys(local), ...Object.keys(incoming)])]
+                .filter(field => !this.sameRow({ [field]: local[field] }, { [field]: incoming[field] }));
+            details = fields.map(field => `
+                <div style="font-size: 12px; color: #4a5568;">
+                    ${Utils.escapeHtml(field)}: ${Utils.escapeHtml(String(local[field] ?? ''))} → ${Utils.escapeHtml(String(incoming[field] ?? ''))}
+                </div>`).join('');
+        }
+
+        return `
+            <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 8px 0; border-bottom: 1px solid #e2e8f0; font-size: 13px;">
+                <div>
+                    <div style="font-weight: 600; color: #174A57;">${Utils.escapeHtml(conflict.label)}</div>
+                    <div style="font-size: 12px; color: #718096;">
+                        ${Utils.escapeHtml(version('local'))}; ${Utils.escapeHtml(version('incoming'))}.
+                        Kept the version from ${Utils.escapeHtml(conflict.kept === 'local' ? 'this device' : conflict.peerName)}.
+                    </div>
+                    ${details}
+                </div>
+                <div style="display: flex; gap: 6px; flex-shrink: 0;">
+                    <button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px;" onclick="PeerSync.resolveConflict(${conflict.id}, true)">Use Other Version</button>
+                    <button class="btn btn-secondary" style="padding: 6px 12px; font-size: 12px;" onclick="PeerSync.resolveConflict(${conflict.id}, false)">Dismiss</button>
+                </div>
+            </div>`;
+    },
+
+    /**
+     * Save this device's name (shown on the other devices)
+     */
+    async saveDeviceName() {
+        const name = document.getElementById('syncDeviceName').value.trim();
+        if (!name) {
+            alert('Enter a name for this device.');
+            return;
+        }
+        await Database.setSetting(this.DEVICE_SETTING, { ...await this.getDevice(), name });
+        await this.render();
+    },
+
+    /**
+     * Download a change set for the chosen device
+     */
+    async exportFile() {
+        const peerId = document.getElementById('syncPeer').value || null;
+        try {
+            const set = await this.createChangeSet(peerId);
+            if (set.changes.length === 0 &&
+                !confirm('Nothing has changed since this device last synced with it. Download the change set anyway? It still tells the other device which of its changes are here.')) {
+                return;
+            }
+            const fileName = set.device.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'device';
+            ImportExport.saveFile(JSON.stringify(set), `donordex-changes-${fileName}-${Utils.getTimestamp()}.json`, 'application/json');
+            if (peerId) await this.updatePeer(peerId, { exportedAt: Date.now() });
+            await this.render();
+        } catch (error) {
+            console.error('Change set export failed:', error);
+            alert('Could not create the change set: ' + error.message);
+        }
+    },
+
+    /**
+     * Import the chosen change set file
+     */
+    async importFile() {
+        const file = document.getElementById('syncFile').files[0];
+        if (!file) {
+            alert('Choose a change set file first.');
+            return;
+        }
+
+        const button = document.getElementById('syncImportBtn');
+        button.disabled = true;
+        try {
+            const set = this.parse(await file.text());
+            const device = await this.getDevice();
+            if (set.device.id === device.id) {
+                alert('This change set was downloaded on this device. Import it on the other device.');
+                return;
+            }
+
+            const peer = (await this.getPeers()).find(p => p.id === set.device.id);
+            const received = peer ? peer.received : 0;
+            if (set.since > received && !confirm(
+                `This change set from ${set.device.name} starts at ${new Date(set.since).toLocaleString()}, ` +
+                `but the last one imported from it ended ${received ? 'at ' + new Date(received).toLocaleString() : 'before it started'}. ` +
+                'Changes in between are missing: import the earlier change set first, or ask for one made for "a device not synced with yet".\n\nImport this one anyway?')) {
+                return;
+            }
+
+            const plan = await this.planImport(set);
+            const s = plan.summary;
+            const count = (n, text) => `${n.toLocaleString()} ${text}`;
+            const lines = [
+                [s.added, 'contributions added'],
+                [s.updated, 'contributions updated'],
+                [s.deleted, 'contributions deleted'],
+                [s.labels, 'committee tag changes'],
+                [s.older, 'older than the version here (skipped)'],
+                [s.skipped, 'tag changes that do not fit here (skipped)'],
+                [s.conflicts, 'changed on both devices (listed under Conflicts)']
+            ].filter(([n]) => n > 0).map(([n, text]) => count(n, text));
+            const question = lines.length > 0
+                ? `Import changes from ${set.device.name}?\n\n• ${lines.join('\n• ')}`
+                : `Nothing new from ${set.device.name}. Import it anyway to record which of the changes made here it already has?`;
+            if (!confirm(question)) return;
+
+            await Database.applyChangeSet(plan);
+            await this.relinkDonors(plan);
+            await this.updatePeer(set.device.id, {
+                name: set.device.name,
+                received: Math.max(received, set.until),
+                acked: Math.max(peer ? peer.acked : 0, set.acks[device.id] || 0),
+                importedAt: Date.now()
+            });
+
+            await Donors.refreshAfterChange();
+            await Filters.renderTagOptions();
+            await this.render();
+            alert(`Imported changes from ${set.device.name}.` +
+                (s.conflicts > 0 ? ` ${s.conflicts.toLocaleString()} conflict${s.conflicts === 1 ? '' : 's'} to review.` : ''));
+        } catch (error) {
+            console.error('Change set import failed:', error);
+            alert('Could not import the change set: ' + error.message);
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    /**
+     * Settle a conflict
+     * @param {number} conflictId - Conflict ID
+     * @param {boolean} useOther - Apply the version that was not kept
+     */
+    async resolveConflict(conflictId, useOther) {
+        try {
+            if (useOther) {
+                await this.useOtherVersion(conflictId);
+                await Donors.refreshAfterChange();
+                await Filters.renderTagOptions();
+            } else {
+                await Database.deleteSyncConflict(conflictId);
+            }
+        } catch (error) {
+            alert(error.message);
+        }
+        await this.render();
+    },
+
+    /**
+     * Forget a device (its next change set is treated as a first sync)
+     * @param {string} peerId - Device ID
+     */
+    async forgetPeer(peerId) {
+        const peers = await this.getPeers();
+        const peer = peers.find(p => p.id === peerId);
+        if (!peer || !confirm(`Forget ${peer.name}? The next change set for it will hold everything.`)) return;
+        await Database.setSetting(this.PEERS_SETTING, peers.filter(p => p.id !== peerId));
+        await this.render();
+    }
+};
+
+// Export for use in other modules
+window.PeerSync = PeerSync;
@@ -0,0 +1,368 @@
+/**
+ * DonorDex Donor Profile
+ * Full-page view of one donor's giving history, opened from search or browse
+ * results and addressed by URL hash (#donor/<id>) so it can be bookmarked
+ */
+
+const Profile = {
+    // URL hash prefix for donor profiles
+    HASH_PREFIX: '#donor/',
+
+    // Donor currently shown (null when the main view is shown)
+    donorId: null,
+
+    /**
+     * Show the profile for the current URL hash, and follow hash changes
+     */
+    async initialize() {
+        window.addEventListener('hashchange', () => this.route());
+        await this.route();
+    },
+
+    /**
+     * Show the profile or main view that matches the URL hash
+     */
+    async route() {
+        const hash = window.location.hash;
+        if (hash.startsWith(this.HASH_PREFIX)) {
+            await this.show(decodeURIComponent(hash.slice(this.HASH_PREFIX.length)));
+        } else {
+            this.hide();
+        }
+    },
+
+    /**
+     * Open a donor's profile (updates the URL hash)
+     * @param {string} donorId - Donor ID
+     */
+    open(donorId) {
+        window.location.hash = this.HASH_PREFIX + encodeURIComponent(donorId);
+    },
+
+    /**
+     * Return to the main view, dropping the profile hash from the URL
+     */
+    async close() {
+        history.pushState('', document.title, window.location.pathname + window.location.search);
+        await this.route();
+    },
+
+    /**
+     * Hide the profile and show search and browse again
+     */
+    hide() {
+        this.donorId = null;
+        document.getElementById('donorProfile').style.display = 'none';
+        document.querySelector('.main-search').style.display = '';
+        document.querySelector('.main-dashboard').style.display = '';
+        document.querySelector('.main-filter').style.display = '';
+    },
+
+    /**
+     * Re-render the open profile after data changes
+     */
+    async refresh() {
+        if (this.donorId) await this.show(this.donorId);
+    },
+
+    /**
+     * Get the two-year FEC election cycle a date falls in
+     * @param {string} ymd - YYYY-MM-DD date
+     * @returns {number} - Cycle year (even)
+     */
+    getCycle(ymd) {
+        const year = parseInt(ymd.substr(0, 4));
+        return year % 2 === 0 ? year : year + 1;
+    },
+
+    /**
+     * Summarize a donor's contributions
+     * Totals are net of refunds
+     * @param {Array} records - The donor's contribution records
+     * @param {Object} tagData - Committee tags (see Tags.load)
+     * @returns {Object} - {lifetime, gross, refunds, count, firstDate, lastDate, byCycle, byYear,
+     *                      byCommittee, jobHistory, records}
+     */
+    summarize(records, tagData) {
+        const sorted = [...records].sort((a, b) => (a.contributionEpoch || 0) - (b.contributionEpoch || 0));
+        const round = value => Math.round(value * 100) / 100;
+
+        let lifetime = 0;
+        let refunds = 0;
+        const byCycle = new Map();
+        const byYear = new Map();
+        const byCommittee = new Map();
+        const jobHistory = [];
+
+        sorted.forEach(record => {
+            const net = Compliance.netAmount(record);
+            lifetime += net;
+            if (net < 0) refunds += -net;
+
+            if (record.contributionDate) {
+                const cycle = this.getCycle(record.contributionDate);
+                const year = parseInt(record.contributionDate.substr(0, 4));
+                byCycle.set(cycle, (byCycle.get(cycle) || 0) + net);
+                byYear.set(year, (byYear.get(year) || 0) + net);
+            }
+
+            const committeeKey = record.committeeId || record.candidateName;
+            if (!byCommittee.has(committeeKey)) {
+                byCommittee.set(committeeKey, {
+                    name: record.candidateName,
+                    tags: Tags.getRecordTags(record, tagData),
+                    count: 0,
+                    total: 0,
+                    lastDate: ''
+                });
+            }
+            const committee = byCommittee.get(committeeKey);
+            committee.count++;
+            committee.total += net;
+            committee.lastDate = record.contributionDate || committee.lastDate;
+
+            // A new history entry whenever the employer or occupation changes,
+            // compared normalized so "Google LLC" followed by "GOOGLE" is one job
+            const employer = record.employer || '';
+            const occupation = record.occupation || '';
+            const jobKey = `${record.employerNorm || ''}|${record.occupationNorm || ''}`;
+            const current = jobHistory[jobHistory.length - 1];
+            if (jobKey === '|') return;
+            if (current && current.jobKey === jobKey) {
+                current.lastDate = record.contributionDate;
+            } else {
+                jobHistory.push({ employer, occupation, jobKey, firstDate: record.contributionDate, lastDate: record.contributionDate });
+            }
+        });
+
+        const gifts = sorted.filter(r => Compliance.netAmount(r) > 0);
+
+        return {
+            lifetime: round(lifetime),
+            gross: round(lifetime + refunds),
+            refunds: round(refunds),
+            count: sorted.length,
+            firstDate: gifts.length > 0 ? gifts[0].contributionDate : null,
+            lastDate: gifts.length > 0 ? gifts[gifts.length - 1].contributionDate : null,
+            byCycle: [...byCycle.entries()].sort((a, b) => b[0] - a[0]).map(([cycle, total]) => ({ cycle, total: round(total) })),
+            byYear: [...byYear.entries()].sort((a, b) => b[0] - a[0]).map(([year, total]) => ({ year, total: round(total) })),
+            byCommittee: [...byCommittee.values()]
+                .map(c => ({ ...c, total: round(c.total) }))
+                .sort((a, b) => b.total - a.total),
+            jobHistory: jobHistory.reverse(),
+            records: sorted
+        };
+    },
+
+    /**
+     * Load and render a donor's profile
+     * @param {string} donorId - Donor ID
+     */
+    async show(donorId) {
+        this.donorId = donorId;
+        const container = document.getElementById('donorProfile');
+        document.querySelector('.main-search').style.display = 'none';
+        document.querySelector('.main-dashboard').style.display = 'none';
+        document.querySelector('.main-filter').style.display = 'none';
+        container.style.display = 'block';
+
+        const [donor, records, tagData] = await Promise.all([
+            Database.getDonor(donorId),
+            Database.getRecordsByDonor(donorId),
+            Tags.load()
+        ]);
+
+        if (!donor || records.length === 0) {
+            container.innerHTML = `
+                ${this.renderBackButton()}
+                <div class="no-results">This donor no longer exists. They may have been merged into another donor or deleted.</div>`;
+            return;
+        }
+
+        const summary = this.summarize(records, tagData);
+        container.innerHTML = this.render(donor, summary);
+        window.scrollTo(0, 0);
+    },
+
+    /**
+     * Render the back button
+     * @returns {string} - HTML
+     */
+    renderBackButton() {
+        return '<button class="btn btn-secondary" onclick="Profile.close()" style="margin-bottom: 20px;">← Back to search</button>';
+    },
+
+    /**
+     * Render a donor profile
+     * @param {Object} donor - Donor entity
+     * @param {Object} summary - Result of summarize
+     * @returns {string} - HTML
+     */
+    render(donor, summary) {
+        const money = value => (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const name = Donors.getDisplayName(donor);
+        const location = Utils.formatLocation(donor);
+        const aliases = [...new Set(summary.records
+            .map(r => `${r.firstName} ${r.lastName}`.trim())
+            .filter(alias => alias.toLowerCase() !== name.toLowerCase()))];
+
+        const stat = (label, value) => `
+            <div class="profile-stat">
+                <div class="info-label">${label}</div>
+                <div class="profile-stat-value">${value}</div>
+            </div>`;
+
+        const totalsTable = (rows, label) => `
+            <table class="profile-table">
+                <thead><tr><th>${label}</th><th style="text-align: right;">Net</th></tr></thead>
+                <tbody>${rows.map(row => `<tr><td>${row.label}</td><td style="text-align: right;">${money(row.total)}</td></tr>`).join('')}</tbody>
+            </table>`;
+
+        let html = `
+            ${this.renderBackButton()}
+            <div class="result-item" style="cursor: default;">
+                <div class="donor-name" style="font-size: 24px;">${Utils.escapeHtml(name)}</div>
+                <div style="font-size: 13px; color: #718096; margin-top: 4px;">
+                    ${location ? `📍 ${Utils.escapeHtml(location)}` : 'Location not available'}
+                    ${donor.employer || donor.occupation ? ` • ${Utils.escapeHtml([donor.occupation, donor.employer].filter(Boolean).join(' at '))}` : ''}
+                </div>
+                ${aliases.length > 0 ? `<div style="font-size: 12px; color: #a0aec0; margin-top: 4px;">Also recorded as ${Utils.escapeHtml(aliases.join(', '))}</div>` : ''}
+                <button class="btn btn-secondary" style="margin-top: 12px;" onclick="Prospects.addDonorsToList(['${donor.id}'], this.dataset.name)" data-name="${Utils.escapeHtml(name)}">⭐ Add to Prospect List</button>
+
+                <div class="profile-stats">
+                    ${stat('Lifetime (net)', money(summary.lifetime))}
+                    ${stat('Contributions', summary.count.toLocaleString())}
+                    ${stat('Refunds', summary.refunds > 0 ? money(-summary.refunds) : '—')}
+                    ${stat('First Gift', summary.firstDate ? Utils.escapeHtml(Search.formatDate(summary.firstDate)) : '—')}
+                    ${stat('Last Gift', summary.lastDate ? Utils.escapeHtml(Search.formatDate(summary.lastDate)) : '—')}
+                </div>
+            </div>
+
+            <div class="profile-section">
+                <h3>Giving Timeline</h3>
+                ${this.renderTimeline(summary.records)}
+            </div>
+
+            <div class="profile-columns">
+                <div class="profile-section">
+                    <h3>By Election Cycle</h3>
+                    ${totalsTable(summary.byCycle.map(c => ({ label: `${c.cycle - 1}–${c.cycle}`, total: c.total })), 'Cycle')}
+                </div>
+                <div class="profile-section">
+                    <h3>By Year</h3>
+                    ${totalsTable(summary.byYear.map(y => ({ label: y.year, total: y.total })), 'Year')}
+                </div>
+            </div>
+
+            <div class="profile-section">
+                <h3>By Committee</h3>
+                <table class="profile-table">
+                    <thead><tr><th>Committee</th><th style="text-align: right;">Gifts</th><th style="text-align: right;">Net</th><th style="text-align: right;">Last Gift</th></tr></thead>
+                    <tbody>${summary.byCommittee.map(c => `
+                        <tr>
+                            <td>${Utils.escapeHtml(c.name)}${Tags.renderBadges(c.tags)}</td>
+                            <td style="text-align: right;">${c.count}</td>
+                            <td style="text-align: right;">${money(c.total)}</td>
+                            <td style="text-align: right;">${Utils.escapeHtml(Search.formatDate(c.lastDate))}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+
+        if (summary.jobHistory.length > 0) {
+            html += `
+            <div class="profile-section">
+                <h3>Employer &amp; Occupation History</h3>
+                <table class="profile-table">
+                    <thead><tr><th>Employer</th><th>Occupation</th><th style="text-align: right;">Reported</th></tr></thead>
+                    <tbody>${summary.jobHistory.map(job => `
+                        <tr>
+                            <td>${Utils.escapeHtml(job.employer || '—')}</td>
+                            <td>${Utils.escapeHtml(job.occupation || '—')}</td>
+                            <td style="text-align: right;">${Utils.escapeHtml(Search.formatDate(job.firstDate))}${job.lastDate !== job.firstDate ? ` – ${Utils.escapeHtml(Search.formatDate(job.lastDate))}` : ''}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+        }
+
+        html += `
+            <div class="profile-section">
+                <h3>All Contributions</h3>
+                <table class="profile-table">
+                    <thead><tr><th>Date</th><th>Committee</th><th style="text-align: right;">Amount</th></tr></thead>
+                    <tbody>${[...summary.records].reverse().map(record => {
+                        const net = Compliance.netAmount(record);
+                        return `
+                        <tr>
+                            <td>${Utils.escapeHtml(Search.formatDate(record.contributionDate))}</td>
+                            <td>${Utils.escapeHtml(record.candidateName)}</td>
+                            <td style="text-align: right;">${money(net)}${net < 0 ? ' <span class="refund-badge">REFUND</span>' : ''}</td>
+                        </tr>`;
+                    }).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+
+        return html;
+    },
+
+    /**
+     * Render the giving timeline as an SVG chart
+     * One bar per contribution at its date; refunds hang below the axis
+     * @param {Array} records - Contribution records in date order
+     * @returns {string} - SVG markup
+     */
+    renderTimeline(records) {
+        const dated = records.filter(r => r.contributionEpoch);
+        if (dated.length === 0) {
+            return '<div class="no-results">No dated contributions</div>';
+        }
+
+        const width = 800;
+        const height = 200;
+        const pad = { top: 10, right: 10, bottom: 24, left: 10 };
+        const plotWidth = width - pad.left - pad.right;
+
+        // Pad the date range by half a year on each side so single gifts are not on the edge
+        const halfYear = 182 * 86400000;
+        const minEpoch = dated[0].contributionEpoch - halfYear;
+        const maxEpoch = dated[dated.length - 1].contributionEpoch + halfYear;
+        const x = epoch => pad.left + (epoch - minEpoch) / (maxEpoch - minEpoch) * plotWidth;
+
+        const amounts = dated.map(r => Compliance.netAmount(r));
+        const maxGift = Math.max(0, ...amounts);
+        const maxRefund = Math.max(0, ...amounts.map(a => -a));
+        const plotHeight = height - pad.top - pad.bottom;
+        const zeroY = pad.top + plotHeight * (maxGift / ((maxGift + maxRefund) || 1));
+        const scale = plotHeight / ((maxGift + maxRefund) || 1);
+
+        let svg = `<svg class="profile-timeline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Giving timeline">`;
+
+        // Year gridlines
+        const firstYear = new Date(minEpoch).getUTCFullYear() + 1;
+        const lastYear = new Date(maxEpoch).getUTCFullYear();
+        const yearStep = Math.max(1, Math.ceil((lastYear - firstYear + 1) / 10));
+        for (let year = firstYear; year <= lastYear; year += yearStep) {
+            const yearX = x(Date.UTC(year, 0, 1));
+            svg += `<line x1="${yearX}" y1="${pad.top}" x2="${yearX}" y2="${height - pad.bottom}" stroke="#e2e8f0" stroke-width="1"/>`;
+            svg += `<text x="${yearX + 3}" y="${height - 8}" font-size="11" fill="#718096">${year}</text>`;
+        }
+
+        svg += `<line x1="${pad.left}" y1="${zeroY}" x2="${width - pad.right}" y2="${zeroY}" stroke="#a0aec0" stroke-width="1"/>`;
+
+        dated.forEach((record, i) => {
+            const amount = amounts[i];
+            const barHeight = Math.max(1, Math.abs(amount) * scale);
+            const barY = amount >= 0 ? zeroY - barHeight : zeroY;
+            const label = `${Search.formatDate(record.contributionDate)}: ${amount < 0 ? '−' : ''}$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2 })} to ${record.candidateName}`;
+            svg += `<rect x="${x(record.contributionEpoch) - 2}" y="${barY}" width="4" height="${barHeight}" fill="${amount >= 0 ? '#174A57' : '#dc2626'}"><title>${Utils.escapeHtml(label)}</title></rect>`;
+        });
+
+        svg += '</svg>';
+        return svg;
+    }
+};
+
+// Export for use in other modules
+window.Profile = Profile;
@@ -0,0 +1,632 @@
+/**
+ * DonorDex Prospect Lists
+ * Named call lists of donors, ranked by a configurable score, with notes,
+ * ask amounts and printable call sheets
+ */
+
+const Prospects = {
+    // Score factors and their default weights
+    SCORE_FACTORS: [
+        { key: 'recency', label: 'Recency', weight: 30 },
+        { key: 'frequency', label: 'Frequency', weight: 15 },
+        { key: 'total', label: 'Total given', weight: 30 },
+        { key: 'maxGift', label: 'Largest gift', weight: 15 },
+        { key: 'opposition', label: 'Giving to opposition', weight: 10 }
+    ],
+
+    // A last gift this many years ago (or more) scores no recency
+    RECENCY_YEARS: 4,
+
+    // Scoring settings in use: {weights: {factor: number}, oppositionTagId}
+    scoring: null,
+
+    // List shown in the modal and its ranked entries
+    listId: null,
+    items: [],
+
+    /**
+     * Load the scoring settings
+     * The opposition tag defaults to a tag named "Opposition" if there is one
+     * @returns {Promise<Object>} - {weights, oppositionTagId}
+     */
+    async loadScoring() {
+        const stored = await Database.getSetting('prospectScoring', null);
+        const weights = {};
+        this.SCORE_FACTORS.forEach(factor => {
+            const value = stored && stored.weights ? parseFloat(stored.weights[factor.key]) : NaN;
+            weights[factor.key] = isNaN(value) ? factor.weight : value;
+        });
+
+        let oppositionTagId = stored ? stored.oppositionTagId : undefined;
+        if (oppositionTagId === undefined) {
+            const tag = await Database.getTagBySlug('opposition');
+            oppositionTagId = tag ? tag.id : '';
+        }
+
+        this.scoring = { weights, oppositionTagId };
+        return this.scoring;
+    },
+
+    /**
+     * Save the scoring settings
+     * @param {Object} scoring - {weights, oppositionTagId}
+     */
+    async saveScoring(scoring) {
+        this.scoring = scoring;
+        await Database.setSetting('prospectScoring', scoring);
+    },
+
+    // ==================== Lists ====================
+
+    /**
+     * Check a list name, returning the cleaned name
+     * @param {string} name - List name
+     * @param {string|null} listId - List being renamed (excluded from the duplicate check)
+     * @returns {Promise<string>} - Cleaned name
+     */
+    async validateName(name, listId = null) {
+        const cleanName = String(name || '').trim().replace(/\s+/g, ' ');
+        if (!cleanName) throw new Error('List name required');
+
+        const existing = (await Database.getProspectLists())
+            .find(list => list.name.toLowerCase() === cleanName.toLowerCase());
+        if (existing && existing.id !== listId) {
+            throw new Error(`A list named "${existing.name}" already exists`);
+        }
+        return cleanName;
+    },
+
+    /**
+     * Create a prospect list
+     * @param {string} name - List name
+     * @returns {Promise<Object>} - New list
+     */
+    async createList(name) {
+        const list = {
+            id: Utils.generateId(),
+            name: await this.validateName(name),
+            createdAt: Date.now()
+        };
+        await Database.putProspectList(list);
+        return list;
+    },
+
+    /**
+     * Rename a prospect list
+     * @param {string} listId - List ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} - Updated list
+     */
+    async renameList(listId, name) {
+        const list = await Database.getProspectList(listId);
+        if (!list) throw new Error('List not found');
+
+        const updated = { ...list, name: await this.validateName(name, listId) };
+        await Database.putProspectList(updated);
+        return updated;
+    },
+
+    /**
+     * Add donors to a list, skipping donors already on it
+     * Entries keep the donor's name and identity keys so they can be relinked
+     * if the donor is merged or the data is re-imported
+     * @param {string} listId - List ID
+     * @param {Array<string>} donorIds - Donor IDs
+     * @returns {Promise<number>} - Number of donors added
+     */
+    async addDonors(listId, donorIds) {
+        const onList = new Set((await Database.getProspectEntries(listId)).map(entry => entry.donorId));
+        const donors = await Database.getDonors([...new Set(donorIds)].filter(id => !onList.has(id)));
+
+        const entries = donors.map(donor => ({
+            id: Utils.generateId(),
+            listId: listId,
+            donorId: donor.id,
+            name: Donors.getDisplayName(donor),
+            matchKeys: donor.matchKeys,
+            note: '',
+            askAmount: null,
+            addedAt: Date.now()
+        }));
+        await Database.putProspectEntries(entries);
+        return entries.length;
+    },
+
+    /**
+     * Point entries at their current donors
+     * Entries whose donor is gone (merged away, or cleared and re-imported) are
+     * matched again by identity key. Entries that end up on the same donor are
+     * combined, keeping both notes and the larger ask.
+     * @param {Array} entries - List entries
+     * @returns {Promise<Object>} - {entries, donorMap: Map of donorId → donor}
+     */
+    async relinkEntries(entries) {
+        const donorMap = new Map((await Database.getDonors(entries.map(entry => entry.donorId))).map(d => [d.id, d]));
+        const changed = new Map();
+        const removed = [];
+        const byDonor = new Map();
+
+        for (const entry of entries) {
+            const donor = donorMap.get(entry.donorId) || await Database.findDonorByMatchKeys(entry.matchKeys);
+            if (donor) {
+                donorMap.set(donor.id, donor);
+                const name = Donors.getDisplayName(donor);
+                if (entry.donorId !== donor.id || entry.name !== name || entry.matchKeys.length !== donor.matchKeys.length) {
+                    Object.assign(entry, { donorId: donor.id, name, matchKeys: donor.matchKeys });
+                    changed.set(entry.id, entry);
+                }
+            }
+
+            const kept = byDonor.get(entry.donorId);
+            if (!kept) {
+                byDonor.set(entry.donorId, entry);
+                continue;
+            }
+
+            if (entry.note && entry.note !== kept.note) {
+                kept.note = kept.note ? `${kept.note}\n${entry.note}` : entry.note;
+            }
+            if (entry.askAmount !== null && (kept.askAmount === null || entry.askAmount > kept.askAmount)) {
+                kept.askAmount = entry.askAmount;
+            }
+            changed.set(kept.id, kept);
+            changed.delete(entry.id);
+            removed.push(entry.id);
+        }
+
+        await Database.putProspectEntries([...changed.values()]);
+        await Database.deleteProspectEntries(removed);
+
+        return { entries: [...byDonor.values()], donorMap };
+    },
+
+    // ==================== Scoring ====================
+
+    /**
+     * Summarize a donor's giving for scoring
+     * @param {Array} records - The donor's contribution records
+     * @param {Set<string>} oppositionKeys - Committee keys carrying the opposition tag
+     * @returns {Object} - {lifetime, gifts, firstDate, lastDate, lastEpoch, maxGift, opposition, records}
+     */
+    summarize(records, oppositionKeys) {
+        const sorted = [...records].sort((a, b) => (b.contributionEpoch || 0) - (a.contributionEpoch || 0));
+        const stats = { lifetime: 0, gifts: 0, firstDate: null, lastDate: null, lastEpoch: 0, maxGift: 0, opposition: 0, records: sorted };
+
+        sorted.forEach(record => {
+            const net = Compliance.netAmount(record);
+            stats.lifetime += net;
+            if (oppositionKeys.has(record.committeeId) || oppositionKeys.has(record.candidateName)) {
+                stats.opposition += net;
+            }
+            if (net <= 0) return;
+
+            stats.gifts++;
+            stats.maxGift = Math.max(stats.maxGift, net);
+            stats.firstDate = record.contributionDate || stats.firstDate;
+            if (!stats.lastDate) {
+                stats.lastDate = record.contributionDate || null;
+                stats.lastEpoch = record.contributionEpoch || 0;
+            }
+        });
+
+        stats.lifetime = Math.round(stats.lifetime * 100) / 100;
+        stats.opposition = Math.round(stats.opposition * 100) / 100;
+        return stats;
+    },
+
+    /**
+     * Score summarized donors from 0 to 100
+     * Recency falls from 1 for a gift today to 0 after RECENCY_YEARS; the other
+     * factors are relative to the largest value on the list. The score is the
+     * weighted average of the factors.
+     * @param {Array<Object>} statsList - Results of summarize
+     * @param {Object} weights - {factor: weight}
+     * @param {number} now - Current epoch (ms)
+     * @returns {Array<number>} - Scores, in the same order
+     */
+    score(statsList, weights, now = Date.now()) {
+        const yearMs = 365.25 * 86400000;
+        const values = stats => ({
+            recency: stats.lastEpoch ? Math.max(0, 1 - (now - stats.lastEpoch) / yearMs / this.RECENCY_YEARS) : 0,
+            frequency: stats.gifts,
+            total: Math.max(0, stats.lifetime),
+            maxGift: stats.maxGift,
+            opposition: Math.max(0, stats.opposition)
+        });
+
+        const rows = statsList.map(values);
+        const max = {};
+        this.SCORE_FACTORS.forEach(({ key }) => {
+            max[key] = key === 'recency' ? 1 : Math.max(0, ...rows.map(row => row[key]));
+        });
+
+        const totalWeight = this.SCORE_FACTORS.reduce((sum, { key }) => sum + Math.max(0, weights[key] || 0), 0);
+        if (totalWeight === 0) return rows.map(() => 0);
+
+        return rows.map(row => {
+            const weighted = this.SCORE_FACTORS.reduce((sum, { key }) =>
+                sum + Math.max(0, weights[key] || 0) * (max[key] > 0 ? row[key] / max[key] : 0), 0);
+            return Math.round(weighted / totalWeight * 100);
+        });
+    },
+
+    /**
+     * Load a list's entries with giving stats, ranked by score
+     * @param {string} listId - List ID
+     * @returns {Promise<Array>} - [{entry, donor, stats, score}] best first
+     */
+    async rankList(listId) {
+        const scoring = await this.loadScoring();
+        const oppositionKeys = new Set(scoring.oppositionTagId ? await Tags.getCommitteeKeys(scoring.oppositionTagId) : []);
+        const { entries, donorMap } = await this.relinkEntries(await Database.getProspectEntries(listId));
+
+        const items = [];
+        for (const entry of entries) {
+            const donor = donorMap.get(entry.donorId) || null;
+            const records = donor ? await Database.getRecordsByDonor(donor.id) : [];
+            items.push({ entry, donor, stats: this.summarize(records, oppositionKeys) });
+        }
+
+        const scores = this.score(items.map(item => item.stats), scoring.weights);
+        items.forEach((item, i) => { item.score = scores[i]; });
+        return items.sort((a, b) => b.score - a.score || b.stats.lifetime - a.stats.lifetime || a.entry.name.localeCompare(b.entry.name));
+    },
+
+    // ==================== Modal ====================
+
+    /**
+     * Load the lists and show the selected one
+     */
+    async refresh() {
+        const lists = await Database.getProspectLists();
+        if (!lists.some(list => list.id === this.listId)) {
+            this.listId = lists.length > 0 ? lists[0].id : null;
+        }
+
+        document.getElementById('prospectListSelect').innerHTML = lists.length > 0
+            ? lists.map(list => `<option value="${Utils.escapeHtml(list.id)}">${Utils.escapeHtml(list.name)}</option>`).join('')
+            : '<option value="">No lists yet</option>';
+        document.getElementById('prospectListSelect').value = this.listId || '';
+
+        await this.renderScoring();
+        this.items = this.listId ? await this.rankList(this.listId) : [];
+        this.renderEntries();
+    },
+
+    /**
+     * Show another list
+     * @param {string} listId - List ID
+     */
+    async selectList(listId) {
+        this.listId = listId || null;
+        await this.refresh();
+    },
+
+    /**
+     * Prompt for a name and create a list
+     */
+    async promptCreateList() {
+        const name = prompt('Name for the new prospect list:');
+        if (name === null) return;
+
+        try {
+            this.listId = (await this.createList(name)).id;
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        await this.refresh();
+    },
+
+    /**
+     * Prompt for a new name for the selected list
+     */
+    async promptRenameList() {
+        const list = this.listId && await Database.getProspectList(this.listId);
+        if (!list) return;
+
+        const name = prompt('Rename prospect list:', list.name);
+        if (name === null) return;
+
+        try {
+            await this.renameList(list.id, name);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        await this.refresh();
+    },
+
+    /**
+     * Delete the selected list
+     */
+    async deleteSelectedList() {
+        const list = this.listId && await Database.getProspectList(this.listId);
+        if (!list) return;
+        if (!confirm(`Delete the prospect list "${list.name}" with its notes and ask amounts?`)) return;
+
+        await Database.deleteProspectList(list.id);
+        this.listId = null;
+        await this.refresh();
+    },
+
+    /**
+     * Add donors to a list chosen (or created) by name
+     * @param {Array<string>} donorIds - Donor IDs
+     * @param {string} description - What is being added, for the prompt ("5 donors")
+     */
+    async addDonorsToList(donorIds, description) {
+        if (donorIds.length === 0) {
+            alert('No donors to add.');
+            return;
+        }
+
+        const lists = await Database.getProspectLists();
+        const current = lists.find(list => list.id === this.listId) || lists[0];
+        const name = prompt(
+            `Add ${description} to which prospect list?` +
+            (lists.length > 0 ? `\nExisting lists: ${lists.map(list => list.name).join(', ')}` : '') +
+            '\nEnter a new name to create a list.',
+            current ? current.name : ''
+        );
+        if (name === null) return;
+
+        let list = lists.find(l => l.name.toLowerCase() === name.trim().replace(/\s+/g, ' ').toLowerCase());
+        try {
+            if (!list) list = await this.createList(name);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        const added = await this.addDonors(list.id, donorIds);
+        const skipped = new Set(donorIds).size - added;
+        alert(`Added ${added} donor${added === 1 ? '' : 's'} to "${list.name}"${skipped > 0 ? ` (${skipped} already on it)` : ''}.`);
+
+        if (document.getElementById('prospectModal').style.display === 'block') {
+            this.listId = list.id;
+            await this.refresh();
+        }
+    },
+
+    /**
+     * Render the scoring weights and opposition tag picker
+     */
+    async renderScoring() {
+        const { tags } = await Tags.load();
+        const scoring = this.scoring || await this.loadScoring();
+
+        document.getElementById('prospectScoring').innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 8px; margin-bottom: 10px;">
+                ${this.SCORE_FACTORS.map(factor => `
+                <div class="form-group" style="margin-bottom: 0;">
+                    <label>${factor.label}</label>
+                    <input type="number" min="0" step="1" data-factor="${factor.key}" value="${scoring.weights[factor.key]}">
+                </div>`).join('')}
+            </div>
+            <div class="form-group">
+                <label for="prospectOppositionTag">Opposition committees are those tagged</label>
+                <select id="prospectOppositionTag" class="mapper-select">
+                    <option value="">(none)</option>
+                    ${tags.map(tag => `<option value="${Utils.escapeHtml(tag.id)}">${Utils.escapeHtml(tag.name)}</option>`).join('')}
+                </select>
+            </div>`;
+        document.getElementById('prospectOppositionTag').value =
+            tags.some(tag => tag.id === scoring.oppositionTagId) ? scoring.oppositionTagId : '';
+    },
+
+    /**
+     * Save the scoring form and re-rank the list
+     */
+    async saveScoringForm() {
+        const weights = {};
+        let invalid = false;
+        document.querySelectorAll('#prospectScoring [data-factor]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < 0) invalid = true;
+            weights[input.dataset.factor] = value;
+        });
+        if (invalid) {
+            alert('Each weight must be zero or a positive number');
+            return;
+        }
+
+        await this.saveScoring({ weights, oppositionTagId: document.getElementById('prospectOppositionTag').value });
+        await this.refresh();
+    },
+
+    /**
+     * Render the ranked entries of the selected list
+     */
+    renderEntries() {
+        const container = document.getElementById('prospectResults');
+        document.getElementById('prospectCount').textContent = this.items.length;
+
+        if (!this.listId) {
+            container.innerHTML = '<div class="no-results">Create a list, then add donors from a donor profile or from Browse results</div>';
+            return;
+        }
+        if (this.items.length === 0) {
+            container.innerHTML = '<div class="no-results">No donors on this list yet. Add them from a donor profile or from Browse results.</div>';
+            return;
+        }
+
+        const money = value => (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+        container.innerHTML = this.items.map(({ entry, donor, stats, score }, index) => {
+            const location = donor ? [donor.city, donor.state].filter(Boolean).join(', ') : '';
+            const job = donor ? [donor.occupation, donor.employer].filter(Boolean).join(' at ') : '';
+            const name = donor
+                ? `<a href="#donor/${encodeURIComponent(donor.id)}" onclick="UI.closeProspectModal()" style="color: inherit; text-decoration: none;">${Utils.escapeHtml(entry.name)}</a>`
+                : Utils.escapeHtml(entry.name);
+
+            return `
+            <div class="result-item" style="cursor: default;">
+                <div class="donor-header">
+                    <div class="donor-name">#${index + 1} ${name}</div>
+                    <div style="font-size: 18px; font-weight: 800; color: #174A57;" title="Prospect score">${score}</div>
+                </div>
+                <div style="font-size: 13px; color: #718096; margin-bottom: 8px;">
+                    ${donor ? Utils.escapeHtml([location, job].filter(Boolean).join(' • ') || 'No location or employer') : 'Not in the current data'}
+                </div>
+                <div style="font-size: 12px; color: #4a5568; margin-bottom: 10px;">
+                    Lifetime ${money(stats.lifetime)} • ${stats.gifts} gift${stats.gifts === 1 ? '' : 's'}
+                    • Last ${stats.lastDate ? Utils.escapeHtml(Search.formatDate(stats.lastDate)) : '—'}
+                    • Largest ${money(stats.maxGift)}
+                    ${stats.opposition !== 0 ? ` • Opposition ${money(stats.opposition)}` : ''}
+                </div>
+                <div style="display: grid; grid-template-columns: 140px 1fr auto; gap: 8px; align-items: start;">
+                    <input type="number" min="0" step="1" placeholder="Ask $" value="${entry.askAmount === null ? '' : entry.askAmount}" onchange="Prospects.updateEntry('${entry.id}', 'askAmount', this.value)">
+                    <textarea rows="2" placeholder="Notes" onchange="Prospects.updateEntry('${entry.id}', 'note', this.value)">${Utils.escapeHtml(entry.note)}</textarea>
+                    <button class="delete-btn" onclick="Prospects.removeEntry('${entry.id}')">Remove</button>
+                </div>
+            </div>`;
+        }).join('');
+    },
+
+    /**
+     * Save an entry's note or ask amount
+     * @param {string} entryId - Entry ID
+     * @param {string} field - 'note' or 'askAmount'
+     * @param {string} value - Input value
+     */
+    async updateEntry(entryId, field, value) {
+        const entry = await Database.getProspectEntry(entryId);
+        if (!entry) return;
+
+        if (field === 'askAmount') {
+            const amount = parseFloat(value);
+            if (value.trim() && (isNaN(amount) || amount < 0)) {
+                alert('Ask amount must be a positive dollar amount');
+                return;
+            }
+            entry.askAmount = value.trim() ? Math.round(amount * 100) / 100 : null;
+        } else if (field === 'note') {
+            entry.note = value;
+        } else {
+            return;
+        }
+
+        await Database.putProspectEntries([entry]);
+        const item = this.items.find(i => i.entry.id === entryId);
+        if (item) item.entry = entry;
+    },
+
+    /**
+     * Remove a donor from the list
+     * @param {string} entryId - Entry ID
+     */
+    async removeEntry(entryId) {
+        const item = this.items.find(i => i.entry.id === entryId);
+        if (!item || !confirm(`Remove ${item.entry.name} from this list?`)) return;
+
+        await Database.deleteProspectEntries([entryId]);
+        this.items = this.items.filter(i => i !== item);
+        this.renderEntries();
+    },
+
+    // ==================== Call Sheets ====================
+
+    /**
+     * Render the call sheet for one prospect
+     * @param {Object} item - Ranked item {entry, donor, stats, score}
+     * @param {number} rank - Position on the list (1-based)
+     * @returns {string} - HTML
+     */
+    renderCallSheet({ entry, donor, stats, score }, rank) {
+        const money = value => (value < 0 ? '−' : '') + '$' + Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const location = donor ? Utils.formatLocation(donor) : '';
+        const job = donor ? [donor.occupation, donor.employer].filter(Boolean).join(' at ') : '';
+
+        return `
+            <div class="call-sheet">
+                <h2>#${rank} ${Utils.escapeHtml(entry.name)}</h2>
+                <p>${Utils.escapeHtml([location, job].filter(Boolean).join(' • '))}</p>
+                <table class="profile-table">
+                    <tbody>
+                        <tr><th>Ask</th><td>${entry.askAmount === null ? '—' : money(entry.askAmount)}</td><th>Score</th><td>${score}</td></tr>
+                        <tr><th>Lifetime (net)</th><td>${money(stats.lifetime)}</td><th>Gifts</th><td>${stats.gifts}</td></tr>
+                        <tr><th>First gift</th><td>${stats.firstDate ? Utils.escapeHtml(Search.formatDate(stats.firstDate)) : '—'}</td><th>Last gift</th><td>${stats.lastDate ? Utils.escapeHtml(Search.formatDate(stats.lastDate)) : '—'}</td></tr>
+                        <tr><th>Largest gift</th><td>${money(stats.maxGift)}</td><th>To opposition</th><td>${money(stats.opposition)}</td></tr>
+                    </tbody>
+                </table>
+                <h3>Notes</h3>
+                <div class="call-sheet-notes">${Utils.escapeHtml(entry.note || '')}</div>
+                <h3>Giving History</h3>
+                <table class="profile-table">
+                    <thead><tr><th>Date</th><th>Committee</th><th style="text-align: right;">Amount</th></tr></thead>
+                    <tbody>${stats.records.map(record => `
+                        <tr>
+                            <td>${Utils.escapeHtml(Search.formatDate(record.contributionDate))}</td>
+                            <td>${Utils.escapeHtml(record.candidateName)}</td>
+                            <td style="text-align: right;">${money(Compliance.netAmount(record))}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    },
+
+    /**
+     * Print one call sheet per prospect on the list
+     */
+    printCallSheets() {
+        if (this.items.length === 0) {
+            alert('No prospects to print.');
+            return;
+        }
+
+        document.getElementById('callSheetPrint').innerHTML =
+            this.items.map((item, index) => this.renderCallSheet(item, index + 1)).join('');
+        document.body.classList.add('printing-call-sheets');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-call-sheets');
+        }, { once: true });
+        window.print();
+    },
+
+    /**
+     * Export the list as a call sheet CSV (one row per prospect, giving
+     * history in the last column)
+     */
+    exportCallSheets() {
+        if (this.items.length === 0) {
+            alert('No prospects to export.');
+            return;
+        }
+
+        let csv = '\uFEFF';
+        csv += 'rank,score,name,address_1,address_2,city,state,zip,employer,occupation,ask_amount,notes,lifetime_net,gifts,first_gift,last_gift,largest_gift,opposition_net,giving_history\n';
+
+        this.items.forEach(({ entry, donor, stats, score }, index) => {
+            const history = stats.records
+                .map(record => `${record.contributionDate} ${record.candidateName} ${Compliance.netAmount(record).toFixed(2)}`)
+                .join('; ');
+            csv += [
+                index + 1,
+                score,
+                entry.name,
+                donor ? donor.address1 || '' : '',
+                donor ? donor.address2 || '' : '',
+                donor ? donor.city : '',
+                donor ? donor.state : '',
+                donor ? Utils.formatZip(donor.zip) : '',
+                donor ? donor.employer : '',
+                donor ? donor.occupation : '',
+                entry.askAmount === null ? '' : entry.askAmount,
+                entry.note,
+                stats.lifetime,
+                stats.gifts,
+                stats.firstDate || '',
+                stats.lastDate || '',
+                stats.maxGift,
+                stats.opposition,
+                history
+            ].map(value => Utils.escapeCsvField(value)).join(',') + '\n';
+        });
+
+        ImportExport.saveCsv(csv, 'donordex-call-sheets');
+    }
+};
+
+// Export for use in other modules
+window.Prospects = Prospects;
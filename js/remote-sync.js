@@ -0,0 +1,524 @@
+/**
+ * DonorDex Sync Server
+ * Optional shared database for teams: pushes this device's contribution,
+ * committee tag and deletion changes to a self-hosted HTTP endpoint and pulls
+ * everyone else's. The protocol is documented in SYNC-SERVER.md, which also
+ * describes the reference server in server/sync-server.js.
+ *
+ * Pulled changes go through the same matching and last-writer-wins rules as
+ * device change sets (see PeerSync). Pushes that fail because the device is
+ * offline are handed to the service worker, which sends them with Background
+ * Sync once the connection is back.
+ */
+
+const RemoteSync = {
+    FORMAT: 'donordex-sync',
+    PROTOCOL_VERSION: 1,
+
+    // Settings row: {url, token, name, pulled, pushed, lastSyncAt, lastError, queuedAt}.
+    // pulled: server revision of the last change pulled;
+    // pushed: end of the last push the server confirmed (this device's clock)
+    SETTING: 'syncServer',
+
+    // Marks change log rows written by pulls, so they are not pushed back
+    VIA: 'server',
+
+    PAGE_SIZE: 500,
+    BATCH_SIZE: 500,
+    SYNC_INTERVAL_MINUTES: 5,
+
+    // A sync is running
+    syncing: false,
+
+    // ==================== Settings ====================
+
+    /**
+     * Get the sync server setting
+     * @returns {Promise<Object>} - Setting (url '' when no server is set)
+     */
+    async getServer() {
+        return {
+            url: '', token: '', name: '', pulled: 0, pushed: 0, lastSyncAt: 0, lastError: '', queuedAt: 0,
+            ...await Database.getSetting(this.SETTING, {})
+        };
+    },
+
+    /**
+     * Update the sync server setting
+     * @param {Object} changes - Fields to set
+     * @returns {Promise<Object>} - Updated setting
+     */
+    async updateServer(changes) {
+        const server = { ...await this.getServer(), ...changes };
+        await Database.setSetting(this.SETTING, server);
+        return server;
+    },
+
+    /**
+     * Name to show for the server
+     * @param {Object} server - Sync server setting
+     * @returns {string}
+     */
+    getServerName(server) {
+        if (server.name) return server.name;
+        try {
+            return new URL(server.url).host;
+        } catch (error) {
+            return 'Sync server';
+        }
+    },
+
+    // ==================== Requests ====================
+
+    /**
+     * Build a URL on the server
+     * @param {Object} server - Sync server setting
+     * @param {string} path - Path starting with '/'
+     * @returns {string}
+     */
+    endpoint(server, path) {
+        return server.url.replace(/\/+$/, '') + path;
+    },
+
+    /**
+     * Build request headers
+     * @param {Object} server - Sync server setting
+     * @param {boolean} json - The request has a JSON body
+     * @returns {Object}
+     */
+    getHeaders(server, json) {
+        const headers = {};
+        if (json) headers['Content-Type'] = 'application/json';
+        if (server.token) headers.Authorization = `Bearer ${server.token}`;
+        return headers;
+    },
+
+    /**
+     * Send a request to the server
+     * Errors from an unreachable server have offline set
+     * @param {Object} server - Sync server setting
+     * @param {string} path - Path starting with '/'
+     * @param {Object} body - JSON body to POST (GET when omitted)
+     * @returns {Promise<Object>} - Response body
+     */
+    async request(server, path, body) {
+        let response;
+        try {
+            response = await fetch(this.endpoint(server, path), {
+                method: body ? 'POST' : 'GET',
+                headers: this.getHeaders(server, Boolean(body)),
+                body: body ? JSON.stringify(body) : undefined,
+                cache: 'no-store'
+            });
+        } catch (error) {
+            const offline = new Error(`Could not reach the sync server at ${server.url}.`);
+            offline.offline = true;
+            throw offline;
+        }
+
+        const result = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error((result && result.error) || `The sync server answered ${response.status} ${response.statusText}.`);
+        }
+        if (!result) {
+            throw new Error('The sync server did not answer with JSON.');
+        }
+        return result;
+    },
+
+    /**
+     * Check that a URL is a sync server this version can talk to
+     * @param {Object} server - Sync server setting to check
+     * @returns {Promise<Object>} - Server info {format, protocolVersion, name, revision}
+     */
+    async checkServer(server) {
+        const info = await this.request(server, '/');
+        if (info.format !== this.FORMAT) {
+            throw new Error('That address is not a DonorDex sync server.');
+        }
+        if (info.protocolVersion > this.PROTOCOL_VERSION) {
+            throw new Error('The sync server uses a newer protocol. Update DonorDex to sync with it.');
+        }
+        return info;
+    },
+
+    // ==================== Pull ====================
+
+    /**
+     * Pull and apply changes made elsewhere, a page at a time
+     * @param {Object} device - This device {id, name}
+     * @returns {Promise<Object>} - Summary counts (see PeerSync.planImport)
+     */
+    async pull(device) {
+        const summary = { added: 0, updated: 0, deleted: 0, labels: 0, older: 0, unchanged: 0, skipped: 0, conflicts: 0 };
+        let server = await this.getServer();
+        let since = server.pulled;
+        // Tag assignments that came before their tag (the tag changed later)
+        let waiting = [];
+        let hasMore = true;
+
+        while (hasMore) {
+            const page = await this.request(server, `/changes?since=${since}&limit=${this.PAGE_SIZE}`);
+            if (page.revision < since) {
+                // The server lost its data: pull everything and send everything again
+                await Database.unmarkChanges(this.VIA);
+                server = await this.updateServer({ pulled: 0, pushed: 0 });
+                since = 0;
+                waiting = [];
+                continue;
+            }
+            const received = page.changes || [];
+            hasMore = Boolean(page.hasMore);
+
+            // Our own changes come back with the rest; the server only keeps
+            // the latest change to each row, so there is nothing newer in them
+            const changes = [...waiting, ...received.filter(change =>
+                change.device !== device.id && PeerSync.SYNCED_TABLES.includes(change.table))];
+            waiting = hasMore ? await this.findWaitingAssignments(changes) : [];
+            const ready = changes.filter(change => !waiting.includes(change));
+            if (ready.length > 0) {
+                const set = {
+                    device: { id: this.VIA, name: this.getServerName(server) },
+                    via: this.VIA,
+                    acks: { [device.id]: server.pushed },
+                    changes: ready
+                };
+                const plan = await PeerSync.planImport(set);
+                await Database.applyChangeSet(plan);
+                await PeerSync.relinkDonors(plan);
+                Object.keys(summary).forEach(key => { summary[key] += plan.summary[key]; });
+            }
+
+            // The stored position stays before anything still waiting, so it is pulled again if this sync stops
+            since = received.length > 0 ? received[received.length - 1].rev : page.revision;
+            const pulled = waiting.length > 0 ? Math.min(since, waiting[0].rev - 1) : since;
+            server = await this.updateServer({ pulled: Math.max(server.pulled, pulled) });
+        }
+        return summary;
+    },
+
+    /**
+     * Find tag assignments whose tag is neither stored here nor in the same changes
+     * @param {Array} changes - Pulled changes, in revision order
+     * @returns {Promise<Array>} - Assignment changes to hold until a later page
+     */
+    async findWaitingAssignments(changes) {
+        const tags = new Set(changes.filter(c => c.table === 'tags').flatMap(c => [c.key, c.ref]));
+        const waiting = [];
+        for (const change of changes.filter(c => c.table === 'committeeTags')) {
+            const tagId = change.key.slice(0, change.key.indexOf('|'));
+            if (tags.has(tagId) || tags.has(change.ref)) continue;
+            if (await Database.getTag(tagId) || await Database.getTagBySlug(change.ref)) continue;
+            waiting.push(change);
+        }
+        return waiting;
+    },
+
+    // ==================== Push ====================
+
+    /**
+     * Build the push batches for changes the server has not confirmed
+     * Changes that came from the server are left out
+     * @param {Object} server - Sync server setting
+     * @param {Object} device - This device {id, name}
+     * @returns {Promise<Object>} - {until, batches: request bodies}
+     */
+    async preparePush(server, device) {
+        const { until, changes } = await PeerSync.collectChanges(server.pushed, change => change.via !== this.VIA);
+        const batches = [];
+        for (let i = 0; i < changes.length; i += this.BATCH_SIZE) {
+            batches.push({
+                device: { id: device.id, name: device.name },
+                changes: changes.slice(i, i + this.BATCH_SIZE).map(change => ({ id: this.getSyncId(change), ...change }))
+            });
+        }
+        return { until, batches };
+    },
+
+    /**
+     * Identity of a row on the server
+     * Contributions use their importHash, so copies imported separately on
+     * several devices are one row there
+     * @param {Object} change - Change {table, key, ref}
+     * @returns {string}
+     */
+    getSyncId(change) {
+        return change.table === 'contributions' && change.ref ? change.ref : change.key;
+    },
+
+    /**
+     * Push changes the server has not confirmed
+     * @param {Object} device - This device {id, name}
+     * @returns {Promise<Object>} - {applied, stale}; stale changes lost to newer ones already there
+     */
+    async push(device) {
+        const server = await this.getServer();
+        const { until, batches } = await this.preparePush(server, device);
+        const result = { applied: 0, stale: 0 };
+        for (const batch of batches) {
+            const response = await this.request(server, '/changes', batch);
+            (response.results || []).forEach(r => { result[r.status === 'applied' ? 'applied' : 'stale']++; });
+        }
+        await this.updateServer({ pushed: Math.max(server.pushed, until), queuedAt: 0 });
+        return result;
+    },
+
+    /**
+     * Hand the pending push to the service worker, to be sent when back online
+     * Not done while the app lock is on: the worker would store donor data unencrypted
+     * @param {Object} device - This device {id, name}
+     * @returns {Promise<number>} - Changes queued
+     */
+    async queuePush(device) {
+        if (Database.getEncryptionKeys() || !('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+            return 0;
+        }
+        const server = await this.getServer();
+        const { until, batches } = await this.preparePush(server, device);
+        if (batches.length === 0) return 0;
+
+        // The queue is replaced: this push holds everything the earlier one did
+        navigator.serviceWorker.controller.postMessage({
+            type: 'QUEUE_SYNC_PUSH',
+            requests: batches.map((batch, i) => ({
+                url: this.endpoint(server, '/changes'),
+                headers: this.getHeaders(server, true),
+                body: JSON.stringify(batch),
+                until,
+                last: i === batches.length - 1
+            }))
+        });
+        await this.updateServer({ queuedAt: Date.now() });
+        return batches.reduce((sum, batch) => sum + batch.changes.length, 0);
+    },
+
+    /**
+     * Handle a message from the service worker about queued pushes
+     * @param {Object} message - {type, until, last, error}
+     */
+    async handleWorkerMessage(message) {
+        if (!message) return;
+        if (message.type === 'SYNC_PUSH_SENT' && message.last) {
+            const server = await this.getServer();
+            await this.updateServer({ pushed: Math.max(server.pushed, message.until), queuedAt: 0 });
+        } else if (message.type === 'SYNC_PUSH_FAILED') {
+            await this.updateServer({ lastError: message.error, queuedAt: 0 });
+        } else {
+            return;
+        }
+        await this.renderIfOpen();
+    },
+
+    /**
+     * Tell the service worker to drop queued pushes
+     */
+    clearQueue() {
+        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'CLEAR_SYNC_QUEUE' });
+        }
+    },
+
+    // ==================== Sync ====================
+
+    /**
+     * Start syncing in the background: now, every few minutes, and when the
+     * connection comes back
+     * Called at startup once the app is unlocked
+     */
+    start() {
+        window.addEventListener('online', () => this.sync({ quiet: true }));
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+        }
+        setInterval(() => this.sync({ quiet: true }), this.SYNC_INTERVAL_MINUTES * 60 * 1000);
+        this.sync({ quiet: true });
+    },
+
+    /**
+     * Pull, then push
+     * Pulling first means changes still waiting here are compared with the
+     * server's latest before they are sent
+     * @param {Object} options - {quiet: no alerts}
+     * @returns {Promise<Object|null>} - {pulled, pushed, queued}, or null if no sync ran
+     */
+    async sync({ quiet = false } = {}) {
+        const server = await this.getServer();
+        if (!server.url || this.syncing || ImportExport.importRunning) return null;
+
+        this.syncing = true;
+        await this.renderIfOpen();
+        const result = { pulled: null, pushed: null, queued: 0 };
+        try {
+            const device = await PeerSync.getDevice();
+            try {
+                result.pulled = await this.pull(device);
+                result.pushed = await this.push(device);
+                this.clearQueue();
+                await this.updateServer({ lastSyncAt: Date.now(), lastError: '' });
+            } catch (error) {
+                if (error.offline) result.queued = await this.queuePush(device);
+                throw error;
+            }
+        } catch (error) {
+            console.error('Sync with server failed:', error);
+            await this.updateServer({ lastError: error.message });
+            if (!quiet) {
+                alert('Sync failed: ' + error.message +
+                    (result.queued > 0 ? `\n\n${result.queued.toLocaleString()} changes will be sent when the connection is back.` : ''));
+            }
+        } finally {
+            this.syncing = false;
+        }
+
+        const s = result.pulled;
+        if (s && s.added + s.updated + s.deleted + s.labels > 0) {
+            await Donors.refreshAfterChange();
+            await Filters.renderTagOptions();
+        }
+        await this.renderIfOpen();
+        return result;
+    },
+
+    /**
+     * Count changes here the server has not confirmed
+     * @param {Object} server - Sync server setting
+     * @returns {Promise<number>}
+     */
+    async countPending(server) {
+        const changes = await Database.getChangesSince(server.pushed);
+        return changes.filter(change => change.via !== this.VIA).length;
+    },
+
+    // ==================== Device Sync Modal ====================
+
+    /**
+     * Re-render the Device Sync modal if it is open
+     */
+    async renderIfOpen() {
+        const modal = document.getElementById('peerSyncModal');
+        if (modal && modal.style.display === 'block') {
+            await PeerSync.render();
+        }
+    },
+
+    /**
+     * Render the Sync Server section of the Device Sync modal
+     * @param {Object} server - Sync server setting
+     * @param {number} pending - Changes waiting to be sent
+     * @returns {string} - HTML
+     */
+    renderSection(server, pending) {
+        let status = '';
+        if (server.url) {
+            const lines = [];
+            if (this.syncing) {
+                lines.push('Syncing…');
+            } else {
+                lines.push(server.lastSyncAt ? `Last synced ${new Date(server.lastSyncAt).toLocaleString()}.` : 'Not synced yet.');
+            }
+            if (server.pushed > 0) {
+                lines.push(pending === 0 ? 'All changes here are on the server.' : `${pending.toLocaleString()} change${pending === 1 ? '' : 's'} waiting to be sent.`);
+            }
+            if (server.queuedAt) {
+                lines.push('Changes made offline will be sent by the browser when the connection is back.');
+            }
+            status = `
+                <div style="font-size: 12px; color: #4a5568; margin-bottom: 8px;">${Utils.escapeHtml(lines.join(' '))}</div>
+                ${server.lastError ? `<div style="font-size: 12px; color: #c53030; margin-bottom: 8px;">${Utils.escapeHtml(server.lastError)}</div>` : ''}`;
+        }
+
+        return `
+            <div style="margin-bottom: 20px;">
+                <h3 style="font-size: 16px; margin-bottom: 10px; color: #174A57;">Sync Server</h3>
+                <div class="help-text" style="margin-bottom: 10px;">
+                    Optional: share one database with a team through a self-hosted server (see SYNC-SERVER.md).
+                    DonorDex syncs at startup, every ${this.SYNC_INTERVAL_MINUTES} minutes and when the connection comes back.
+                </div>
+                <div style="display: flex; gap: 8px; flex-wrap: wrap; align-items: flex-end; margin-bottom: 8px;">
+                    <div class="form-group" style="flex: 2; min-width: 220px; margin-bottom: 0;">
+                        <label for="syncServerUrl">Server URL</label>
+                        <input type="url" id="syncServerUrl" placeholder="https://sync.example.org/donordex" value="${Utils.escapeHtml(server.url)}">
+                    </div>
+                    <div class="form-group" style="flex: 1; min-width: 150px; margin-bottom: 0;">
+                        <label for="syncServerToken">Access Token</label>
+                        <input type="password" id="syncServerToken" placeholder="Optional" value="${Utils.escapeHtml(server.token)}">
+                    </div>
+                    <button class="btn btn-secondary" onclick="RemoteSync.saveServer()">Save</button>
+                    ${server.url ? `<button class="btn btn-primary" onclick="RemoteSync.syncNow()" ${this.syncing ? 'disabled' : ''}>🔄 Sync Now</button>` : ''}
+                </div>
+                ${status}
+            </div>`;
+    },
+
+    /**
+     * Save the server address and token, then sync
+     */
+    async saveServer() {
+        const url = document.getElementById('syncServerUrl').value.trim();
+        const token = document.getElementById('syncServerToken').value.trim();
+        const current = await this.getServer();
+
+        if (!url) {
+            if (current.url && confirm(`Stop syncing with ${this.getServerName(current)}? Data here is kept.`)) {
+                this.clearQueue();
+                await Database.setSetting(this.SETTING, {});
+            }
+            await PeerSync.render();
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            alert('Enter the server address starting with https:// (or http://).');
+            return;
+        }
+
+        const candidate = { ...current, url, token };
+        try {
+            const info = await this.checkServer(candidate);
+            candidate.name = info.name || '';
+        } catch (error) {
+            if (!error.offline || !confirm(`${error.message}\n\nSave the address anyway?`)) {
+                if (!error.offline) alert(error.message);
+                return;
+            }
+        }
+
+        // A different server starts from scratch both ways
+        if (url !== current.url) {
+            this.clearQueue();
+            await Database.unmarkChanges(this.VIA);
+            Object.assign(candidate, { pulled: 0, pushed: 0, lastSyncAt: 0, lastError: '', queuedAt: 0 });
+        }
+        await Database.setSetting(this.SETTING, candidate);
+        await this.syncNow();
+    },
+
+    /**
+     * Sync now and report what happened
+     */
+    async syncNow() {
+        const result = await this.sync();
+        if (!result || !result.pushed) return;
+
+        const s = result.pulled;
+        const lines = [
+            [s.added, 'contributions added'],
+            [s.updated, 'contributions updated'],
+            [s.deleted, 'contributions deleted'],
+            [s.labels, 'committee tag changes'],
+            [s.skipped, 'tag changes that do not fit here (skipped)'],
+            [s.conflicts, 'changed here and on the server (listed under Conflicts)'],
+            [result.pushed.applied, 'changes sent']
+        ].filter(([n]) => n > 0).map(([n, text]) => `${n.toLocaleString()} ${text}`);
+        alert(lines.length > 0 ? `Synced.\n\n• ${lines.join('\n• ')}` : 'Synced. Nothing new either way.');
+    }
+};
+
+// Export for use in other modules
+window.RemoteSync = RemoteSync;
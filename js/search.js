@@ -1,6 +1,6 @@
 /**
  * DonorDex Search Module
- * Fuzzy search with Levenshtein distance matching
+ * Fuzzy search with Levenshtein distance matching and a structured query language
  */
 
 const Search = {
@@ -55,9 +55,398 @@ const Search = {
         return { match: false, score: 0, type: 'none' };
     },
 
+    // ==================== Query Language ====================
+
+    // Fields usable as field:value. Text fields match the whole value, or any
+    // part of it (or a close spelling) when the value starts with ~. Amount and
+    // date take comparisons (amount:>=500) and ranges (date:2024-01..2024-06).
+    // Employer and occupation compare normalized values (see Normalizer).
+    QUERY_FIELDS: {
+        name: { type: 'text', get: r => `${r.firstName} ${r.lastName}` },
+        first: { type: 'text', get: r => r.firstName },
+        last: { type: 'text', get: r => r.lastName },
+        committee: { type: 'text', get: r => r.candidateName, index: 'candidateName' },
+        state: { type: 'text', get: r => r.state, index: 'state' },
+        city: { type: 'text', get: r => r.city },
+        employer: { type: 'text', get: r => r.employerNorm, index: 'employerNorm', normalize: v => Normalizer.clean('employer', v) },
+        occupation: { type: 'text', get: r => r.occupationNorm, index: 'occupationNorm', normalize: v => Normalizer.clean('occupation', v) },
+        amount: { type: 'number', get: r => r.amount },
+        date: { type: 'date', get: r => r.contributionEpoch },
+        tag: { type: 'tag' }
+    },
+
+    // Bare words that test a property of the contribution instead of the name
+    QUERY_FLAGS: {
+        refund: r => r.isRefund || r.amount < 0
+    },
+
+    // Most donors rendered for one search (filter-only queries can match everyone)
+    MAX_RESULT_GROUPS: 200,
+
+    /**
+     * Split a query into terms
+     * A term is an optional "-" (negation), an optional "field:", an optional
+     * "~" (fuzzy) and a word or "quoted phrase".
+     * @param {string} input - Query text
+     * @returns {Object} - {terms: Array<{negate, field, fuzzy, value, quoted, text}>, errors: Array<string>}
+     */
+    tokenizeQuery(input) {
+        const terms = [];
+        const errors = [];
+        const pattern = /(-?)(?:([A-Za-z_]+):)?(?:(~?)"([^"]*)("?)|(\S+))/g;
+
+        for (const match of input.matchAll(pattern)) {
+            const [text, negate, field, quotedFuzzy, phrase, closed, word] = match;
+            const quoted = phrase !== undefined;
+
+            if (quoted && !closed) {
+                errors.push(`Missing closing quote in ${text}`);
+                continue;
+            }
+
+            let value = quoted ? phrase : word;
+            let fuzzy = quotedFuzzy === '~';
+            if (!quoted && field && value.startsWith('~')) {
+                fuzzy = true;
+                value = value.slice(1);
+            }
+
+            terms.push({ negate: negate === '-', field: field ? field.toLowerCase() : null, fuzzy, value, quoted, text });
+        }
+
+        return { terms, errors };
+    },
+
+    /**
+     * Parse a structured query into a name search and record filters
+     * Example: smith state:VA employer:"acme corp" amount:>=500 date:2024-01..2024-06
+     *          committee:~victory -refund @client-a
+     * @param {string} input - Query text
+     * @param {Object} tagData - Committee tags (see Tags.load)
+     * @returns {Object} - {nameTerm, filters: Array<Function>, positive: number, tags: Array, errors: Array<string>}
+     */
+    parseQuery(input, tagData) {
+        const { terms, errors } = this.tokenizeQuery(input);
+        const nameWords = [];
+        const filters = [];
+        const tags = [];
+        let positive = 0;
+
+        terms.forEach(term => {
+            let test;
+            try {
+                if (term.field) {
+                    test = this.buildFieldTest(term, tagData, tags);
+                } else if (!term.quoted && term.value.startsWith('@')) {
+                    test = this.buildFieldTest({ ...term, field: 'tag', value: term.value.slice(1) }, tagData, tags);
+                } else if (!term.quoted && term.value.endsWith(':') && this.QUERY_FIELDS[term.value.slice(0, -1).toLowerCase()]) {
+                    throw new Error(`Missing value after ${term.value}`);
+                } else if (!term.quoted && term.value.includes(':')) {
+                    throw new Error(`Unknown field "${term.value.split(':')[0]}". Fields: ${Object.keys(this.QUERY_FIELDS).join(', ')}`);
+                } else if (!term.quoted && this.QUERY_FLAGS[term.value.toLowerCase()]) {
+                    test = this.QUERY_FLAGS[term.value.toLowerCase()];
+                } else if (term.negate) {
+                    const word = term.value.toLowerCase();
+                    test = r => `${r.firstName} ${r.lastName}`.toLowerCase().includes(word);
+                } else {
+                    nameWords.push(term.value);
+                    return;
+                }
+            } catch (error) {
+                errors.push(error.message);
+                return;
+            }
+
+            if (term.negate) {
+                filters.push(r => !test(r));
+            } else {
+                filters.push(test);
+                positive++;
+            }
+        });
+
+        return { nameTerm: nameWords.join(' ').toLowerCase(), filters, positive, tags, errors };
+    },
+
+    /**
+     * Build the record test for one field:value term
+     * @param {Object} term - Term from tokenizeQuery
+     * @param {Object} tagData - Committee tags (see Tags.load)
+     * @param {Array} tags - Receives tags the query refers to
+     * @returns {Function} - Record → boolean
+     */
+    buildFieldTest(term, tagData, tags) {
+        const definition = this.QUERY_FIELDS[term.field];
+        if (!definition) {
+            throw new Error(`Unknown field "${term.field}". Fields: ${Object.keys(this.QUERY_FIELDS).join(', ')}`);
+        }
+
+        const value = term.value.trim();
+        if (!value) throw new Error(`Missing value after ${term.field}:`);
+
+        if (definition.type === 'tag') {
+            const tag = Tags.findBySlug(value, tagData.tags);
+            if (!tag) {
+                const available = tagData.tags.map(t => `@${t.slug}`).join(', ');
+                throw new Error(`No tag matches "${value}". ${available ? `Tags: ${available}` : 'Create tags in Manage Committees.'}`);
+            }
+            tags.push(tag);
+            return r => Tags.getRecordTags(r, tagData).includes(tag);
+        }
+
+        if (definition.type === 'number') {
+            return this.buildRangeTest(value, definition.get, text => {
+                const number = Number(text.replace(/[$,]/g, ''));
+                if (!text || isNaN(number)) throw new Error(`"${text}" is not an amount`);
+                return { start: number, end: number };
+            });
+        }
+
+        if (definition.type === 'date') {
+            return this.buildRangeTest(value, definition.get, text => this.parseDateBound(text));
+        }
+
+        const wanted = (definition.normalize ? definition.normalize(value) : value).toLowerCase();
+        if (term.fuzzy) {
+            return r => {
+                const actual = (definition.get(r) || '').toLowerCase();
+                return actual.includes(wanted) ||
+                    actual.split(/\s+/).some(word => Utils.similarityScore(wanted, word) >= 0.7);
+            };
+        }
+        return r => (definition.get(r) || '').toLowerCase().trim() === wanted;
+    },
+
+    /**
+     * Build a comparison or range test
+     * Accepts 500, >=500, >500, <=500, <500, =500, 100..500, ..500 and 100..
+     * @param {string} value - Term value
+     * @param {Function} get - Reads the compared value from a record
+     * @param {Function} parseBound - Parses one bound into {start, end}
+     * @returns {Function} - Record → boolean
+     */
+    buildRangeTest(value, get, parseBound) {
+        const inRange = (v, min, max) => v !== null && v !== undefined && !isNaN(v) && v >= min && v <= max;
+
+        if (value.includes('..')) {
+            const [from, to] = value.split('..');
+            if (!from && !to) throw new Error(`Range "${value}" needs a start or an end`);
+            const min = from ? parseBound(from).start : -Infinity;
+            const max = to ? parseBound(to).end : Infinity;
+            if (min > max) throw new Error(`Range "${value}" starts after it ends`);
+            return r => inRange(get(r), min, max);
+        }
+
+        const comparison = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+        if (!comparison[2]) throw new Error(`Missing value after ${comparison[1]}`);
+        const bound = parseBound(comparison[2]);
+        switch (comparison[1]) {
+            case '>=': return r => inRange(get(r), bound.start, Infinity);
+            case '>': return r => inRange(get(r), -Infinity, Infinity) && get(r) > bound.end;
+            case '<=': return r => inRange(get(r), -Infinity, bound.end);
+            case '<': return r => inRange(get(r), -Infinity, Infinity) && get(r) < bound.start;
+            default: return r => inRange(get(r), bound.start, bound.end);
+        }
+    },
+
+    /**
+     * Parse a date bound: a year, month or day
+     * 2024 covers the whole year and 2024-06 the whole month
+     * @param {string} text - YYYY, YYYY-MM, YYYY-MM-DD or MM/DD/YYYY
+     * @returns {Object} - {start, end} epochs (UTC day starts, inclusive)
+     */
+    parseDateBound(text) {
+        const parts = text.match(/^(\d{4})(?:-(\d{1,2}))?$/);
+        if (parts) {
+            const year = Number(parts[1]);
+            const month = parts[2] ? Number(parts[2]) : null;
+            if (month !== null && (month < 1 || month > 12)) throw new Error(`"${text}" is not a valid month`);
+            return month === null
+                ? { start: Date.UTC(year, 0, 1), end: Date.UTC(year, 11, 31) }
+                : { start: Date.UTC(year, month - 1, 1), end: Date.UTC(year, month, 0) };
+        }
+
+        const { epoch } = Utils.parseFecDate(text);
+        if (epoch === null) throw new Error(`"${text}" is not a date. Use YYYY, YYYY-MM or YYYY-MM-DD`);
+        return { start: epoch, end: epoch };
+    },
+
+    /**
+     * Show or hide query errors under the search box
+     * @param {Array<string>} errors - Error messages
+     */
+    showQueryErrors(errors) {
+        const container = document.getElementById('searchQueryError');
+        container.innerHTML = errors.map(error => `<div>${Utils.escapeHtml(error)}</div>`).join('');
+        container.style.display = errors.length > 0 ? 'block' : 'none';
+    },
+
+    // ==================== Autocomplete ====================
+
+    // Known values per field (loaded when the search box gets focus)
+    suggestionValues: null,
+    suggestions: [],
+    activeSuggestion: -1,
+
+    /**
+     * Load known field values for autocomplete
+     * Reads indexes only, so it is cheap to repeat on every focus
+     */
+    async loadSuggestionValues() {
+        const values = new Map();
+        for (const [field, definition] of Object.entries(this.QUERY_FIELDS)) {
+            if (definition.index) values.set(field, await Database.getUniqueValues(definition.index));
+        }
+        values.set('tag', (await Tags.load()).tags.map(tag => tag.slug));
+        this.suggestionValues = values;
+    },
+
     /**
-     * Search donors with fuzzy matching and display results
-     * Supports wildcards: @team and @opp for filtering by committee label
+     * Find the term being typed at the caret
+     * @param {string} input - Query text
+     * @param {number} caret - Caret position
+     * @returns {Object} - {start, text} of the term up to the caret
+     */
+    getTermAtCaret(input, caret) {
+        const before = input.slice(0, caret);
+        const quotes = (before.match(/"/g) || []).length;
+        // Inside an open quote the term starts at the last space before the quote
+        const start = quotes % 2 === 1
+            ? before.lastIndexOf(' ', before.lastIndexOf('"')) + 1
+            : before.search(/\S*$/);
+        return { start, text: before.slice(start) };
+    },
+
+    /**
+     * Build suggestions for the term at the caret
+     * Field names while typing a bare word, known values after "field:", tags after "@"
+     * @param {string} input - Query text
+     * @param {number} caret - Caret position
+     * @returns {Array} - {label, insert} suggestions
+     */
+    getSuggestions(input, caret) {
+        const { text } = this.getTermAtCaret(input, caret);
+        const term = text.replace(/^-/, '');
+        if (!term) return [];
+
+        const values = this.suggestionValues || new Map();
+        const colon = term.indexOf(':');
+
+        if (term.startsWith('@')) {
+            const partial = term.slice(1).toLowerCase();
+            return (values.get('tag') || [])
+                .filter(slug => slug.startsWith(partial) && slug !== partial)
+                .map(slug => ({ label: `@${slug}`, insert: `@${slug} ` }));
+        }
+
+        if (colon === -1) {
+            const partial = term.toLowerCase();
+            return [...Object.keys(this.QUERY_FIELDS).map(field => `${field}:`), ...Object.keys(this.QUERY_FLAGS)]
+                .filter(word => word.startsWith(partial) && word !== partial)
+                .map(word => ({ label: word, insert: word.endsWith(':') ? word : `${word} ` }));
+        }
+
+        const field = term.slice(0, colon).toLowerCase();
+        const rest = term.slice(colon + 1);
+        const fuzzy = rest.startsWith('~') ? '~' : '';
+        const partial = rest.slice(fuzzy.length).replace(/^"/, '').toLowerCase();
+        if (!values.has(field)) return [];
+
+        const matches = values.get(field).filter(v => String(v).toLowerCase().includes(partial));
+        matches.sort((a, b) => String(b).toLowerCase().startsWith(partial) - String(a).toLowerCase().startsWith(partial));
+
+        return matches.slice(0, 8).map(v => {
+            const shown = field === 'tag' ? v : String(v);
+            const quoted = /\s/.test(shown) ? `"${shown}"` : shown;
+            return { label: `${field}:${fuzzy}${quoted}`, insert: `${field}:${fuzzy}${quoted} ` };
+        });
+    },
+
+    /**
+     * Refresh the suggestion list for the search box
+     */
+    updateSuggestions() {
+        const input = document.getElementById('searchInput');
+        this.suggestions = this.getSuggestions(input.value, input.selectionStart);
+        this.activeSuggestion = -1;
+        this.renderSuggestions();
+    },
+
+    /**
+     * Render the suggestion list
+     */
+    renderSuggestions() {
+        const container = document.getElementById('searchSuggestions');
+
+        if (this.suggestions.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = this.suggestions.map((suggestion, i) => `
+            <div class="search-suggestion${i === this.activeSuggestion ? ' active' : ''}" onmousedown="event.preventDefault(); Search.applySuggestion(${i})">${Utils.escapeHtml(suggestion.label)}</div>
+        `).join('');
+        container.style.display = 'block';
+    },
+
+    /**
+     * Hide the suggestion list
+     */
+    hideSuggestions() {
+        this.suggestions = [];
+        this.renderSuggestions();
+    },
+
+    /**
+     * Replace the term at the caret with a suggestion
+     * @param {number} index - Suggestion index
+     */
+    applySuggestion(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        const input = document.getElementById('searchInput');
+        const caret = input.selectionStart;
+        const { start, text } = this.getTermAtCaret(input.value, caret);
+        const negate = text.startsWith('-') ? '-' : '';
+
+        input.value = input.value.slice(0, start) + negate + suggestion.insert + input.value.slice(caret).replace(/^\S*/, '').replace(/^ /, '');
+        const position = start + negate.length + suggestion.insert.length;
+        input.setSelectionRange(position, position);
+        input.focus();
+
+        this.updateSuggestions();
+        this.debouncedSearch();
+    },
+
+    /**
+     * Keyboard navigation for the suggestion list
+     * @param {KeyboardEvent} event - Keydown event from the search box
+     */
+    handleSuggestionKey(event) {
+        if (this.suggestions.length === 0) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeSuggestion = (this.activeSuggestion + step + this.suggestions.length) % this.suggestions.length;
+            this.renderSuggestions();
+        } else if ((event.key === 'Enter' || event.key === 'Tab') && this.activeSuggestion >= 0) {
+            event.preventDefault();
+            this.applySuggestion(this.activeSuggestion);
+        } else if (event.key === 'Tab' && this.suggestions.length === 1) {
+            event.preventDefault();
+            this.applySuggestion(0);
+        } else if (event.key === 'Escape') {
+            this.hideSuggestions();
+        }
+    },
+
+    /**
+     * Search donors with fuzzy name matching and structured filters, and display results
+     * Plain text matches donor names; field:value terms, @tag prefixes, negation
+     * and ranges narrow the contributions (see parseQuery)
      * Uses 150ms debounce
      */
     async searchDonors() {
@@ -65,51 +454,44 @@ const Search = {
         const resultsContainer = document.getElementById('resultsContainer');
 
         if (!rawInput) {
+            this.showQueryErrors([]);
             resultsContainer.innerHTML = '<div class="no-results">Enter a donor name to begin search</div>';
             return;
         }
 
-        // Parse wildcard filter
-        let labelFilter = null;
-        let searchTerm = rawInput.toLowerCase();
+        const tagData = await Tags.load();
+        const query = this.parseQuery(rawInput, tagData);
+        this.showQueryErrors(query.errors);
 
-        if (searchTerm.startsWith('@team ') || searchTerm === '@team') {
-            labelFilter = 'team';
-            searchTerm = searchTerm.replace(/^@team\s*/, '').trim();
-        } else if (searchTerm.startsWith('@opp ') || searchTerm === '@opp') {
-            labelFilter = 'opposition';
-            searchTerm = searchTerm.replace(/^@opp\s*/, '').trim();
+        if (query.errors.length > 0) {
+            resultsContainer.innerHTML = '<div class="no-results">Fix the query to search</div>';
+            return;
         }
 
-        // If only wildcard with no search term, show all contributions for that label
-        if (labelFilter && !searchTerm) {
-            resultsContainer.innerHTML = `<div class="no-results">Enter a donor name after <code>@${labelFilter === 'team' ? 'team' : 'opp'}</code><br><small style="margin-top: 10px; display: block;">Example: @${labelFilter === 'team' ? 'team' : 'opp'} john smith</small></div>`;
+        // Negations alone would match nearly everything
+        if (!query.nameTerm && query.positive === 0) {
+            resultsContainer.innerHTML = '<div class="no-results">Add a donor name or a filter<br><small style="margin-top: 10px; display: block;">Example: smith state:VA amount:>=500</small></div>';
             return;
         }
 
         // Get all records from database
         const allRecords = await Database.getRecordsForSearch();
 
-        // If label filter is active, get committees with that label
-        let labeledCommittees = null;
-        if (labelFilter) {
-            labeledCommittees = new Set(await Database.getCommitteesByLabel(labelFilter));
-        }
+        // Apply fuzzy name matching (every record matches when only filters are given)
+        const results = [];
+        allRecords.forEach(record => {
+            if (!query.filters.every(test => test(record))) return;
+
+            const matchResult = query.nameTerm
+                ? this.isFuzzyMatch(query.nameTerm, record.firstName, record.lastName)
+                : { match: true, score: 1.0, type: 'exact' };
+            if (!matchResult.match) return;
 
-        // Apply fuzzy matching
-        const results = allRecords.map(record => {
-            const matchResult = this.isFuzzyMatch(searchTerm, record.firstName, record.lastName);
-            return {
+            results.push({
                 ...record,
                 matchScore: matchResult.score,
-                matchType: matchResult.match ? matchResult.type : 'none',
-                isMatch: matchResult.match
-            };
-        }).filter(r => {
-            // Filter by name match AND committee label (if applicable)
-            if (!r.isMatch) return false;
-            if (labelFilter && !labeledCommittees.has(r.candidateName)) return false;
-            return true;
+                matchType: matchResult.type
+            });
         });
 
         // Sort by match type (exact first) then score
@@ -121,56 +503,78 @@ const Search = {
 
         if (results.length === 0) {
             let message = 'No donors found in DonorDex';
-            if (labelFilter) {
-                const labelText = labelFilter === 'team' ? 'team committees' : 'opposition committees';
-                message += ` (${labelText} only)`;
+            if (query.filters.length > 0) {
+                message += query.tags.length > 0
+                    ? ` (${query.tags.map(tag => Utils.escapeHtml(tag.name)).join(', ')} committees, matching your filters)`
+                    : ' matching your filters';
             }
             resultsContainer.innerHTML = `<div class="no-results">${message}<br><small style="margin-top: 10px; display: block;">Try adjusting your search term</small></div>`;
             return;
         }
 
-        // Group results by donor name
+        // Group results by resolved donor (falls back to the literal name for unresolved records)
+        const donorIds = [...new Set(results.map(r => r.donorId).filter(Boolean))];
+        const donorMap = new Map((await Database.getDonors(donorIds)).map(d => [d.id, d]));
+
         const groupedResults = {};
+        const groupKeys = new Set();
         results.forEach(record => {
-            const fullName = record.firstName + ' ' + record.lastName;
-            if (!groupedResults[fullName]) {
-                groupedResults[fullName] = {
+            const donor = donorMap.get(record.donorId);
+            const groupKey = donor ? donor.id : record.firstName + ' ' + record.lastName;
+            groupKeys.add(groupKey);
+            if (!groupedResults[groupKey]) {
+                if (groupKeys.size > this.MAX_RESULT_GROUPS) return;
+                groupedResults[groupKey] = {
+                    donor: donor || null,
+                    fullName: donor ? Donors.getDisplayName(donor) : groupKey,
                     donations: [],
                     matchType: record.matchType,
                     matchScore: record.matchScore
                 };
             }
-            groupedResults[fullName].donations.push(record);
+            groupedResults[groupKey].donations.push(record);
         });
 
         // Render results
-        await this.renderSearchResults(groupedResults, resultsContainer, labelFilter);
+        await this.renderSearchResults(groupedResults, resultsContainer, tagData);
+
+        if (groupKeys.size > this.MAX_RESULT_GROUPS) {
+            resultsContainer.insertAdjacentHTML('beforeend', `<div class="no-results">Showing the first ${this.MAX_RESULT_GROUPS} of ${groupKeys.size.toLocaleString()} donors. Add terms to narrow the search.</div>`);
+        }
     },
 
     /**
      * Render search results to DOM
-     * @param {Object} groupedResults - Results grouped by donor name
+     * @param {Object} groupedResults - Results grouped by resolved donor
      * @param {HTMLElement} container - Container element
-     * @param {string|null} labelFilter - Active label filter (for messaging)
+     * @param {Object|null} tagData - Committee tags for badges (see Tags.load)
      */
-    async renderSearchResults(groupedResults, container, labelFilter = null) {
+    async renderSearchResults(groupedResults, container, tagData = null) {
         container.innerHTML = '';
 
-        // Load committee labels for badges
-        const allLabels = await Database.getAllCommitteeLabels();
-        const labelMap = new Map(allLabels.map(l => [l.committeeName, l.label]));
+        // Load committee tags for badges
+        if (!tagData) tagData = await Tags.load();
+
+        // Donor tags and contact history for resolved donors
+        const interactionMap = await Notes.loadForDonors(Object.values(groupedResults)
+            .filter(group => group.donor)
+            .map(group => group.donor.id));
 
-        Object.keys(groupedResults).forEach(fullName => {
-            const group = groupedResults[fullName];
+        Object.keys(groupedResults).forEach(groupKey => {
+            const group = groupedResults[groupKey];
+            const fullName = group.fullName;
             const donations = group.donations;
             const totalAcrossAll = donations.reduce((sum, d) => sum + d.amount, 0);
 
             const committees = [...new Set(donations.map(d => d.candidateName))];
             const committeeList = committees.join(', ');
 
-            const location = donations[0].city || donations[0].state
-                ? `${donations[0].city || ''}${donations[0].city && donations[0].state ? ', ' : ''}${donations[0].state || ''}`
-                : 'Location not available';
+            // Other spellings of the name linked to this donor
+            const aliases = [...new Set(donations
+                .map(d => `${d.firstName} ${d.lastName}`.trim())
+                .filter(name => name.toLowerCase() !== fullName.toLowerCase()))];
+
+            const location = Utils.formatLocation(donations[0], false) || 'Location not available';
 
             const donorId = Utils.generateId();
 
@@ -195,10 +599,26 @@ const Search = {
                 </div>
                 <div style="font-size: 13px; color: #718096; margin-bottom: 8px; font-weight: 500;">
                     ${donations.length} contribution${donations.length > 1 ? 's' : ''} • ${Utils.escapeHtml(committeeList)}
-                </div>
+                </div>`;
+
+            if (group.donor) {
+                html += `
+                <div id="notes-summary-${group.donor.id}">${Notes.renderSummary(group.donor, interactionMap.get(group.donor.id))}</div>`;
+            }
+
+            if (aliases.length > 0) {
+                html += `
+                <div style="font-size: 12px; color: #a0aec0; margin-bottom: 8px;">
+                    Also recorded as: ${Utils.escapeHtml(aliases.join(', '))}
+                </div>`;
+            }
+
+            html += `
                 <div style="display: flex; justify-content: space-between; align-items: center;">
                     <div style="font-size: 12px; color: #a0aec0;">
                         📍 ${Utils.escapeHtml(location)}
+                        ${group.donor ? `<a href="#donor/${encodeURIComponent(group.donor.id)}" onclick="event.stopPropagation()" style="margin-left: 10px; color: #174A57; font-weight: 600;">View profile</a>` : ''}
+                        ${group.donor && group.donor.matchKeys.length > 1 ? `<a href="#" onclick="event.stopPropagation(); event.preventDefault(); Donors.splitDonor('${group.donor.id}')" style="margin-left: 10px; color: #718096;">Split donor</a>` : ''}
                     </div>
                     <div style="font-size: 11px; color: #56D2B4; font-style: italic; font-weight: 600;" id="expand-text-${donorId}">
                         Click to expand ↓
@@ -208,15 +628,14 @@ const Search = {
 
             <div class="contributions-list" id="contributions-${donorId}">`;
 
+            if (group.donor) {
+                html += `
+                <div id="notes-panel-${group.donor.id}">${Notes.renderPanel(group.donor, interactionMap.get(group.donor.id))}</div>`;
+            }
+
             donations.forEach((record, index) => {
                 const isRefund = record.isRefund || record.amount < 0;
-                const committeeLabel = labelMap.get(record.candidateName);
-                let labelBadge = '';
-                if (committeeLabel === 'team') {
-                    labelBadge = ' <span style="display: inline-block; padding: 2px 8px; background: #2563eb; color: white; border-radius: 4px; font-size: 10px; font-weight: 700; vertical-align: middle; margin-left: 6px;">TEAM</span>';
-                } else if (committeeLabel === 'opposition') {
-                    labelBadge = ' <span style="display: inline-block; padding: 2px 8px; background: #dc2626; color: white; border-radius: 4px; font-size: 10px; font-weight: 700; vertical-align: middle; margin-left: 6px;">OPP</span>';
-                }
+                const tagBadges = Tags.renderBadges(Tags.getRecordTags(record, tagData));
 
                 html += `
                 <div class="contribution-item">
@@ -224,7 +643,7 @@ const Search = {
                     <div class="donation-info">
                         <div class="info-item">
                             <div class="info-label">Committee</div>
-                            <div class="info-value">${Utils.escapeHtml(record.candidateName)}${labelBadge}</div>
+                            <div class="info-value">${Utils.escapeHtml(record.candidateName)}${tagBadges}</div>
                         </div>
                         <div class="info-item">
                             <div class="info-label">Date</div>
@@ -251,8 +670,8 @@ const Search = {
                         </div>`;
                 }
 
-                if (record.city || record.state) {
-                    const loc = `${record.city || ''}${record.city && record.state ? ', ' : ''}${record.state || ''}`;
+                const loc = Utils.formatLocation(record);
+                if (loc) {
                     html += `
                         <div class="info-item">
                             <div class="info-label">Location</div>
@@ -261,7 +680,8 @@ const Search = {
                 }
 
                 html += `
-                        <div class="info-item">
+                        <div class="info-item record-actions">
+                            <button class="edit-btn" onclick="UI.openEditModal('${record.id}')">Edit</button>
                             <button class="delete-btn" onclick="App.deleteRecord('${record.id}')">Delete</button>
                         </div>
                     </div>
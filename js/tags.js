@@ -0,0 +1,190 @@
+/**
+ * DonorDex Committee Tags
+ * Colored tags assigned to committees ("Client A", "Leadership PACs", ...).
+ * A committee can carry several tags. Committees are tagged by FEC committee
+ * ID when they have one, otherwise by name.
+ */
+
+const Tags = {
+    // Colors offered for new tags, in order
+    COLORS: ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777', '#0891b2', '#4b5563'],
+
+    /**
+     * Build the search slug for a tag name
+     * "Leadership PACs" becomes "leadership-pacs" (searched as @leadership-pacs)
+     * @param {string} name - Tag name
+     * @returns {string} - Slug
+     */
+    getSlug(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+
+    /**
+     * Check a tag name and color, returning the cleaned values
+     * @param {string} name - Tag name
+     * @param {string} color - Hex color (#rrggbb)
+     * @param {string|null} tagId - Tag being edited (excluded from the duplicate check)
+     * @returns {Promise<Object>} - {name, slug, color}
+     */
+    async validate(name, color, tagId = null) {
+        const cleanName = String(name || '').trim().replace(/\s+/g, ' ');
+        const slug = this.getSlug(cleanName);
+        if (!slug) throw new Error('Tag name must contain a letter or number');
+        if (!/^#[0-9a-f]{6}$/i.test(color || '')) throw new Error('Tag color must be a hex color like #2563eb');
+
+        const existing = await Database.getTagBySlug(slug);
+        if (existing && existing.id !== tagId) {
+            throw new Error(`A tag named "${existing.name}" already exists`);
+        }
+
+        return { name: cleanName, slug, color: color.toLowerCase() };
+    },
+
+    /**
+     * Create a tag
+     * @param {string} name - Tag name
+     * @param {string} color - Hex color
+     * @returns {Promise<Object>} - New tag
+     */
+    async createTag(name, color) {
+        const tag = {
+            id: Utils.generateId(),
+            ...await this.validate(name, color),
+            createdAt: Date.now()
+        };
+        await Database.putTag(tag);
+        return tag;
+    },
+
+    /**
+     * Rename a tag
+     * @param {string} tagId - Tag ID
+     * @param {string} name - New name
+     * @returns {Promise<Object>} - Updated tag
+     */
+    async renameTag(tagId, name) {
+        const tag = await Database.getTag(tagId);
+        if (!tag) throw new Error('Tag not found');
+
+        const { name: cleanName, slug } = await this.validate(name, tag.color, tagId);
+        const updated = { ...tag, name: cleanName, slug };
+        await Database.putTag(updated);
+        return updated;
+    },
+
+    /**
+     * Change a tag's color
+     * @param {string} tagId - Tag ID
+     * @param {string} color - New hex color
+     * @returns {Promise<Object>} - Updated tag
+     */
+    async recolorTag(tagId, color) {
+        const tag = await Database.getTag(tagId);
+        if (!tag) throw new Error('Tag not found');
+
+        const updated = { ...tag, color: (await this.validate(tag.name, color, tagId)).color };
+        await Database.putTag(updated);
+        return updated;
+    },
+
+    /**
+     * Delete a tag (removing it from every committee)
+     * @param {string} tagId - Tag ID
+     */
+    async deleteTag(tagId) {
+        await Database.deleteTag(tagId);
+    },
+
+    /**
+     * Add or remove a tag on a committee
+     * @param {string} tagId - Tag ID
+     * @param {string} committeeKey - Committee ID, or name for committees without one
+     * @param {boolean} assigned - Whether the committee should carry the tag
+     */
+    async setCommitteeTag(tagId, committeeKey, assigned) {
+        if (assigned) {
+            await Database.addCommitteeTag(tagId, committeeKey);
+        } else {
+            await Database.removeCommitteeTag(tagId, committeeKey);
+        }
+    },
+
+    /**
+     * Load tags and assignments for record lookups
+     * @returns {Promise<Object>} - {tags: Array sorted by name, byId: Map, byCommittee: Map of key → Array<tag>}
+     */
+    async load() {
+        const [tags, assignments] = await Promise.all([Database.getTags(), Database.getCommitteeTags()]);
+        tags.sort((a, b) => a.name.localeCompare(b.name));
+
+        const byId = new Map(tags.map(tag => [tag.id, tag]));
+        const byCommittee = new Map();
+        assignments.forEach(({ tagId, committeeKey }) => {
+            const tag = byId.get(tagId);
+            if (!tag) return;
+            if (!byCommittee.has(committeeKey)) byCommittee.set(committeeKey, []);
+            byCommittee.get(committeeKey).push(tag);
+        });
+
+        return { tags, byId, byCommittee };
+    },
+
+    /**
+     * Get the tags that apply to a record (through its committee ID or name)
+     * @param {Object} record - Contribution record
+     * @param {Object} tagData - Result of load
+     * @returns {Array} - Tags sorted by name
+     */
+    getRecordTags(record, tagData) {
+        const tags = new Set([
+            ...(record.committeeId ? tagData.byCommittee.get(record.committeeId) || [] : []),
+            ...(tagData.byCommittee.get(record.candidateName) || [])
+        ]);
+        return tagData.tags.filter(tag => tags.has(tag));
+    },
+
+    /**
+     * Find the tag an @prefix refers to
+     * An exact slug wins; otherwise a prefix matching exactly one tag is accepted,
+     * so @opp still finds "Opposition"
+     * @param {string} slug - Text after @
+     * @param {Array} tags - Tags to search
+     * @returns {Object|null} - Tag or null
+     */
+    findBySlug(slug, tags) {
+        const wanted = this.getSlug(slug);
+        if (!wanted) return null;
+
+        const exact = tags.find(tag => tag.slug === wanted);
+        if (exact) return exact;
+
+        const prefixed = tags.filter(tag => tag.slug.startsWith(wanted));
+        return prefixed.length === 1 ? prefixed[0] : null;
+    },
+
+    /**
+     * Get the committee keys a tag is assigned to (for Database.buildQuery)
+     * @param {string} tagId - Tag ID
+     * @returns {Promise<Array<string>>} - Committee IDs and names
+     */
+    async getCommitteeKeys(tagId) {
+        return await Database.getCommitteeKeysByTag(tagId);
+    },
+
+    /**
+     * Render tag badges
+     * @param {Array} tags - Tags
+     * @returns {string} - HTML
+     */
+    renderBadges(tags) {
+        return tags.map(tag =>
+            ` <span style="display: inline-block; padding: 2px 8px; background: ${tag.color}; color: white; border-radius: 4px; font-size: 10px; font-weight: 700; vertical-align: middle; margin-left: 6px;">${Utils.escapeHtml(tag.name.toUpperCase())}</span>`
+        ).join('');
+    }
+};
+
+// Export for use in other modules
+window.Tags = Tags;
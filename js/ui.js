@@ -4,6 +4,29 @@
  */
 
 const UI = {
+    // Fields compared for the edit audit trail, with their labels
+    EDIT_FIELDS: {
+        firstName: 'First name',
+        lastName: 'Last name',
+        candidateName: 'Committee',
+        committeeId: 'Committee ID',
+        contributionDate: 'Date',
+        amount: 'Amount',
+        employer: 'Employer',
+        occupation: 'Occupation',
+        address1: 'Street address',
+        address2: 'Address line 2',
+        city: 'City',
+        state: 'State',
+        zip: 'ZIP'
+    },
+
+    // Record open in the edit modal
+    editingRecordId: null,
+
+    // Aliases shown in the employer & occupation aliases modal
+    aliasData: [],
+
     /**
      * Toggle FAB menu visibility
      */
@@ -38,9 +61,57 @@ const UI = {
     /**
      * Open Import/Export modal
      */
-    openImportExportModal() {
+    async openImportExportModal() {
         document.getElementById('importExportModal').style.display = 'block';
         document.getElementById('modalBackdrop').style.display = 'block';
+        await ImportExport.renderMappingProfiles();
+        await ImportExport.renderImportHistory();
+        await this.renderZipCentroidSource();
+    },
+
+    /**
+     * Show which ZIP centroid table radius filters use
+     */
+    async renderZipCentroidSource() {
+        const loaded = await Database.countZipCentroids();
+        document.getElementById('zipCentroidSource').innerHTML = loaded > 0
+            ? `Using your loaded table of <strong>${loaded.toLocaleString()}</strong> ZIP codes.
+               <button class="btn btn-secondary" style="padding: 4px 10px; font-size: 12px; margin-left: 8px;" onclick="UI.useBuiltInZipCentroids()">Use Built-in Table</button>`
+            : 'Using the built-in table.';
+    },
+
+    /**
+     * Drop the loaded ZIP centroid table and go back to the built-in one
+     */
+    async useBuiltInZipCentroids() {
+        if (!confirm('Remove your loaded ZIP centroid table and use the built-in one?')) return;
+        await Geo.useBuiltInCentroids();
+        await this.renderZipCentroidSource();
+    },
+
+    /**
+     * Load a ZIP centroid file for distance filters
+     * @param {Event} event - File input change event
+     */
+    async loadZipCentroidFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const status = document.getElementById('zipCentroidStatus');
+        status.textContent = 'Loading ZIP centroids...';
+
+        try {
+            const result = await Geo.loadCentroidFile(file);
+            status.textContent = '';
+            await this.renderZipCentroidSource();
+            alert(`Loaded ${result.loaded.toLocaleString()} ZIP centroids.${result.skipped > 0 ? `\n\n${result.skipped.toLocaleString()} rows without a 5-digit ZIP and coordinates were skipped.` : ''}`);
+        } catch (error) {
+            console.error('Error loading ZIP centroids:', error);
+            status.textContent = '';
+            alert('Could not load ZIP centroids: ' + error.message);
+        } finally {
+            event.target.value = '';
+        }
     },
 
     /**
@@ -74,24 +145,49 @@ const UI = {
     },
 
     /**
-     * Load and display committee list with labels
+     * Load and display committee list with tags
      */
     async loadCommitteeList() {
-        const committees = await Database.getUniqueCommittees();
-        const labels = await Database.getAllCommitteeLabels();
-        const labelMap = new Map(labels.map(l => [l.committeeName, l.label]));
+        const [committeeData, tagData] = await Promise.all([Committees.listInUse(), Tags.load()]);
+        this.committeeData = committeeData;
+        this.tagData = tagData;
 
-        this.committeeData = committees.map(name => ({
-            name: name,
-            label: labelMap.get(name) || null
-        }));
+        document.getElementById('committeeRegistryCount').textContent = (await Database.getCommitteeCount()).toLocaleString();
+        this.renderTagManager();
+        this.filterCommitteeList();
+    },
+
+    /**
+     * Render the tag list (rename, recolor, delete) above the committees
+     */
+    renderTagManager() {
+        const container = document.getElementById('tagList');
+        const { tags, byCommittee } = this.tagData;
+
+        if (tags.length === 0) {
+            container.innerHTML = '<div style="color: #718096; font-size: 13px;">No tags yet. Create one below, then click a tag under a committee to assign it.</div>';
+        } else {
+            const counts = new Map();
+            byCommittee.forEach(committeeTags => committeeTags.forEach(tag => counts.set(tag.id, (counts.get(tag.id) || 0) + 1)));
+
+            container.innerHTML = tags.map(tag => `
+                <div style="display: flex; align-items: center; gap: 10px; padding: 6px 0;">
+                    <input type="color" value="${tag.color}" onchange="UI.recolorTag('${tag.id}', this.value)" title="Change color" style="width: 32px; height: 28px; padding: 0; border: none; background: none; cursor: pointer;">
+                    <span style="font-weight: 600; color: ${tag.color};">${Utils.escapeHtml(tag.name)}</span>
+                    <code style="font-size: 12px; color: #718096;">@${Utils.escapeHtml(tag.slug)}</code>
+                    <span style="font-size: 12px; color: #a0aec0; flex: 1;">${(counts.get(tag.id) || 0).toLocaleString()} committee${counts.get(tag.id) === 1 ? '' : 's'}</span>
+                    <a href="#" onclick="event.preventDefault(); UI.renameTag('${tag.id}')" style="font-size: 12px; color: #718096;">Rename</a>
+                    <a href="#" onclick="event.preventDefault(); UI.deleteTag('${tag.id}')" style="font-size: 12px; color: #dc2626;">Delete</a>
+                </div>
+            `).join('');
+        }
 
-        this.renderCommitteeList(this.committeeData);
+        document.getElementById('newTagColor').value = Tags.COLORS[tags.length % Tags.COLORS.length];
     },
 
     /**
      * Render committee list
-     * @param {Array} committees - Array of {name, label} objects
+     * @param {Array} committees - Array of {id, key, name, committee} objects
      */
     renderCommitteeList(committees) {
         const container = document.getElementById('committeeList');
@@ -101,45 +197,40 @@ const UI = {
             return;
         }
 
+        const { tags, byCommittee } = this.tagData;
+
         let html = '';
         committees.forEach(committee => {
-            const isTeam = committee.label === 'team';
-            const isOpp = committee.label === 'opposition';
+            const index = this.committeeData.indexOf(committee);
+            const details = committee.committee ? Committees.describe(committee.committee) : '';
+            const assigned = byCommittee.get(committee.key) || [];
 
             html += `
-                <div style="display: flex; align-items: center; justify-content: space-between; padding: 12px; border-bottom: 1px solid #e2e8f0; gap: 15px;">
+                <div style="padding: 12px; border-bottom: 1px solid #e2e8f0;">
+                <div style="display: flex; align-items: center; justify-content: space-between; gap: 15px;">
                     <div style="flex: 1; min-width: 0;">
                         <div style="font-weight: 600; color: #2c3e50; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
                             ${Utils.escapeHtml(committee.name)}
                         </div>
+                        <div style="font-size: 12px; color: #718096;">
+                            ${committee.id ? `<code>${Utils.escapeHtml(committee.id)}</code>` : 'No committee ID'}${details ? ` • ${Utils.escapeHtml(details)}` : ''}${committee.id && !committee.committee ? ' • Not in registry' : ''}
+                            <a href="#" onclick="event.preventDefault(); UI.editCommittee(${index})" style="margin-left: 8px; color: #718096;">Edit</a>
+                        </div>
                     </div>
-                    <div style="display: flex; gap: 8px; flex-shrink: 0;">
-                        <button
-                            onclick="UI.setLabel('${Utils.escapeHtml(committee.name).replace(/'/g, "\\'")}', 'team')"
-                            style="padding: 6px 14px; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer; transition: all 0.2s; border: 2px solid; ${isTeam ? 'background: #2563eb; color: white; border-color: #2563eb;' : 'background: white; color: #2563eb; border-color: #2563eb;'}"
-                            onmouseover="if(!this.style.background.includes('2563eb')) { this.style.background='#eff6ff'; }"
-                            onmouseout="if(!this.style.background.includes('2563eb')) { this.style.background='white'; }"
+                    <div style="display: flex; gap: 8px; flex-wrap: wrap; justify-content: flex-end; max-width: 50%;">
+                        ${tags.map(tag => {
+                            const isAssigned = assigned.includes(tag);
+                            return `<button
+                            onclick="UI.toggleCommitteeTag(${index}, '${tag.id}')"
+                            style="padding: 6px 14px; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer; transition: all 0.2s; border: 2px solid ${tag.color}; ${isAssigned ? `background: ${tag.color}; color: white;` : `background: white; color: ${tag.color};`}"
                         >
-                            ${isTeam ? '✓ ' : ''}Team
-                        </button>
-                        <button
-                            onclick="UI.setLabel('${Utils.escapeHtml(committee.name).replace(/'/g, "\\'")}', null)"
-                            style="padding: 6px 14px; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer; transition: all 0.2s; border: 2px solid; ${!isTeam && !isOpp ? 'background: #6b7280; color: white; border-color: #6b7280;' : 'background: white; color: #6b7280; border-color: #6b7280;'}"
-                            onmouseover="if(!this.style.background.includes('6b7280')) { this.style.background='#f3f4f6'; }"
-                            onmouseout="if(!this.style.background.includes('6b7280')) { this.style.background='white'; }"
-                        >
-                            ${!isTeam && !isOpp ? '✓ ' : ''}None
-                        </button>
-                        <button
-                            onclick="UI.setLabel('${Utils.escapeHtml(committee.name).replace(/'/g, "\\'")}', 'opposition')"
-                            style="padding: 6px 14px; border-radius: 6px; font-size: 12px; font-weight: 600; cursor: pointer; transition: all 0.2s; border: 2px solid; ${isOpp ? 'background: #dc2626; color: white; border-color: #dc2626;' : 'background: white; color: #dc2626; border-color: #dc2626;'}"
-                            onmouseover="if(!this.style.background.includes('dc2626')) { this.style.background='#fef2f2'; }"
-                            onmouseout="if(!this.style.background.includes('dc2626')) { this.style.background='white'; }"
-                        >
-                            ${isOpp ? '✓ ' : ''}Opp
-                        </button>
+                            ${isAssigned ? '✓ ' : ''}${Utils.escapeHtml(tag.name)}
+                        </button>`;
+                        }).join('')}
                     </div>
                 </div>
+                <div id="committeeEdit-${index}" style="display: none;"></div>
+                </div>
             `;
         });
 
@@ -148,6 +239,7 @@ const UI = {
 
     /**
      * Filter committee list based on search input
+     * Matches committee name or ID
      */
     filterCommitteeList() {
         const searchTerm = document.getElementById('committeeSearchBox').value.toLowerCase().trim();
@@ -158,36 +250,464 @@ const UI = {
         }
 
         const filtered = this.committeeData.filter(c =>
-            c.name.toLowerCase().includes(searchTerm)
+            c.name.toLowerCase().includes(searchTerm) || (c.id || '').toLowerCase().includes(searchTerm)
         );
         this.renderCommitteeList(filtered);
     },
 
     /**
-     * Set label for a committee
-     * @param {string} committeeName - Committee name
-     * @param {string|null} label - Label ("team", "opposition", or null to remove)
+     * Add or remove a tag on a committee
+     * Committees with an FEC ID are tagged by ID, so the tag covers every
+     * spelling of the name; others are tagged by name
+     * @param {number} index - Index into committeeData
+     * @param {string} tagId - Tag ID
      */
-    async setLabel(committeeName, label) {
+    async toggleCommitteeTag(index, tagId) {
+        const committee = this.committeeData[index];
+        const tag = this.tagData.byId.get(tagId);
+        if (!committee || !tag) return;
+
         try {
-            if (label === null) {
-                await Database.removeCommitteeLabel(committeeName);
-            } else {
-                await Database.setCommitteeLabel(committeeName, label);
-            }
+            const assigned = (this.tagData.byCommittee.get(committee.key) || []).includes(tag);
+            await Tags.setCommitteeTag(tagId, committee.key, !assigned);
+
+            // Re-render to show updated button states and counts
+            this.tagData = await Tags.load();
+            this.renderTagManager();
+            this.filterCommitteeList();
+        } catch (error) {
+            console.error('Error setting tag:', error);
+            alert('Error setting tag. Please try again.');
+        }
+    },
+
+    /**
+     * Create a tag from the new tag form
+     */
+    async createTag() {
+        const nameInput = document.getElementById('newTagName');
+
+        try {
+            await Tags.createTag(nameInput.value, document.getElementById('newTagColor').value);
+            nameInput.value = '';
+            await this.refreshTags();
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    /**
+     * Rename a tag
+     * @param {string} tagId - Tag ID
+     */
+    async renameTag(tagId) {
+        const tag = this.tagData.byId.get(tagId);
+        if (!tag) return;
+
+        const name = prompt('Rename tag:', tag.name);
+        if (name === null || name.trim() === tag.name) return;
+
+        try {
+            await Tags.renameTag(tagId, name);
+            await this.refreshTags();
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    /**
+     * Change a tag's color
+     * @param {string} tagId - Tag ID
+     * @param {string} color - Hex color
+     */
+    async recolorTag(tagId, color) {
+        try {
+            await Tags.recolorTag(tagId, color);
+            await this.refreshTags();
+        } catch (error) {
+            alert(error.message);
+        }
+    },
+
+    /**
+     * Delete a tag after confirmation
+     * @param {string} tagId - Tag ID
+     */
+    async deleteTag(tagId) {
+        const tag = this.tagData.byId.get(tagId);
+        if (!tag) return;
+        if (!confirm(`Delete the tag "${tag.name}"? It will be removed from every committee.`)) return;
+
+        await Tags.deleteTag(tagId);
+        await this.refreshTags();
+    },
+
+    /**
+     * Reload tags after a change and update everything that shows them
+     */
+    async refreshTags() {
+        this.tagData = await Tags.load();
+        this.renderTagManager();
+        this.filterCommitteeList();
+        await Filters.renderTagOptions();
+    },
+
+    /**
+     * Show the registry details form for a committee
+     * @param {number} index - Index into committeeData
+     */
+    editCommittee(index) {
+        const entry = this.committeeData[index];
+        const container = document.getElementById(`committeeEdit-${index}`);
+        if (!entry || !container) return;
+
+        if (container.style.display === 'block') {
+            container.style.display = 'none';
+            return;
+        }
+
+        const committee = entry.committee || { id: entry.id || '', name: entry.name };
+        const options = (codes, selected) => `<option value="">--</option>` + Object.entries(codes).map(([code, label]) =>
+            `<option value="${code}"${selected === code ? ' selected' : ''}>${code} - ${Utils.escapeHtml(label)}</option>`
+        ).join('');
 
-            // Update local data
-            const committee = this.committeeData.find(c => c.name === committeeName);
-            if (committee) {
-                committee.label = label;
+        container.innerHTML = `
+            <div class="form-grid" style="margin-top: 12px;">
+                <div class="form-group">
+                    <label>Committee ID</label>
+                    <input type="text" id="cmteId-${index}" value="${Utils.escapeHtml(committee.id || '')}" placeholder="C00123456" maxlength="9"${entry.id ? ' disabled' : ''}>
+                </div>
+                <div class="form-group">
+                    <label>Name</label>
+                    <input type="text" id="cmteName-${index}" value="${Utils.escapeHtml(committee.name || '')}">
+                </div>
+                <div class="form-group">
+                    <label>Party</label>
+                    <input type="text" id="cmteParty-${index}" value="${Utils.escapeHtml(committee.party || '')}" placeholder="DEM, REP, ..." maxlength="3">
+                </div>
+                <div class="form-group">
+                    <label>Type</label>
+                    <select id="cmteType-${index}" class="mapper-select">${options(Committees.TYPE_LABELS, committee.type)}</select>
+                </div>
+                <div class="form-group">
+                    <label>Designation</label>
+                    <select id="cmteDesignation-${index}" class="mapper-select">${options(Committees.DESIGNATION_LABELS, committee.designation)}</select>
+                </div>
+                <div class="form-group">
+                    <label>State</label>
+                    <input type="text" id="cmteState-${index}" value="${Utils.escapeHtml(committee.state || '')}" maxlength="2">
+                </div>
+                <div class="form-group">
+                    <label>Candidate ID</label>
+                    <input type="text" id="cmteCandidate-${index}" value="${Utils.escapeHtml(committee.candidateId || '')}" placeholder="H0VA00000" maxlength="9">
+                </div>
+            </div>
+            <div class="button-group">
+                <button class="btn btn-primary" onclick="UI.saveCommittee(${index})">Save Details</button>
+                <button class="btn btn-secondary" onclick="UI.editCommittee(${index})">Cancel</button>
+            </div>
+        `;
+        container.style.display = 'block';
+    },
+
+    /**
+     * Save the registry details form for a committee
+     * @param {number} index - Index into committeeData
+     */
+    async saveCommittee(index) {
+        const entry = this.committeeData[index];
+        if (!entry) return;
+
+        try {
+            const updated = await Committees.saveCommittee({
+                id: document.getElementById(`cmteId-${index}`).value,
+                name: document.getElementById(`cmteName-${index}`).value,
+                party: document.getElementById(`cmteParty-${index}`).value,
+                type: document.getElementById(`cmteType-${index}`).value,
+                designation: document.getElementById(`cmteDesignation-${index}`).value,
+                state: document.getElementById(`cmteState-${index}`).value,
+                candidateId: document.getElementById(`cmteCandidate-${index}`).value
+            }, entry.id ? null : entry.name);
+
+            await this.loadCommitteeList();
+            if (updated > 0) {
+                await Donors.refreshAfterChange();
             }
+        } catch (error) {
+            alert(error.message);
+        }
+    },
 
-            // Re-render the list to show updated button states
-            this.filterCommitteeList();
+    /**
+     * Load the FEC committee master file (cm.txt) into the registry
+     * @param {Event} event - File input change event
+     */
+    async loadCommitteeMasterFile(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const status = document.getElementById('committeeRegistryStatus');
+        status.textContent = 'Loading committee master file...';
+
+        try {
+            const result = await Committees.loadMasterFile(file);
+            status.textContent = '';
+            await this.loadCommitteeList();
+            await Donors.refreshAfterChange();
+            alert(`Loaded ${result.loaded.toLocaleString()} committees.\n\n${result.linked.toLocaleString()} contribution records were linked to committee IDs or renamed to registry names.`);
+        } catch (error) {
+            console.error('Error loading committee master file:', error);
+            status.textContent = '';
+            alert('Could not load committee master file: ' + error.message);
+        } finally {
+            event.target.value = '';
+        }
+    },
+
+    /**
+     * Open Donor Match Review modal
+     */
+    async openDonorReview() {
+        document.getElementById('donorReviewModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        await Donors.renderReviewQueue();
+    },
+
+    /**
+     * Close Donor Match Review modal
+     */
+    closeDonorReview() {
+        document.getElementById('donorReviewModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open Over Limit (compliance) modal
+     */
+    async openComplianceModal() {
+        document.getElementById('complianceModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        document.getElementById('complianceResults').innerHTML = '<div class="no-results">Checking limits...</div>';
+        await Compliance.refresh();
+    },
+
+    /**
+     * Close Over Limit (compliance) modal
+     */
+    closeComplianceModal() {
+        document.getElementById('complianceModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open Employer & Occupation Aliases modal
+     */
+    async openNormalizerModal() {
+        document.getElementById('normalizerModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        document.getElementById('normalizerStatus').textContent = '';
+        await this.renderAliasList();
+    },
+
+    /**
+     * Close Employer & Occupation Aliases modal
+     */
+    closeNormalizerModal() {
+        document.getElementById('normalizerModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Render the alias table
+     */
+    async renderAliasList() {
+        this.aliasData = await Normalizer.getAliases();
+        const container = document.getElementById('aliasList');
+
+        if (this.aliasData.length === 0) {
+            container.innerHTML = '<div style="font-size: 13px; color: #a0aec0;">No aliases yet. Built-in rules still apply.</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="profile-table">
+                <thead><tr><th>Field</th><th>Reported as</th><th>Stored as</th><th></th></tr></thead>
+                <tbody>${this.aliasData.map((alias, index) => `
+                    <tr>
+                        <td>${Utils.escapeHtml(Normalizer.FIELD_LABELS[alias.field])}</td>
+                        <td>${Utils.escapeHtml(alias.from)}</td>
+                        <td>${alias.to ? Utils.escapeHtml(alias.to) : '<em style="color: #a0aec0;">(blank)</em>'}</td>
+                        <td style="text-align: right;"><a href="#" onclick="event.preventDefault(); UI.removeAlias(${index})" style="color: #dc2626;">Remove</a></td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    },
+
+    /**
+     * Show what a value normalizes to while it is typed in the alias form
+     */
+    previewAlias() {
+        const field = document.getElementById('aliasField').value;
+        const from = document.getElementById('aliasFrom').value;
+        const cleaned = Normalizer.clean(field, from);
+        document.getElementById('aliasCleaned').textContent = from.trim()
+            ? `Built-in rules give: ${cleaned || '(blank)'}`
+            : '';
+    },
+
+    /**
+     * Add an alias from the form, then re-normalize stored records
+     */
+    async addAlias() {
+        const fromInput = document.getElementById('aliasFrom');
+        const toInput = document.getElementById('aliasTo');
+
+        try {
+            await Normalizer.addAlias(document.getElementById('aliasField').value, fromInput.value, toInput.value);
         } catch (error) {
-            console.error('Error setting label:', error);
-            alert('Error setting label. Please try again.');
+            alert(error.message);
+            return;
         }
+
+        fromInput.value = '';
+        toInput.value = '';
+        this.previewAlias();
+        await this.renderAliasList();
+        await this.reapplyAliases();
+    },
+
+    /**
+     * Remove an alias, then re-normalize stored records
+     * @param {number} index - Index into aliasData
+     */
+    async removeAlias(index) {
+        const alias = this.aliasData[index];
+        if (!alias) return;
+
+        await Normalizer.removeAlias(alias.field, alias.from);
+        await this.renderAliasList();
+        await this.reapplyAliases();
+    },
+
+    /**
+     * Re-normalize stored records after the alias table changes
+     */
+    async reapplyAliases() {
+        const status = document.getElementById('normalizerStatus');
+        status.textContent = 'Updating stored contributions...';
+
+        try {
+            const updated = await Normalizer.normalizeStoredRecords();
+            status.textContent = `Updated ${updated.toLocaleString()} contribution${updated === 1 ? '' : 's'}.`;
+            await Donors.refreshAfterChange();
+        } catch (error) {
+            console.error('Error applying aliases:', error);
+            status.textContent = '';
+            alert('Could not update stored contributions: ' + error.message);
+        }
+    },
+
+    /**
+     * Open Donor Overlap modal
+     */
+    async openOverlapModal() {
+        document.getElementById('overlapModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        await Overlap.refresh();
+    },
+
+    /**
+     * Close Donor Overlap modal
+     */
+    closeOverlapModal() {
+        document.getElementById('overlapModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open Giving Map modal
+     */
+    async openGivingMapModal() {
+        document.getElementById('givingMapModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        await GivingMap.refresh();
+    },
+
+    /**
+     * Close Giving Map modal
+     */
+    closeGivingMapModal() {
+        document.getElementById('givingMapModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open Prospect Lists modal
+     */
+    async openProspectModal() {
+        document.getElementById('prospectModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        document.getElementById('prospectResults').innerHTML = '<div class="no-results">Ranking prospects...</div>';
+        await Prospects.refresh();
+    },
+
+    /**
+     * Close Prospect Lists modal
+     */
+    closeProspectModal() {
+        document.getElementById('prospectModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open Duplicate Finder modal
+     */
+    async openDuplicatesModal() {
+        document.getElementById('duplicatesModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        await Duplicates.refresh();
+    },
+
+    /**
+     * Close Duplicate Finder modal
+     */
+    closeDuplicatesModal() {
+        document.getElementById('duplicatesModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open Device Sync modal
+     */
+    async openPeerSyncModal() {
+        document.getElementById('peerSyncModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        await PeerSync.render();
+    },
+
+    /**
+     * Close Device Sync modal
+     */
+    closePeerSyncModal() {
+        document.getElementById('peerSyncModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open App Lock modal
+     */
+    openVaultModal() {
+        document.getElementById('vaultModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+        Vault.render();
+    },
+
+    /**
+     * Close App Lock modal
+     */
+    closeVaultModal() {
+        document.getElementById('vaultModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
     },
 
     /**
@@ -197,6 +717,17 @@ const UI = {
         this.closeAddModal();
         this.closeImportExportModal();
         this.closeCommitteeManager();
+        this.closeDonorReview();
+        this.closeComplianceModal();
+        this.closeOverlapModal();
+        this.closeGivingMapModal();
+        this.closeProspectModal();
+        this.closeEditModal();
+        this.closeBulkEditModal();
+        this.closeNormalizerModal();
+        this.closeDuplicatesModal();
+        this.closePeerSyncModal();
+        this.closeVaultModal();
     },
 
     /**
@@ -204,29 +735,55 @@ const UI = {
      */
     async addDonorFromModal() {
         // Get values from modal form (with 'modal' prefix to avoid ID conflicts)
-        const firstName = document.getElementById('modalFirstName').value.trim();
-        const lastName = document.getElementById('modalLastName').value.trim();
-        const candidateName = document.getElementById('modalCandidateName').value.trim();
-        const contributionDate = document.getElementById('modalContributionDate').value;
-        const amount = parseFloat(document.getElementById('modalTotalAmount').value);
-        const employer = document.getElementById('modalEmployer').value.trim();
-        const occupation = document.getElementById('modalOccupation').value.trim();
-        const city = document.getElementById('modalCity').value.trim();
-        const state = document.getElementById('modalState').value.trim().toUpperCase();
+        const fields = this.readContributionForm('modal');
+        if (!fields) return;
+
+        const newRecord = {
+            id: Utils.generateId(),
+            ...fields,
+            committeeId: ''
+        };
+
+        await Committees.resolveRecords([newRecord]);
+        await Normalizer.normalizeRecords([newRecord]);
+        await Database.addRecord(newRecord);
+        await Donors.resolveUnassigned();
+        await App.updateStats();
+        this.clearModalForm();
+
+        document.getElementById('searchInput').value = fields.firstName + ' ' + fields.lastName;
+        await Search.searchDonors();
+
+        this.closeAddModal();
+    },
+
+    /**
+     * Read and validate a contribution form (add or edit modal)
+     * Alerts and returns null when required fields are missing or the date is invalid
+     * @param {string} prefix - Element ID prefix ('modal' or 'edit')
+     * @returns {Object|null} - {firstName, lastName, candidateName, contributionDate, contributionEpoch,
+     *                          amount, isRefund, employer, occupation, address1, address2, city, state, zip}
+     */
+    readContributionForm(prefix) {
+        const value = field => document.getElementById(prefix + field).value;
+        const firstName = value('FirstName').trim();
+        const lastName = value('LastName').trim();
+        const candidateName = value('CandidateName').trim();
+        const contributionDate = value('ContributionDate');
+        const amount = parseFloat(value('TotalAmount'));
 
         if (!firstName || !lastName || !candidateName || !contributionDate || isNaN(amount)) {
             alert('Please fill in all required fields (marked with *)');
-            return;
+            return null;
         }
 
         const { ymd, epoch } = Utils.parseFecDate(contributionDate);
         if (!ymd) {
             alert('Invalid date format. Please use YYYY-MM-DD format.');
-            return;
+            return null;
         }
 
-        const newRecord = {
-            id: Utils.generateId(),
+        return {
             firstName: firstName,
             lastName: lastName,
             candidateName: candidateName,
@@ -234,20 +791,148 @@ const UI = {
             contributionEpoch: epoch,
             amount: Math.round(amount * 100) / 100,
             isRefund: amount < 0,
-            employer: employer,
-            occupation: occupation,
-            city: city,
-            state: state
+            employer: value('Employer').trim(),
+            occupation: value('Occupation').trim(),
+            address1: value('Address1').trim(),
+            address2: value('Address2').trim(),
+            city: value('City').trim(),
+            state: value('State').trim().toUpperCase(),
+            zip: Utils.normalizeZip(value('Zip'))
         };
+    },
 
-        await Database.addRecord(newRecord);
-        await App.updateStats();
-        this.clearModalForm();
+    /**
+     * Open the edit modal for a contribution record
+     * @param {string} recordId - Record ID
+     */
+    async openEditModal(recordId) {
+        const record = await Database.getRecord(recordId);
+        if (!record) {
+            alert('This record no longer exists.');
+            return;
+        }
 
-        document.getElementById('searchInput').value = firstName + ' ' + lastName;
-        await Search.searchDonors();
+        this.editingRecordId = recordId;
+        const set = (field, value) => { document.getElementById('edit' + field).value = value ?? ''; };
+        set('FirstName', record.firstName);
+        set('LastName', record.lastName);
+        set('CandidateName', record.candidateName);
+        set('CommitteeId', record.committeeId);
+        set('ContributionDate', record.contributionDate);
+        set('TotalAmount', record.amount);
+        set('Employer', record.employer);
+        set('Occupation', record.occupation);
+        set('Address1', record.address1);
+        set('Address2', record.address2);
+        set('City', record.city);
+        set('State', record.state);
+        set('Zip', Utils.formatZip(record.zip));
+
+        await this.renderEditHistory(recordId);
+        document.getElementById('editModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+    },
 
-        this.closeAddModal();
+    /**
+     * Render a record's edit history in the edit modal
+     * @param {string} recordId - Record ID
+     */
+    async renderEditHistory(recordId) {
+        const edits = await Database.getRecordEdits(recordId);
+        const container = document.getElementById('editHistory');
+
+        if (edits.length === 0) {
+            container.innerHTML = '<div style="font-size: 12px; color: #a0aec0;">No edits yet</div>';
+            return;
+        }
+
+        const show = value => value === '' || value === null || value === undefined ? '(blank)' : String(value);
+        container.innerHTML = edits.map(entry => `
+            <div style="font-size: 12px; color: #4a5568; margin-bottom: 8px;">
+                <strong>${Utils.escapeHtml(new Date(entry.editedAt).toLocaleString())}</strong>
+                ${entry.changes.map(change => `
+                <div>${Utils.escapeHtml(this.EDIT_FIELDS[change.field] || change.field)}: ${Utils.escapeHtml(show(change.from))} → ${Utils.escapeHtml(show(change.to))}</div>`).join('')}
+            </div>`).join('');
+    },
+
+    /**
+     * Save the edit modal
+     * The record keeps its ID and importHash so re-imports still deduplicate.
+     * Name and location changes relink the record to a donor; a donor left
+     * without contributions is merged into the new one so its notes follow.
+     */
+    async saveEditModal() {
+        const record = await Database.getRecord(this.editingRecordId);
+        if (!record) {
+            alert('This record no longer exists.');
+            this.closeEditModal();
+            return;
+        }
+
+        const fields = this.readContributionForm('edit');
+        if (!fields) return;
+
+        const committeeId = document.getElementById('editCommitteeId').value.trim().toUpperCase();
+        if (committeeId && !Committees.isCommitteeId(committeeId)) {
+            alert('Committee ID must look like C00123456 (or be left blank)');
+            return;
+        }
+
+        const updated = { ...record, ...fields, committeeId: committeeId };
+        if (!committeeId) await Committees.resolveRecords([updated]);
+        await Normalizer.normalizeRecords([updated]);
+
+        const changes = Object.keys(this.EDIT_FIELDS)
+            .filter(field => (record[field] ?? '') !== (updated[field] ?? ''))
+            .map(field => ({ field, from: record[field] ?? '', to: updated[field] ?? '' }));
+        if (changes.length === 0) {
+            this.closeEditModal();
+            return;
+        }
+
+        const previousDonorId = record.donorId;
+        const relink = Donors.getMatchKey(record) !== Donors.getMatchKey(updated);
+        if (relink) updated.donorId = '';
+
+        await Database.editRecord(updated, changes);
+
+        if (relink) {
+            await Donors.resolveUnassigned();
+            const relinked = await Database.getRecord(updated.id);
+            if (previousDonorId && relinked.donorId !== previousDonorId &&
+                (await Database.getRecordsByDonor(previousDonorId)).length === 0) {
+                await Donors.mergeDonors(relinked.donorId, previousDonorId);
+            }
+        }
+
+        this.closeEditModal();
+        await Donors.refreshAfterChange();
+    },
+
+    /**
+     * Close the edit modal
+     */
+    closeEditModal() {
+        this.editingRecordId = null;
+        document.getElementById('editModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
+    },
+
+    /**
+     * Open the bulk edit modal for the current Browse results
+     */
+    async openBulkEditModal() {
+        await BulkEdit.refresh();
+        document.getElementById('bulkEditModal').style.display = 'block';
+        document.getElementById('modalBackdrop').style.display = 'block';
+    },
+
+    /**
+     * Close the bulk edit modal
+     */
+    closeBulkEditModal() {
+        document.getElementById('bulkEditModal').style.display = 'none';
+        document.getElementById('modalBackdrop').style.display = 'none';
     },
 
     /**
@@ -261,8 +946,11 @@ const UI = {
         document.getElementById('modalTotalAmount').value = '';
         document.getElementById('modalEmployer').value = '';
         document.getElementById('modalOccupation').value = '';
+        document.getElementById('modalAddress1').value = '';
+        document.getElementById('modalAddress2').value = '';
         document.getElementById('modalCity').value = '';
         document.getElementById('modalState').value = '';
+        document.getElementById('modalZip').value = '';
     },
 
     /**
@@ -303,7 +991,13 @@ const UI = {
         // Search input with debounce
         const searchInput = document.getElementById('searchInput');
         if (searchInput) {
-            searchInput.addEventListener('input', () => Search.debouncedSearch());
+            searchInput.addEventListener('input', () => {
+                Search.updateSuggestions();
+                Search.debouncedSearch();
+            });
+            searchInput.addEventListener('keydown', (event) => Search.handleSuggestionKey(event));
+            searchInput.addEventListener('focus', () => Search.loadSuggestionValues());
+            searchInput.addEventListener('blur', () => Search.hideSuggestions());
         }
     }
 };
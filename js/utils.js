@@ -127,51 +127,77 @@ const Utils = {
      * @returns {Array<Array<string>>} - Array of rows (each row is array of fields)
      */
     parseCSV(text) {
-        const rows = [];
+        const parser = this.createCsvParser();
+        return [...parser.push(text), ...parser.end()];
+    },
+
+    /**
+     * Incremental CSV parser for streamed input
+     * Quote and row state carry across chunks, so text can be split anywhere
+     * @param {string} delimiter - Field delimiter (default comma)
+     * @param {boolean} quoted - Treat double quotes as field quoting (false for
+     *                           formats like FEC bulk files where quotes are literal)
+     * @returns {Object} - {push(text) => completed rows, end() => final row}
+     */
+    createCsvParser(delimiter = ',', quoted = true) {
         let row = [], field = '';
         let inQuotes = false;
+        let quotePending = false; // Saw a quote inside quotes; next char decides
 
-        for (let i = 0; i < text.length; i++) {
-            const ch = text[i];
-            const next = text[i + 1];
+        return {
+            push(text) {
+                const rows = [];
 
-            if (inQuotes) {
-                if (ch === '"' && next === '"') {
-                    field += '"';
-                    i++; // Skip next quote
-                } else if (ch === '"') {
-                    inQuotes = false;
-                } else {
-                    field += ch;
-                }
-            } else {
-                if (ch === '"') {
-                    inQuotes = true;
-                } else if (ch === ',') {
-                    row.push(field.trim());
-                    field = '';
-                } else if (ch === '\n') {
-                    row.push(field.trim());
-                    if (row.some(f => f !== '')) { // Only add non-empty rows
-                        rows.push(row);
+                for (let i = 0; i < text.length; i++) {
+                    const ch = text[i];
+
+                    if (quotePending) {
+                        quotePending = false;
+                        if (ch === '"') {
+                            field += '"'; // Escaped quote
+                            continue;
+                        }
+                        inQuotes = false;
+                    }
+
+                    if (inQuotes) {
+                        if (ch === '"') {
+                            quotePending = true;
+                        } else {
+                            field += ch;
+                        }
+                    } else if (ch === '"' && quoted) {
+                        inQuotes = true;
+                    } else if (ch === delimiter) {
+                        row.push(field.trim());
+                        field = '';
+                    } else if (ch === '\n') {
+                        row.push(field.trim());
+                        if (row.some(f => f !== '')) { // Only add non-empty rows
+                            rows.push(row);
+                        }
+                        row = [];
+                        field = '';
+                    } else if (ch !== '\r') {
+                        // Ignore CR (will handle CRLF via the \n case)
+                        field += ch;
                     }
-                    row = [];
-                    field = '';
-                } else if (ch === '\r') {
-                    // Ignore CR (will handle CRLF via the \n case)
-                } else {
-                    field += ch;
                 }
-            }
-        }
 
-        // Don't forget the last field and row
-        row.push(field.trim());
-        if (row.some(f => f !== '')) {
-            rows.push(row);
-        }
+                return rows;
+            },
 
-        return rows;
+            end() {
+                // Don't forget the last field and row
+                row.push(field.trim());
+                const last = row.some(f => f !== '') ? [row] : [];
+                row = [];
+                field = '';
+                inQuotes = false;
+                quotePending = false;
+                return last;
+            }
+        };
     },
 
     /**
@@ -205,6 +231,47 @@ const Utils = {
         }
     },
 
+    /**
+     * Normalize a ZIP code to digits: 5, or 9 with ZIP+4
+     * Restores a leading zero dropped by spreadsheets ("2134" → "02134").
+     * Values that are not US ZIP codes are kept as entered.
+     * @param {string} value - ZIP as entered ("20190", "20190-1234", "201901234")
+     * @returns {string} - Normalized ZIP
+     */
+    normalizeZip(value) {
+        const text = String(value || '').trim();
+        if (!/^[0-9 -]+$/.test(text)) return text.toUpperCase();
+
+        const digits = text.replace(/[^0-9]/g, '');
+        if (digits.length === 5 || digits.length === 9) return digits;
+        if (digits.length === 4 || digits.length === 8) return '0' + digits;
+        return text;
+    },
+
+    /**
+     * Format a normalized ZIP for display ("201901234" → "20190-1234")
+     * @param {string} zip - Normalized ZIP
+     * @returns {string} - Display ZIP
+     */
+    formatZip(zip) {
+        return /^\d{9}$/.test(zip || '') ? `${zip.slice(0, 5)}-${zip.slice(5)}` : (zip || '');
+    },
+
+    /**
+     * Format a record's or donor's location for display
+     * @param {Object} place - {address1, address2, city, state, zip}
+     * @param {boolean} withStreet - Include the street address lines
+     * @returns {string} - "123 MAIN ST, RESTON, VA 20190-1234" ('' if none)
+     */
+    formatLocation(place, withStreet = true) {
+        const stateZip = [place.state, this.formatZip(place.zip)].filter(Boolean).join(' ');
+        return [
+            ...(withStreet ? [place.address1, place.address2] : []),
+            place.city,
+            stateZip
+        ].filter(Boolean).join(', ');
+    },
+
     /**
      * Generate unique ID for records
      * Uses crypto.randomUUID if available, otherwise fallback
@@ -0,0 +1,436 @@
+/**
+ * DonorDex App Lock
+ * Optional passphrase lock with at-rest encryption of donor data. Two
+ * random keys protect the data: one seals records, the other hashes the
+ * indexed name and employer fields so lookups still work (see
+ * Database.ENCRYPTED_TABLES). The passphrase wraps them, through a
+ * PBKDF2-derived key. Changing the passphrase also replaces the keys and
+ * reseals the data, so an old copy of the setting and the old passphrase
+ * cannot read anything written afterwards. Keys live only in memory, as
+ * non-extractable CryptoKeys; locking reloads the page, which drops them.
+ */
+
+const Vault = {
+    PBKDF2_ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    // Random key material: the sealing key and the hashing key (32 bytes each)
+    KEY_MATERIAL_BYTES: 64,
+    DEFAULT_IDLE_MINUTES: 15,
+    // How often idle time is checked (ms)
+    IDLE_CHECK_INTERVAL: 30000,
+    ACTIVITY_EVENTS: ['mousemove', 'keydown', 'click', 'touchstart', 'scroll'],
+    // Bound to the wrapped keys, so nothing else sealed with the passphrase passes for them
+    WRAP_CONTEXT: 'DonorDex app lock',
+    // Bound to the keys being replaced while the data is resealed
+    PREVIOUS_WRAP_CONTEXT: 'DonorDex app lock previous keys',
+
+    // Stored encryption setting ({salt, iterations, wrappedKeys, idleMinutes}, plus
+    // previousKeys while the data is resealed), null when off
+    setting: null,
+    // Resolves the promise returned by unlock()
+    pendingUnlock: null,
+    lastActivityAt: 0,
+    idleTimer: null,
+    // Activity listener (kept so it can be removed)
+    onActivity: null,
+    busy: false,
+
+    /**
+     * Derive the key that wraps the data keys from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} - AES-GCM key
+     */
+    async deriveWrappingKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Build an encryption setting that wraps key material under a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} material - Key material (see Cipher.importKeys)
+     * @param {number} idleMinutes - Minutes idle before locking (0 = never)
+     * @param {Uint8Array|null} previous - Material of the keys being replaced, kept until the data is resealed
+     * @returns {Promise<Object>} - {salt, iterations, wrappedKeys, idleMinutes, previousKeys}
+     */
+    async wrapKeys(passphrase, material, idleMinutes, previous = null) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const wrappingKey = await this.deriveWrappingKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+        const wrappedKeys = await Cipher.seal(wrappingKey, material, new TextEncoder().encode(this.WRAP_CONTEXT));
+        const setting = { salt, iterations: this.PBKDF2_ITERATIONS, wrappedKeys, idleMinutes };
+        if (previous) {
+            setting.previousKeys = await Cipher.seal(wrappingKey, previous, new TextEncoder().encode(this.PREVIOUS_WRAP_CONTEXT));
+        }
+        return setting;
+    },
+
+    /**
+     * Unwrap the key material of the current setting
+     * @param {string} passphrase - Passphrase to try
+     * @returns {Promise<Object|null>} - {material, previous} (previous is null unless the
+     *                                   data is being resealed), or null if the passphrase is wrong
+     */
+    async unwrapKeys(passphrase) {
+        const wrappingKey = await this.deriveWrappingKey(passphrase, this.setting.salt, this.setting.iterations);
+        const material = await Cipher.open(wrappingKey, this.setting.wrappedKeys, new TextEncoder().encode(this.WRAP_CONTEXT));
+        if (!material) return null;
+        const previous = this.setting.previousKeys
+            ? await Cipher.open(wrappingKey, this.setting.previousKeys, new TextEncoder().encode(this.PREVIOUS_WRAP_CONTEXT))
+            : null;
+        return { material, previous };
+    },
+
+    /**
+     * Unwrap the keys of the current setting and check them
+     * @param {string} passphrase - Passphrase to check
+     * @returns {Promise<Object|null>} - {cipherKey, tokenKey, previous}, or null if the passphrase is wrong
+     */
+    async checkPassphrase(passphrase) {
+        const unwrapped = await this.unwrapKeys(passphrase);
+        if (!unwrapped) return null;
+        const keys = await Cipher.importKeys(unwrapped.material);
+        unwrapped.material.fill(0);
+        if (unwrapped.previous) {
+            keys.previous = await Cipher.importKeys(unwrapped.previous);
+            unwrapped.previous.fill(0);
+        }
+        return keys;
+    },
+
+    // ==================== Lock Screen ====================
+
+    /**
+     * Ask for the passphrase when the app lock is on
+     * Called at startup before anything reads donor data
+     * @returns {Promise<void>} - Resolves once unlocked (at once when the lock is off)
+     */
+    async unlock() {
+        this.setting = await Database.getEncryptionSetting();
+        if (!this.setting) return;
+
+        await new Promise(resolve => {
+            this.pendingUnlock = resolve;
+            document.getElementById('lockScreen').style.display = 'flex';
+            document.getElementById('unlockPassphrase').focus();
+        });
+        this.startIdleTimer();
+    },
+
+    /**
+     * Check the passphrase typed on the lock screen
+     * @param {Event} event - Form submit event
+     */
+    async submitUnlock(event) {
+        event.preventDefault();
+        if (this.busy || !this.pendingUnlock) return;
+
+        const input = document.getElementById('unlockPassphrase');
+        const error = document.getElementById('unlockError');
+        const button = document.getElementById('unlockBtn');
+        this.busy = true;
+        button.disabled = true;
+        button.textContent = 'Unlocking...';
+        error.textContent = '';
+
+        try {
+            const keys = await this.checkPassphrase(input.value);
+            if (!keys) {
+                error.textContent = 'Wrong passphrase.';
+                input.select();
+                return;
+            }
+            Database.setEncryptionKeys(keys);
+            input.value = '';
+            // Finish turning the lock on or off, or changing the passphrase, if that was interrupted
+            if (await Database.resumeEncryptionRewrite()) this.setting = await Database.getEncryptionSetting();
+            document.getElementById('lockScreen').style.display = 'none';
+            const resolve = this.pendingUnlock;
+            this.pendingUnlock = null;
+            resolve();
+        } finally {
+            this.busy = false;
+            button.disabled = false;
+            button.textContent = 'Unlock';
+        }
+    },
+
+    /**
+     * Lock now: forget the keys and reload to the lock screen
+     */
+    lock() {
+        Database.setEncryptionKeys(null);
+        location.reload();
+    },
+
+    /**
+     * Check whether work that reloading would cut off is running
+     * @returns {boolean} - True during an import, an app lock change or a sync
+     */
+    isWorking() {
+        return ImportExport.importRunning || this.busy || RemoteSync.syncing;
+    },
+
+    /**
+     * Lock after the configured idle time
+     * An import, app lock change or sync running at that point (often with
+     * no input for a long time) is left to finish, and the next check locks
+     */
+    startIdleTimer() {
+        this.stopIdleTimer();
+        if (!this.setting || !this.setting.idleMinutes) return;
+
+        this.lastActivityAt = Date.now();
+        this.onActivity = this.onActivity || (() => { this.lastActivityAt = Date.now(); });
+        this.ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, this.onActivity, { passive: true }));
+        this.idleTimer = setInterval(() => {
+            if (Date.now() - this.lastActivityAt >= this.setting.idleMinutes * 60000 && !this.isWorking()) {
+                this.lock();
+            }
+        }, this.IDLE_CHECK_INTERVAL);
+    },
+
+    /**
+     * Stop watching for idle time
+     */
+    stopIdleTimer() {
+        if (this.idleTimer) {
+            clearInterval(this.idleTimer);
+            this.idleTimer = null;
+        }
+        if (this.onActivity) {
+            this.ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, this.onActivity));
+        }
+    },
+
+    // ==================== App Lock Modal ====================
+
+    /**
+     * Render the App Lock settings for the current state
+     */
+    render() {
+        const container = document.getElementById('vaultContent');
+
+        if (!this.setting) {
+            container.innerHTML = `
+                <div class="help-text" style="margin-bottom: 15px;">
+                    Turn on the app lock to ask for a passphrase whenever DonorDex opens and keep donor names, addresses,
+                    employers, notes and prospect details encrypted in this browser. Amounts, dates, states and committees
+                    stay readable so filters and totals stay fast. A lost passphrase cannot be recovered, so keep a backup.
+                </div>
+                <div class="form-grid">
+                    <div class="form-group">
+                        <label for="vaultPassphrase">Passphrase</label>
+                        <input type="password" id="vaultPassphrase" autocomplete="new-password">
+                    </div>
+                    <div class="form-group">
+                        <label for="vaultPassphraseConfirm">Confirm Passphrase</label>
+                        <input type="password" id="vaultPassphraseConfirm" autocomplete="new-password">
+                    </div>
+                    <div class="form-group">
+                        <label for="vaultIdleMinutes">Lock After Idle (minutes, 0 = never)</label>
+                        <input type="number" id="vaultIdleMinutes" min="0" step="1" value="${this.DEFAULT_IDLE_MINUTES}">
+                    </div>
+                </div>
+                <div class="button-group">
+                    <button class="btn btn-primary" onclick="Vault.enable()">🔒 Turn On App Lock</button>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="help-text" style="margin-bottom: 15px;">
+                The app lock is on. Donor details are encrypted in this browser and the passphrase is asked for whenever DonorDex opens.
+            </div>
+            <div style="display: flex; gap: 8px; align-items: flex-end; flex-wrap: wrap; margin-bottom: 20px;">
+                <div class="form-group" style="margin-bottom: 0;">
+                    <label for="vaultIdleMinutes">Lock After Idle (minutes, 0 = never)</label>
+                    <input type="number" id="vaultIdleMinutes" min="0" step="1" value="${this.setting.idleMinutes}">
+                </div>
+                <button class="btn btn-secondary" onclick="Vault.saveIdleMinutes()">Save</button>
+                <button class="btn btn-primary" onclick="Vault.lock()">🔒 Lock Now</button>
+            </div>
+
+            <h3 style="font-size: 16px; margin-bottom: 10px; color: #174A57;">Change Passphrase</h3>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label for="vaultCurrentPassphrase">Current Passphrase</label>
+                    <input type="password" id="vaultCurrentPassphrase" autocomplete="current-password">
+                </div>
+                <div class="form-group">
+                    <label for="vaultPassphrase">New Passphrase</label>
+                    <input type="password" id="vaultPassphrase" autocomplete="new-password">
+                </div>
+                <div class="form-group">
+                    <label for="vaultPassphraseConfirm">Confirm New Passphrase</label>
+                    <input type="password" id="vaultPassphraseConfirm" autocomplete="new-password">
+                </div>
+            </div>
+            <div class="button-group">
+                <button class="btn btn-primary" onclick="Vault.changePassphrase()">Change Passphrase</button>
+                <button class="btn btn-secondary" style="color: #dc2626;" onclick="Vault.disable()">Turn Off App Lock</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Read the new passphrase fields
+     * @returns {string|null} - Passphrase, or null (after telling the user) if missing or mismatched
+     */
+    readNewPassphrase() {
+        const passphrase = document.getElementById('vaultPassphrase').value;
+        if (!passphrase) {
+            alert('Enter a passphrase.');
+            return null;
+        }
+        if (passphrase !== document.getElementById('vaultPassphraseConfirm').value) {
+            alert('The passphrases do not match.');
+            return null;
+        }
+        return passphrase;
+    },
+
+    /**
+     * Read the idle minutes field
+     * @returns {number|null} - Minutes, or null (after telling the user) if invalid
+     */
+    readIdleMinutes() {
+        const minutes = Number(document.getElementById('vaultIdleMinutes').value);
+        if (!Number.isInteger(minutes) || minutes < 0) {
+            alert('Enter the idle minutes as a whole number (0 to never lock).');
+            return null;
+        }
+        return minutes;
+    },
+
+    /**
+     * Run a change to the app lock, one at a time
+     * @param {Function} task - Async work
+     * @returns {Promise<boolean>} - True if it finished
+     */
+    async runRewrite(task) {
+        if (this.busy) return false;
+        if (ImportExport.importRunning) {
+            alert('Wait for the import to finish first.');
+            return false;
+        }
+
+        this.busy = true;
+        document.getElementById('vaultContent').querySelectorAll('button').forEach(button => { button.disabled = true; });
+        try {
+            await task();
+            return true;
+        } catch (error) {
+            console.error('App lock error:', error);
+            this.setting = await Database.getEncryptionSetting();
+            const pending = await Database.getSetting(Database.ENCRYPTION_REWRITE_SETTING);
+            alert('Could not update the app lock: ' + error.message +
+                (pending ? '\nThe change will be finished the next time DonorDex is unlocked.' : '\nNothing was changed.'));
+            return false;
+        } finally {
+            this.busy = false;
+            this.render();
+        }
+    },
+
+    /**
+     * Turn the app lock on and encrypt stored donor data
+     */
+    async enable() {
+        const passphrase = this.readNewPassphrase();
+        const idleMinutes = passphrase === null ? null : this.readIdleMinutes();
+        if (idleMinutes === null) return;
+        if (!confirm('Encrypt donor data with this passphrase? If it is lost, the data cannot be recovered.')) return;
+
+        const done = await this.runRewrite(async () => {
+            const material = crypto.getRandomValues(new Uint8Array(this.KEY_MATERIAL_BYTES));
+            const setting = await this.wrapKeys(passphrase, material, idleMinutes);
+            const keys = await Cipher.importKeys(material);
+            material.fill(0);
+            this.setting = setting;
+            await Database.reencryptAll(keys, setting);
+        });
+        if (done) {
+            this.startIdleTimer();
+            alert('App lock is on. Donor data is now encrypted.');
+        }
+    },
+
+    /**
+     * Change the passphrase: new keys, wrapped under it, and every
+     * encrypted row resealed with them
+     */
+    async changePassphrase() {
+        const current = document.getElementById('vaultCurrentPassphrase').value;
+        const passphrase = this.readNewPassphrase();
+        if (passphrase === null) return;
+
+        const done = await this.runRewrite(async () => {
+            const unwrapped = await this.unwrapKeys(current);
+            if (!unwrapped) {
+                throw new Error('The current passphrase is wrong.');
+            }
+            // A reseal still pending needs the keys it replaces (it is finished at unlock)
+            if (unwrapped.previous) {
+                throw new Error('Unlock DonorDex again to finish the last passphrase change first.');
+            }
+            const material = crypto.getRandomValues(new Uint8Array(this.KEY_MATERIAL_BYTES));
+            const setting = await this.wrapKeys(passphrase, material, this.setting.idleMinutes, unwrapped.material);
+            const keys = await Cipher.importKeys(material);
+            keys.previous = await Cipher.importKeys(unwrapped.material);
+            material.fill(0);
+            unwrapped.material.fill(0);
+            this.setting = setting;
+            await Database.reencryptAll(keys, setting);
+        });
+        if (done) alert('Passphrase changed.');
+    },
+
+    /**
+     * Turn the app lock off and store donor data unencrypted
+     */
+    async disable() {
+        const current = document.getElementById('vaultCurrentPassphrase').value;
+        if (!current) {
+            alert('Enter the current passphrase to turn off the app lock.');
+            return;
+        }
+        if (!confirm('Turn off the app lock? Donor data will be stored unencrypted in this browser.')) return;
+
+        const done = await this.runRewrite(async () => {
+            if (!await this.checkPassphrase(current)) {
+                throw new Error('The current passphrase is wrong.');
+            }
+            await Database.reencryptAll(null, null);
+            this.setting = null;
+        });
+        if (done) {
+            this.stopIdleTimer();
+            alert('App lock is off.');
+        }
+    },
+
+    /**
+     * Save the idle time before locking
+     */
+    async saveIdleMinutes() {
+        const idleMinutes = this.readIdleMinutes();
+        if (idleMinutes === null) return;
+
+        this.setting = { ...this.setting, idleMinutes };
+        await Database.setSetting(Database.ENCRYPTION_SETTING, this.setting);
+        this.startIdleTimer();
+        alert(idleMinutes ? `DonorDex will lock after ${idleMinutes} idle minutes.` : 'DonorDex will not lock when idle.');
+    }
+};
+
+// Export for use in other modules
+window.Vault = Vault;
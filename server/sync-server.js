@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * DonorDex Reference Sync Server
+ * A small implementation of the sync protocol in SYNC-SERVER.md, using only
+ * Node's standard library. Changes are kept in memory and saved to a JSON
+ * file after every push; it is meant for small teams and for checking the
+ * protocol, not for large deployments.
+ *
+ * Usage: node server/sync-server.js [--port 8787] [--data donordex-sync.json]
+ *                                   [--token SECRET] [--name "Campaign team"]
+ * The token and name can also be set with DONORDEX_SYNC_TOKEN and
+ * DONORDEX_SYNC_NAME.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT = 'donordex-sync';
+const PROTOCOL_VERSION = 1;
+const TABLES = ['contributions', 'tags', 'committeeTags'];
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+const MAX_BATCH_SIZE = 500;
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Read --name value options
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} - Option name → value
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+/**
+ * Order two changes: later wins, ties go to the higher device ID
+ * (the same rule the app uses, so every copy picks the same winner)
+ * @param {Object} a - {at, device}
+ * @param {Object} b - {at, device}
+ * @returns {number} - Positive when a wins
+ */
+function compareChanges(a, b) {
+    if (a.at !== b.at) return a.at - b.at;
+    return a.device < b.device ? -1 : a.device > b.device ? 1 : 0;
+}
+
+/**
+ * Check one pushed change
+ * @param {Object} change - Change from a push
+ * @returns {string} - Problem, or '' if it is valid
+ */
+function validateChange(change) {
+    if (!change || typeof change !== 'object') return 'a change is not an object';
+    if (!TABLES.includes(change.table)) return `unknown table "${change.table}"`;
+    if (typeof change.id !== 'string' || !change.id) return 'a change has no id';
+    if (typeof change.key !== 'string' || !change.key) return 'a change has no key';
+    if (change.op !== 'put' && change.op !== 'delete') return `unknown op "${change.op}"`;
+    if (typeof change.at !== 'number' || !Number.isFinite(change.at)) return 'a change has no at time';
+    if (typeof change.device !== 'string' || !change.device) return 'a change has no device';
+    if (change.op === 'put' && (!change.row || typeof change.row !== 'object')) return 'a put has no row';
+    return '';
+}
+
+/**
+ * Change store: the latest change to each row, in revision order
+ */
+class ChangeStore {
+    /**
+     * @param {string} file - JSON file to load from and save to
+     */
+    constructor(file) {
+        this.file = file;
+        this.revision = 0;
+        // `${table}|${id}` → change; re-inserted on every update, so the map
+        // iterates in revision order
+        this.changes = new Map();
+
+        if (fs.existsSync(file)) {
+            const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            this.revision = data.revision || 0;
+            (data.changes || []).forEach(change => this.changes.set(`${change.table}|${change.id}`, change));
+        }
+    }
+
+    /**
+     * Get changes after a revision
+     * @param {number} since - Revision
+     * @param {number} limit - Page size
+     * @returns {Object} - {revision, changes, hasMore}
+     */
+    pull(since, limit) {
+        const changes = [];
+        let hasMore = false;
+        for (const change of this.changes.values()) {
+            if (change.rev <= since) continue;
+            if (changes.length === limit) {
+                hasMore = true;
+                break;
+            }
+            changes.push(change);
+        }
+        return { revision: this.revision, changes, hasMore };
+    }
+
+    /**
+     * Apply a batch of changes; a change older than the stored one for its row is stale
+     * @param {Object} device - Sending device {id, name}
+     * @param {Array} changes - Validated changes
+     * @returns {Object} - {revision, results: [{table, id, status, rev}]}
+     */
+    push(device, changes) {
+        const results = changes.map(change => {
+            const key = `${change.table}|${change.id}`;
+            const stored = this.changes.get(key);
+            if (stored && compareChanges(change, stored) <= 0) {
+                return { table: change.table, id: change.id, status: 'stale', rev: stored.rev };
+            }
+
+            this.revision++;
+            const entry = {
+                rev: this.revision,
+                table: change.table,
+                id: change.id,
+                key: change.key,
+                op: change.op,
+                ref: change.ref || '',
+                at: change.at,
+                device: change.device,
+                deviceName: (device && device.name) || ''
+            };
+            // Deletions are kept as tombstones so devices that were offline learn of them
+            if (change.op === 'put') entry.row = change.row;
+            this.changes.delete(key);
+            this.changes.set(key, entry);
+            return { table: change.table, id: change.id, status: 'applied', rev: this.revision };
+        });
+
+        if (results.some(result => result.status === 'applied')) this.save();
+        return { revision: this.revision, results };
+    }
+
+    /**
+     * Write the store to its file (through a temporary file, so a crash
+     * never leaves it half written)
+     */
+    save() {
+        const temporary = `${this.file}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ revision: this.revision, changes: [...this.changes.values()] }));
+        fs.renameSync(temporary, this.file);
+    }
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - {store, token, name}
+ * @returns {http.Server}
+ */
+function createServer({ store, token, name }) {
+    const send = (response, status, body) => {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+        });
+        response.end(body === null ? '' : JSON.stringify(body));
+    };
+
+    const readBody = request => new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request too large'), { status: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        const route = url.pathname.replace(/\/+$/, '') || '/';
+
+        if (request.method === 'OPTIONS') {
+            send(response, 204, null);
+            return;
+        }
+        if (token && request.headers.authorization !== `Bearer ${token}`) {
+            send(response, 401, { error: 'The access token is missing or wrong.' });
+            return;
+        }
+
+        try {
+            if (request.method === 'GET' && route === '/') {
+                send(response, 200, { format: FORMAT, protocolVersion: PROTOCOL_VERSION, name, revision: store.revision });
+            } else if (request.method === 'GET' && route === '/changes') {
+                const since = Number(url.searchParams.get('since') || 0);
+                const limit = Math.min(Number(url.searchParams.get('limit') || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+                if (!Number.isInteger(since) || since < 0 || !Number.isInteger(limit) || limit < 1) {
+                    send(response, 400, { error: 'since and limit must be whole numbers.' });
+                    return;
+                }
+                send(response, 200, store.pull(since, limit));
+            } else if (request.method === 'POST' && route === '/changes') {
+                let body;
+                try {
+                    body = JSON.parse(await readBody(request));
+                } catch (error) {
+                    send(response, error.status || 400, { error: error.status ? error.message : 'The body is not JSON.' });
+                    return;
+                }
+                if (!body || !Array.isArray(body.changes)) {
+                    send(response, 400, { error: 'The body has no changes list.' });
+                    return;
+                }
+                if (body.changes.length > MAX_BATCH_SIZE) {
+                    send(response, 413, { error: `Send at most ${MAX_BATCH_SIZE} changes per request.` });
+                    return;
+                }
+                const problem = body.changes.map(validateChange).find(Boolean);
+                if (problem) {
+                    send(response, 400, { error: `Invalid change: ${problem}.` });
+                    return;
+                }
+                send(response, 200, store.push(body.device, body.changes));
+            } else {
+                send(response, 404, { error: 'Not found.' });
+            }
+        } catch (error) {
+            console.error(error);
+            send(response, 500, { error: 'The sync server failed to handle the request.' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const port = Number(options.port || process.env.PORT || 8787);
+    const file = path.resolve(options.data || 'donordex-sync.json');
+    const token = options.token || process.env.DONORDEX_SYNC_TOKEN || '';
+    const name = options.name || process.env.DONORDEX_SYNC_NAME || 'DonorDex sync server';
+
+    const store = new ChangeStore(file);
+    createServer({ store, token, name }).listen(port, () => {
+        console.log(`DonorDex sync server on http://localhost:${port} (revision ${store.revision}, data in ${file})`);
+        if (!token) console.log('No access token set: anyone who can reach this port can read and change the data.');
+    });
+}
+
+module.exports = { ChangeStore, createServer, compareChanges, validateChange };
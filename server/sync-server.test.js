@@ -0,0 +1,480 @@
+/**
+ * DonorDex Sync Protocol Tests
+ * Runs the reference server on a free port with a temporary data file and
+ * checks the protocol in SYNC-SERVER.md, then syncs two devices through it
+ * with the app's RemoteSync client. The client runs against small in-memory
+ * stand-ins for Database and PeerSync, so no browser is needed.
+ *
+ * Usage: node --test server/sync-server.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { ChangeStore, createServer, compareChanges, validateChange } = require('./sync-server.js');
+
+const TOKEN = 'test-token';
+
+// ==================== Helpers ====================
+
+/**
+ * Start a server on a free port with an empty data file
+ * @param {Object} options - {token}
+ * @returns {Promise<Object>} - {url, file, store, close}
+ */
+async function startServer({ token = TOKEN } = {}) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'donordex-sync-'));
+    const file = path.join(directory, 'data.json');
+    const store = new ChangeStore(file);
+    const server = createServer({ store, token, name: 'Test team' });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        file,
+        store,
+        close: async () => {
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Send a request to a test server
+ * @param {Object} server - From startServer
+ * @param {string} route - Path and query
+ * @param {Object} options - {body (POSTed as JSON), token (null to send none)}
+ * @returns {Promise<Object>} - {status, body}
+ */
+async function call(server, route, { body, token = TOKEN } = {}) {
+    const headers = {};
+    if (token !== null) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const response = await fetch(server.url + route, {
+        method: body === undefined ? 'GET' : 'POST',
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Build a contribution change
+ * @param {string} id - Row identity on the server
+ * @param {number} at - Change time
+ * @param {Object} extra - Fields to override
+ * @returns {Object}
+ */
+function contribution(id, at, extra = {}) {
+    return {
+        table: 'contributions', id, key: `key-${id}`, op: 'put', ref: id, at, device: 'device-a',
+        row: { firstName: 'Pat', lastName: 'Doe', amount: 250 }, ...extra
+    };
+}
+
+/**
+ * Pull every page after a revision
+ * @param {Object} server - From startServer
+ * @param {number} since - Revision
+ * @param {number} limit - Page size
+ * @returns {Promise<Object>} - {pages, changes}
+ */
+async function pullAll(server, since, limit) {
+    const pages = [];
+    let hasMore = true;
+    while (hasMore) {
+        const { status, body } = await call(server, `/changes?since=${since}&limit=${limit}`);
+        assert.strictEqual(status, 200);
+        pages.push(body);
+        hasMore = body.hasMore;
+        if (body.changes.length > 0) since = body.changes[body.changes.length - 1].rev;
+    }
+    return { pages, changes: pages.flatMap(page => page.changes) };
+}
+
+/**
+ * Copy a value made inside the app's context, so deepStrictEqual compares it
+ * with values made here
+ * @param {*} value - JSON value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// ==================== Server ====================
+
+test('compareChanges orders by time, then by device ID', () => {
+    assert.ok(compareChanges({ at: 2, device: 'a' }, { at: 1, device: 'z' }) > 0);
+    assert.ok(compareChanges({ at: 1, device: 'b' }, { at: 1, device: 'a' }) > 0);
+    assert.ok(compareChanges({ at: 1, device: 'a' }, { at: 1, device: 'b' }) < 0);
+    assert.strictEqual(compareChanges({ at: 1, device: 'a' }, { at: 1, device: 'a' }), 0);
+});
+
+test('validateChange names what is wrong with a change', () => {
+    assert.strictEqual(validateChange(contribution('h1', 1)), '');
+    assert.strictEqual(validateChange({ ...contribution('h1', 1), op: 'delete', row: undefined }), '');
+    assert.match(validateChange({ ...contribution('h1', 1), table: 'donors' }), /unknown table/);
+    assert.match(validateChange({ ...contribution('h1', 1), id: '' }), /no id/);
+    assert.match(validateChange({ ...contribution('h1', 1), op: 'merge' }), /unknown op/);
+    assert.match(validateChange({ ...contribution('h1', 1), at: 'yesterday' }), /no at time/);
+    assert.match(validateChange({ ...contribution('h1', 1), row: null }), /no row/);
+});
+
+test('requests without the right token are refused', async () => {
+    const server = await startServer();
+    try {
+        for (const token of [null, 'wrong-token']) {
+            assert.strictEqual((await call(server, '/', { token })).status, 401);
+            assert.strictEqual((await call(server, '/changes?since=0', { token })).status, 401);
+            const push = await call(server, '/changes', { token, body: { changes: [contribution('h1', 1)] } });
+            assert.strictEqual(push.status, 401);
+            assert.ok(push.body.error);
+        }
+        assert.strictEqual(server.store.revision, 0);
+
+        const info = await call(server, '/');
+        assert.strictEqual(info.status, 200);
+        assert.deepStrictEqual(info.body, { format: 'donordex-sync', protocolVersion: 1, name: 'Test team', revision: 0 });
+    } finally {
+        await server.close();
+    }
+});
+
+test('pulls come in pages in revision order', async () => {
+    const server = await startServer();
+    try {
+        const changes = [1, 2, 3, 4, 5].map(n => contribution(`h${n}`, n));
+        const push = await call(server, '/changes', { body: { device: { id: 'device-a', name: 'Laptop' }, changes } });
+        assert.strictEqual(push.status, 200);
+        assert.strictEqual(push.body.revision, 5);
+        assert.deepStrictEqual(push.body.results.map(r => [r.id, r.status, r.rev]),
+            [['h1', 'applied', 1], ['h2', 'applied', 2], ['h3', 'applied', 3], ['h4', 'applied', 4], ['h5', 'applied', 5]]);
+
+        const { pages, changes: pulled } = await pullAll(server, 0, 2);
+        assert.deepStrictEqual(pages.map(page => [page.changes.length, page.hasMore]), [[2, true], [2, true], [1, false]]);
+        assert.deepStrictEqual(pulled.map(change => change.rev), [1, 2, 3, 4, 5]);
+        assert.ok(pages.every(page => page.revision === 5));
+        assert.strictEqual(pulled[0].deviceName, 'Laptop');
+        assert.deepStrictEqual(pulled[0].row, changes[0].row);
+
+        const later = await call(server, '/changes?since=3&limit=10');
+        assert.deepStrictEqual(later.body.changes.map(change => change.id), ['h4', 'h5']);
+        assert.strictEqual(later.body.hasMore, false);
+
+        // Updating a row moves it to the end
+        await call(server, '/changes', { body: { changes: [contribution('h2', 10)] } });
+        const after = await call(server, '/changes?since=5');
+        assert.deepStrictEqual(after.body.changes.map(change => [change.id, change.rev]), [['h2', 6]]);
+
+        assert.strictEqual((await call(server, '/changes?since=-1')).status, 400);
+        assert.strictEqual((await call(server, '/changes?since=0&limit=0')).status, 400);
+    } finally {
+        await server.close();
+    }
+});
+
+test('pushes are limited to 500 changes and checked before anything is stored', async () => {
+    const server = await startServer();
+    try {
+        const tooMany = Array.from({ length: 501 }, (_, i) => contribution(`h${i}`, 1));
+        const refused = await call(server, '/changes', { body: { changes: tooMany } });
+        assert.strictEqual(refused.status, 413);
+        assert.match(refused.body.error, /500/);
+        assert.strictEqual(server.store.revision, 0);
+
+        const invalid = await call(server, '/changes', { body: { changes: [contribution('h1', 1), { table: 'contributions' }] } });
+        assert.strictEqual(invalid.status, 400);
+        assert.strictEqual(server.store.revision, 0);
+
+        const accepted = await call(server, '/changes', { body: { changes: tooMany.slice(0, 500) } });
+        assert.strictEqual(accepted.status, 200);
+        assert.strictEqual(accepted.body.results.length, 500);
+        assert.strictEqual(accepted.body.revision, 500);
+    } finally {
+        await server.close();
+    }
+});
+
+test('older and tied changes are stale; the higher device ID wins a tie', async () => {
+    const server = await startServer();
+    try {
+        const push = async change => (await call(server, '/changes', { body: { changes: [change] } })).body.results[0];
+
+        assert.strictEqual((await push(contribution('h1', 100, { device: 'device-b' }))).status, 'applied');
+        // Same time, lower device ID
+        assert.strictEqual((await push(contribution('h1', 100, { device: 'device-a', row: { amount: 1 } }))).status, 'stale');
+        // The same change again (a retried push)
+        const retried = await push(contribution('h1', 100, { device: 'device-b' }));
+        assert.deepStrictEqual([retried.status, retried.rev], ['stale', 1]);
+        // Earlier
+        assert.strictEqual((await push(contribution('h1', 99, { device: 'device-z' }))).status, 'stale');
+        // Same time, higher device ID
+        assert.strictEqual((await push(contribution('h1', 100, { device: 'device-c', row: { amount: 3 } }))).status, 'applied');
+
+        const { changes } = await pullAll(server, 0, 10);
+        assert.strictEqual(changes.length, 1);
+        assert.deepStrictEqual([changes[0].device, changes[0].row.amount, changes[0].rev], ['device-c', 3, 2]);
+    } finally {
+        await server.close();
+    }
+});
+
+test('deletions are kept as tombstones and survive a restart', async () => {
+    const server = await startServer();
+    try {
+        await call(server, '/changes', { body: { changes: [contribution('h1', 1), contribution('h2', 2)] } });
+        await call(server, '/changes', { body: { changes: [{ ...contribution('h1', 3), op: 'delete', row: undefined }] } });
+
+        const { changes } = await pullAll(server, 0, 10);
+        assert.deepStrictEqual(changes.map(change => [change.id, change.op, change.rev]), [['h2', 'put', 2], ['h1', 'delete', 3]]);
+        assert.ok(!('row' in changes[1]));
+
+        // A device that pulled before the delete learns of it
+        const missed = await call(server, '/changes?since=2');
+        assert.deepStrictEqual(missed.body.changes.map(change => [change.id, change.op]), [['h1', 'delete']]);
+
+        // An older put does not bring the row back
+        const stale = await call(server, '/changes', { body: { changes: [contribution('h1', 2)] } });
+        assert.strictEqual(stale.body.results[0].status, 'stale');
+
+        const reloaded = new ChangeStore(server.file);
+        assert.strictEqual(reloaded.revision, 3);
+        assert.deepStrictEqual(reloaded.pull(0, 10).changes, changes);
+    } finally {
+        await server.close();
+    }
+});
+
+// ==================== RemoteSync Client ====================
+
+/**
+ * Create an in-memory device: the parts of Database and PeerSync that
+ * RemoteSync uses, applying changes last-writer-wins like PeerSync does
+ * @param {string} id - Device ID
+ * @param {Function} tick - Shared clock
+ * @returns {Object} - {Database, PeerSync, rows, edit, remove}
+ */
+function createDevice(id, tick) {
+    const settings = new Map();
+    const rows = { contributions: new Map(), tags: new Map(), committeeTags: new Map() };
+    // `${table}|${key}` → latest change to the row {table, key, op, ref, at, device, changedAt, via}
+    const changes = new Map();
+
+    const log = (change) => changes.set(`${change.table}|${change.key}`, change);
+    const ref = (table, key, row) => (table === 'tags' ? row.slug : table === 'committeeTags' ? row.tagSlug : key);
+
+    const Database = {
+        async getSetting(key, defaultValue = null) {
+            return settings.has(key) ? structuredClone(settings.get(key)) : defaultValue;
+        },
+        async setSetting(key, value) {
+            settings.set(key, structuredClone(value));
+        },
+        async getChangesSince(since) {
+            return [...changes.values()].filter(change => change.changedAt > since);
+        },
+        async unmarkChanges(via) {
+            changes.forEach(change => { if (change.via === via) delete change.via; });
+        },
+        async getTag(tagId) {
+            return rows.tags.get(tagId);
+        },
+        async getTagBySlug(slug) {
+            return [...rows.tags.values()].find(tag => tag.slug === slug);
+        },
+        async applyChangeSet(plan) {
+            plan.apply.forEach(({ change, via }) => {
+                if (change.op === 'put') {
+                    rows[change.table].set(change.key, change.row);
+                } else {
+                    rows[change.table].delete(change.key);
+                }
+                log({ table: change.table, key: change.key, op: change.op, ref: change.ref, at: change.at, device: change.device, changedAt: tick(), via });
+            });
+        }
+    };
+
+    const PeerSync = {
+        SYNCED_TABLES: ['contributions', 'tags', 'committeeTags'],
+        async getDevice() {
+            return { id, name: `Device ${id}` };
+        },
+        async collectChanges(since, include) {
+            const until = tick();
+            const entries = [...changes.values()]
+                .filter(change => change.changedAt > since && change.changedAt <= until && include(change))
+                .map(change => {
+                    const entry = { table: change.table, key: change.key, op: change.op, ref: change.ref, at: change.at, device: change.device || id };
+                    if (change.op === 'put') entry.row = rows[change.table].get(change.key);
+                    return entry;
+                });
+            return { until, changes: entries };
+        },
+        async planImport(set) {
+            const plan = { apply: [], summary: { added: 0, updated: 0, deleted: 0, labels: 0, older: 0, unchanged: 0, skipped: 0, conflicts: 0 } };
+            const tagIds = new Set(set.changes.filter(change => change.table === 'tags').map(change => change.key));
+            set.changes.forEach(change => {
+                // An assignment to a tag that is not here cannot be applied
+                const tagId = change.key.split('|')[0];
+                if (change.table === 'committeeTags' && change.op === 'put' && !tagIds.has(tagId) && !rows.tags.has(tagId)) {
+                    plan.summary.skipped++;
+                    return;
+                }
+                const local = changes.get(`${change.table}|${change.key}`);
+                if (local && compareChanges(change, { at: local.at, device: local.device || id }) <= 0) {
+                    plan.summary.older++;
+                    return;
+                }
+                if (change.table !== 'contributions') {
+                    plan.summary.labels++;
+                } else if (change.op === 'delete' && !rows.contributions.has(change.key)) {
+                    plan.summary.unchanged++;
+                    return;
+                } else if (change.op === 'delete') {
+                    plan.summary.deleted++;
+                } else {
+                    plan.summary[rows.contributions.has(change.key) ? 'updated' : 'added']++;
+                }
+                plan.apply.push({ change, via: set.via });
+            });
+            return plan;
+        },
+        async relinkDonors() {}
+    };
+
+    return {
+        Database,
+        PeerSync,
+        rows,
+        edit(table, key, row) {
+            rows[table].set(key, row);
+            log({ table, key, op: 'put', ref: ref(table, key, row), at: tick(), device: '', changedAt: tick() });
+        },
+        remove(table, key) {
+            rows[table].delete(key);
+            log({ table, key, op: 'delete', ref: table === 'contributions' ? key : '', at: tick(), device: '', changedAt: tick() });
+        }
+    };
+}
+
+/**
+ * Load the app's RemoteSync module for a device
+ * @param {Object} device - From createDevice
+ * @param {string} url - Server URL
+ * @returns {Promise<Object>} - RemoteSync
+ */
+async function loadRemoteSync(device, url) {
+    const context = { console, URL, fetch, Database: device.Database, PeerSync: device.PeerSync };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'remote-sync.js'), 'utf8'), context, { filename: 'remote-sync.js' });
+    await context.RemoteSync.updateServer({ url, token: TOKEN });
+    return context.RemoteSync;
+}
+
+test('RemoteSync round trip: devices push, pull in pages and see deletions', async () => {
+    const server = await startServer();
+    let now = 1000;
+    const tick = () => ++now;
+    try {
+        const a = createDevice('device-a', tick);
+        const b = createDevice('device-b', tick);
+        const syncA = await loadRemoteSync(a, server.url);
+        const syncB = await loadRemoteSync(b, server.url);
+        const deviceA = await a.PeerSync.getDevice();
+        const deviceB = await b.PeerSync.getDevice();
+
+        assert.strictEqual((await syncA.checkServer(await syncA.getServer())).name, 'Test team');
+
+        // The tag is renamed after it is assigned, so on the server the
+        // assignment comes before its tag
+        syncA.BATCH_SIZE = 2;
+        a.edit('tags', 't1', { id: 't1', slug: 'team', name: 'Team' });
+        a.edit('committeeTags', 't1|TEAM PAC', { tagId: 't1', committeeKey: 'TEAM PAC', tagSlug: 'team' });
+        assert.deepStrictEqual(plain(await syncA.push(deviceA)), { applied: 2, stale: 0 });
+        a.edit('tags', 't1', { id: 't1', slug: 'team', name: 'Our Team' });
+        a.edit('contributions', 'h1', { firstName: 'Ann', amount: 100 });
+        a.edit('contributions', 'h2', { firstName: 'Bob', amount: 200 });
+        a.edit('contributions', 'h3', { firstName: 'Cy', amount: 50 });
+        a.remove('contributions', 'h3');
+        assert.deepStrictEqual(plain(await syncA.push(deviceA)), { applied: 4, stale: 0 });
+        assert.deepStrictEqual([...server.store.changes.values()].map(change => `${change.table}:${change.id}:${change.op}`),
+            ['committeeTags:t1|TEAM PAC:put', 'tags:t1:put', 'contributions:h1:put', 'contributions:h2:put', 'contributions:h3:delete']);
+
+        // Pages of one change: the assignment waits for its tag
+        syncB.PAGE_SIZE = 1;
+        const pulled = await syncB.pull(deviceB);
+        assert.deepStrictEqual([pulled.added, pulled.labels, pulled.unchanged, pulled.skipped], [2, 2, 1, 0]);
+        assert.deepStrictEqual(b.rows.tags.get('t1'), { id: 't1', slug: 'team', name: 'Our Team' });
+        assert.ok(b.rows.committeeTags.has('t1|TEAM PAC'));
+        assert.deepStrictEqual([...b.rows.contributions.keys()].sort(), ['h1', 'h2']);
+        assert.strictEqual((await syncB.getServer()).pulled, 6);
+
+        // Pulled changes are not pushed back
+        assert.deepStrictEqual(plain(await syncB.push(deviceB)), { applied: 0, stale: 0 });
+
+        // B edits and deletes; A's own changes are skipped when it pulls
+        b.edit('contributions', 'h1', { firstName: 'Ann', amount: 150 });
+        b.remove('contributions', 'h2');
+        assert.deepStrictEqual(plain(await syncB.push(deviceB)), { applied: 2, stale: 0 });
+
+        const back = await syncA.pull(deviceA);
+        assert.deepStrictEqual([back.updated, back.deleted, back.older], [1, 1, 0]);
+        assert.deepStrictEqual(a.rows.contributions.get('h1'), { firstName: 'Ann', amount: 150 });
+        assert.ok(!a.rows.contributions.has('h2'));
+
+        // A later edit on A replaces B's
+        a.edit('contributions', 'h1', { firstName: 'Ann', amount: 175 });
+        assert.deepStrictEqual(plain(await syncA.push(deviceA)), { applied: 1, stale: 0 });
+        assert.strictEqual((await syncB.pull(deviceB)).updated, 1);
+        assert.deepStrictEqual(b.rows.contributions.get('h1'), { firstName: 'Ann', amount: 175 });
+        assert.deepStrictEqual(plain(await syncB.push(deviceB)), { applied: 0, stale: 0 });
+    } finally {
+        await server.close();
+    }
+});
+
+test('RemoteSync sends everything again when the server was reset', async () => {
+    let server = await startServer();
+    let now = 1000;
+    const tick = () => ++now;
+    try {
+        const a = createDevice('device-a', tick);
+        const b = createDevice('device-b', tick);
+        const syncA = await loadRemoteSync(a, server.url);
+        const syncB = await loadRemoteSync(b, server.url);
+        const deviceA = await a.PeerSync.getDevice();
+        const deviceB = await b.PeerSync.getDevice();
+
+        a.edit('contributions', 'h1', { amount: 100 });
+        b.edit('contributions', 'h2', { amount: 200 });
+        for (const [sync, device] of [[syncA, deviceA], [syncB, deviceB], [syncA, deviceA]]) {
+            await sync.pull(device);
+            await sync.push(device);
+        }
+        assert.deepStrictEqual([...a.rows.contributions.keys()].sort(), ['h1', 'h2']);
+        assert.strictEqual((await syncA.getServer()).pulled, 2);
+
+        // The server comes back empty on another port
+        await server.close();
+        server = await startServer();
+        await syncA.updateServer({ url: server.url });
+        await syncA.pull(deviceA);
+        const server2 = await syncA.getServer();
+        assert.deepStrictEqual([server2.pulled, server2.pushed], [0, 0]);
+
+        // Rows A got from B are sent too
+        assert.deepStrictEqual(plain(await syncA.push(deviceA)), { applied: 2, stale: 0 });
+        assert.deepStrictEqual([...server.store.changes.values()].map(change => [change.id, change.device]).sort(),
+            [['h1', 'device-a'], ['h2', 'device-b']]);
+    } finally {
+        await server.close();
+    }
+});
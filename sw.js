@@ -3,23 +3,46 @@
  * Provides offline support and caching for PWA functionality
  */
 
-const CACHE_NAME = 'donordex-v18';
-const RUNTIME_CACHE = 'donordex-runtime-v18';
+const CACHE_NAME = 'donordex-v46';
+const RUNTIME_CACHE = 'donordex-runtime-v37';
 
 // Files to cache on install
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/css/styles.css',
+    '/js/cipher.js',
     '/js/database.js',
     '/js/utils.js',
+    '/js/donors.js',
+    '/js/committees.js',
+    '/js/normalizer.js',
+    '/js/geo.js',
+    '/js/backup.js',
+    '/js/vault.js',
+    '/js/tags.js',
     '/js/search.js',
     '/js/filters.js',
+    '/js/compliance.js',
+    '/js/profile.js',
+    '/js/dashboard.js',
+    '/js/overlap.js',
+    '/js/prospects.js',
+    '/js/giving-map.js',
+    '/js/notes.js',
+    '/js/bulk-edit.js',
+    '/js/duplicates.js',
+    '/js/peer-sync.js',
+    '/js/remote-sync.js',
+    '/js/import-parser.js',
+    '/js/import-worker.js',
     '/js/import-export.js',
     '/js/ui.js',
     '/js/dark-mode.js',
     '/js/app.js',
     '/lib/dexie.min.js',
+    '/data/zip-centroids.json',
+    '/data/us-map.json',
     '/icon.svg',
     '/manifest.json'
 ];
@@ -74,6 +97,11 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Skip writes and uncached requests (a sync server on this origin)
+    if (event.request.method !== 'GET' || event.request.cache === 'no-store') {
+        return;
+    }
+
     // Skip Chrome extension requests
     if (event.request.url.includes('chrome-extension://')) {
         return;
@@ -124,6 +152,21 @@ self.addEventListener('message', (event) => {
         self.skipWaiting();
     }
 
+    if (event.data && event.data.type === 'QUEUE_SYNC_PUSH') {
+        event.waitUntil(
+            replaceOutbox(event.data.requests).then(() => {
+                // Without Background Sync the app sends the push itself next time it syncs
+                if (self.registration.sync) {
+                    return self.registration.sync.register('sync-data');
+                }
+            })
+        );
+    }
+
+    if (event.data && event.data.type === 'CLEAR_SYNC_QUEUE') {
+        event.waitUntil(replaceOutbox([]));
+    }
+
     if (event.data && event.data.type === 'CLEAR_CACHE') {
         event.waitUntil(
             caches.keys().then((cacheNames) => {
@@ -138,12 +181,102 @@ self.addEventListener('message', (event) => {
     }
 });
 
-// Periodic background sync (if supported)
+// Background sync (if supported) - send pushes queued while offline
 self.addEventListener('sync', (event) => {
     if (event.tag === 'sync-data') {
         console.log('[Service Worker] Background sync triggered');
-        // Could implement background data sync here if needed
+        event.waitUntil(flushOutbox());
     }
 });
 
+// ==================== Sync Server Outbox ====================
+// Pushes to the sync server that failed while offline (see js/remote-sync.js),
+// kept in IndexedDB until Background Sync runs
+
+const OUTBOX_DB = 'donordex-outbox';
+const OUTBOX_STORE = 'requests';
+
+/**
+ * Run a request against the outbox store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the store; returns an IDBRequest or nothing
+ * @returns {Promise<*>} - The request's result once the transaction completes
+ */
+function withOutbox(mode, work) {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(OUTBOX_DB, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const database = open.result;
+            const transaction = database.transaction(OUTBOX_STORE, mode);
+            const request = work(transaction.objectStore(OUTBOX_STORE));
+            transaction.oncomplete = () => {
+                database.close();
+                resolve(request ? request.result : undefined);
+            };
+            transaction.onerror = () => {
+                database.close();
+                reject(transaction.error);
+            };
+        };
+    });
+}
+
+/**
+ * Replace the queued pushes
+ * @param {Array} requests - [{url, headers, body, until, last}] in sending order
+ * @returns {Promise<void>}
+ */
+function replaceOutbox(requests) {
+    return withOutbox('readwrite', (store) => {
+        store.clear();
+        requests.forEach((request) => store.add(request));
+    });
+}
+
+/**
+ * Tell open app windows about a queued push
+ * @param {Object} message - {type, until, last, error}
+ */
+async function notifyClients(message) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach((client) => client.postMessage(message));
+}
+
+/**
+ * Send queued pushes in order
+ * A network failure rejects, so the browser retries later; a request the
+ * server refuses drops the queue (the app reports it and pushes again itself)
+ * @returns {Promise<void>}
+ */
+async function flushOutbox() {
+    const requests = await withOutbox('readonly', (store) => store.getAll());
+    for (const request of requests) {
+        const response = await fetch(request.url, {
+            method: 'POST',
+            headers: request.headers,
+            body: request.body,
+            cache: 'no-store'
+        });
+
+        if (response.ok) {
+            await withOutbox('readwrite', (store) => { store.delete(request.id); });
+            await notifyClients({ type: 'SYNC_PUSH_SENT', until: request.until, last: request.last });
+            continue;
+        }
+        if (response.status >= 500 || response.status === 408 || response.status === 429) {
+            throw new Error(`Sync server answered ${response.status}`);
+        }
+
+        const result = await response.json().catch(() => null);
+        await replaceOutbox([]);
+        await notifyClients({
+            type: 'SYNC_PUSH_FAILED',
+            error: (result && result.error) || `The sync server refused changes sent while offline (${response.status}).`
+        });
+        return;
+    }
+}
+
 console.log('[Service Worker] Loaded');
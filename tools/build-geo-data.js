@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * DonorDex Geography Data Builder
+ * Rebuilds the geography files bundled with the app from Census Bureau data
+ * published on npm:
+ *   data/zip-centroids.json - ZIP code centroids for radius filters
+ *                             (2020 ZCTA Gazetteer, from the us-zips package)
+ *   data/us-map.json        - State and 3-digit ZIP area outlines for the
+ *                             giving map, as SVG paths (states from the 2017
+ *                             cartographic boundaries in the us-atlas package)
+ *
+ * Census does not publish 3-digit ZIP areas, so they are approximated: each
+ * state is split into ZIP code areas around the ZIP centroids (a Voronoi
+ * diagram), and the areas sharing a 3-digit prefix are merged.
+ *
+ * Usage: npm install --no-save us-zips us-atlas d3-geo d3-delaunay polygon-clipping \
+ *            topojson-client topojson-server topojson-simplify
+ *        node tools/build-geo-data.js
+ * The packages are only needed to rebuild the files; the app does not load them.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Coordinates are stored in thousandths of a degree (about 100 m)
+const CENTROID_SCALE = 1000;
+
+// Map size and projection: the us-atlas Albers USA layout (Alaska and
+// Hawaii inset at the lower left)
+const MAP_WIDTH = 975;
+const MAP_HEIGHT = 610;
+
+// Smallest triangle area (square map units) kept when simplifying outlines
+const MAP_MIN_AREA = 0.5;
+
+// State FIPS code → postal code
+const STATE_CODES = {
+    '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE', '11': 'DC',
+    '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY',
+    '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN', '28': 'MS', '29': 'MO', '30': 'MT',
+    '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH',
+    '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT',
+    '50': 'VT', '51': 'VA', '53': 'WA', '54': 'WV', '55': 'WI', '56': 'WY'
+};
+
+/**
+ * Delta-encode a list of integers (each value minus the one before)
+ * @param {Array<number>} values - Integers
+ * @returns {Array<number>}
+ */
+function deltaEncode(values) {
+    return values.map((value, i) => value - (i > 0 ? values[i - 1] : 0));
+}
+
+/**
+ * Build the ZIP centroid table
+ * ZIPs are sorted and delta-encoded, which keeps the file small because
+ * neighbouring ZIP codes are usually close together
+ * @returns {Object} - File contents (see Geo.decodeCentroids)
+ */
+function buildZipCentroids() {
+    const zips = require('us-zips/object');
+    const codes = Object.keys(zips).filter(zip => /^\d{5}$/.test(zip)).sort();
+
+    return {
+        format: 'donordex-zip-centroids',
+        source: 'U.S. Census Bureau, 2020 ZCTA Gazetteer (public domain), via the us-zips package',
+        scale: CENTROID_SCALE,
+        zip: deltaEncode(codes.map(Number)),
+        lat: deltaEncode(codes.map(zip => Math.round(zips[zip].latitude * CENTROID_SCALE))),
+        lon: deltaEncode(codes.map(zip => Math.round(zips[zip].longitude * CENTROID_SCALE)))
+    };
+}
+
+/**
+ * Check whether a point is inside a ring (even-odd rule)
+ * @param {Array<number>} point - [x, y]
+ * @param {Array} ring - Closed ring of [x, y]
+ * @returns {boolean}
+ */
+function inRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Check whether a point is inside a multipolygon
+ * @param {Array<number>} point - [x, y]
+ * @param {Array} polygons - Polygons of rings (outer ring first)
+ * @returns {boolean}
+ */
+function inPolygons(point, polygons) {
+    return polygons.some(([outer, ...holes]) => inRing(point, outer) && !holes.some(hole => inRing(point, hole)));
+}
+
+/**
+ * Get the bounding box of a multipolygon
+ * @param {Array} polygons - Polygons of rings
+ * @returns {Array<number>} - [minX, minY, maxX, maxY]
+ */
+function getBounds(polygons) {
+    const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach(([outer]) => outer.forEach(([x, y]) => {
+        bounds[0] = Math.min(bounds[0], x);
+        bounds[1] = Math.min(bounds[1], y);
+        bounds[2] = Math.max(bounds[2], x);
+        bounds[3] = Math.max(bounds[3], y);
+    }));
+    return bounds;
+}
+
+/**
+ * Encode a multipolygon as a compact SVG path (whole map units, relative moves)
+ * @param {Array} polygons - Polygons of rings
+ * @returns {string} - Path data
+ */
+function toPath(polygons) {
+    let path = '';
+    polygons.forEach(polygon => polygon.forEach(ring => {
+        let previous = null;
+        ring.slice(0, -1).forEach(([x, y]) => {
+            const point = [Math.round(x), Math.round(y)];
+            if (!previous) {
+                path += `M${point[0]} ${point[1]}`;
+            } else if (point[0] !== previous[0] || point[1] !== previous[1]) {
+                path += `l${point[0] - previous[0]} ${point[1] - previous[1]}`.replace(/ -/g, '-');
+            } else {
+                return;
+            }
+            previous = point;
+        });
+        if (previous) path += 'z';
+    }));
+    return path;
+}
+
+/**
+ * Build the giving map outlines
+ * @returns {Promise<Object>} - File contents (see GivingMap.loadShapes)
+ */
+async function buildMap() {
+    const { geoAlbersUsa } = await import('d3-geo');
+    const { Delaunay } = await import('d3-delaunay');
+    const topojson = require('topojson-client');
+    const { topology } = require('topojson-server');
+    const { presimplify, simplify, planarTriangleArea } = require('topojson-simplify');
+    const polygonClipping = require('polygon-clipping');
+    const zips = require('us-zips/object');
+    const atlas = require('us-atlas/states-albers-10m.json');
+
+    const states = topojson.feature(atlas, atlas.objects.states).features.map(feature => {
+        const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+        return { code: STATE_CODES[feature.id], polygons, bounds: getBounds(polygons) };
+    });
+    const findState = point => states.find(({ bounds: [x0, y0, x1, y1], polygons }) =>
+        point[0] >= x0 && point[0] <= x1 && point[1] >= y0 && point[1] <= y1 && inPolygons(point, polygons));
+
+    // Place each ZIP in its state; centroids just off a simplified coastline
+    // go to the state most of their 3-digit area is in
+    const projection = geoAlbersUsa().scale(1300).translate([487.5, 305]);
+    const points = Object.keys(zips).sort()
+        .map(zip => ({ zip3: zip.slice(0, 3), point: projection([zips[zip].longitude, zips[zip].latitude]) }))
+        .filter(entry => entry.point);
+    points.forEach(entry => { entry.state = findState(entry.point); });
+    points.filter(entry => !entry.state).forEach(entry => {
+        const counts = new Map();
+        points.forEach(other => {
+            if (other.zip3 === entry.zip3 && other.state) counts.set(other.state, (counts.get(other.state) || 0) + 1);
+        });
+        entry.state = [...counts].sort((a, b) => b[1] - a[1]).map(([state]) => state)[0];
+    });
+
+    // Split each state among its 3-digit areas
+    const areas = new Map();
+    states.forEach(state => {
+        const inside = points.filter(entry => entry.state === state);
+        const prefixes = [...new Set(inside.map(entry => entry.zip3))];
+        const parts = [];
+        if (prefixes.length === 1) {
+            parts.push([prefixes[0], state.polygons]);
+        } else if (prefixes.length > 1) {
+            const [x0, y0, x1, y1] = state.bounds;
+            const voronoi = Delaunay.from(inside.map(entry => entry.point)).voronoi([x0 - 1, y0 - 1, x1 + 1, y1 + 1]);
+            const cells = new Map();
+            inside.forEach((entry, i) => {
+                const cell = voronoi.cellPolygon(i);
+                if (!cell) return;
+                if (!cells.has(entry.zip3)) cells.set(entry.zip3, []);
+                cells.get(entry.zip3).push([cell]);
+            });
+            cells.forEach((polygons, zip3) => {
+                parts.push([zip3, polygonClipping.intersection(polygonClipping.union(...polygons), state.polygons)]);
+            });
+        }
+        parts.forEach(([zip3, polygons]) => {
+            if (!areas.has(zip3)) areas.set(zip3, []);
+            areas.get(zip3).push(...polygons);
+        });
+    });
+
+    // Simplify states and areas together, so shared borders stay shared
+    const collection = features => ({ type: 'FeatureCollection', features });
+    const feature = (id, polygons) => ({ type: 'Feature', id, geometry: { type: 'MultiPolygon', coordinates: polygons } });
+    let topo = topology({
+        states: collection(states.map(state => feature(state.code, state.polygons))),
+        zip3: collection([...areas].filter(([, polygons]) => polygons.length > 0).map(([zip3, polygons]) => feature(zip3, polygons)))
+    }, 1e5);
+    topo = simplify(presimplify(topo, planarTriangleArea), MAP_MIN_AREA);
+
+    const paths = name => {
+        const features = topojson.feature(topo, topo.objects[name]).features.sort((a, b) => (a.id < b.id ? -1 : 1));
+        return Object.fromEntries(features.map(f => [f.id, toPath(f.geometry.type === 'Polygon' ? [f.geometry.coordinates] : f.geometry.coordinates)]));
+    };
+
+    return {
+        format: 'donordex-us-map',
+        source: 'U.S. Census Bureau cartographic boundaries, 2017 (us-atlas package); 3-digit ZIP areas approximated from 2020 ZCTA centroids (us-zips package)',
+        width: MAP_WIDTH,
+        height: MAP_HEIGHT,
+        state: paths('states'),
+        zip3: paths('zip3')
+    };
+}
+
+/**
+ * Write a data file
+ * @param {string} name - File name in data/
+ * @param {Object} contents - JSON contents
+ */
+function writeData(name, contents) {
+    const file = path.join(DATA_DIR, name);
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(contents) + '\n');
+    console.log(`Wrote ${path.relative(process.cwd(), file)} (${Math.round(fs.statSync(file).size / 1024)} KB)`);
+}
+
+(async () => {
+    const centroids = buildZipCentroids();
+    writeData('zip-centroids.json', centroids);
+    console.log(`${centroids.zip.length.toLocaleString()} ZIP codes`);
+
+    const map = await buildMap();
+    writeData('us-map.json', map);
+    console.log(`${Object.keys(map.state).length} states, ${Object.keys(map.zip3).length} 3-digit ZIP areas`);
+})().catch(error => {
+    console.error(error);
+    process.exit(1);
+});